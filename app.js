@@ -6,26 +6,47 @@ const express = require("express");
 const cors = require("cors");
 
 const { NotFoundError } = require("./expressError");
+const { BULK_IMPORT_LIMIT, TRUST_PROXY } = require("./config");
 
 const { authenticateJWT } = require("./middleware/auth");
+const { requestContext } = require("./helpers/requestContext");
 const authRoutes = require("./routes/auth");
 const companiesRoutes = require("./routes/companies");
 const usersRoutes = require("./routes/users");
 const jobsRoutes = require("./routes/jobs");
+const searchRoutes = require("./routes/search");
+const skillsRoutes = require("./routes/skills");
+const adminRoutes = require("./routes/admin");
+const docsRoutes = require("./routes/docs");
 
 const morgan = require("morgan");
 
 const app = express();
 
-app.use(cors());
+// behind a proxy, req.ip (which logins are rate limited by) comes from it
+if (TRUST_PROXY) app.set("trust proxy", TRUST_PROXY);
+
+// clients need ETags to send back in If-Match
+app.use(cors({ exposedHeaders: ["ETag"] }));
+// bulk imports may be CSV, and bigger than other requests
+app.use(
+  ["/companies/import", "/jobs/import"],
+  express.json({ limit: BULK_IMPORT_LIMIT }),
+  express.text({ type: "text/csv", limit: BULK_IMPORT_LIMIT })
+);
 app.use(express.json());
 app.use(morgan("tiny"));
 app.use(authenticateJWT);
+app.use(requestContext);
 
 app.use("/auth", authRoutes);
 app.use("/companies", companiesRoutes);
 app.use("/users", usersRoutes);
 app.use("/jobs", jobsRoutes);
+app.use("/search", searchRoutes);
+app.use("/skills", skillsRoutes);
+app.use("/admin", adminRoutes);
+app.use(docsRoutes);
 
 /** Handle 404 errors -- this matches everything */
 app.use(function (req, res, next) {
@@ -37,9 +58,10 @@ app.use(function (err, req, res, next) {
   if (process.env.NODE_ENV !== "test") console.error(err.stack);
   const status = err.status || 500;
   const message = err.message;
+  if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
 
   return res.status(status).json({
-    error: { message, status },
+    error: { message, status, ...(err.errors && { errors: err.errors }) },
   });
 });
 
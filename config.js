@@ -2,6 +2,9 @@
 
 /** Shared config for application; can be required many places. */
 
+const os = require("os");
+const path = require("path");
+
 require("dotenv").config();
 require("colors");
 
@@ -9,6 +12,81 @@ const SECRET_KEY = process.env.SECRET_KEY || "secret-dev";
 
 const PORT = +process.env.PORT || 3001;
 
+// Access tokens are short-lived; clients trade a refresh token for a new one
+// at POST /auth/refresh. (Any value jsonwebtoken's expiresIn accepts.)
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+
+const REFRESH_TOKEN_TTL_DAYS = +process.env.REFRESH_TOKEN_TTL_DAYS || 30;
+
+// How long links mailed for password resets and email verification work.
+const PASSWORD_RESET_TTL_MINUTES =
+  +process.env.PASSWORD_RESET_TTL_MINUTES || 60;
+const EMAIL_VERIFICATION_TTL_HOURS =
+  +process.env.EMAIL_VERIFICATION_TTL_HOURS || 48;
+
+// Where links in emails point: the front end's base URL.
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
+
+// How mail is sent (see helpers/mailer.js): "console" prints it, "file"
+// appends it to MAIL_FILE as JSON lines. Tests write to a temp file.
+const MAIL_TRANSPORT =
+  process.env.MAIL_TRANSPORT ||
+  (process.env.NODE_ENV === "test" ? "file" : "console");
+const MAIL_FILE =
+  process.env.MAIL_FILE || path.join(os.tmpdir(), "jobly-mail.jsonl");
+const MAIL_FROM = process.env.MAIL_FROM || "Jobly <no-reply@jobly.dev>";
+
+// What one unit of each currency is worth in the base currency, used to
+// compare salaries posted in different currencies. Edit exchangeRates.json,
+// or point EXCHANGE_RATES_FILE at another file with the same shape.
+const EXCHANGE_RATES = require(process.env.EXCHANGE_RATES_FILE
+  ? path.resolve(process.env.EXCHANGE_RATES_FILE)
+  : "./exchangeRates.json");
+
+// Bulk imports (POST /companies/import, /jobs/import): the largest body
+// accepted (any value body-parser's limit accepts), and most rows.
+const BULK_IMPORT_LIMIT = process.env.BULK_IMPORT_LIMIT || "5mb";
+const BULK_IMPORT_MAX_ROWS = +process.env.BULK_IMPORT_MAX_ROWS || 5000;
+
+// Where uploaded files (résumés) are kept (see helpers/storage.js): "local"
+// keeps them in UPLOAD_DIR, "memory" only while the server runs. Tests keep
+// them in memory.
+const UPLOAD_STORAGE =
+  process.env.UPLOAD_STORAGE ||
+  (process.env.NODE_ENV === "test" ? "memory" : "local");
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, "uploads");
+
+// The largest résumé accepted, in bytes.
+const UPLOAD_MAX_BYTES = +process.env.UPLOAD_MAX_BYTES || 5 * 1024 * 1024;
+
+// Job views count once per viewer within this many minutes (see
+// models/event.js).
+const JOB_VIEW_DEDUP_MINUTES = +process.env.JOB_VIEW_DEDUP_MINUTES || 30;
+
+// Throttling of POST /auth/token (see middleware/rateLimit.js), which admins
+// can change at /admin/login-limits. Override any of them with JSON in
+// LOGIN_RATE_LIMITS, e.g. {"maxPerIp": 50}.
+const LOGIN_RATE_LIMITS = {
+  // attempts allowed per IP address, and per username, every window
+  windowSeconds: 15 * 60,
+  maxPerIp: 100,
+  maxPerUsername: 20,
+  // failed logins (remembered for failureWindowSeconds) before a lockout;
+  // it lasts lockoutSeconds, doubling with each further failure
+  failureWindowSeconds: 24 * 60 * 60,
+  maxFailures: 5,
+  maxFailuresPerIp: 20,
+  lockoutSeconds: 60,
+  maxLockoutSeconds: 60 * 60,
+  ...JSON.parse(process.env.LOGIN_RATE_LIMITS || "{}"),
+};
+
+// Express's "trust proxy" setting, when behind a proxy or load balancer: a
+// number of hops, or addresses to trust.
+const TRUST_PROXY = isNaN(process.env.TRUST_PROXY)
+  ? process.env.TRUST_PROXY
+  : +process.env.TRUST_PROXY;
+
 // Use dev database, testing database, or via env var, production database
 function getDatabaseUri() {
   return process.env.NODE_ENV === "test"
@@ -24,13 +102,33 @@ const BCRYPT_WORK_FACTOR = process.env.NODE_ENV === "test" ? 1 : 12;
 console.log("Jobly Config:".green);
 console.log("SECRET_KEY:".yellow, SECRET_KEY);
 console.log("PORT:".yellow, PORT.toString());
+console.log("ACCESS_TOKEN_EXPIRES_IN:".yellow, ACCESS_TOKEN_EXPIRES_IN);
 console.log("BCRYPT_WORK_FACTOR".yellow, BCRYPT_WORK_FACTOR);
+console.log("MAIL_TRANSPORT:".yellow, MAIL_TRANSPORT);
+console.log("UPLOAD_STORAGE:".yellow, UPLOAD_STORAGE);
 console.log("Database:".yellow, getDatabaseUri());
 console.log("---");
 
 module.exports = {
   SECRET_KEY,
   PORT,
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_TTL_DAYS,
+  PASSWORD_RESET_TTL_MINUTES,
+  EMAIL_VERIFICATION_TTL_HOURS,
+  APP_URL,
+  MAIL_TRANSPORT,
+  MAIL_FILE,
+  MAIL_FROM,
+  EXCHANGE_RATES,
+  BULK_IMPORT_LIMIT,
+  BULK_IMPORT_MAX_ROWS,
+  UPLOAD_STORAGE,
+  UPLOAD_DIR,
+  UPLOAD_MAX_BYTES,
+  JOB_VIEW_DEDUP_MINUTES,
+  LOGIN_RATE_LIMITS,
+  TRUST_PROXY,
   BCRYPT_WORK_FACTOR,
   getDatabaseUri,
 };
@@ -1,23 +1,127 @@
 "use strict";
 /** Database setup for jobly. */
-const { Client } = require("pg");
+const { Pool } = require("pg");
 const { getDatabaseUri } = require("./config");
 
 let db;
 
 if (process.env.NODE_ENV === "production") {
-  db = new Client({
+  db = new Pool({
     connectionString: getDatabaseUri(),
     ssl: {
-      rejectUnauthorized: false
-    }
+      rejectUnauthorized: false,
+    },
+  });
+} else if (process.env.NODE_ENV === "test") {
+  // Tests wrap each case in BEGIN/ROLLBACK through db.query, so every query
+  // has to land on the same connection. Anything still waiting for it after
+  // a few seconds is a query that didn't use its transaction's client.
+  db = new Pool({
+    connectionString: getDatabaseUri(),
+    max: 1,
+    connectionTimeoutMillis: 5000,
   });
 } else {
-  db = new Client({
-    connectionString: getDatabaseUri()
+  db = new Pool({
+    connectionString: getDatabaseUri(),
   });
 }
 
-db.connect();
+// an idle client losing its connection shouldn't take the process down
+db.on("error", function (err) {
+  console.error("Idle database client error:", err.message);
+});
+
+let savepointCount = 0;
+
+// what to do once each connection's outermost withTransaction commits
+const afterCommits = new WeakMap();
+
+/** Run fn(client) in a transaction, returning what fn returns.
+ *
+ * Commits if fn resolves, rolls back (and rethrows) if it throws. Pass the
+ * client to every model call that should be part of the transaction:
+ *
+ *   await db.withTransaction(async (client) => {
+ *     const user = await User.register(data, client);
+ *     await RefreshToken.create(user.username, client);
+ *   });
+ *
+ * If `client` is given and already in a transaction, fn runs in a savepoint
+ * inside it instead, so transactions compose: a model method can use one
+ * for its own statements and still join its caller's. Work that can't be
+ * undone, like removing files, belongs in afterCommit.
+ *
+ * options.isolation sets the isolation level ("REPEATABLE READ", say) of a
+ * new transaction; a savepoint runs at its caller's level.
+ */
+
+async function withTransaction(fn, client, { isolation } = {}) {
+  // the pool itself isn't a transaction: check out a connection of our own
+  const ownConnection = !client || client === db;
+  const conn = ownConnection ? await db.connect() : client;
+
+  try {
+    const inTransaction = await conn.query(
+      `SELECT statement_timestamp() <> transaction_timestamp() AS "nested"`
+    );
+    const nested = inTransaction.rows[0].nested;
+    const savepoint = `jobly_sp_${++savepointCount}`;
+
+    const outermost = !afterCommits.has(conn);
+    if (outermost) afterCommits.set(conn, []);
+    const callbacks = afterCommits.get(conn);
+    const queued = callbacks.length;
+
+    const begin = isolation ? `BEGIN ISOLATION LEVEL ${isolation}` : "BEGIN";
+    await conn.query(nested ? `SAVEPOINT ${savepoint}` : begin);
+    try {
+      const result = await fn(conn);
+      await conn.query(nested ? `RELEASE SAVEPOINT ${savepoint}` : "COMMIT");
+      if (outermost) {
+        afterCommits.delete(conn);
+        for (const callback of callbacks) await runAfterCommit(callback);
+      }
+      return result;
+    } catch (err) {
+      // what was queued in the part being undone is dropped with it
+      callbacks.splice(queued);
+      await conn.query(
+        nested ? `ROLLBACK TO SAVEPOINT ${savepoint}` : "ROLLBACK"
+      );
+      throw err;
+    } finally {
+      if (outermost) afterCommits.delete(conn);
+    }
+  } finally {
+    if (ownConnection) conn.release();
+  }
+}
+
+/** Run fn() once client's transaction has committed; returns undefined.
+ *
+ * Inside withTransaction, fn waits for the outermost one to commit, and is
+ * dropped if the part of it where afterCommit was called rolls back; outside
+ * one, it runs right away. (A transaction begun some other way, like the
+ * tests' BEGIN, isn't waited for.) The changes are committed by the time fn
+ * runs, so its errors are logged rather than thrown.
+ */
+
+async function afterCommit(client, fn) {
+  const callbacks = afterCommits.get(client);
+  if (callbacks) callbacks.push(fn);
+  else await runAfterCommit(fn);
+}
+
+async function runAfterCommit(fn) {
+  try {
+    await fn();
+  } catch (err) {
+    console.error("After commit:", err.message);
+  }
+}
+
+db.withTransaction = withTransaction;
+db.afterCommit = afterCommit;
 
-module.exports = db;
\ No newline at end of file
+module.exports = db;
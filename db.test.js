@@ -0,0 +1,146 @@
+"use strict";
+
+const db = require("./db");
+const Company = require("./models/company");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./models/_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const newCompany = {
+  handle: "new",
+  name: "New",
+  description: "New Description",
+  numEmployees: 1,
+  logoUrl: "http://new.img",
+};
+
+async function companyExists(handle) {
+  const result = await db.query(
+    `SELECT handle FROM companies WHERE handle = $1`,
+    [handle]
+  );
+  return result.rows.length === 1;
+}
+
+describe("withTransaction", function () {
+  test("works: keeps changes and returns fn's result", async function () {
+    const result = await db.withTransaction(async (client) => {
+      await Company.create(newCompany, client);
+      return "done";
+    });
+    expect(result).toEqual("done");
+    expect(await companyExists("new")).toBeTruthy();
+  });
+
+  test("rolls back every model call if fn throws", async function () {
+    try {
+      await db.withTransaction(async (client) => {
+        await Company.create(newCompany, client);
+        await Company.update("c1", { name: "Changed" }, {}, client);
+        throw new Error("boom");
+      });
+      fail();
+    } catch (err) {
+      expect(err.message).toEqual("boom");
+    }
+    expect(await companyExists("new")).toBeFalsy();
+    const c1 = await Company.get("c1");
+    expect(c1.name).toEqual("C1");
+  });
+
+  test("nests: an inner failure only undoes the inner part", async function () {
+    await db.withTransaction(async (client) => {
+      await Company.create(newCompany, client);
+      try {
+        await db.withTransaction(async (inner) => {
+          await Company.remove("c1", inner);
+          throw new Error("inner boom");
+        }, client);
+      } catch (err) {
+        // expected
+      }
+    });
+    expect(await companyExists("new")).toBeTruthy();
+    expect(await companyExists("c1")).toBeTruthy();
+  });
+
+  test("a failing model method leaves its caller's transaction usable", async function () {
+    await db.withTransaction(async (client) => {
+      try {
+        await Company.create({ ...newCompany, handle: "c1" }, client);
+      } catch (err) {
+        // duplicate
+      }
+      await Company.create(newCompany, client);
+    });
+    expect(await companyExists("new")).toBeTruthy();
+  });
+});
+
+describe("afterCommit", function () {
+  test("works: waits for the outermost transaction", async function () {
+    const done = [];
+    await db.withTransaction(async (client) => {
+      await db.withTransaction(async (inner) => {
+        await db.afterCommit(inner, () => done.push("inner"));
+      }, client);
+      await db.afterCommit(client, () => done.push("outer"));
+      expect(done).toEqual([]);
+    });
+    expect(done).toEqual(["inner", "outer"]);
+  });
+
+  test("drops what was queued in a part that rolls back", async function () {
+    const done = [];
+    await db.withTransaction(async (client) => {
+      await db.afterCommit(client, () => done.push("kept"));
+      try {
+        await db.withTransaction(async (inner) => {
+          await db.afterCommit(inner, () => done.push("dropped"));
+          throw new Error("inner boom");
+        }, client);
+      } catch (err) {
+        // expected
+      }
+    });
+    expect(done).toEqual(["kept"]);
+
+    try {
+      await db.withTransaction(async (client) => {
+        await db.afterCommit(client, () => done.push("dropped"));
+        throw new Error("boom");
+      });
+    } catch (err) {
+      // expected
+    }
+    expect(done).toEqual(["kept"]);
+  });
+
+  test("runs right away outside a transaction", async function () {
+    const done = [];
+    await db.afterCommit(db, () => done.push("now"));
+    expect(done).toEqual(["now"]);
+  });
+
+  test("logs rather than throws on errors", async function () {
+    const spy = jest.spyOn(console, "error").mockImplementation(() => {});
+    try {
+      await db.withTransaction(async (client) => {
+        await db.afterCommit(client, () => {
+          throw new Error("boom");
+        });
+      });
+      expect(spy).toHaveBeenCalled();
+    } finally {
+      spy.mockRestore();
+    }
+  });
+});
@@ -28,11 +28,13 @@ class UnauthorizedError extends ExpressError {
   }
 }
 
-/** 400 BAD REQUEST error. */
+/** 400 BAD REQUEST error: errors, if given, lists what's invalid, as
+ * [{ field, code, message }, ...] (see middleware/validate.js). */
 
 class BadRequestError extends ExpressError {
-  constructor(message = "Bad Request") {
+  constructor(message = "Bad Request", errors) {
     super(message, 400);
+    if (errors) this.errors = errors;
   }
 }
 
@@ -44,10 +46,31 @@ class ForbiddenError extends ExpressError {
   }
 }
 
+/** 412 PRECONDITION FAILED error: the request's If-Match doesn't match
+ * what it would change any more. */
+
+class PreconditionFailedError extends ExpressError {
+  constructor(message = "Precondition Failed") {
+    super(message, 412);
+  }
+}
+
+/** 429 TOO MANY REQUESTS error: retryAfter is how many seconds until they
+ * may try again (sent as the Retry-After header). */
+
+class TooManyRequestsError extends ExpressError {
+  constructor(message = "Too Many Requests", retryAfter) {
+    super(message, 429);
+    this.retryAfter = retryAfter;
+  }
+}
+
 module.exports = {
   ExpressError,
   NotFoundError,
   UnauthorizedError,
   BadRequestError,
   ForbiddenError,
-};
\ No newline at end of file
+  PreconditionFailedError,
+  TooManyRequestsError,
+};
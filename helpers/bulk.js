@@ -0,0 +1,176 @@
+const { once } = require("events");
+
+const db = require("../db");
+const { BadRequestError, ExpressError } = require("../expressError");
+const { parseCsv, csvRow } = require("./csv");
+const { validationErrors, coerceStrings } = require("./validation");
+const { BULK_IMPORT_MAX_ROWS } = require("../config");
+
+// Bulk import and export of companies and jobs, as CSV or JSON.
+
+const EXPORT_FORMATS = ["csv", "ndjson"];
+
+// How many rows an export fetches at a time.
+const EXPORT_BATCH_SIZE = 500;
+
+// The rows of an import request: a JSON array of objects, or CSV with a
+// header row (sent as text/csv).
+//
+// Throws BadRequestError if it's neither, or has more than
+// BULK_IMPORT_MAX_ROWS rows.
+
+function readImportRows(req, schema) {
+  let rows;
+  if (req.is("text/csv")) {
+    rows = parseCsv(typeof req.body === "string" ? req.body : "").map((row) =>
+      coerceStrings(row, schema)
+    );
+  } else if (Array.isArray(req.body)) {
+    rows = req.body;
+  } else {
+    throw new BadRequestError("Send a JSON array, or CSV as text/csv");
+  }
+
+  if (rows.length > BULK_IMPORT_MAX_ROWS) {
+    throw new BadRequestError(
+      `Can't import more than ${BULK_IMPORT_MAX_ROWS} rows at once`
+    );
+  }
+  return rows;
+}
+
+// Is err PostgreSQL refusing the data itself (SQLSTATE class 22, a bad
+// value, or 23, a broken constraint), rather than something going wrong?
+
+function isDataError(err) {
+  return typeof err.code === "string" && /^2[23]/.test(err.code);
+}
+
+// Validates and creates one row; returns its result for the report.
+// Rows that are invalid, or that create() or the database rejects
+// (duplicates, or numbers too big for their column, say), fail; anything
+// else unexpected is thrown.
+
+async function importRow(rowNum, row, { schema, create, name }, client) {
+  const errors = validationErrors(row, schema);
+  if (errors.length) return { row: rowNum, ok: false, errors };
+
+  try {
+    // in a savepoint of its own, so a row the database refuses doesn't
+    // leave an atomic import's transaction unusable for the rest
+    const item = await db.withTransaction((tx) => create(row, tx), client);
+    return { row: rowNum, ok: true, [name]: item };
+  } catch (err) {
+    if (!(err instanceof ExpressError) && !isDataError(err)) throw err;
+    return {
+      row: rowNum,
+      ok: false,
+      errors: [{ field: null, code: "rejected", message: err.message }],
+    };
+  }
+}
+
+// Imports rows with create(row, client), each checked against schema first.
+// Rows are numbered from 1, and name is what each created item is called in
+// the report.
+//
+// Each row is saved on its own, unless atomic is set: then they're all saved
+// in one transaction, and if any row fails none are.
+//
+// Returns { committed, created, failed, results } where results is
+// [{ row, ok: true, [name]: item } or { row, ok: false, errors }, ...]
+// and errors are [{ field, code, message }, ...] as for invalid requests
+// (see middleware/validate.js); code is "rejected" if create() or the
+// database refused it.
+
+async function importRows(rows, { schema, create, name, atomic = false }) {
+  const results = [];
+  const options = { schema, create, name };
+
+  if (!atomic) {
+    for (const [idx, row] of rows.entries()) {
+      results.push(await importRow(idx + 1, row, options, db));
+    }
+  } else {
+    const rollback = new Error("rollback import");
+    try {
+      await db.withTransaction(async (tx) => {
+        for (const [idx, row] of rows.entries()) {
+          results.push(await importRow(idx + 1, row, options, tx));
+        }
+        if (results.some((r) => !r.ok)) throw rollback;
+      });
+    } catch (err) {
+      if (err !== rollback) throw err;
+    }
+  }
+
+  const failed = results.filter((r) => !r.ok).length;
+  const committed = !atomic || failed === 0;
+  return {
+    committed,
+    created: committed ? results.length - failed : 0,
+    failed,
+    results,
+  };
+}
+
+// Streams everything fetchPage({ limit, offset }, client) returns to res,
+// page by page, as CSV (a header of columns, then those columns of each
+// item) or NDJSON (one JSON item per line), as a download called filename.
+//
+// The pages are all fetched in one REPEATABLE READ transaction, so they're
+// of the same snapshot: rows added or removed meanwhile can't shift later
+// pages, skipping or repeating items.
+//
+// The first page is fetched before anything is sent, so errors in it (bad
+// filters, say) are thrown for the caller to send. A later error cuts the
+// download off, so it can't look complete.
+//
+// Throws BadRequestError for an unknown format.
+
+async function streamExport(res, { format, filename, columns, fetchPage }) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new BadRequestError(`Unknown export format: ${format}`);
+  }
+  const toText = (items) =>
+    format === "csv"
+      ? items.map((item) => csvRow(columns.map((c) => item[c]))).join("")
+      : items.map((item) => JSON.stringify(item) + "\n").join("");
+
+  await db.withTransaction(
+    async (tx) => {
+      let offset = 0;
+      let items = await fetchPage({ limit: EXPORT_BATCH_SIZE, offset }, tx);
+
+      res.attachment(`${filename}.${format}`);
+      res.type(format === "csv" ? "text/csv" : "application/x-ndjson");
+      try {
+        if (format === "csv") res.write(csvRow(columns));
+        while (items.length) {
+          if (!res.write(toText(items))) {
+            // wait for the client to catch up, or to go away
+            await Promise.race([once(res, "drain"), once(res, "close")]);
+            if (res.destroyed) return;
+          }
+          if (items.length < EXPORT_BATCH_SIZE) break;
+          offset += EXPORT_BATCH_SIZE;
+          items = await fetchPage({ limit: EXPORT_BATCH_SIZE, offset }, tx);
+        }
+        res.end();
+      } catch (err) {
+        console.error("Export failed:", err.message);
+        res.destroy();
+      }
+    },
+    db,
+    { isolation: "REPEATABLE READ" }
+  );
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  readImportRows,
+  importRows,
+  streamExport,
+};
@@ -0,0 +1,35 @@
+const { BadRequestError, NotFoundError } = require("../expressError");
+
+// Checks models share before working on what a request names.
+
+// Throws NotFoundError unless the user exists (and isn't deleted).
+
+async function checkUser(username, client) {
+  const result = await client.query(
+    `SELECT username FROM users WHERE username = $1 AND deleted_at IS NULL`,
+    [username]
+  );
+  if (!result.rows[0]) throw new NotFoundError(`No user: ${username}`);
+}
+
+// Throws NotFoundError unless the company exists (and isn't deleted).
+
+async function checkCompany(handle, client) {
+  const result = await client.query(
+    `SELECT handle FROM companies WHERE handle = $1 AND deleted_at IS NULL`,
+    [handle]
+  );
+  if (!result.rows[0]) throw new NotFoundError(`No company: ${handle}`);
+}
+
+// Parse a date or date-time from a query string.
+//
+// Throws BadRequestError if it isn't one.
+
+function toTimestamp(value) {
+  const date = new Date(value);
+  if (isNaN(date)) throw new BadRequestError(`Not a date: ${value}`);
+  return date;
+}
+
+module.exports = { checkUser, checkCompany, toTimestamp };
@@ -0,0 +1,70 @@
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { checkUser, checkCompany, toTimestamp } = require("./checks");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("../models/_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+describe("checkUser", function () {
+  test("works", async function () {
+    await checkUser("u1", db);
+  });
+
+  test("not found if no such user, or they're deleted", async function () {
+    await db.query(`UPDATE users SET deleted_at = NOW() WHERE username = 'u2'`);
+    for (const username of ["nope", "u2"]) {
+      try {
+        await checkUser(username, db);
+        fail();
+      } catch (err) {
+        expect(err instanceof NotFoundError).toBeTruthy();
+      }
+    }
+  });
+});
+
+describe("checkCompany", function () {
+  test("works", async function () {
+    await checkCompany("c1", db);
+  });
+
+  test("not found if no such company, or it's deleted", async function () {
+    await db.query(
+      `UPDATE companies SET deleted_at = NOW() WHERE handle = 'c2'`
+    );
+    for (const handle of ["nope", "c2"]) {
+      try {
+        await checkCompany(handle, db);
+        fail();
+      } catch (err) {
+        expect(err instanceof NotFoundError).toBeTruthy();
+      }
+    }
+  });
+});
+
+describe("toTimestamp", function () {
+  test("works: dates and date-times", function () {
+    expect(toTimestamp("2021-01-02")).toEqual(new Date("2021-01-02T00:00Z"));
+    expect(toTimestamp("2021-01-02T03:04:05Z")).toEqual(
+      new Date("2021-01-02T03:04:05Z")
+    );
+  });
+
+  test("bad request if not a date", function () {
+    try {
+      toTimestamp("not a date");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,88 @@
+const { BadRequestError } = require("../expressError");
+
+// Reading and writing CSV (RFC 4180: fields separated by commas, quoted with
+// double quotes when they hold commas, quotes or line breaks, and quotes
+// inside doubled).
+
+// Splits CSV text into rows of fields.
+//
+// Throws BadRequestError on an unterminated quoted field.
+
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; // skip a byte order mark
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new BadRequestError("CSV has an unterminated quote");
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // blank lines aren't rows
+  return rows.filter((r) => r.length > 1 || r[0] !== "");
+}
+
+// Parses CSV text whose first row names the columns.
+//
+// Returns [{ column: value, ... }, ...], one per row after the header.
+//
+// Throws BadRequestError if there's no header, or a row has a different
+// number of fields than it.
+
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) throw new BadRequestError("CSV needs a header row");
+
+  return rows.map((fields, idx) => {
+    if (fields.length !== header.length) {
+      throw new BadRequestError(
+        `CSV row ${idx + 1} has ${fields.length} fields; ` +
+          `the header has ${header.length}`
+      );
+    }
+    return Object.fromEntries(header.map((column, i) => [column, fields[i]]));
+  });
+}
+
+// One line of CSV for values: null and undefined are empty, dates are ISO
+// 8601 and everything else is its string form.
+
+function csvRow(values) {
+  const fields = values.map((value) => {
+    if (value === null || value === undefined) return "";
+    const field = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+  });
+  return fields.join(",") + "\r\n";
+}
+
+module.exports = { parseCsv, csvRow };
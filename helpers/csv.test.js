@@ -0,0 +1,61 @@
+const { parseCsv, csvRow } = require("./csv");
+const { BadRequestError } = require("../expressError");
+
+describe("parseCsv", function () {
+  test("works", function () {
+    expect(parseCsv("handle,name\nc1,C1\nc2,C2\n")).toEqual([
+      { handle: "c1", name: "C1" },
+      { handle: "c2", name: "C2" },
+    ]);
+  });
+
+  test("works: quoted fields, CRLF, byte order mark, blank lines", function () {
+    const text =
+      "﻿handle,description\r\n" +
+      'c1,"Commas, ""quotes""\r\nand lines"\r\n' +
+      "\r\n" +
+      "c2,\r\n";
+    expect(parseCsv(text)).toEqual([
+      { handle: "c1", description: 'Commas, "quotes"\r\nand lines' },
+      { handle: "c2", description: "" },
+    ]);
+  });
+
+  test("works: header only", function () {
+    expect(parseCsv("handle,name")).toEqual([]);
+  });
+
+  test("bad request if a row doesn't match the header", function () {
+    expect(() => parseCsv("handle,name\nc1")).toThrow(BadRequestError);
+  });
+
+  test("bad request for an unterminated quote", function () {
+    expect(() => parseCsv('handle\n"c1')).toThrow(BadRequestError);
+  });
+
+  test("bad request with no header", function () {
+    expect(() => parseCsv("")).toThrow(BadRequestError);
+  });
+});
+
+describe("csvRow", function () {
+  test("works", function () {
+    expect(
+      csvRow([
+        "plain",
+        'has "quotes", commas',
+        12,
+        null,
+        undefined,
+        new Date("2030-01-01T00:00:00Z"),
+      ])
+    ).toEqual(
+      'plain,"has ""quotes"", commas",12,,,2030-01-01T00:00:00.000Z\r\n'
+    );
+  });
+
+  test("round-trips through parseCsv", function () {
+    const text = csvRow(["a", "b"]) + csvRow(['x,"y"', "line\nbreak"]);
+    expect(parseCsv(text)).toEqual([{ a: 'x,"y"', b: "line\nbreak" }]);
+  });
+});
@@ -0,0 +1,69 @@
+const { BadRequestError } = require("../expressError");
+const { EXCHANGE_RATES } = require("../config");
+
+// How many of each pay period make up a year (hourly assumes 40h x 52 weeks).
+
+const PERIODS_PER_YEAR = {
+  hourly: 2080,
+  monthly: 12,
+  yearly: 1,
+};
+
+// Throws BadRequestError unless we have a rate for currency / know the period.
+
+function checkCurrency(currency, payPeriod) {
+  if (!Object.prototype.hasOwnProperty.call(EXCHANGE_RATES.rates, currency)) {
+    throw new BadRequestError(
+      `Unknown currency: ${currency}; use one of: ` +
+        Object.keys(EXCHANGE_RATES.rates).join(", ")
+    );
+  }
+  if (!Object.prototype.hasOwnProperty.call(PERIODS_PER_YEAR, payPeriod)) {
+    throw new BadRequestError(
+      `Unknown pay period: ${payPeriod}; use one of: ` +
+        Object.keys(PERIODS_PER_YEAR).join(", ")
+    );
+  }
+}
+
+// Converts an amount paid per payPeriod in currency to a yearly amount in the
+// base currency.
+//
+// (20, "EUR", "hourly") => 20 * 1.08 * 2080 = 44928
+
+function toAnnualBase(amount, currency, payPeriod) {
+  checkCurrency(currency, payPeriod);
+  return amount * EXCHANGE_RATES.rates[currency] * PERIODS_PER_YEAR[payPeriod];
+}
+
+// The SQL version of toAnnualBase for a column, given the columns holding
+// each row's currency and pay period. Rates come from our own config, not
+// the request, so they're inlined as numeric literals.
+//
+// ("salary_min", "currency", "pay_period") =>
+//   "(salary_min * (CASE currency WHEN 'USD' THEN 1 ... END)
+//                * (CASE pay_period WHEN 'hourly' THEN 2080 ... END))"
+
+function sqlToAnnualBase(amountCol, currencyCol, payPeriodCol) {
+  const rateCases = Object.entries(EXCHANGE_RATES.rates)
+    .map(([code, rate]) => {
+      if (!/^[A-Z]{3}$/.test(code)) throw new Error(`Bad currency: ${code}`);
+      return `WHEN '${code}' THEN ${Number(rate)}`;
+    })
+    .join(" ");
+  const periodCases = Object.entries(PERIODS_PER_YEAR)
+    .map(([period, n]) => `WHEN '${period}' THEN ${n}`)
+    .join(" ");
+
+  return (
+    `(${amountCol} * (CASE ${currencyCol} ${rateCases} END)` +
+    ` * (CASE ${payPeriodCol} ${periodCases} END))`
+  );
+}
+
+module.exports = {
+  PERIODS_PER_YEAR,
+  checkCurrency,
+  toAnnualBase,
+  sqlToAnnualBase,
+};
@@ -0,0 +1,45 @@
+const { BadRequestError } = require("../expressError");
+const { checkCurrency, toAnnualBase, sqlToAnnualBase } = require("./currency");
+
+describe("checkCurrency", function () {
+  test("works: known currency and period", function () {
+    checkCurrency("EUR", "hourly");
+  });
+
+  test("bad request with unknown currency", function () {
+    try {
+      checkCurrency("XYZ", "yearly");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request with unknown period", function () {
+    try {
+      checkCurrency("USD", "weekly");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+describe("toAnnualBase", function () {
+  test("works: yearly in base currency is unchanged", function () {
+    expect(toAnnualBase(100000, "USD", "yearly")).toEqual(100000);
+  });
+
+  test("works: converts currency and period", function () {
+    expect(toAnnualBase(20, "EUR", "hourly")).toBeCloseTo(44928);
+    expect(toAnnualBase(5000, "GBP", "monthly")).toBeCloseTo(76200);
+  });
+});
+
+describe("sqlToAnnualBase", function () {
+  test("works", function () {
+    const sql = sqlToAnnualBase("salary_min", "currency", "pay_period");
+    expect(sql).toContain("salary_min * (CASE currency WHEN 'USD' THEN 1");
+    expect(sql).toContain("CASE pay_period WHEN 'hourly' THEN 2080");
+  });
+});
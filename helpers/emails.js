@@ -0,0 +1,64 @@
+const { APP_URL } = require("../config");
+
+// Builders for the emails we send: each returns { to, subject, text } for
+// sendMail (see ./mailer.js).
+
+// The link to reset a forgotten password.
+
+function passwordResetEmail(user, token) {
+  return {
+    to: user.email,
+    subject: "Reset your Jobly password",
+    text:
+      `Hi ${user.firstName},\n\n` +
+      `Someone asked to reset the password for your Jobly account ` +
+      `(${user.username}). To choose a new one, follow this link:\n\n` +
+      `${APP_URL}/reset-password?token=${token}\n\n` +
+      `If that wasn't you, you can ignore this email.`,
+  };
+}
+
+// The link to confirm an email address belongs to the user.
+
+function verificationEmail(user, token) {
+  return {
+    to: user.email,
+    subject: "Confirm your email for Jobly",
+    text:
+      `Hi ${user.firstName},\n\n` +
+      `Please confirm this is your email address by following this link:\n\n` +
+      `${APP_URL}/verify-email?token=${token}`,
+  };
+}
+
+// A digest of new jobs matching a user's saved searches; matches is
+// [{ search, jobs }, ...], each with at least one job.
+
+function savedSearchDigestEmail(user, matches) {
+  const count = matches.reduce((total, m) => total + m.jobs.length, 0);
+  const sections = matches.map(
+    ({ search, jobs }) =>
+      `${search.name}:\n` +
+      jobs
+        .map(
+          (j) => `- ${j.title} at ${j.company_handle}: ${APP_URL}/jobs/${j.id}`
+        )
+        .join("\n")
+  );
+  return {
+    to: user.email,
+    subject: `${count} new job${
+      count === 1 ? "" : "s"
+    } for your saved searches`,
+    text:
+      `Hi ${user.firstName},\n\n` +
+      `These jobs were posted since we last wrote:\n\n` +
+      sections.join("\n\n"),
+  };
+}
+
+module.exports = {
+  passwordResetEmail,
+  verificationEmail,
+  savedSearchDigestEmail,
+};
@@ -0,0 +1,51 @@
+const crypto = require("crypto");
+const { PreconditionFailedError } = require("../expressError");
+
+// Companies, jobs, users and applications are versioned by their updated_at,
+// which the database moves on with every change (see migration 0016), to the
+// millisecond.
+//
+// new Date("2021-01-01T00:00:00Z") => "kjdigao0"
+
+function versionOf(updatedAt) {
+  return updatedAt.getTime().toString(36);
+}
+
+// The ETag for a response whose body is about something versioned at
+// updatedAt: its version, then a hash of the body. Bodies list other rows too
+// (a company's jobs, say), which can change without the version moving; the
+// hash makes the ETag change with them, so If-None-Match only gets a 304 for
+// the same body.
+//
+// (new Date("2021-01-01T00:00:00Z"), body) => '"kjdigao0.<hash of body>"'
+
+function etagFor(updatedAt, body) {
+  const hash = crypto
+    .createHash("sha256")
+    .update(JSON.stringify(body))
+    .digest("base64url")
+    .slice(0, 16);
+  return `"${versionOf(updatedAt)}.${hash}"`;
+}
+
+// Throws PreconditionFailedError unless an If-Match header (if there is one)
+// lets `what` (for the message) be changed at its version updatedAt: "*", or
+// a list of ETags with one of the current version in it. Only the version
+// counts, not what else was listed with it. Weak ETags never match.
+
+function checkIfMatch(ifMatch, updatedAt, what) {
+  if (ifMatch === undefined) return;
+
+  const current = versionOf(updatedAt);
+  const etags = ifMatch.split(",").map((etag) => etag.trim());
+  const matches = etags.some(
+    (etag) =>
+      etag === "*" ||
+      (etag.startsWith('"') && etag.slice(1).split(/[."]/)[0] === current)
+  );
+  if (matches) return;
+
+  throw new PreconditionFailedError(`${what} has changed since that version`);
+}
+
+module.exports = { etagFor, checkIfMatch };
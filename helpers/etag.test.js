@@ -0,0 +1,53 @@
+const { etagFor, checkIfMatch } = require("./etag");
+const { PreconditionFailedError } = require("../expressError");
+
+const version = new Date("2021-01-01T00:00:00Z");
+const body = { company: { handle: "c1", jobs: [] } };
+
+describe("etagFor", function () {
+  test("works", function () {
+    expect(etagFor(version, body)).toMatch(/^"kjdigao0\.[\w-]{16}"$/);
+    expect(etagFor(version, body)).toEqual(etagFor(version, body));
+  });
+
+  test("works: a millisecond makes a difference", function () {
+    const later = new Date(version.getTime() + 1);
+    expect(etagFor(later, body)).not.toEqual(etagFor(version, body));
+  });
+
+  test("works: so does the rest of the body", function () {
+    const withJob = { company: { handle: "c1", jobs: [{ id: 1 }] } };
+    expect(etagFor(version, withJob)).not.toEqual(etagFor(version, body));
+  });
+});
+
+describe("checkIfMatch", function () {
+  test("works: no If-Match", function () {
+    checkIfMatch(undefined, version, "Company c1");
+  });
+
+  test("works: the current version, alone or in a list, or *", function () {
+    for (const ifMatch of [
+      etagFor(version, body),
+      etagFor(version, { other: "body" }),
+      '"kjdigao0"',
+      `"old", ${etagFor(version, body)}`,
+      "*",
+    ]) {
+      checkIfMatch(ifMatch, version, "Company c1");
+    }
+  });
+
+  test("precondition failed with another version, or a weak one", function () {
+    for (const ifMatch of [
+      '"old"',
+      '"old.kjdigao0"',
+      `W/${etagFor(version, body)}`,
+      "",
+    ]) {
+      expect(() => checkIfMatch(ifMatch, version, "Company c1")).toThrow(
+        PreconditionFailedError
+      );
+    }
+  });
+});
@@ -0,0 +1,69 @@
+const { BadRequestError } = require("../expressError");
+
+// Mean radius of the Earth, in km.
+
+const EARTH_RADIUS_KM = 6371;
+
+// Parses a "lat,lng" point, as given in ?near=, into numbers.
+//
+// Throws BadRequestError unless it's two numbers that are a latitude
+// (-90 to 90) and longitude (-180 to 180).
+//
+// "40.71,-74.01" => { latitude: 40.71, longitude: -74.01 }
+
+function parseNear(near) {
+  const parts = String(near).split(",");
+  const [latitude, longitude] = parts.map((p) =>
+    p.trim() === "" ? NaN : Number(p)
+  );
+  if (
+    parts.length !== 2 ||
+    !(Math.abs(latitude) <= 90) ||
+    !(Math.abs(longitude) <= 180)
+  ) {
+    throw new BadRequestError(`near should be a "latitude,longitude": ${near}`);
+  }
+  return { latitude, longitude };
+}
+
+// Parses a radius in km, as given in ?radiusKm=.
+//
+// Throws BadRequestError unless it's a number above 0.
+
+function parseRadius(radiusKm) {
+  const radius = Number(radiusKm);
+  if (radiusKm === "" || !Number.isFinite(radius) || radius <= 0) {
+    throw new BadRequestError(`Not a radius in km: ${radiusKm}`);
+  }
+  return radius;
+}
+
+// SQL for the great-circle distance in km (by the haversine formula) from
+// the point in the latitude/longitude columns to the point in the given
+// parameters. It's NULL where the columns are. (ATAN2, rather than ASIN,
+// keeps rounding from going out of range for points on opposite sides of
+// the world; GREATEST ignores NULLs, but ATAN2 doesn't.)
+//
+// ("l.latitude", "l.longitude", "$1", "$2") =>
+//   "(6371 * 2 * ATAN2(SQRT(a), SQRT(GREATEST(0, 1 - a))))", where
+//   a is "(POWER(SIN(RADIANS(l.latitude - $1::float8) / 2), 2) + ...)"
+
+function sqlDistanceKm(latCol, lngCol, latParam, lngParam) {
+  const lat = `${latParam}::float8`;
+  const lng = `${lngParam}::float8`;
+  const a =
+    `(POWER(SIN(RADIANS(${latCol} - ${lat}) / 2), 2)` +
+    ` + COS(RADIANS(${lat})) * COS(RADIANS(${latCol}))` +
+    ` * POWER(SIN(RADIANS(${lngCol} - ${lng}) / 2), 2))`;
+  return (
+    `(${EARTH_RADIUS_KM} * 2` +
+    ` * ATAN2(SQRT(${a}), SQRT(GREATEST(0, 1 - ${a}))))`
+  );
+}
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  parseNear,
+  parseRadius,
+  sqlDistanceKm,
+};
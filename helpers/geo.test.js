@@ -0,0 +1,64 @@
+const { BadRequestError } = require("../expressError");
+const { parseNear, parseRadius, sqlDistanceKm } = require("./geo");
+
+describe("parseNear", function () {
+  test("works", function () {
+    expect(parseNear("40.71,-74.01")).toEqual({
+      latitude: 40.71,
+      longitude: -74.01,
+    });
+    expect(parseNear(" -33.87 , 151.21 ")).toEqual({
+      latitude: -33.87,
+      longitude: 151.21,
+    });
+  });
+
+  test("bad request with out of range coordinates", function () {
+    for (const near of ["91,0", "0,-181"]) {
+      try {
+        parseNear(near);
+        fail();
+      } catch (err) {
+        expect(err instanceof BadRequestError).toBeTruthy();
+      }
+    }
+  });
+
+  test("bad request if not a point", function () {
+    for (const near of ["40.71", "40.71,", "a,b", "1,2,3"]) {
+      try {
+        parseNear(near);
+        fail();
+      } catch (err) {
+        expect(err instanceof BadRequestError).toBeTruthy();
+      }
+    }
+  });
+});
+
+describe("parseRadius", function () {
+  test("works", function () {
+    expect(parseRadius("2.5")).toEqual(2.5);
+    expect(parseRadius(10)).toEqual(10);
+  });
+
+  test("bad request if not above 0", function () {
+    for (const radius of ["0", -1, "far", ""]) {
+      try {
+        parseRadius(radius);
+        fail();
+      } catch (err) {
+        expect(err instanceof BadRequestError).toBeTruthy();
+      }
+    }
+  });
+});
+
+describe("sqlDistanceKm", function () {
+  test("works", function () {
+    const sql = sqlDistanceKm("l.latitude", "l.longitude", "$1", "$2");
+    expect(sql).toMatch(/^\(6371 \* 2 \* ATAN2\(/);
+    expect(sql).toContain("RADIANS(l.latitude - $1::float8)");
+    expect(sql).toContain("RADIANS(l.longitude - $2::float8)");
+  });
+});
@@ -0,0 +1,57 @@
+const fs = require("fs");
+const { MAIL_TRANSPORT, MAIL_FILE, MAIL_FROM } = require("../config");
+
+// A transport delivers a message { from, to, subject, text }: it's anything
+// with an async send(message) method. Plug in a real one (SMTP, an email
+// API, ...) with setTransport.
+
+// Prints each message to the console.
+
+const consoleTransport = {
+  async send(message) {
+    console.log(
+      `--- Mail to ${message.to}: ${message.subject}\n${message.text}\n---`
+    );
+  },
+};
+
+// Appends each message to file as a line of JSON.
+
+function fileTransport(file) {
+  return {
+    async send(message) {
+      await fs.promises.appendFile(file, JSON.stringify(message) + "\n");
+    },
+  };
+}
+
+function transportFromConfig() {
+  if (MAIL_TRANSPORT === "console") return consoleTransport;
+  if (MAIL_TRANSPORT === "file") return fileTransport(MAIL_FILE);
+  throw new Error(`Unknown MAIL_TRANSPORT: ${MAIL_TRANSPORT}`);
+}
+
+let transport = transportFromConfig();
+
+// Replaces the transport used from now on; returns the previous one.
+
+function setTransport(newTransport) {
+  const previous = transport;
+  transport = newTransport;
+  return previous;
+}
+
+// Sends { to, subject, text } from MAIL_FROM; returns the message sent.
+
+async function sendMail({ to, subject, text }) {
+  const message = { from: MAIL_FROM, to, subject, text };
+  await transport.send(message);
+  return message;
+}
+
+module.exports = {
+  consoleTransport,
+  fileTransport,
+  setTransport,
+  sendMail,
+};
@@ -0,0 +1,45 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { fileTransport, setTransport, sendMail } = require("./mailer");
+
+describe("sendMail", function () {
+  test("works: uses the plugged-in transport", async function () {
+    const sent = [];
+    const previous = setTransport({
+      send: async (message) => sent.push(message),
+    });
+    try {
+      const message = await sendMail({
+        to: "u1@email.com",
+        subject: "Hi",
+        text: "Hello",
+      });
+      expect(sent).toEqual([message]);
+      expect(message).toEqual({
+        from: expect.any(String),
+        to: "u1@email.com",
+        subject: "Hi",
+        text: "Hello",
+      });
+    } finally {
+      setTransport(previous);
+    }
+  });
+});
+
+describe("fileTransport", function () {
+  test("works: appends messages as JSON lines", async function () {
+    const file = path.join(os.tmpdir(), `jobly-mailer-test-${process.pid}`);
+    try {
+      const transport = fileTransport(file);
+      await transport.send({ to: "a@b.com", subject: "1", text: "one" });
+      await transport.send({ to: "a@b.com", subject: "2", text: "two" });
+
+      const lines = fs.readFileSync(file, "utf8").trim().split("\n");
+      expect(lines.map((l) => JSON.parse(l).subject)).toEqual(["1", "2"]);
+    } finally {
+      fs.rmSync(file, { force: true });
+    }
+  });
+});
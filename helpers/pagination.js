@@ -0,0 +1,125 @@
+const { BadRequestError } = require("../expressError");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Reads limit/offset from a query string, applying defaults and bounds.
+//
+// {limit: "10", offset: "20"} => {limit: 10, offset: 20}
+
+function parsePagination({ limit, offset } = {}) {
+  const parsed = {
+    limit: limit === undefined ? DEFAULT_LIMIT : Number(limit),
+    offset: offset === undefined ? 0 : Number(offset),
+  };
+
+  if (!Number.isInteger(parsed.limit) || parsed.limit < 1) {
+    throw new BadRequestError("limit must be a positive integer");
+  }
+  if (parsed.limit > MAX_LIMIT) {
+    throw new BadRequestError(`limit can't be more than ${MAX_LIMIT}`);
+  }
+  if (!Number.isInteger(parsed.offset) || parsed.offset < 0) {
+    throw new BadRequestError("offset must be a non-negative integer");
+  }
+
+  return parsed;
+}
+
+// Turns a sort parameter into an ORDER BY list, allowing only whitelisted
+// fields; a leading "-" sorts that field descending.
+//
+// ("-salary,title", {salary: "salary", title: "title"}) => "salary DESC, title"
+
+function sqlForSort(sort, sortable, defaultSort) {
+  const fields = (sort || defaultSort).split(",").filter((f) => f.trim());
+
+  const cols = fields.map((field) => {
+    field = field.trim();
+    const desc = field.startsWith("-");
+    const name = desc ? field.slice(1) : field;
+    if (!Object.prototype.hasOwnProperty.call(sortable, name)) {
+      throw new BadRequestError(
+        `Can't sort by ${name}; use one of: ${Object.keys(sortable).join(", ")}`
+      );
+    }
+    return desc ? `${sortable[name]} DESC` : sortable[name];
+  });
+
+  if (cols.length === 0) throw new BadRequestError("Empty sort");
+
+  return cols.join(", ");
+}
+
+// Builds the pagination block for list responses, with links to the
+// neighbouring pages that keep the rest of the request's query string.
+
+function paginationMeta(req, { limit, offset, total }) {
+  function linkTo(newOffset) {
+    const url = new URL(req.originalUrl, "http://localhost");
+    url.searchParams.set("limit", limit);
+    url.searchParams.set("offset", newOffset);
+    return url.pathname + url.search;
+  }
+
+  return {
+    total,
+    limit,
+    offset,
+    next: offset + limit < total ? linkTo(offset + limit) : null,
+    prev: offset > 0 ? linkTo(Math.max(offset - limit, 0)) : null,
+  };
+}
+
+// Cursors page through lists by where the last page ended rather than by
+// offset, so rows added in the meantime don't shift the pages: a cursor is
+// an opaque string holding the sort values of the last row seen.
+//
+// ["2021-05-01 12:00:00.123456+00", 7] => "WyIyMDIxLTA1LTAx..."
+
+function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values)).toString("base64url");
+}
+
+// The values in a cursor from encodeCursor; throws BadRequestError unless it
+// holds `length` of them.
+
+function decodeCursor(cursor, length) {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  } catch (err) {
+    values = null;
+  }
+  if (!Array.isArray(values) || values.length !== length) {
+    throw new BadRequestError("Invalid cursor");
+  }
+  return values;
+}
+
+// Builds the pagination block for lists paged by cursor: next links to the
+// page after this one (keeping the rest of the query string), or is null on
+// the last page.
+
+function cursorMeta(req, { limit, nextCursor }) {
+  let next = null;
+  if (nextCursor) {
+    const url = new URL(req.originalUrl, "http://localhost");
+    url.searchParams.set("limit", limit);
+    url.searchParams.set("cursor", nextCursor);
+    next = url.pathname + url.search;
+  }
+
+  return { limit, nextCursor, next };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parsePagination,
+  sqlForSort,
+  paginationMeta,
+  encodeCursor,
+  decodeCursor,
+  cursorMeta,
+};
@@ -0,0 +1,118 @@
+const {
+  parsePagination,
+  sqlForSort,
+  paginationMeta,
+  encodeCursor,
+  decodeCursor,
+  cursorMeta,
+} = require("./pagination");
+const { BadRequestError } = require("../expressError");
+
+describe("parsePagination", function () {
+  test("works: defaults", function () {
+    expect(parsePagination({})).toEqual({ limit: 20, offset: 0 });
+  });
+
+  test("works: from query strings", function () {
+    expect(parsePagination({ limit: "5", offset: "10" })).toEqual({
+      limit: 5,
+      offset: 10,
+    });
+  });
+
+  test("bad request if out of bounds or not integers", function () {
+    for (const query of [
+      { limit: "0" },
+      { limit: "101" },
+      { limit: "abc" },
+      { offset: "-1" },
+      { offset: "1.5" },
+    ]) {
+      expect(() => parsePagination(query)).toThrow(BadRequestError);
+    }
+  });
+});
+
+describe("sqlForSort", function () {
+  const sortable = { title: "title", salary: "salary" };
+
+  test("works: default", function () {
+    expect(sqlForSort(undefined, sortable, "title")).toEqual("title");
+  });
+
+  test("works: several fields, descending", function () {
+    expect(sqlForSort("-salary,title", sortable, "title")).toEqual(
+      "salary DESC, title"
+    );
+  });
+
+  test("bad request for fields not whitelisted", function () {
+    expect(() => sqlForSort("equity", sortable, "title")).toThrow(
+      BadRequestError
+    );
+    expect(() => sqlForSort("constructor", sortable, "title")).toThrow(
+      BadRequestError
+    );
+  });
+});
+
+describe("paginationMeta", function () {
+  test("works: middle page keeps other params", function () {
+    const req = { originalUrl: "/jobs?title=j&limit=10&offset=10" };
+    expect(paginationMeta(req, { limit: 10, offset: 10, total: 35 })).toEqual({
+      total: 35,
+      limit: 10,
+      offset: 10,
+      next: "/jobs?title=j&limit=10&offset=20",
+      prev: "/jobs?title=j&limit=10&offset=0",
+    });
+  });
+
+  test("works: single page", function () {
+    const req = { originalUrl: "/jobs" };
+    expect(paginationMeta(req, { limit: 20, offset: 0, total: 3 })).toEqual({
+      total: 3,
+      limit: 20,
+      offset: 0,
+      next: null,
+      prev: null,
+    });
+  });
+});
+
+describe("encodeCursor, decodeCursor", function () {
+  test("works: round trip", function () {
+    const cursor = encodeCursor(["2021-05-01 12:00:00.123456+00", 7]);
+    expect(typeof cursor).toEqual("string");
+    expect(decodeCursor(cursor, 2)).toEqual([
+      "2021-05-01 12:00:00.123456+00",
+      7,
+    ]);
+  });
+
+  test("bad request for cursors that aren't ours", function () {
+    for (const cursor of ["nope", encodeCursor({ a: 1 }), encodeCursor([1])]) {
+      expect(() => decodeCursor(cursor, 2)).toThrow(BadRequestError);
+    }
+  });
+});
+
+describe("cursorMeta", function () {
+  test("works: keeps other params", function () {
+    const req = { originalUrl: "/users/u1/feed?limit=10&cursor=abc&x=1" };
+    expect(cursorMeta(req, { limit: 10, nextCursor: "def" })).toEqual({
+      limit: 10,
+      nextCursor: "def",
+      next: "/users/u1/feed?limit=10&cursor=def&x=1",
+    });
+  });
+
+  test("works: last page", function () {
+    const req = { originalUrl: "/users/u1/feed" };
+    expect(cursorMeta(req, { limit: 20, nextCursor: null })).toEqual({
+      limit: 20,
+      nextCursor: null,
+      next: null,
+    });
+  });
+});
@@ -0,0 +1,30 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Per-request state that code deep in a request (e.g. models writing the
+// audit log) can read without it being passed down every call.
+
+const storage = new AsyncLocalStorage();
+
+// Middleware: run the rest of the request in a context recording who is
+// making it. Must come after authenticateJWT.
+
+function requestContext(req, res, next) {
+  const actor = res.locals.user ? res.locals.user.username : null;
+  storage.run({ actor }, next);
+}
+
+// Runs fn as actor, for work outside a request (scripts, tests).
+
+function runAs(actor, fn) {
+  return storage.run({ actor }, fn);
+}
+
+// The username of whoever is making the current request, or null if they
+// aren't logged in or this isn't a request.
+
+function currentActor() {
+  const context = storage.getStore();
+  return context ? context.actor : null;
+}
+
+module.exports = { requestContext, runAs, currentActor };
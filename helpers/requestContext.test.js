@@ -0,0 +1,29 @@
+const { requestContext, runAs, currentActor } = require("./requestContext");
+
+describe("currentActor", function () {
+  test("is null outside a request", function () {
+    expect(currentActor()).toBeNull();
+  });
+
+  test("works: runAs", async function () {
+    const actor = await runAs("u1", async () => currentActor());
+    expect(actor).toEqual("u1");
+  });
+});
+
+describe("requestContext", function () {
+  test("works: logged-in user", function () {
+    expect.assertions(1);
+    const res = { locals: { user: { username: "u1", isAdmin: false } } };
+    requestContext({}, res, function () {
+      expect(currentActor()).toEqual("u1");
+    });
+  });
+
+  test("works: anon", function () {
+    expect.assertions(1);
+    requestContext({}, { locals: {} }, function () {
+      expect(currentActor()).toBeNull();
+    });
+  });
+});
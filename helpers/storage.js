@@ -0,0 +1,94 @@
+const fs = require("fs");
+const path = require("path");
+const { UPLOAD_STORAGE, UPLOAD_DIR } = require("../config");
+
+// A store keeps uploaded files, by key: it's anything with async
+// put(key, data), get(key) (resolving to a Buffer, or null if there's no
+// such file) and remove(key) methods. Plug in another one (S3, a database,
+// ...) with setStore.
+
+// Keeps each file in dir, named by its key.
+
+function localStore(dir) {
+  // keys are ours, but make sure one can't reach outside dir
+  const fileFor = (key) => path.join(dir, path.basename(key));
+
+  return {
+    async put(key, data) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(fileFor(key), data);
+    },
+    async get(key) {
+      try {
+        return await fs.promises.readFile(fileFor(key));
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+    async remove(key) {
+      await fs.promises.rm(fileFor(key), { force: true });
+    },
+  };
+}
+
+// Keeps files in memory, for as long as the process runs.
+
+function memoryStore() {
+  const files = new Map();
+
+  return {
+    async put(key, data) {
+      files.set(key, Buffer.from(data));
+    },
+    async get(key) {
+      return files.get(key) || null;
+    },
+    async remove(key) {
+      files.delete(key);
+    },
+  };
+}
+
+function storeFromConfig() {
+  if (UPLOAD_STORAGE === "local") return localStore(UPLOAD_DIR);
+  if (UPLOAD_STORAGE === "memory") return memoryStore();
+  throw new Error(`Unknown UPLOAD_STORAGE: ${UPLOAD_STORAGE}`);
+}
+
+let store = storeFromConfig();
+
+// Replaces the store used from now on; returns the previous one.
+
+function setStore(newStore) {
+  const previous = store;
+  store = newStore;
+  return previous;
+}
+
+// Saves data (a Buffer) under key.
+
+async function putFile(key, data) {
+  await store.put(key, data);
+}
+
+// The file saved under key, as a Buffer, or null if there isn't one.
+
+async function getFile(key) {
+  return store.get(key);
+}
+
+// Removes the file saved under key, if there is one.
+
+async function removeFile(key) {
+  await store.remove(key);
+}
+
+module.exports = {
+  localStore,
+  memoryStore,
+  setStore,
+  putFile,
+  getFile,
+  removeFile,
+};
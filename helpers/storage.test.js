@@ -0,0 +1,59 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  localStore,
+  memoryStore,
+  setStore,
+  putFile,
+  getFile,
+  removeFile,
+} = require("./storage");
+
+describe("putFile, getFile, removeFile", function () {
+  test("works: use the plugged-in store", async function () {
+    const store = memoryStore();
+    const previous = setStore(store);
+    try {
+      await putFile("k1", Buffer.from("one"));
+      expect((await store.get("k1")).toString()).toEqual("one");
+      expect((await getFile("k1")).toString()).toEqual("one");
+
+      await removeFile("k1");
+      expect(await store.get("k1")).toBeNull();
+      expect(await getFile("k1")).toBeNull();
+    } finally {
+      setStore(previous);
+    }
+  });
+});
+
+describe("localStore", function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobly-storage-test-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("works: put, get and remove", async function () {
+    const store = localStore(path.join(dir, "uploads"));
+    await store.put("k1", Buffer.from("one"));
+    expect((await store.get("k1")).toString()).toEqual("one");
+
+    await store.remove("k1");
+    expect(await store.get("k1")).toBeNull();
+    // removing it again is fine
+    await store.remove("k1");
+  });
+
+  test("keeps files inside its directory", async function () {
+    const store = localStore(path.join(dir, "uploads"));
+    await store.put("../k1", Buffer.from("one"));
+    expect(fs.existsSync(path.join(dir, "k1"))).toBe(false);
+    expect(fs.existsSync(path.join(dir, "uploads", "k1"))).toBe(true);
+  });
+});
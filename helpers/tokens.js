@@ -1,5 +1,6 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
+const { SECRET_KEY, ACCESS_TOKEN_EXPIRES_IN } = require("../config");
 
 /** return signed JWT from user data. */
 
@@ -12,7 +13,36 @@ function createToken(user) {
     isAdmin: user.isAdmin || false,
   };
 
-  return jwt.sign(payload, SECRET_KEY);
+  return jwt.sign(payload, SECRET_KEY, { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
 }
 
-module.exports = { createToken };
+/** return a random, URL-safe token for things we store server-side
+ * (refresh tokens, etc.) -- only its hash should ever hit the database. */
+
+function createOpaqueToken() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+/** return the SHA-256 hex digest of a token, for storing and looking up. */
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/** return a fingerprint of an anonymous visitor, from their IP address and
+ * user agent, for telling their repeat visits apart. It's keyed with
+ * SECRET_KEY, so the address can't be recovered from it. */
+
+function visitorFingerprint(ip, userAgent = "") {
+  return crypto
+    .createHmac("sha256", SECRET_KEY)
+    .update(`${ip}\n${userAgent}`)
+    .digest("hex");
+}
+
+module.exports = {
+  createToken,
+  createOpaqueToken,
+  hashToken,
+  visitorFingerprint,
+};
@@ -1,5 +1,10 @@
 const jwt = require("jsonwebtoken");
-const { createToken } = require("./tokens");
+const {
+  createToken,
+  createOpaqueToken,
+  hashToken,
+  visitorFingerprint,
+} = require("./tokens");
 const { SECRET_KEY } = require("../config");
 
 describe("createToken", function () {
@@ -8,6 +13,7 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
       username: "test",
       isAdmin: false,
     });
@@ -18,6 +24,7 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
       username: "test",
       isAdmin: true,
     });
@@ -29,8 +36,41 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
       username: "test",
       isAdmin: false,
     });
   });
+
+  test("expires", function () {
+    const token = createToken({ username: "test", isAdmin: false });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.exp).toBeGreaterThan(payload.iat);
+  });
+});
+
+describe("createOpaqueToken", function () {
+  test("works", function () {
+    const token = createOpaqueToken();
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(createOpaqueToken()).not.toEqual(token);
+  });
+});
+
+describe("hashToken", function () {
+  test("works", function () {
+    expect(hashToken("abc")).toEqual(hashToken("abc"));
+    expect(hashToken("abc")).not.toEqual(hashToken("abd"));
+    expect(hashToken("abc")).not.toContain("abc");
+  });
+});
+
+describe("visitorFingerprint", function () {
+  test("works", function () {
+    const fingerprint = visitorFingerprint("10.0.0.1", "Firefox");
+    expect(fingerprint).toMatch(/^[0-9a-f]{64}$/);
+    expect(visitorFingerprint("10.0.0.1", "Firefox")).toEqual(fingerprint);
+    expect(visitorFingerprint("10.0.0.2", "Firefox")).not.toEqual(fingerprint);
+    expect(visitorFingerprint("10.0.0.1", "Chrome")).not.toEqual(fingerprint);
+  });
 });
@@ -0,0 +1,60 @@
+const jsonschema = require("jsonschema");
+
+// Checking data against the JSON schemas in schemas/.
+
+// What's wrong with data, going by schema, as a list of problems a client
+// can show next to the fields they're about:
+//
+//   [{ field, code, message }, ...]
+//
+// field is the property's path, like "salary" or "filters.title" (null for
+// the data as a whole); code is the schema keyword it broke, like "type",
+// "required" or "maximum"; message says what's wrong. It's empty if data is
+// valid.
+
+function validationErrors(data, schema) {
+  return jsonschema.validate(data, schema).errors.map((e) => {
+    let field = e.property.replace(/^instance\.?/, "");
+    let message = e.message;
+    // these are reported on the object; they're about one of its properties
+    if (e.name === "required" || e.name === "additionalProperties") {
+      field = field ? `${field}.${e.argument}` : e.argument;
+      message =
+        e.name === "required" ? "is required" : "is not an allowed field";
+    }
+    return { field: field || null, code: e.name, message };
+  });
+}
+
+// Values from a query string or CSV are all text: turn the ones schema says
+// are numbers or booleans into those, and leave empty ones out, so they
+// validate like JSON would. Values that can't be turned into their type are
+// left for validation to reject.
+//
+// ({ limit: "10", equity: "true", q: "" }, schema) => { limit: 10, equity: true }
+
+function coerceStrings(values, schema) {
+  const coerced = {};
+  for (const [key, value] of Object.entries(values)) {
+    if (value === "") continue;
+    const prop = (schema.properties || {})[key] || {};
+    const types = [].concat(prop.type || []);
+
+    if (typeof value !== "string") {
+      coerced[key] = value;
+    } else if (
+      (types.includes("integer") || types.includes("number")) &&
+      value.trim() !== "" &&
+      !isNaN(value)
+    ) {
+      coerced[key] = Number(value);
+    } else if (types.includes("boolean") && /^(true|false)$/.test(value)) {
+      coerced[key] = value === "true";
+    } else {
+      coerced[key] = value;
+    }
+  }
+  return coerced;
+}
+
+module.exports = { validationErrors, coerceStrings };
@@ -0,0 +1,78 @@
+const { validationErrors, coerceStrings } = require("./validation");
+
+const schema = {
+  type: "object",
+  properties: {
+    name: { type: "string", minLength: 1 },
+    salary: { type: "integer", minimum: 0 },
+    equity: { type: "boolean" },
+    filters: {
+      type: "object",
+      properties: { title: { type: "string" } },
+      additionalProperties: false,
+    },
+  },
+  required: ["name"],
+  additionalProperties: false,
+};
+
+describe("validationErrors", function () {
+  test("works: valid", function () {
+    expect(validationErrors({ name: "n", salary: 1 }, schema)).toEqual([]);
+  });
+
+  test("works: a problem per field", function () {
+    expect(
+      validationErrors(
+        { salary: -1, filters: { title: 1, nope: "x" }, extra: true },
+        schema
+      )
+    ).toEqual([
+      {
+        field: "salary",
+        code: "minimum",
+        message: "must have a minimum value of 0",
+      },
+      {
+        field: "filters.title",
+        code: "type",
+        message: "is not of a type(s) string",
+      },
+      {
+        field: "filters.nope",
+        code: "additionalProperties",
+        message: "is not an allowed field",
+      },
+      { field: "name", code: "required", message: "is required" },
+      {
+        field: "extra",
+        code: "additionalProperties",
+        message: "is not an allowed field",
+      },
+    ]);
+  });
+
+  test("works: the data as a whole", function () {
+    expect(validationErrors([], schema)).toEqual([
+      { field: null, code: "type", message: "is not of a type(s) object" },
+    ]);
+  });
+});
+
+describe("coerceStrings", function () {
+  test("works", function () {
+    expect(
+      coerceStrings(
+        { name: "10", salary: "10", equity: "true", filters: "" },
+        schema
+      )
+    ).toEqual({ name: "10", salary: 10, equity: true });
+  });
+
+  test("leaves values that aren't their type for validation", function () {
+    expect(coerceStrings({ salary: "lots", equity: "yes" }, schema)).toEqual({
+      salary: "lots",
+      equity: "yes",
+    });
+  });
+});
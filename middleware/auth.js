@@ -4,7 +4,8 @@
 
 const jwt = require("jsonwebtoken");
 const { SECRET_KEY } = require("../config");
-const { UnauthorizedError } = require("../expressError");
+const { UnauthorizedError, ForbiddenError } = require("../expressError");
+const CompanyMember = require("../models/companyMember");
 
 /** Middleware: Authenticate user.
  *
@@ -12,6 +13,8 @@ const { UnauthorizedError } = require("../expressError");
  * on res.locals (this will include the username and isAdmin field.)
  *
  * It's not an error if no token was provided or if the token is not valid.
+ * If the token has expired, the reason is kept on res.locals.authError so
+ * routes that need a login can tell the client to refresh it.
  */
 
 function authenticateJWT(req, res, next) {
@@ -23,6 +26,9 @@ function authenticateJWT(req, res, next) {
     }
     return next();
   } catch (err) {
+    if (err instanceof jwt.TokenExpiredError) {
+      res.locals.authError = "Access token expired";
+    }
     return next();
   }
 }
@@ -34,7 +40,7 @@ function authenticateJWT(req, res, next) {
 
 function ensureLoggedIn(req, res, next) {
   try {
-    if (!res.locals.user) throw new UnauthorizedError();
+    if (!res.locals.user) throw new UnauthorizedError(res.locals.authError);
     return next();
   } catch (err) {
     return next(err);
@@ -45,7 +51,7 @@ function ensureIsAdmin(req, res, next) {
   try {
     // if (!res.locals.user) throw new UnauthorizedError();
     if (res.locals.user && res.locals.user.isAdmin) return next();
-    throw new UnauthorizedError();
+    throw new UnauthorizedError(res.locals.authError);
   } catch (err) {
     return next(err);
   }
@@ -58,15 +64,48 @@ function ensureRightUser(req, res, next) {
       (res.locals.user && res.locals.user.isAdmin)
     )
       return next();
-    throw new UnauthorizedError();
+    throw new UnauthorizedError(res.locals.authError);
   } catch (err) {
     return next(err);
   }
 }
 
+/** Middleware factory: they must be an admin, or a member of the company
+ * the request is about with at least `role` (see CompanyMember.ROLES).
+ *
+ * getHandle(req) returns, or resolves to, that company's handle; by default
+ * it's the :handle route param.
+ *
+ * If not, raises Unauthorized, or Forbidden for members without the role.
+ */
+
+function ensureCompanyRole(role, getHandle = (req) => req.params.handle) {
+  return async function (req, res, next) {
+    try {
+      const user = res.locals.user;
+      if (!user) throw new UnauthorizedError(res.locals.authError);
+      if (user.isAdmin) return next();
+
+      const handle = await getHandle(req);
+      const memberRole =
+        handle && (await CompanyMember.getRole(handle, user.username));
+      if (memberRole && CompanyMember.roleAtLeast(memberRole, role)) {
+        return next();
+      }
+      if (memberRole) {
+        throw new ForbiddenError(`Needs a ${role} of the company`);
+      }
+      throw new UnauthorizedError();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
 module.exports = {
   authenticateJWT,
   ensureLoggedIn,
   ensureIsAdmin,
   ensureRightUser,
+  ensureCompanyRole,
 };
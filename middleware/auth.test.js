@@ -1,16 +1,21 @@
 "use strict";
 
 const jwt = require("jsonwebtoken");
-const { UnauthorizedError } = require("../expressError");
+const { UnauthorizedError, ForbiddenError } = require("../expressError");
+const CompanyMember = require("../models/companyMember");
 const {
   authenticateJWT,
   ensureLoggedIn,
+  ensureCompanyRole,
 } = require("./auth");
 
 
 const { SECRET_KEY } = require("../config");
 const testJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY);
 const badJwt = jwt.sign({ username: "test", isAdmin: false }, "wrong");
+const expiredJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY, {
+  expiresIn: -10,
+});
 
 
 describe("authenticateJWT", function () {
@@ -54,6 +59,17 @@ describe("authenticateJWT", function () {
     authenticateJWT(req, res, next);
     expect(res.locals).toEqual({});
   });
+
+  test("works: expired token", function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `Bearer ${expiredJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({ authError: "Access token expired" });
+  });
 });
 
 
@@ -77,4 +93,55 @@ describe("ensureLoggedIn", function () {
     };
     ensureLoggedIn(req, res, next);
   });
+
+  test("unauth with reason if token expired", function () {
+    expect.assertions(2);
+    const req = {};
+    const res = { locals: { authError: "Access token expired" } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+      expect(err.message).toEqual("Access token expired");
+    };
+    ensureLoggedIn(req, res, next);
+  });
+});
+
+
+describe("ensureCompanyRole", function () {
+  test("works for admin", async function () {
+    expect.assertions(1);
+    const req = { params: { handle: "c1" } };
+    const res = { locals: { user: { username: "admin", isAdmin: true } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await ensureCompanyRole("owner")(req, res, next);
+  });
+
+  test("unauth if no login", async function () {
+    expect.assertions(1);
+    const req = { params: { handle: "c1" } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await ensureCompanyRole("viewer")(req, res, next);
+  });
+
+  test("forbidden for members without the role", async function () {
+    expect.assertions(1);
+    const req = { params: { handle: "c1" } };
+    const res = { locals: { user: { username: "u3", isAdmin: false } } };
+    const next = function (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    };
+    const spy = jest
+      .spyOn(CompanyMember, "getRole")
+      .mockResolvedValue("recruiter");
+    try {
+      await ensureCompanyRole("owner")(req, res, next);
+    } finally {
+      spy.mockRestore();
+    }
+  });
 });
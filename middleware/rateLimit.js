@@ -0,0 +1,195 @@
+"use strict";
+
+/** Rate limiting and brute-force protection for logging in.
+ *
+ * Each login attempt counts against its IP address and its username; past
+ * their limit for the window, attempts get a 429. Failed logins count too,
+ * and after too many an IP address or username is locked out, for longer
+ * with each further failure. Retry-After says when they can try again.
+ *
+ * Counts are kept in a store: in memory by default, but anything with these
+ * async methods can be plugged in with setStore (one shared by all the
+ * processes, say):
+ *
+ *   increment(key, windowMs)  add one to key's count, starting a new window
+ *                             of windowMs if there's none; returns
+ *                             { count, resetAt } (resetAt in ms since epoch)
+ *   get(key)                  { count, resetAt }, or null if none
+ *   reset(key)                forget key
+ */
+
+const { TooManyRequestsError } = require("../expressError");
+const { LOGIN_RATE_LIMITS } = require("../config");
+
+/** A store that keeps counts in this process's memory. */
+
+class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+    this.increments = 0;
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.entries.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.entries.set(key, entry);
+    }
+    entry.count++;
+
+    // now and then, drop expired entries so memory doesn't grow forever
+    if (++this.increments % 1000 === 0) this.sweep(now);
+
+    return { ...entry };
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    return entry && entry.resetAt > Date.now() ? { ...entry } : null;
+  }
+
+  async reset(key) {
+    this.entries.delete(key);
+  }
+
+  sweep(now = Date.now()) {
+    for (const [key, entry] of this.entries) {
+      if (entry.resetAt <= now) this.entries.delete(key);
+    }
+  }
+}
+
+let store = new MemoryStore();
+let loginLimits = { ...LOGIN_RATE_LIMITS };
+
+/** Replace the store used from now on; returns the previous one. */
+
+function setStore(newStore) {
+  const previous = store;
+  store = newStore;
+  return previous;
+}
+
+/** The current login limits (see LOGIN_RATE_LIMITS in config.js). */
+
+function getLoginLimits() {
+  return { ...loginLimits };
+}
+
+/** Change some of the login limits; returns them all.
+ *
+ * These live in this process: other processes keep their own.
+ */
+
+function setLoginLimits(changes) {
+  loginLimits = { ...loginLimits, ...changes };
+  return getLoginLimits();
+}
+
+/** The buckets a login attempt counts against: its IP address and, if it
+ * names one, its username.
+ *
+ * Returns [{ key, maxRequests, maxFailures }, ...]
+ */
+
+function loginBuckets(req) {
+  const buckets = [
+    {
+      key: `ip:${req.ip}`,
+      maxRequests: loginLimits.maxPerIp,
+      maxFailures: loginLimits.maxFailuresPerIp,
+    },
+  ];
+  const username = req.body && req.body.username;
+  if (typeof username === "string") {
+    buckets.push({
+      key: `user:${username}`,
+      maxRequests: loginLimits.maxPerUsername,
+      maxFailures: loginLimits.maxFailures,
+    });
+  }
+  return buckets;
+}
+
+/** Whole seconds from now until resetAt. */
+
+function secondsUntil(resetAt) {
+  return Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+}
+
+/** Middleware for login routes: counts the attempt, and raises
+ * TooManyRequests if its IP address or username is locked out or over its
+ * limit. */
+
+async function limitLogins(req, res, next) {
+  try {
+    const buckets = loginBuckets(req);
+
+    for (const { key } of buckets) {
+      const lockout = await store.get(`lockout:${key}`);
+      if (lockout) {
+        throw new TooManyRequestsError(
+          "Too many failed logins; try again later",
+          secondsUntil(lockout.resetAt)
+        );
+      }
+    }
+
+    for (const { key, maxRequests } of buckets) {
+      const attempts = await store.increment(
+        `attempts:${key}`,
+        loginLimits.windowSeconds * 1000
+      );
+      if (attempts.count > maxRequests) {
+        throw new TooManyRequestsError(
+          "Too many login attempts; try again later",
+          secondsUntil(attempts.resetAt)
+        );
+      }
+    }
+
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/** Record a failed login, locking out its IP address or username once it
+ * has failed too often; returns undefined. */
+
+async function recordLoginFailure(req) {
+  for (const { key, maxFailures } of loginBuckets(req)) {
+    const failures = await store.increment(
+      `failures:${key}`,
+      loginLimits.failureWindowSeconds * 1000
+    );
+    if (failures.count >= maxFailures) {
+      const seconds = Math.min(
+        loginLimits.lockoutSeconds * 2 ** (failures.count - maxFailures),
+        loginLimits.maxLockoutSeconds
+      );
+      await store.increment(`lockout:${key}`, seconds * 1000);
+    }
+  }
+}
+
+/** Record a successful login, forgetting the username's failures; returns
+ * undefined. (The IP address's stay, so logging in to one account can't
+ * clear failures at guessing others.) */
+
+async function recordLoginSuccess(req) {
+  for (const { key } of loginBuckets(req)) {
+    if (key.startsWith("user:")) await store.reset(`failures:${key}`);
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  setStore,
+  getLoginLimits,
+  setLoginLimits,
+  limitLogins,
+  recordLoginFailure,
+  recordLoginSuccess,
+};
@@ -0,0 +1,138 @@
+"use strict";
+
+const { TooManyRequestsError } = require("../expressError");
+const { LOGIN_RATE_LIMITS } = require("../config");
+const {
+  MemoryStore,
+  setStore,
+  setLoginLimits,
+  limitLogins,
+  recordLoginFailure,
+  recordLoginSuccess,
+} = require("./rateLimit");
+
+let now;
+
+beforeEach(function () {
+  setStore(new MemoryStore());
+  setLoginLimits({
+    windowSeconds: 60,
+    maxPerIp: 5,
+    maxPerUsername: 3,
+    failureWindowSeconds: 600,
+    maxFailures: 2,
+    maxFailuresPerIp: 4,
+    lockoutSeconds: 10,
+    maxLockoutSeconds: 30,
+  });
+  now = 1000000;
+  jest.spyOn(Date, "now").mockImplementation(() => now);
+});
+
+afterEach(function () {
+  Date.now.mockRestore();
+  setLoginLimits(LOGIN_RATE_LIMITS);
+});
+
+function login(username, ip = "1.1.1.1") {
+  return { ip, body: { username } };
+}
+
+/** Run limitLogins on req; returns the error it passed on, if any. */
+
+async function attempt(req) {
+  let passed;
+  await limitLogins(req, {}, (err) => (passed = err));
+  return passed;
+}
+
+describe("MemoryStore", function () {
+  test("counts within a window, then starts again", async function () {
+    const store = new MemoryStore();
+    expect(await store.increment("k", 1000)).toEqual({
+      count: 1,
+      resetAt: now + 1000,
+    });
+    expect((await store.increment("k", 1000)).count).toEqual(2);
+    expect(await store.get("k")).toEqual({ count: 2, resetAt: now + 1000 });
+
+    now += 1000;
+    expect(await store.get("k")).toEqual(null);
+    expect((await store.increment("k", 1000)).count).toEqual(1);
+  });
+
+  test("reset", async function () {
+    const store = new MemoryStore();
+    await store.increment("k", 1000);
+    await store.reset("k");
+    expect(await store.get("k")).toEqual(null);
+  });
+});
+
+describe("limitLogins", function () {
+  test("works: under the limits", async function () {
+    expect(await attempt(login("u1"))).toBeUndefined();
+  });
+
+  test("too many requests per username", async function () {
+    for (let i = 0; i < 3; i++) await attempt(login("u1", `1.1.1.${i}`));
+    const err = await attempt(login("u1", "2.2.2.2"));
+    expect(err instanceof TooManyRequestsError).toBeTruthy();
+    expect(err.retryAfter).toEqual(60);
+
+    // other usernames can still try, and the window passes
+    expect(await attempt(login("u2", "2.2.2.2"))).toBeUndefined();
+    now += 60 * 1000;
+    expect(await attempt(login("u1", "2.2.2.2"))).toBeUndefined();
+  });
+
+  test("too many requests per IP address", async function () {
+    for (let i = 0; i < 5; i++) await attempt(login(`u${i}`));
+    const err = await attempt(login("u9"));
+    expect(err instanceof TooManyRequestsError).toBeTruthy();
+    expect(await attempt(login("u9", "2.2.2.2"))).toBeUndefined();
+  });
+
+  test("works without a username", async function () {
+    expect(await attempt({ ip: "1.1.1.1", body: {} })).toBeUndefined();
+  });
+});
+
+describe("recordLoginFailure", function () {
+  test("locks out a username, for longer each time", async function () {
+    await recordLoginFailure(login("u1"));
+    expect(await attempt(login("u1"))).toBeUndefined();
+
+    await recordLoginFailure(login("u1"));
+    let err = await attempt(login("u1", "2.2.2.2"));
+    expect(err instanceof TooManyRequestsError).toBeTruthy();
+    expect(err.retryAfter).toEqual(10);
+
+    now += 10 * 1000;
+    await recordLoginFailure(login("u1"));
+    err = await attempt(login("u1", "2.2.2.2"));
+    expect(err.retryAfter).toEqual(20);
+
+    // up to maxLockoutSeconds
+    now += 20 * 1000;
+    await recordLoginFailure(login("u1"));
+    err = await attempt(login("u1", "2.2.2.2"));
+    expect(err.retryAfter).toEqual(30);
+  });
+
+  test("locks out an IP address", async function () {
+    for (let i = 0; i < 4; i++) await recordLoginFailure(login(`u${i}`));
+    const err = await attempt(login("u9"));
+    expect(err instanceof TooManyRequestsError).toBeTruthy();
+    expect(await attempt(login("u9", "2.2.2.2"))).toBeUndefined();
+  });
+});
+
+describe("recordLoginSuccess", function () {
+  test("forgets the username's failures", async function () {
+    await recordLoginFailure(login("u1"));
+    await recordLoginSuccess(login("u1"));
+    await recordLoginFailure(login("u1"));
+    expect(await attempt(login("u1"))).toBeUndefined();
+  });
+});
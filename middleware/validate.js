@@ -0,0 +1,53 @@
+"use strict";
+
+/** Middleware to validate requests against the JSON schemas in schemas/.
+ *
+ * Invalid requests get a 400 whose error lists the problems, field by
+ * field:
+ *
+ *   { error: { message, status: 400,
+ *              errors: [{ field, code, message }, ...] } }
+ *
+ * (see validationErrors in helpers/validation.js).
+ */
+
+const { BadRequestError } = require("../expressError");
+const { validationErrors, coerceStrings } = require("../helpers/validation");
+
+/** Middleware: the request's body must be valid going by schema.
+ *
+ * If not, raises BadRequest.
+ */
+
+function validateBody(schema) {
+  return function (req, res, next) {
+    const errors = validationErrors(req.body, schema);
+    if (errors.length) {
+      return next(new BadRequestError("Invalid request body", errors));
+    }
+    return next();
+  };
+}
+
+/** Middleware: the request's query string must be valid going by schema.
+ *
+ * Its values are first turned into the types schema gives them (so
+ * ?limit=10 is the number 10, and ?equity=true is true), and req.query is
+ * replaced with the result. Empty values are left out.
+ *
+ * If not, raises BadRequest.
+ */
+
+function validateQuery(schema) {
+  return function (req, res, next) {
+    const query = coerceStrings(req.query, schema);
+    const errors = validationErrors(query, schema);
+    if (errors.length) {
+      return next(new BadRequestError("Invalid query string", errors));
+    }
+    req.query = query;
+    return next();
+  };
+}
+
+module.exports = { validateBody, validateQuery };
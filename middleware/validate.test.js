@@ -0,0 +1,65 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const { validateBody, validateQuery } = require("./validate");
+
+const schema = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    limit: { type: "integer", minimum: 1 },
+  },
+  required: ["name"],
+};
+
+describe("validateBody", function () {
+  test("works", function () {
+    expect.assertions(1);
+    const req = { body: { name: "n" } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    validateBody(schema)(req, {}, next);
+  });
+
+  test("bad request if invalid", function () {
+    expect.assertions(3);
+    const req = { body: { limit: 1 } };
+    const next = function (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toEqual("Invalid request body");
+      expect(err.errors).toEqual([
+        { field: "name", code: "required", message: "is required" },
+      ]);
+    };
+    validateBody(schema)(req, {}, next);
+  });
+});
+
+describe("validateQuery", function () {
+  test("works, coercing values", function () {
+    expect.assertions(2);
+    const req = { query: { name: "n", limit: "10" } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    validateQuery(schema)(req, {}, next);
+    expect(req.query).toEqual({ name: "n", limit: 10 });
+  });
+
+  test("bad request if invalid", function () {
+    expect.assertions(2);
+    const req = { query: { name: "n", limit: "0" } };
+    const next = function (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.errors).toEqual([
+        {
+          field: "limit",
+          code: "minimum",
+          message: "must have a minimum value of 1",
+        },
+      ]);
+    };
+    validateQuery(schema)(req, {}, next);
+  });
+});
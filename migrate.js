@@ -0,0 +1,220 @@
+"use strict";
+
+/** Versioned schema migrations for jobly.
+ *
+ * Migrations live in migrations/ as pairs of SQL files:
+ *
+ *   0002_add_thing.up.sql    -- applies the change
+ *   0002_add_thing.down.sql  -- undoes it
+ *
+ * They run in version order, each in its own transaction, and the ones
+ * applied are recorded in the schema_migrations table.
+ *
+ * From the command line:
+ *
+ *   node migrate.js up          apply all pending migrations
+ *   node migrate.js rollback    undo the latest one (rollback 3: latest 3)
+ *   node migrate.js status      list migrations and whether they're applied
+ *   node migrate.js create name add an empty migration pair
+ */
+
+const fs = require("fs");
+const path = require("path");
+require("colors");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+/** Read the migrations directory.
+ *
+ * Returns [{ version, name, up, down }, ...] sorted by version, where up and
+ * down are file paths.
+ *
+ * Throws Error if a migration is missing its up or down file.
+ */
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = {};
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) continue;
+    const [, version, name, direction] = match;
+    byVersion[version] = byVersion[version] || { version, name };
+    byVersion[version][direction] = path.join(dir, file);
+  }
+
+  const migrations = Object.values(byVersion).sort((a, b) =>
+    a.version.localeCompare(b.version)
+  );
+  for (const m of migrations) {
+    if (!m.up || !m.down) {
+      throw new Error(`Migration ${m.version}_${m.name} needs up and down`);
+    }
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version TEXT PRIMARY KEY,
+       name TEXT NOT NULL,
+       applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+     )`
+  );
+}
+
+async function appliedMigrations(db) {
+  await ensureMigrationsTable(db);
+  const result = await db.query(
+    `SELECT version, name, applied_at AS "appliedAt"
+     FROM schema_migrations
+     ORDER BY version`
+  );
+  return result.rows;
+}
+
+/** Run one migration file and record (or unrecord) it, all-or-nothing. */
+
+async function runMigration(db, migration, direction) {
+  const sql = fs.readFileSync(migration[direction], "utf8");
+
+  try {
+    await db.withTransaction(async (client) => {
+      await client.query(sql);
+      if (direction === "up") {
+        await client.query(
+          `INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`,
+          [migration.version, migration.name]
+        );
+      } else {
+        await client.query(`DELETE FROM schema_migrations WHERE version = $1`, [
+          migration.version,
+        ]);
+      }
+    });
+  } catch (err) {
+    err.message = `${migration.version}_${migration.name} (${direction}): ${err.message}`;
+    throw err;
+  }
+}
+
+/** Apply every pending migration, oldest first.
+ *
+ * Returns [{ version, name }, ...] of the migrations applied.
+ */
+
+async function migrateUp(db, { dir } = {}) {
+  const applied = new Set((await appliedMigrations(db)).map((m) => m.version));
+  const pending = loadMigrations(dir).filter((m) => !applied.has(m.version));
+
+  for (const migration of pending) {
+    await runMigration(db, migration, "up");
+  }
+  return pending.map(({ version, name }) => ({ version, name }));
+}
+
+/** Undo the latest `steps` applied migrations, newest first.
+ *
+ * Returns [{ version, name }, ...] of the migrations undone.
+ */
+
+async function rollback(db, { steps = 1, dir } = {}) {
+  const migrations = loadMigrations(dir);
+  const applied = (await appliedMigrations(db)).reverse().slice(0, steps);
+
+  const undone = [];
+  for (const { version } of applied) {
+    const migration = migrations.find((m) => m.version === version);
+    if (!migration) {
+      throw new Error(`No files for applied migration ${version}`);
+    }
+    await runMigration(db, migration, "down");
+    undone.push({ version, name: migration.name });
+  }
+  return undone;
+}
+
+/** List every migration on disk and when (if ever) it was applied.
+ *
+ * Returns [{ version, name, appliedAt }, ...] (appliedAt null if pending).
+ */
+
+async function status(db, { dir } = {}) {
+  const applied = {};
+  for (const m of await appliedMigrations(db)) applied[m.version] = m;
+
+  return loadMigrations(dir).map(({ version, name }) => ({
+    version,
+    name,
+    appliedAt: applied[version] ? applied[version].appliedAt : null,
+  }));
+}
+
+/** Write an empty up/down pair for a new migration, numbered after the
+ * latest one.
+ *
+ * Returns [upPath, downPath].
+ */
+
+function create(name, { dir = MIGRATIONS_DIR } = {}) {
+  if (!/^[a-z0-9_]+$/.test(name || "")) {
+    throw new Error("Migration names are lowercase letters, digits and _");
+  }
+  const migrations = loadMigrations(dir);
+  const last = migrations.length
+    ? +migrations[migrations.length - 1].version
+    : 0;
+  const version = String(last + 1).padStart(4, "0");
+
+  const files = ["up", "down"].map((direction) =>
+    path.join(dir, `${version}_${name}.${direction}.sql`)
+  );
+  for (const file of files) fs.writeFileSync(file, "");
+  return files;
+}
+
+async function main([command, arg]) {
+  if (command === "create") {
+    for (const file of create(arg)) console.log("Created".green, file);
+    return;
+  }
+
+  const db = require("./db");
+  try {
+    if (command === "up") {
+      const applied = await migrateUp(db);
+      if (!applied.length) console.log("Nothing to migrate.");
+      for (const m of applied) {
+        console.log("Applied".green, `${m.version}_${m.name}`);
+      }
+    } else if (command === "rollback") {
+      const undone = await rollback(db, { steps: +arg || 1 });
+      if (!undone.length) console.log("Nothing to roll back.");
+      for (const m of undone) {
+        console.log("Rolled back".yellow, `${m.version}_${m.name}`);
+      }
+    } else if (command === "status") {
+      for (const m of await status(db)) {
+        const state = m.appliedAt
+          ? `applied ${m.appliedAt.toISOString()}`.green
+          : "pending".yellow;
+        console.log(`${m.version}_${m.name}`, state);
+      }
+    } else {
+      throw new Error(`Unknown command: ${command || "(none)"}`);
+    }
+  } finally {
+    await db.end();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.error(err.message.red);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { loadMigrations, migrateUp, rollback, status, create };
@@ -0,0 +1,87 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const db = require("./db");
+const { loadMigrations, migrateUp, status, create } = require("./migrate");
+
+let dir;
+
+beforeEach(function () {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobly-migrations-"));
+});
+
+afterEach(function () {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+afterAll(async function () {
+  await db.end();
+});
+
+describe("loadMigrations", function () {
+  test("works: sorted pairs, other files ignored", function () {
+    for (const file of [
+      "0002_b.up.sql",
+      "0002_b.down.sql",
+      "0001_a.up.sql",
+      "0001_a.down.sql",
+      "notes.txt",
+    ]) {
+      fs.writeFileSync(path.join(dir, file), "");
+    }
+    expect(loadMigrations(dir)).toEqual([
+      {
+        version: "0001",
+        name: "a",
+        up: path.join(dir, "0001_a.up.sql"),
+        down: path.join(dir, "0001_a.down.sql"),
+      },
+      {
+        version: "0002",
+        name: "b",
+        up: path.join(dir, "0002_b.up.sql"),
+        down: path.join(dir, "0002_b.down.sql"),
+      },
+    ]);
+  });
+
+  test("fails if a migration has no down", function () {
+    fs.writeFileSync(path.join(dir, "0001_a.up.sql"), "");
+    expect(() => loadMigrations(dir)).toThrow("needs up and down");
+  });
+
+  test("the real migrations are all paired", function () {
+    expect(loadMigrations().length).toBeGreaterThan(0);
+  });
+});
+
+describe("create", function () {
+  test("works: numbers after the latest", function () {
+    fs.writeFileSync(path.join(dir, "0007_a.up.sql"), "");
+    fs.writeFileSync(path.join(dir, "0007_a.down.sql"), "");
+    expect(create("add_thing", { dir })).toEqual([
+      path.join(dir, "0008_add_thing.up.sql"),
+      path.join(dir, "0008_add_thing.down.sql"),
+    ]);
+  });
+
+  test("fails with a bad name", function () {
+    expect(() => create("Add Thing", { dir })).toThrow();
+  });
+});
+
+describe("status", function () {
+  test("everything is applied after migrating", async function () {
+    await migrateUp(db);
+    const migrations = await status(db);
+    expect(migrations[0]).toEqual({
+      version: "0001",
+      name: "initial",
+      appliedAt: expect.any(Date),
+    });
+    expect(migrations.filter((m) => !m.appliedAt)).toEqual([]);
+  });
+});
@@ -0,0 +1,6 @@
+ALTER TABLE jobs
+  DROP CONSTRAINT jobs_salary_range_check,
+  DROP COLUMN salary_min,
+  DROP COLUMN salary_max,
+  DROP COLUMN currency,
+  DROP COLUMN pay_period;
@@ -0,0 +1,11 @@
+ALTER TABLE jobs
+  ADD COLUMN salary_min INTEGER CHECK (salary_min >= 0),
+  ADD COLUMN salary_max INTEGER CHECK (salary_max >= 0),
+  ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'USD'
+    CHECK (currency = upper(currency)),
+  ADD COLUMN pay_period TEXT NOT NULL DEFAULT 'yearly'
+    CHECK (pay_period IN ('hourly', 'monthly', 'yearly')),
+  ADD CONSTRAINT jobs_salary_range_check CHECK (salary_min <= salary_max);
+
+-- existing postings get a one-point range at their posted salary
+UPDATE jobs SET salary_min = salary, salary_max = salary;
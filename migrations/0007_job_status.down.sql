@@ -0,0 +1,7 @@
+DROP INDEX jobs_status_idx;
+
+ALTER TABLE jobs
+  DROP COLUMN closed_at,
+  DROP COLUMN published_at,
+  DROP COLUMN closes_at,
+  DROP COLUMN status;
@@ -0,0 +1,11 @@
+ALTER TABLE jobs
+  ADD COLUMN status TEXT NOT NULL DEFAULT 'published'
+    CHECK (status IN ('draft', 'published', 'closed', 'archived')),
+  ADD COLUMN closes_at TIMESTAMPTZ,
+  ADD COLUMN published_at TIMESTAMPTZ,
+  ADD COLUMN closed_at TIMESTAMPTZ;
+
+-- everything posted so far has been public
+UPDATE jobs SET published_at = NOW();
+
+CREATE INDEX jobs_status_idx ON jobs (status);
@@ -0,0 +1,18 @@
+ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMPTZ;
+
+-- single-use tokens mailed to users: password resets and email verification
+CREATE TABLE account_tokens (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  purpose TEXT NOT NULL
+    CHECK (purpose IN ('password_reset', 'email_verification')),
+  token_hash TEXT UNIQUE NOT NULL,
+  -- the address the token was sent to
+  email TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  used_at TIMESTAMPTZ
+);
+
+CREATE INDEX account_tokens_username_idx ON account_tokens (username);
@@ -0,0 +1,13 @@
+DELETE FROM audit_log WHERE action IN ('restore', 'purge');
+ALTER TABLE audit_log DROP CONSTRAINT audit_log_action_check;
+ALTER TABLE audit_log ADD CONSTRAINT audit_log_action_check
+  CHECK (action IN ('create', 'update', 'delete'));
+
+-- rows that were soft-deleted are gone for good once the column is
+DELETE FROM users WHERE deleted_at IS NOT NULL;
+DELETE FROM jobs WHERE deleted_at IS NOT NULL;
+DELETE FROM companies WHERE deleted_at IS NOT NULL;
+
+ALTER TABLE users DROP COLUMN deleted_at;
+ALTER TABLE jobs DROP COLUMN deleted_at;
+ALTER TABLE companies DROP COLUMN deleted_at;
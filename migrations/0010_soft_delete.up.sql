@@ -0,0 +1,12 @@
+-- deleted rows are kept (and hidden) until an admin purges them
+ALTER TABLE companies ADD COLUMN deleted_at TIMESTAMPTZ;
+ALTER TABLE jobs ADD COLUMN deleted_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN deleted_at TIMESTAMPTZ;
+
+CREATE INDEX companies_deleted_at_idx ON companies (deleted_at);
+CREATE INDEX jobs_deleted_at_idx ON jobs (deleted_at);
+CREATE INDEX users_deleted_at_idx ON users (deleted_at);
+
+ALTER TABLE audit_log DROP CONSTRAINT audit_log_action_check;
+ALTER TABLE audit_log ADD CONSTRAINT audit_log_action_check
+  CHECK (action IN ('create', 'update', 'delete', 'restore', 'purge'));
@@ -0,0 +1,30 @@
+-- a user's saved Job.findAll filters; last_run_at is when the notifier last
+-- checked it for new jobs
+CREATE TABLE saved_searches (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  filters JSONB NOT NULL DEFAULT '{}',
+  notify TEXT NOT NULL DEFAULT 'in_app'
+    CHECK (notify IN ('in_app', 'email')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_run_at TIMESTAMPTZ,
+  UNIQUE (username, name)
+);
+
+-- in-app notices of new jobs matching a saved search
+CREATE TABLE notifications (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  saved_search_id INTEGER NOT NULL
+    REFERENCES saved_searches ON DELETE CASCADE,
+  job_id INTEGER NOT NULL
+    REFERENCES jobs ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  read_at TIMESTAMPTZ,
+  UNIQUE (saved_search_id, job_id)
+);
+
+CREATE INDEX notifications_username_idx ON notifications (username);
@@ -0,0 +1,3 @@
+ALTER TABLE jobs DROP COLUMN workplace;
+ALTER TABLE jobs DROP COLUMN location_id;
+DROP TABLE locations;
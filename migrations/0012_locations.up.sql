@@ -0,0 +1,28 @@
+-- a company's offices; coordinates are optional, but jobs at offices
+-- without them can't be found by distance
+CREATE TABLE locations (
+  id SERIAL PRIMARY KEY,
+  company_handle VARCHAR(25) NOT NULL
+    REFERENCES companies ON DELETE CASCADE,
+  name TEXT,
+  address TEXT,
+  city TEXT NOT NULL,
+  region TEXT,
+  country CHAR(2) NOT NULL CHECK (country ~ '^[A-Z]{2}$'),
+  latitude DOUBLE PRECISION CHECK (latitude BETWEEN -90 AND 90),
+  longitude DOUBLE PRECISION CHECK (longitude BETWEEN -180 AND 180),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK ((latitude IS NULL) = (longitude IS NULL))
+);
+
+CREATE INDEX locations_company_handle_idx ON locations (company_handle);
+CREATE INDEX locations_city_idx ON locations (LOWER(city));
+
+-- the office a job is at (if any), and whether it's worked there, remotely
+-- or a mix of both
+ALTER TABLE jobs
+  ADD COLUMN location_id INTEGER REFERENCES locations ON DELETE SET NULL,
+  ADD COLUMN workplace TEXT NOT NULL DEFAULT 'onsite'
+    CHECK (workplace IN ('onsite', 'hybrid', 'remote'));
+
+CREATE INDEX jobs_location_id_idx ON jobs (location_id);
@@ -0,0 +1,3 @@
+DROP TABLE user_skills;
+DROP TABLE job_skills;
+DROP TABLE skills;
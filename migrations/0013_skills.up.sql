@@ -0,0 +1,36 @@
+-- the skills jobs can ask for and users can list; names are unique in any
+-- case
+CREATE TABLE skills (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL CHECK (name <> ''),
+  category TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX skills_name_idx ON skills (LOWER(name));
+
+-- the skills a job needs, or would like
+CREATE TABLE job_skills (
+  job_id INTEGER NOT NULL
+    REFERENCES jobs ON DELETE CASCADE,
+  skill_id INTEGER NOT NULL
+    REFERENCES skills ON DELETE CASCADE,
+  importance TEXT NOT NULL DEFAULT 'required'
+    CHECK (importance IN ('required', 'nice_to_have')),
+  PRIMARY KEY (job_id, skill_id)
+);
+
+CREATE INDEX job_skills_skill_id_idx ON job_skills (skill_id);
+
+-- the skills a user has, and how well
+CREATE TABLE user_skills (
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  skill_id INTEGER NOT NULL
+    REFERENCES skills ON DELETE CASCADE,
+  level TEXT NOT NULL DEFAULT 'intermediate'
+    CHECK (level IN ('beginner', 'intermediate', 'advanced', 'expert')),
+  PRIMARY KEY (username, skill_id)
+);
+
+CREATE INDEX user_skills_skill_id_idx ON user_skills (skill_id);
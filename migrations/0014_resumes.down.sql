@@ -0,0 +1,3 @@
+ALTER TABLE applications DROP COLUMN cover_letter;
+ALTER TABLE applications DROP COLUMN resume_id;
+DROP TABLE resumes;
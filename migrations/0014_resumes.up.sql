@@ -0,0 +1,20 @@
+-- files users upload as résumés; the file itself is kept in storage (see
+-- helpers/storage.js) under storage_key
+CREATE TABLE resumes (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  filename TEXT NOT NULL CHECK (filename <> ''),
+  content_type TEXT NOT NULL,
+  size INTEGER NOT NULL CHECK (size > 0),
+  storage_key TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX resumes_username_idx ON resumes (username);
+
+-- what a candidate sent with an application
+ALTER TABLE applications
+  ADD COLUMN resume_id INTEGER
+    REFERENCES resumes ON DELETE SET NULL,
+  ADD COLUMN cover_letter TEXT;
@@ -0,0 +1,4 @@
+DROP TABLE company_follows;
+DROP INDEX jobs_company_updated_idx;
+ALTER TABLE jobs DROP COLUMN updated_at;
+ALTER TABLE jobs DROP COLUMN created_at;
@@ -0,0 +1,26 @@
+-- when jobs were posted and last changed; jobs from before this get their
+-- publication date, where they have one
+ALTER TABLE jobs
+  ADD COLUMN created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ADD COLUMN updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+UPDATE jobs
+SET created_at = COALESCE(published_at, created_at),
+    updated_at = GREATEST(published_at, closed_at, created_at);
+
+-- for feeds, newest changes first
+CREATE INDEX jobs_company_updated_idx
+  ON jobs (company_handle, updated_at DESC, id DESC);
+
+-- the companies a user follows
+CREATE TABLE company_follows (
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  company_handle VARCHAR(25) NOT NULL
+    REFERENCES companies ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (username, company_handle)
+);
+
+CREATE INDEX company_follows_company_handle_idx
+  ON company_follows (company_handle);
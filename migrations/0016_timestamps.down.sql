@@ -0,0 +1,9 @@
+DROP TRIGGER applications_set_updated_at ON applications;
+DROP TRIGGER jobs_set_updated_at ON jobs;
+DROP TRIGGER users_set_updated_at ON users;
+DROP TRIGGER companies_set_updated_at ON companies;
+DROP FUNCTION set_updated_at();
+ALTER TABLE users DROP COLUMN updated_at;
+ALTER TABLE users DROP COLUMN created_at;
+ALTER TABLE companies DROP COLUMN updated_at;
+ALTER TABLE companies DROP COLUMN created_at;
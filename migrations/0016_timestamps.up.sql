@@ -0,0 +1,53 @@
+-- when companies and users were created and last changed; existing rows get
+-- what the audit log knows, if anything
+ALTER TABLE companies
+  ADD COLUMN created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ADD COLUMN updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+ALTER TABLE users
+  ADD COLUMN created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ADD COLUMN updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+UPDATE companies AS c
+SET created_at = COALESCE(a.first_at, c.created_at),
+    updated_at = COALESCE(a.last_at, c.updated_at)
+FROM (SELECT entity_id, MIN(created_at) AS first_at, MAX(created_at) AS last_at
+      FROM audit_log
+      WHERE entity_type = 'company'
+      GROUP BY entity_id) AS a
+WHERE a.entity_id = c.handle;
+
+UPDATE users AS u
+SET created_at = COALESCE(a.first_at, u.created_at),
+    updated_at = COALESCE(a.last_at, u.updated_at)
+FROM (SELECT entity_id, MIN(created_at) AS first_at, MAX(created_at) AS last_at
+      FROM audit_log
+      WHERE entity_type = 'user'
+      GROUP BY entity_id) AS a
+WHERE a.entity_id = u.username;
+
+-- Keeps updated_at current on every change (unless the change sets it
+-- itself). It's also the row's version, for ETags, so it always moves on:
+-- clock_timestamp() rather than NOW(), which is the same all transaction
+-- long, and at least a millisecond past the last version.
+CREATE FUNCTION set_updated_at() RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.updated_at IS NOT DISTINCT FROM OLD.updated_at THEN
+    NEW.updated_at := GREATEST(clock_timestamp(),
+                               OLD.updated_at + INTERVAL '1 millisecond');
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER companies_set_updated_at BEFORE UPDATE ON companies
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+CREATE TRIGGER users_set_updated_at BEFORE UPDATE ON users
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+CREATE TRIGGER jobs_set_updated_at BEFORE UPDATE ON jobs
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+CREATE TRIGGER applications_set_updated_at BEFORE UPDATE ON applications
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
@@ -0,0 +1,18 @@
+-- A lightweight log of what people do, for stats: the jobs they view and
+-- what they search for. username isn't a foreign key so events outlive the
+-- user (and is null for anyone not logged in).
+CREATE TABLE events (
+  id BIGSERIAL PRIMARY KEY,
+  kind TEXT NOT NULL
+    CHECK (kind IN ('job_view', 'search')),
+  job_id INTEGER
+    REFERENCES jobs ON DELETE CASCADE,
+  term TEXT,
+  username VARCHAR(25),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK ((kind = 'job_view') = (job_id IS NOT NULL)),
+  CHECK ((kind = 'search') = (term IS NOT NULL))
+);
+
+CREATE INDEX events_kind_created_at_idx ON events (kind, created_at);
+CREATE INDEX events_job_id_idx ON events (job_id);
@@ -0,0 +1,4 @@
+DROP INDEX applications_created_at_idx;
+DROP INDEX events_job_id_created_at_idx;
+CREATE INDEX events_job_id_idx ON events (job_id);
+ALTER TABLE events DROP COLUMN fingerprint;
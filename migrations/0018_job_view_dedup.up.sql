@@ -0,0 +1,12 @@
+-- job views are counted once per viewer in a window (see models/event.js):
+-- logged-in viewers by username, anyone else by a fingerprint of their
+-- address and browser
+ALTER TABLE events
+  ADD COLUMN fingerprint TEXT;
+
+-- for finding a job's recent views
+DROP INDEX events_job_id_idx;
+CREATE INDEX events_job_id_created_at_idx ON events (job_id, created_at);
+
+-- for ranking jobs by recent applications
+CREATE INDEX applications_created_at_idx ON applications (created_at);
@@ -1,15 +1,21 @@
 const bcrypt = require("bcrypt");
 
 const db = require("../db.js");
+const { migrateUp } = require("../migrate");
 const { BCRYPT_WORK_FACTOR } = require("../config");
 
 async function commonBeforeAll() {
+  // build (or bring up to date) the test database's schema
+  await migrateUp(db);
+
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM companies");
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM users");
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM jobs");
+  // noinspection SqlWithoutWhere
+  await db.query("DELETE FROM audit_log");
 
   await db.query(`
     INSERT INTO companies(handle, name, num_employees, description, logo_url)
@@ -34,10 +40,16 @@ async function commonBeforeAll() {
   );
 
   await db.query(`
-  INSERT INTO jobs(title, salary, equity, company_handle)
-  VALUES ('j1', 10, 0, 'c1'),
-         ('j2', 20, 1, 'c1'),
-         ('j3', 30, 1, 'c2')`);
+    INSERT INTO company_members(company_handle, username, role)
+    VALUES ('c1', 'u1', 'owner'),
+           ('c1', 'u2', 'recruiter')`);
+
+  await db.query(`
+  INSERT INTO jobs(title, salary, equity, company_handle, salary_min, salary_max,
+                   published_at)
+  VALUES ('j1', 10, 0, 'c1', 10, 10, NOW()),
+         ('j2', 20, 1, 'c1', 20, 20, NOW()),
+         ('j3', 30, 1, 'c2', 30, 30, NOW())`);
 }
 
 async function commonBeforeEach() {
@@ -0,0 +1,86 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { createOpaqueToken, hashToken } = require("../helpers/tokens");
+const {
+  PASSWORD_RESET_TTL_MINUTES,
+  EMAIL_VERIFICATION_TTL_HOURS,
+} = require("../config");
+
+/** What account tokens are for => how many minutes they last. */
+
+const TTL_MINUTES = {
+  password_reset: PASSWORD_RESET_TTL_MINUTES,
+  email_verification: EMAIL_VERIFICATION_TTL_HOURS * 60,
+};
+
+/** Related functions for account tokens.
+ *
+ * These are mailed to a user's address to prove they can read it: to reset
+ * a forgotten password, or to verify the address. Like refresh tokens, only
+ * their hash is stored; each can be used once, and only before it expires.
+ */
+
+class AccountToken {
+  /** Issue a token for `purpose` (password_reset or email_verification),
+   * to be sent to the user's email.
+   *
+   * Returns the raw token (the only time it is available).
+   **/
+
+  static async create(username, email, purpose, client = db) {
+    if (!TTL_MINUTES[purpose]) {
+      throw new BadRequestError(`Unknown token purpose: ${purpose}`);
+    }
+    const token = createOpaqueToken();
+
+    await client.query(
+      `INSERT INTO account_tokens
+         (username, purpose, token_hash, email, expires_at)
+       VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5))`,
+      [username, purpose, hashToken(token), email, TTL_MINUTES[purpose]]
+    );
+
+    return token;
+  }
+
+  /** Use up a token issued for `purpose`, along with any other outstanding
+   * tokens that user has for it.
+   *
+   * Returns { username, email } (the address the token was sent to)
+   *
+   * Throws BadRequestError if the token is unknown, for something else,
+   * already used or expired.
+   **/
+
+  static async consume(token, purpose, client = db) {
+    return db.withTransaction(async (tx) => {
+      // lock the row so two requests can't both use the same token
+      const result = await tx.query(
+        `SELECT username, email
+         FROM account_tokens
+         WHERE token_hash = $1
+           AND purpose = $2
+           AND used_at IS NULL
+           AND expires_at > NOW()
+         FOR UPDATE`,
+        [hashToken(token), purpose]
+      );
+      const found = result.rows[0];
+
+      if (!found) throw new BadRequestError("Invalid or expired token");
+
+      await tx.query(
+        `UPDATE account_tokens
+         SET used_at = NOW()
+         WHERE username = $1 AND purpose = $2 AND used_at IS NULL`,
+        [found.username, purpose]
+      );
+
+      return found;
+    }, client);
+  }
+}
+
+module.exports = AccountToken;
@@ -0,0 +1,134 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const db = require("../db.js");
+const AccountToken = require("./accountToken.js");
+const { hashToken } = require("../helpers/tokens");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const token = await AccountToken.create(
+      "u1",
+      "u1@email.com",
+      "password_reset"
+    );
+    const found = await db.query(
+      `SELECT username, purpose, token_hash, email, used_at
+       FROM account_tokens
+       WHERE username = 'u1'`
+    );
+    expect(found.rows).toEqual([
+      {
+        username: "u1",
+        purpose: "password_reset",
+        token_hash: hashToken(token),
+        email: "u1@email.com",
+        used_at: null,
+      },
+    ]);
+  });
+
+  test("bad request with unknown purpose", async function () {
+    try {
+      await AccountToken.create("u1", "u1@email.com", "nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** consume */
+
+describe("consume", function () {
+  test("works", async function () {
+    const token = await AccountToken.create(
+      "u1",
+      "u1@email.com",
+      "email_verification"
+    );
+    expect(await AccountToken.consume(token, "email_verification")).toEqual({
+      username: "u1",
+      email: "u1@email.com",
+    });
+  });
+
+  test("bad request if used twice", async function () {
+    const token = await AccountToken.create(
+      "u1",
+      "u1@email.com",
+      "password_reset"
+    );
+    await AccountToken.consume(token, "password_reset");
+    try {
+      await AccountToken.consume(token, "password_reset");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("uses up the user's other tokens for the same purpose", async function () {
+    const first = await AccountToken.create(
+      "u1",
+      "u1@email.com",
+      "password_reset"
+    );
+    const second = await AccountToken.create(
+      "u1",
+      "u1@email.com",
+      "password_reset"
+    );
+    await AccountToken.consume(second, "password_reset");
+    try {
+      await AccountToken.consume(first, "password_reset");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if for another purpose", async function () {
+    const token = await AccountToken.create(
+      "u1",
+      "u1@email.com",
+      "email_verification"
+    );
+    try {
+      await AccountToken.consume(token, "password_reset");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if expired", async function () {
+    const token = await AccountToken.create(
+      "u1",
+      "u1@email.com",
+      "password_reset"
+    );
+    await db.query(
+      `UPDATE account_tokens SET expires_at = NOW() - interval '1 minute'`
+    );
+    try {
+      await AccountToken.consume(token, "password_reset");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,274 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { checkIfMatch } = require("../helpers/etag");
+
+/** Every state an application can be in. */
+
+const STATES = [
+  "interested",
+  "applied",
+  "screening",
+  "interviewing",
+  "offered",
+  "accepted",
+  "rejected",
+  "withdrawn",
+];
+
+/** Legal transitions: state => [states it may move to].
+ *
+ * accepted, rejected and withdrawn are final.
+ */
+
+const TRANSITIONS = {
+  interested: ["applied", "withdrawn"],
+  applied: ["screening", "rejected", "withdrawn"],
+  screening: ["interviewing", "rejected", "withdrawn"],
+  interviewing: ["offered", "rejected", "withdrawn"],
+  offered: ["accepted", "rejected", "withdrawn"],
+  accepted: [],
+  rejected: [],
+  withdrawn: [],
+};
+
+/** States an application may be created in. */
+
+const INITIAL_STATES = ["interested", "applied"];
+
+/** Columns returned for an application. */
+
+const APPLICATION_COLUMNS = `username,
+                             job_id AS "jobId",
+                             state,
+                             resume_id AS "resumeId",
+                             cover_letter AS "coverLetter",
+                             created_at AS "createdAt",
+                             updated_at AS "updatedAt"`;
+
+/** Related functions for job applications. */
+
+class Application {
+  /** Can an application move from `fromState` to `toState`? */
+
+  static canTransition(fromState, toState) {
+    return (TRANSITIONS[fromState] || []).includes(toState);
+  }
+
+  /** Create an application for username on jobId, starting in `state`.
+   *
+   * material may have { resumeId, coverLetter }: one of the user's résumés
+   * and a cover letter, sent with the application.
+   *
+   * Returns { username, jobId, state, resumeId, coverLetter, createdAt,
+   *   updatedAt }
+   *
+   * Throws NotFoundError if the job doesn't exist, and BadRequestError if
+   * the job isn't published or is past its closing date, the user already
+   * applied, the state isn't a legal starting state or the résumé isn't
+   * theirs.
+   **/
+
+  static async create(
+    username,
+    jobId,
+    state = "applied",
+    { resumeId = null, coverLetter = null } = {},
+    client = db
+  ) {
+    if (!INITIAL_STATES.includes(state)) {
+      throw new BadRequestError(`Applications can't start as: ${state}`);
+    }
+
+    return db.withTransaction(async (tx) => {
+      const jobCheck = await tx.query(
+        `SELECT status, closes_at <= NOW() AS "expired"
+         FROM jobs
+         WHERE id = $1 AND deleted_at IS NULL`,
+        [jobId]
+      );
+      const job = jobCheck.rows[0];
+      if (!job) throw new NotFoundError(`No job: ${jobId}`);
+      if (job.status !== "published") {
+        throw new BadRequestError(
+          `Job ${jobId} isn't accepting applications: it is ${job.status}`
+        );
+      }
+      if (job.expired) {
+        throw new BadRequestError(
+          `Job ${jobId} isn't accepting applications: its closing date has passed`
+        );
+      }
+
+      const duplicateCheck = await tx.query(
+        `SELECT job_id
+         FROM applications
+         WHERE username = $1 AND job_id = $2`,
+        [username, jobId]
+      );
+      if (duplicateCheck.rows[0]) {
+        throw new BadRequestError(`Already applied for job: ${jobId}`);
+      }
+
+      if (resumeId !== null) {
+        const resumeCheck = await tx.query(
+          `SELECT id FROM resumes WHERE id = $1 AND username = $2`,
+          [resumeId, username]
+        );
+        if (!resumeCheck.rows[0]) {
+          throw new BadRequestError(`${username} has no resume ${resumeId}`);
+        }
+      }
+
+      const result = await tx.query(
+        `INSERT INTO applications
+           (username, job_id, state, resume_id, cover_letter)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING ${APPLICATION_COLUMNS}`,
+        [username, jobId, state, resumeId, coverLetter]
+      );
+      const application = result.rows[0];
+
+      await tx.query(
+        `INSERT INTO application_state_changes
+           (username, job_id, from_state, to_state, changed_by)
+         VALUES ($1, $2, NULL, $3, $1)`,
+        [username, jobId, state]
+      );
+
+      return application;
+    }, client);
+  }
+
+  /** Given a username and job id, return the application.
+   *
+   * Returns { username, jobId, state, resumeId, coverLetter, createdAt,
+   *   updatedAt, history }
+   *   where history is [{ fromState, toState, changedBy, changedAt }, ...]
+   *   oldest first
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async get(username, jobId, client = db) {
+    const appRes = await client.query(
+      `SELECT ${APPLICATION_COLUMNS}
+       FROM applications
+       WHERE username = $1 AND job_id = $2`,
+      [username, jobId]
+    );
+    const application = appRes.rows[0];
+
+    if (!application) {
+      throw new NotFoundError(`No application: ${username}, job ${jobId}`);
+    }
+
+    const historyRes = await client.query(
+      `SELECT from_state AS "fromState",
+              to_state AS "toState",
+              changed_by AS "changedBy",
+              changed_at AS "changedAt"
+       FROM application_state_changes
+       WHERE username = $1 AND job_id = $2
+       ORDER BY changed_at, id`,
+      [username, jobId]
+    );
+    application.history = historyRes.rows;
+
+    return application;
+  }
+
+  /** Find all applications for a job, optionally only those in `state`.
+   *
+   * Returns [{ username, jobId, state, resumeId, coverLetter, createdAt,
+   *   updatedAt }, ...]
+   **/
+
+  static async findForJob(jobId, { state } = {}, client = db) {
+    const values = [jobId];
+    let query = `SELECT ${APPLICATION_COLUMNS}
+                 FROM applications
+                 WHERE job_id = $1`;
+
+    if (state) {
+      values.push(state);
+      query += ` AND state = $${values.length}`;
+    }
+    query += ` ORDER BY created_at, username`;
+
+    const result = await client.query(query, values);
+    return result.rows;
+  }
+
+  /** Move an application to `newState`, recording who changed it.
+   *
+   * ifMatch is the request's If-Match header, if any: the application is
+   * only changed if it's still the version that names (see helpers/etag.js).
+   *
+   * Returns { username, jobId, state, resumeId, coverLetter, createdAt,
+   *   updatedAt }
+   *
+   * Throws NotFoundError if not found, BadRequestError if the transition
+   * isn't legal from the application's current state, and
+   * PreconditionFailedError if ifMatch doesn't match.
+   **/
+
+  static async changeState(
+    username,
+    jobId,
+    newState,
+    changedBy,
+    { ifMatch } = {},
+    client = db
+  ) {
+    return db.withTransaction(async (tx) => {
+      // lock the row so concurrent changes can't both pass the check below
+      const current = await tx.query(
+        `SELECT state, updated_at AS "updatedAt"
+         FROM applications
+         WHERE username = $1 AND job_id = $2
+         FOR UPDATE`,
+        [username, jobId]
+      );
+      if (!current.rows[0]) {
+        throw new NotFoundError(`No application: ${username}, job ${jobId}`);
+      }
+
+      const { state: fromState, updatedAt } = current.rows[0];
+      checkIfMatch(ifMatch, updatedAt, `Application ${username}, job ${jobId}`);
+      if (!Application.canTransition(fromState, newState)) {
+        throw new BadRequestError(
+          `Can't move application from ${fromState} to ${newState}`
+        );
+      }
+
+      const result = await tx.query(
+        `UPDATE applications
+         SET state = $3
+         WHERE username = $1 AND job_id = $2
+         RETURNING ${APPLICATION_COLUMNS}`,
+        [username, jobId, newState]
+      );
+
+      await tx.query(
+        `INSERT INTO application_state_changes
+           (username, job_id, from_state, to_state, changed_by)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [username, jobId, fromState, newState, changedBy]
+      );
+
+      return result.rows[0];
+    }, client);
+  }
+}
+
+Application.STATES = STATES;
+Application.TRANSITIONS = TRANSITIONS;
+Application.INITIAL_STATES = INITIAL_STATES;
+
+/** States the applicant may move their own application into; everything
+ * else is up to admins. */
+Application.APPLICANT_STATES = ["applied", "withdrawn"];
+
+module.exports = Application;
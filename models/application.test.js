@@ -0,0 +1,275 @@
+"use strict";
+
+const {
+  BadRequestError,
+  NotFoundError,
+  PreconditionFailedError,
+} = require("../expressError");
+const { etagFor } = require("../helpers/etag");
+const db = require("../db.js");
+const Application = require("./application.js");
+const Resume = require("./resume.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+async function getJobId(title) {
+  const result = await db.query(`SELECT id FROM jobs WHERE title = $1`, [
+    title,
+  ]);
+  return result.rows[0].id;
+}
+
+/************************************** canTransition */
+
+describe("canTransition", function () {
+  test("allows moving forward", function () {
+    expect(Application.canTransition("applied", "screening")).toBeTruthy();
+    expect(Application.canTransition("offered", "accepted")).toBeTruthy();
+  });
+
+  test("refuses skipping and leaving final states", function () {
+    expect(Application.canTransition("applied", "offered")).toBeFalsy();
+    expect(Application.canTransition("rejected", "applied")).toBeFalsy();
+    expect(Application.canTransition("nope", "applied")).toBeFalsy();
+  });
+});
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const jobId = await getJobId("j1");
+    const application = await Application.create("u1", jobId);
+    expect(application).toEqual({
+      username: "u1",
+      jobId,
+      state: "applied",
+      resumeId: null,
+      coverLetter: null,
+      createdAt: expect.any(Date),
+      updatedAt: expect.any(Date),
+    });
+  });
+
+  test("works: interested", async function () {
+    const jobId = await getJobId("j1");
+    const application = await Application.create("u1", jobId, "interested");
+    expect(application.state).toEqual("interested");
+  });
+
+  test("works: with a resume and cover letter", async function () {
+    const jobId = await getJobId("j1");
+    const resume = await Resume.create("u1", {
+      contentType: "application/pdf",
+      data: Buffer.from("%PDF-1.4"),
+    });
+    const application = await Application.create("u1", jobId, "applied", {
+      resumeId: resume.id,
+      coverLetter: "Dear C1",
+    });
+    expect(application.resumeId).toEqual(resume.id);
+    expect(application.coverLetter).toEqual("Dear C1");
+  });
+
+  test("bad request with another user's resume", async function () {
+    const jobId = await getJobId("j1");
+    const resume = await Resume.create("u2", {
+      contentType: "application/pdf",
+      data: Buffer.from("%PDF-1.4"),
+    });
+    try {
+      await Application.create("u1", jobId, "applied", {
+        resumeId: resume.id,
+      });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request with illegal starting state", async function () {
+    const jobId = await getJobId("j1");
+    try {
+      await Application.create("u1", jobId, "offered");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request with dupe", async function () {
+    const jobId = await getJobId("j1");
+    try {
+      await Application.create("u1", jobId);
+      await Application.create("u1", jobId);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if job isn't published", async function () {
+    const jobId = await getJobId("j1");
+    await db.query(`UPDATE jobs SET status = 'closed' WHERE id = $1`, [jobId]);
+    try {
+      await Application.create("u1", jobId);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toContain("it is closed");
+    }
+  });
+
+  test("bad request if job is past its closing date", async function () {
+    const jobId = await getJobId("j1");
+    await db.query(
+      `UPDATE jobs SET closes_at = NOW() - interval '1 hour' WHERE id = $1`,
+      [jobId]
+    );
+    try {
+      await Application.create("u1", jobId);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toContain("closing date has passed");
+    }
+  });
+
+  test("not found if no such job", async function () {
+    try {
+      await Application.create("u1", 0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works with history", async function () {
+    const jobId = await getJobId("j1");
+    await Application.create("u1", jobId);
+    await Application.changeState("u1", jobId, "screening", "admin");
+    const application = await Application.get("u1", jobId);
+    expect(application).toEqual({
+      username: "u1",
+      jobId,
+      state: "screening",
+      resumeId: null,
+      coverLetter: null,
+      createdAt: expect.any(Date),
+      updatedAt: expect.any(Date),
+      history: [
+        {
+          fromState: null,
+          toState: "applied",
+          changedBy: "u1",
+          changedAt: expect.any(Date),
+        },
+        {
+          fromState: "applied",
+          toState: "screening",
+          changedBy: "admin",
+          changedAt: expect.any(Date),
+        },
+      ],
+    });
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await Application.get("u1", 0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findForJob */
+
+describe("findForJob", function () {
+  test("works", async function () {
+    const jobId = await getJobId("j1");
+    await Application.create("u1", jobId);
+    await Application.create("u2", jobId, "interested");
+    const applications = await Application.findForJob(jobId);
+    expect(applications.map((a) => [a.username, a.state])).toEqual([
+      ["u1", "applied"],
+      ["u2", "interested"],
+    ]);
+  });
+
+  test("works: state filter", async function () {
+    const jobId = await getJobId("j1");
+    await Application.create("u1", jobId);
+    await Application.create("u2", jobId, "interested");
+    const applications = await Application.findForJob(jobId, {
+      state: "interested",
+    });
+    expect(applications.map((a) => a.username)).toEqual(["u2"]);
+  });
+});
+
+/************************************** changeState */
+
+describe("changeState", function () {
+  test("works", async function () {
+    const jobId = await getJobId("j1");
+    await Application.create("u1", jobId);
+    const application = await Application.changeState(
+      "u1",
+      jobId,
+      "withdrawn",
+      "u1"
+    );
+    expect(application.state).toEqual("withdrawn");
+    expect(application.updatedAt > application.createdAt).toBe(true);
+  });
+
+  test("precondition failed if it's changed since", async function () {
+    const jobId = await getJobId("j1");
+    const { updatedAt } = await Application.create("u1", jobId);
+    await Application.changeState("u1", jobId, "screening", "admin");
+    try {
+      await Application.changeState("u1", jobId, "rejected", "admin", {
+        ifMatch: etagFor(updatedAt, {}),
+      });
+      fail();
+    } catch (err) {
+      expect(err instanceof PreconditionFailedError).toBeTruthy();
+    }
+    expect((await Application.get("u1", jobId)).state).toEqual("screening");
+  });
+
+  test("bad request with illegal transition", async function () {
+    const jobId = await getJobId("j1");
+    await Application.create("u1", jobId);
+    try {
+      await Application.changeState("u1", jobId, "accepted", "admin");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await Application.changeState("u1", 0, "screening", "admin");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
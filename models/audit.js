@@ -0,0 +1,151 @@
+"use strict";
+
+const db = require("../db");
+const { toTimestamp } = require("../helpers/checks");
+const { currentActor } = require("../helpers/requestContext");
+
+/** Build the WHERE conditions (and their values) for audit log filters. */
+
+function auditFilters(queryParams) {
+  const conditions = [];
+  const values = [];
+
+  for (const [param, col] of [
+    ["actor", "actor"],
+    ["action", "action"],
+    ["entityType", "entity_type"],
+    ["entityId", "entity_id"],
+  ]) {
+    if (queryParams[param]) {
+      values.push(queryParams[param]);
+      conditions.push(`${col} = $${values.length}`);
+    }
+  }
+  if (queryParams.from) {
+    values.push(toTimestamp(queryParams.from));
+    conditions.push(`created_at >= $${values.length}`);
+  }
+  if (queryParams.to) {
+    values.push(toTimestamp(queryParams.to));
+    conditions.push(`created_at < $${values.length}`);
+  }
+
+  return { conditions, values };
+}
+
+/** Just the fields that differ between before and after, other than
+ * updatedAt (which every change moves on, and entries have their own time).
+ *
+ * Returns { before, after }
+ */
+
+function changedFields(before, after) {
+  const changes = { before: {}, after: {} };
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (key === "updatedAt") continue;
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changes.before[key] = before[key];
+      changes.after[key] = after[key];
+    }
+  }
+  return changes;
+}
+
+/** Related functions for the audit log of changes to companies, jobs and
+ * users. */
+
+class Audit {
+  /** Record a change to an entity, made by whoever is making the current
+   * request (see helpers/requestContext.js). Call it with the client doing
+   * the change, so the entry is only kept if the change is.
+   *
+   * action is create or restore (pass after), update (pass before and
+   * after; only the fields that changed are kept), or delete or purge (pass
+   * before).
+   *
+   * Returns undefined.
+   **/
+
+  static async record(
+    { action, entityType, entityId, before = null, after = null },
+    client = db
+  ) {
+    if (action === "update") ({ before, after } = changedFields(before, after));
+
+    await client.query(
+      `INSERT INTO audit_log
+         (actor, action, entity_type, entity_id, before, after)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [
+        currentActor(),
+        action,
+        entityType,
+        String(entityId),
+        before && JSON.stringify(before),
+        after && JSON.stringify(after),
+      ]
+    );
+  }
+
+  /** Find audit log entries, newest first.
+   *
+   * queryParams can filter on { actor, action, entityType, entityId } and
+   * on a time range { from, to } (from inclusive, to exclusive), and page
+   * through results with { limit, offset }.
+   *
+   * Returns [{ id, actor, action, entityType, entityId, before, after,
+   *   createdAt }, ...]
+   *
+   * Throws BadRequestError if from or to isn't a date.
+   **/
+
+  static async findAll({ queryParams = {} } = {}, client = db) {
+    const { conditions, values } = auditFilters(queryParams);
+
+    let query = `SELECT id,
+                        actor,
+                        action,
+                        entity_type AS "entityType",
+                        entity_id AS "entityId",
+                        before,
+                        after,
+                        created_at AS "createdAt"
+                 FROM audit_log`;
+    if (conditions.length > 0) {
+      query += ` WHERE ${conditions.join(" AND ")}`;
+    }
+    query += ` ORDER BY created_at DESC, id DESC`;
+
+    if (queryParams.limit !== undefined) {
+      values.push(queryParams.limit);
+      query += ` LIMIT $${values.length}`;
+    }
+    if (queryParams.offset !== undefined) {
+      values.push(queryParams.offset);
+      query += ` OFFSET $${values.length}`;
+    }
+
+    const result = await client.query(query, values);
+    return result.rows;
+  }
+
+  /** Count the entries matching the filters in queryParams (the same filters
+   * as findAll; paging is ignored).
+   *
+   * Returns a number.
+   **/
+
+  static async count({ queryParams = {} } = {}, client = db) {
+    const { conditions, values } = auditFilters(queryParams);
+
+    let query = `SELECT COUNT(*) AS "total" FROM audit_log`;
+    if (conditions.length > 0) {
+      query += ` WHERE ${conditions.join(" AND ")}`;
+    }
+
+    const result = await client.query(query, values);
+    return Number(result.rows[0].total);
+  }
+}
+
+module.exports = Audit;
@@ -0,0 +1,164 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const Audit = require("./audit.js");
+const Company = require("./company.js");
+const User = require("./user.js");
+const { runAs } = require("../helpers/requestContext");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** record */
+
+describe("record", function () {
+  test("works: as the current actor", async function () {
+    await runAs("u1", () =>
+      Audit.record({
+        action: "create",
+        entityType: "company",
+        entityId: "new",
+        after: { handle: "new" },
+      })
+    );
+    const entries = await Audit.findAll();
+    expect(entries).toEqual([
+      {
+        id: expect.any(Number),
+        actor: "u1",
+        action: "create",
+        entityType: "company",
+        entityId: "new",
+        before: null,
+        after: { handle: "new" },
+        createdAt: expect.any(Date),
+      },
+    ]);
+  });
+
+  test("works: update keeps only changed fields", async function () {
+    await Audit.record({
+      action: "update",
+      entityType: "company",
+      entityId: "c1",
+      before: { handle: "c1", name: "C1", numEmployees: 1 },
+      after: { handle: "c1", name: "New", numEmployees: 1 },
+    });
+    const [entry] = await Audit.findAll();
+    expect(entry.actor).toBeNull();
+    expect(entry.before).toEqual({ name: "C1" });
+    expect(entry.after).toEqual({ name: "New" });
+  });
+});
+
+/************************************** model changes */
+
+describe("model changes are recorded", function () {
+  test("works: company create, update, delete", async function () {
+    await runAs("admin", async () => {
+      await Company.create({
+        handle: "new",
+        name: "New",
+        description: "New Description",
+        numEmployees: 1,
+        logoUrl: "http://new.img",
+      });
+      await Company.update("new", { numEmployees: 2 });
+      await Company.remove("new");
+    });
+
+    const entries = await Audit.findAll({
+      queryParams: { entityType: "company", entityId: "new" },
+    });
+    expect(entries.map((e) => [e.actor, e.action])).toEqual([
+      ["admin", "delete"],
+      ["admin", "update"],
+      ["admin", "create"],
+    ]);
+    expect(entries[1].before).toEqual({ numEmployees: 1 });
+    expect(entries[1].after).toEqual({ numEmployees: 2 });
+    expect(entries[0].before.name).toEqual("New");
+  });
+
+  test("works: user password changes are logged without the password", async function () {
+    await User.update("u1", { password: "newpassword" });
+    const [entry] = await Audit.findAll({
+      queryParams: { entityType: "user", entityId: "u1" },
+    });
+    expect(entry.before).toEqual({});
+    expect(entry.after).toEqual({ password: "[changed]" });
+  });
+
+  test("nothing is recorded if the change fails", async function () {
+    try {
+      await Company.update("nope", { name: "New" });
+      fail();
+    } catch (err) {
+      expect(await Audit.count()).toEqual(0);
+    }
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  beforeEach(async function () {
+    await runAs("u1", () =>
+      Audit.record({
+        action: "create",
+        entityType: "job",
+        entityId: 1,
+        after: {},
+      })
+    );
+    await runAs("u2", () =>
+      Audit.record({
+        action: "delete",
+        entityType: "job",
+        entityId: 1,
+        before: {},
+      })
+    );
+  });
+
+  test("works: filter by actor", async function () {
+    const entries = await Audit.findAll({ queryParams: { actor: "u2" } });
+    expect(entries.map((e) => e.action)).toEqual(["delete"]);
+  });
+
+  test("works: filter by time range", async function () {
+    const future = await Audit.findAll({
+      queryParams: { from: "2999-01-01" },
+    });
+    expect(future).toEqual([]);
+    const past = await Audit.findAll({
+      queryParams: { from: "2000-01-01", to: "2999-01-01" },
+    });
+    expect(past.length).toEqual(2);
+  });
+
+  test("works: paging", async function () {
+    const entries = await Audit.findAll({
+      queryParams: { limit: 1, offset: 1 },
+    });
+    expect(entries.map((e) => e.action)).toEqual(["create"]);
+    expect(await Audit.count({ queryParams: { limit: 1 } })).toEqual(2);
+  });
+
+  test("bad request with invalid date", async function () {
+    try {
+      await Audit.findAll({ queryParams: { from: "yesterday-ish" } });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
@@ -7,6 +7,78 @@ const {
   ExpressError,
 } = require("../expressError");
 const { sqlForPartialUpdate } = require("../helpers/sql");
+const { sqlForSort } = require("../helpers/pagination");
+const { checkIfMatch } = require("../helpers/etag");
+const Job = require("./job");
+const Audit = require("./audit");
+
+/** Columns returned for a company by create, update and remove. */
+
+const COMPANY_COLUMNS = `handle,
+                         name,
+                         description,
+                         num_employees AS "numEmployees",
+                         logo_url AS "logoUrl",
+                         created_at AS "createdAt",
+                         updated_at AS "updatedAt"`;
+
+/** Fields companies can be sorted by => SQL column. */
+
+const SORTABLE = {
+  name: "name",
+  handle: "handle",
+  numEmployees: "num_employees",
+};
+
+/** Build the WHERE conditions (and their values) for company filters.
+ * Deleted companies never match.
+ *
+ * Throws ExpressError if minEmployees isn't less than maxEmployees.
+ */
+
+function companyFilters(queryParams) {
+  // Check if a both min and max filter is provided
+  if (queryParams.minEmployees && queryParams.maxEmployees) {
+    // check If the minEmployees parameter is greater than the maxEmployees parameter
+    if (
+      parseInt(queryParams.minEmployees) >= parseInt(queryParams.maxEmployees)
+    ) {
+      throw new ExpressError(
+        `Min Employees can't be larger or equal to max Employees`,
+        400
+      );
+    }
+  }
+
+  const conditions = ["deleted_at IS NULL"];
+  const values = [];
+
+  // Check if a name filter is provided
+  if (queryParams.nameLike) {
+    values.push(`%${queryParams.nameLike}%`);
+    conditions.push(`name ILIKE $${values.length}`);
+  }
+  // Check if a full-text search is provided (name and description)
+  if (queryParams.q) {
+    values.push(queryParams.q);
+    conditions.push(
+      `search_vector @@ websearch_to_tsquery('english', $${values.length})`
+    );
+  }
+  // Check if a minimum employee filter is provided
+  if (queryParams.minEmployees) {
+    values.push(queryParams.minEmployees);
+    conditions.push(`num_employees >= $${values.length}`);
+  }
+
+  // Check if a maximum employee filter is provided
+  if (queryParams.maxEmployees) {
+    values.push(queryParams.maxEmployees);
+    conditions.push(`num_employees <= $${values.length}`);
+  }
+
+  return { conditions, values };
+}
 
 /** Related functions for companies. */
 
@@ -15,119 +87,155 @@ class Company {
    *
    * data should be { handle, name, description, numEmployees, logoUrl }
    *
-   * Returns { handle, name, description, numEmployees, logoUrl }
+   * Returns { handle, name, description, numEmployees, logoUrl, createdAt,
+   *   updatedAt }
    *
    * Throws BadRequestError if company already in database.
    * */
 
-  static async create({ handle, name, description, numEmployees, logoUrl }) {
-    const duplicateCheck = await db.query(
-      `SELECT handle
-           FROM companies
-           WHERE handle = $1`,
-      [handle]
-    );
+  static async create(
+    { handle, name, description, numEmployees, logoUrl },
+    client = db
+  ) {
+    return db.withTransaction(async (tx) => {
+      const duplicateCheck = await tx.query(
+        `SELECT handle
+             FROM companies
+             WHERE handle = $1`,
+        [handle]
+      );
 
-    if (duplicateCheck.rows[0])
-      throw new BadRequestError(`Duplicate company: ${handle}`);
+      if (duplicateCheck.rows[0])
+        throw new BadRequestError(`Duplicate company: ${handle}`);
 
-    const result = await db.query(
-      `INSERT INTO companies
-           (handle, name, description, num_employees, logo_url)
-           VALUES ($1, $2, $3, $4, $5)
-           RETURNING handle, name, description, num_employees AS "numEmployees", logo_url AS "logoUrl"`,
-      [handle, name, description, numEmployees, logoUrl]
-    );
-    const company = result.rows[0];
+      const result = await tx.query(
+        `INSERT INTO companies
+             (handle, name, description, num_employees, logo_url)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING ${COMPANY_COLUMNS}`,
+        [handle, name, description, numEmployees, logoUrl]
+      );
+      const company = result.rows[0];
 
-    return company;
+      await Audit.record(
+        {
+          action: "create",
+          entityType: "company",
+          entityId: company.handle,
+          after: company,
+        },
+        tx
+      );
+
+      return company;
+    }, client);
   }
 
   /** Find all companies.
    *
-   * Returns [{ handle, name, description, numEmployees, logoUrl }, ...]
+   * queryParams can filter on { nameLike, q, minEmployees, maxEmployees }
+   * (q is a full-text search of name and description), and
+   * page through results with { sort, limit, offset } (sort is a
+   * comma-separated list of name, handle, numEmployees; prefix "-" for
+   * descending).
+   *
+   * Returns [{ handle, name, description, numEmployees, logoUrl, createdAt,
+   *   updatedAt }, ...]
    * */
 
-  static async findAll({ queryParams }) {
-    // Check if a both min and max filter is provided
-    if (queryParams.minEmployees && queryParams.maxEmployees) {
-      // check If the minEmployees parameter is greater than the maxEmployees parameter
-      if (
-        parseInt(queryParams.minEmployees) >= parseInt(queryParams.maxEmployees)
-      ) {
-        throw new ExpressError(
-          `Min Employees can't be larger or equal to max Employees`,
-          400
-        );
-      }
-    }
+  static async findAll({ queryParams = {} } = {}, client = db) {
+    const { conditions, values } = companyFilters(queryParams);
+    const orderBy = sqlForSort(queryParams.sort, SORTABLE, "name");
+
     // Start building the query string
     let query = `SELECT handle,
                   name,
                   description,
                   num_employees AS "numEmployees",
-                  logo_url AS "logoUrl"
+                  logo_url AS "logoUrl",
+                  created_at AS "createdAt",
+                  updated_at AS "updatedAt"
            FROM companies`;
 
-    let conditions = [];
-    const values = [];
+    query += ` WHERE ${conditions.join(" AND ")}`;
+    // Append ORDER BY clause; handle breaks ties so pages are stable
+    query += ` ORDER BY ${orderBy}, handle`;
 
-    // Check if a name filter is provided
-    if (queryParams.nameLike) {
-      values.push(`%${queryParams.nameLike}%`);
-      conditions.push(`name ILIKE $${values.length}`);
+    if (queryParams.limit !== undefined) {
+      values.push(queryParams.limit);
+      query += ` LIMIT $${values.length}`;
     }
-    // Check if a minimum employee filter is provided
-    if (queryParams.minEmployees) {
-      values.push(queryParams.minEmployees);
-      conditions.push(`num_employees >= $${values.length}`);
+    if (queryParams.offset !== undefined) {
+      values.push(queryParams.offset);
+      query += ` OFFSET $${values.length}`;
     }
 
-    // Check if a maximum employee filter is provided
-    if (queryParams.maxEmployees) {
-      values.push(queryParams.maxEmployees);
-      conditions.push(`num_employees <= $${values.length}`);
-    }
+    const companiesRes = await client.query(query, values);
+    return companiesRes.rows;
+  }
 
-    // Append WHERE clause if there are any conditions
-    if (conditions.length > 0) {
-      query += ` WHERE ${conditions.join(" AND ")}`;
-    }
-    // Append ORDER BY clause
-    query += ` ORDER BY name`;
+  /** Count the companies matching the filters in queryParams (the same
+   * filters as findAll; sort and paging are ignored).
+   *
+   * Returns a number.
+   * */
 
-    const companiesRes = await db.query(query, values);
-    return companiesRes.rows;
+  static async count({ queryParams = {} } = {}, client = db) {
+    const { conditions, values } = companyFilters(queryParams);
+
+    const query = `SELECT COUNT(*) AS "total"
+                   FROM companies
+                   WHERE ${conditions.join(" AND ")}`;
+
+    const countRes = await client.query(query, values);
+    return Number(countRes.rows[0].total);
   }
 
   /** Given a company handle, return data about company.
    *
-   * Returns { handle, name, description, numEmployees, logoUrl, jobs }
-   *   where jobs is [{ id, title, salary, equity, companyHandle }, ...]
+   * Returns { handle, name, description, numEmployees, logoUrl, createdAt,
+   *   updatedAt, followers, jobs }
+   *   where followers is how many users follow the company
+   *   and jobs is [{ id, title, salary, equity, companyHandle }, ...], the
+   *   company's jobs that are open to the public, oldest first
    *
-   * Throws NotFoundError if not found.
+   * Throws NotFoundError if not found or deleted.
    **/
 
-  static async get(handleData) {
-    const companyRes = await db.query(
+  static async get(handleData, client = db) {
+    const companyRes = await client.query(
       `SELECT c.handle,
                   c.name,
                   c.description,
                   c.num_employees,
                   c.logo_url,
+                  c.created_at,
+                  c.updated_at,
+                  (SELECT COUNT(*)
+                   FROM company_follows AS f
+                   WHERE f.company_handle = c.handle) AS followers,
                   j.id, j.title, j.salary, j.equity, j.company_handle
            FROM companies as c
            LEFT JOIN jobs as j
-           ON c.handle = j.company_handle
-           WHERE handle = $1`,
+           ON c.handle = j.company_handle AND ${Job.sqlIsOpen("j")}
+           WHERE handle = $1 AND c.deleted_at IS NULL
+           ORDER BY j.id`,
       [handleData]
     );
 
     if (companyRes.rows.length === 0)
       throw new NotFoundError(`No company: ${handleData}`);
 
-    const { handle, name, description, num_employees, logo_url } =
-      companyRes.rows[0];
+    const {
+      handle,
+      name,
+      description,
+      num_employees,
+      logo_url,
+      created_at,
+      updated_at,
+      followers,
+    } = companyRes.rows[0];
 
     // seting up return  data
     const company = {
@@ -136,6 +244,9 @@ class Company {
       description: description,
       numEmployees: num_employees,
       logoUrl: logo_url,
+      createdAt: created_at,
+      updatedAt: updated_at,
+      followers: Number(followers),
       jobs: [],
     };
     // pushing job into company.jobs array
@@ -161,50 +272,177 @@ class Company {
    *
    * Data can include: {name, description, numEmployees, logoUrl}
    *
-   * Returns {handle, name, description, numEmployees, logoUrl}
+   * ifMatch is the request's If-Match header, if any: the company is only
+   * changed if it's still the version that names (see helpers/etag.js).
+   *
+   * Returns {handle, name, description, numEmployees, logoUrl, createdAt,
+   *   updatedAt}
    *
-   * Throws NotFoundError if not found.
+   * Throws NotFoundError if not found, and PreconditionFailedError if
+   * ifMatch doesn't match.
    */
 
-  static async update(handle, data) {
+  static async update(handle, data, { ifMatch } = {}, client = db) {
     const { setCols, values } = sqlForPartialUpdate(data, {
       numEmployees: "num_employees",
       logoUrl: "logo_url",
     });
     const handleVarIdx = "$" + (values.length + 1);
 
-    const querySql = `UPDATE companies 
-                      SET ${setCols} 
-                      WHERE handle = ${handleVarIdx} 
-                      RETURNING handle, 
-                                name, 
-                                description, 
-                                num_employees AS "numEmployees", 
-                                logo_url AS "logoUrl"`;
-    const result = await db.query(querySql, [...values, handle]);
-    const company = result.rows[0];
+    return db.withTransaction(async (tx) => {
+      const beforeRes = await tx.query(
+        `SELECT ${COMPANY_COLUMNS}
+         FROM companies
+         WHERE handle = $1 AND deleted_at IS NULL
+         FOR UPDATE`,
+        [handle]
+      );
+      const before = beforeRes.rows[0];
 
-    if (!company) throw new NotFoundError(`No company: ${handle}`);
+      if (!before) throw new NotFoundError(`No company: ${handle}`);
+      checkIfMatch(ifMatch, before.updatedAt, `Company ${handle}`);
 
-    return company;
+      const querySql = `UPDATE companies 
+                        SET ${setCols} 
+                        WHERE handle = ${handleVarIdx} 
+                        RETURNING ${COMPANY_COLUMNS}`;
+      const result = await tx.query(querySql, [...values, handle]);
+      const company = result.rows[0];
+
+      await Audit.record(
+        {
+          action: "update",
+          entityType: "company",
+          entityId: handle,
+          before,
+          after: company,
+        },
+        tx
+      );
+
+      return company;
+    }, client);
   }
 
-  /** Delete given company from database; returns undefined.
+  /** Delete given company, and its jobs; returns undefined.
+   *
+   * They're only hidden (applications and members are kept) until the
+   * company is restored or purged.
    *
    * Throws NotFoundError if company not found.
    **/
 
-  static async remove(handle) {
-    const result = await db.query(
-      `DELETE
-           FROM companies
-           WHERE handle = $1
-           RETURNING handle`,
-      [handle]
-    );
-    const company = result.rows[0];
+  static async remove(handle, client = db) {
+    return db.withTransaction(async (tx) => {
+      const result = await tx.query(
+        `UPDATE companies
+         SET deleted_at = NOW()
+         WHERE handle = $1 AND deleted_at IS NULL
+         RETURNING ${COMPANY_COLUMNS}`,
+        [handle]
+      );
+      const company = result.rows[0];
+
+      if (!company) throw new NotFoundError(`No company: ${handle}`);
+
+      await Audit.record(
+        {
+          action: "delete",
+          entityType: "company",
+          entityId: handle,
+          before: company,
+        },
+        tx
+      );
+      await Job.removeAllForCompany(handle, tx);
+    }, client);
+  }
+
+  /** Bring back a deleted company, along with the jobs deleted with it
+   * (jobs deleted on their own beforehand stay deleted).
+   *
+   * Returns { handle, name, description, numEmployees, logoUrl, createdAt,
+   *   updatedAt }
+   *
+   * Throws NotFoundError if there's no deleted company with this handle.
+   **/
+
+  static async restore(handle, client = db) {
+    return db.withTransaction(async (tx) => {
+      const deletedRes = await tx.query(
+        `SELECT handle
+         FROM companies
+         WHERE handle = $1 AND deleted_at IS NOT NULL
+         FOR UPDATE`,
+        [handle]
+      );
+
+      if (!deletedRes.rows[0]) {
+        throw new NotFoundError(`No deleted company: ${handle}`);
+      }
+
+      await Job.restoreAllForCompany(handle, tx);
+
+      const result = await tx.query(
+        `UPDATE companies
+         SET deleted_at = NULL
+         WHERE handle = $1
+         RETURNING ${COMPANY_COLUMNS}`,
+        [handle]
+      );
+      const company = result.rows[0];
+
+      await Audit.record(
+        {
+          action: "restore",
+          entityType: "company",
+          entityId: handle,
+          after: company,
+        },
+        tx
+      );
+
+      return company;
+    }, client);
+  }
+
+  /** Permanently remove a deleted company, with all its jobs, their
+   * applications and its members; returns undefined.
+   *
+   * Throws NotFoundError if company not found, and BadRequestError if it
+   * hasn't been deleted first.
+   **/
+
+  static async purge(handle, client = db) {
+    return db.withTransaction(async (tx) => {
+      const result = await tx.query(
+        `SELECT ${COMPANY_COLUMNS}, deleted_at IS NOT NULL AS "deleted"
+         FROM companies
+         WHERE handle = $1
+         FOR UPDATE`,
+        [handle]
+      );
+      if (!result.rows[0]) throw new NotFoundError(`No company: ${handle}`);
+
+      const { deleted, ...company } = result.rows[0];
+      if (!deleted) {
+        throw new BadRequestError(
+          `Company ${handle} must be deleted before purging`
+        );
+      }
+
+      await tx.query(`DELETE FROM companies WHERE handle = $1`, [handle]);
 
-    if (!company) throw new NotFoundError(`No company: ${handle}`);
+      await Audit.record(
+        {
+          action: "purge",
+          entityType: "company",
+          entityId: handle,
+          before: company,
+        },
+        tx
+      );
+    }, client);
   }
 }
 
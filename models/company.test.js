@@ -1,7 +1,12 @@
 "use strict";
 
 const db = require("../db.js");
-const { BadRequestError, NotFoundError } = require("../expressError");
+const {
+  BadRequestError,
+  NotFoundError,
+  PreconditionFailedError,
+} = require("../expressError");
+const { etagFor } = require("../helpers/etag");
 const Company = require("./company.js");
 const {
   commonBeforeAll,
@@ -28,7 +33,11 @@ describe("create", function () {
 
   test("works", async function () {
     let company = await Company.create(newCompany);
-    expect(company).toEqual(newCompany);
+    expect(company).toEqual({
+      ...newCompany,
+      createdAt: expect.any(Date),
+      updatedAt: expect.any(Date),
+    });
 
     const result = await db.query(
       `SELECT handle, name, description, num_employees, logo_url
@@ -69,6 +78,8 @@ describe("findAll", function () {
         description: "Desc1",
         numEmployees: 1,
         logoUrl: "http://c1.img",
+        createdAt: expect.any(Date),
+        updatedAt: expect.any(Date),
       },
       {
         handle: "c2",
@@ -76,6 +87,8 @@ describe("findAll", function () {
         description: "Desc2",
         numEmployees: 2,
         logoUrl: "http://c2.img",
+        createdAt: expect.any(Date),
+        updatedAt: expect.any(Date),
       },
       {
         handle: "c3",
@@ -83,6 +96,8 @@ describe("findAll", function () {
         description: "Desc3",
         numEmployees: 3,
         logoUrl: "http://c3.img",
+        createdAt: expect.any(Date),
+        updatedAt: expect.any(Date),
       },
     ]);
   });
@@ -97,6 +112,8 @@ describe("findAll", function () {
         description: "Desc1",
         numEmployees: 1,
         logoUrl: "http://c1.img",
+        createdAt: expect.any(Date),
+        updatedAt: expect.any(Date),
       },
       {
         handle: "c2",
@@ -104,6 +121,8 @@ describe("findAll", function () {
         description: "Desc2",
         numEmployees: 2,
         logoUrl: "http://c2.img",
+        createdAt: expect.any(Date),
+        updatedAt: expect.any(Date),
       },
     ]);
   });
@@ -116,6 +135,8 @@ describe("findAll", function () {
         description: "Desc1",
         numEmployees: 1,
         logoUrl: "http://c1.img",
+        createdAt: expect.any(Date),
+        updatedAt: expect.any(Date),
       },
     ]);
   });
@@ -130,11 +151,69 @@ describe("findAll", function () {
         description: "Desc1",
         numEmployees: 1,
         logoUrl: "http://c1.img",
+        createdAt: expect.any(Date),
+        updatedAt: expect.any(Date),
       },
     ]);
   });
 });
 
+/************************************** findAll: sort and paging */
+
+describe("findAll: sort and paging", function () {
+  test("works: sort descending", async function () {
+    const companies = await Company.findAll({
+      queryParams: { sort: "-numEmployees" },
+    });
+    expect(companies.map((c) => c.handle)).toEqual(["c3", "c2", "c1"]);
+  });
+
+  test("works: limit and offset", async function () {
+    const companies = await Company.findAll({
+      queryParams: { limit: 1, offset: 1 },
+    });
+    expect(companies.map((c) => c.handle)).toEqual(["c2"]);
+  });
+
+  test("bad request with unknown sort field", async function () {
+    try {
+      await Company.findAll({ queryParams: { sort: "description" } });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findAll: full-text search */
+
+describe("findAll: full-text search", function () {
+  test("works: q matches description", async function () {
+    const companies = await Company.findAll({ queryParams: { q: "desc2" } });
+    expect(companies.map((c) => c.handle)).toEqual(["c2"]);
+  });
+
+  test("works: q with no match", async function () {
+    const companies = await Company.findAll({ queryParams: { q: "nope" } });
+    expect(companies).toEqual([]);
+  });
+});
+
+/************************************** count */
+
+describe("count", function () {
+  test("works", async function () {
+    expect(await Company.count({ queryParams: {} })).toEqual(3);
+  });
+
+  test("works: with filter, ignoring paging", async function () {
+    const total = await Company.count({
+      queryParams: { minEmployees: 2, limit: 1 },
+    });
+    expect(total).toEqual(2);
+  });
+});
+
 /************************************** get */
 
 describe("get", function () {
@@ -146,6 +225,9 @@ describe("get", function () {
       description: "Desc1",
       numEmployees: 1,
       logoUrl: "http://c1.img",
+      createdAt: expect.any(Date),
+      updatedAt: expect.any(Date),
+      followers: 0,
       jobs: [
         {
           companyHandle: "c1",
@@ -190,6 +272,8 @@ describe("update", function () {
     expect(company).toEqual({
       handle: "c1",
       ...updateData,
+      createdAt: expect.any(Date),
+      updatedAt: expect.any(Date),
     });
 
     const result = await db.query(
@@ -220,6 +304,8 @@ describe("update", function () {
     expect(company).toEqual({
       handle: "c1",
       ...updateDataSetNulls,
+      createdAt: expect.any(Date),
+      updatedAt: expect.any(Date),
     });
 
     const result = await db.query(
@@ -247,6 +333,50 @@ describe("update", function () {
     }
   });
 
+  test("works: a new version each time", async function () {
+    const before = await Company.get("c1");
+    const first = await Company.update("c1", { name: "New" });
+    const second = await Company.update("c1", { name: "Newer" });
+    expect(first.createdAt).toEqual(before.createdAt);
+    expect(first.updatedAt > before.updatedAt).toBe(true);
+    expect(second.updatedAt > first.updatedAt).toBe(true);
+  });
+
+  test("works: If-Match with the current version", async function () {
+    const { updatedAt } = await Company.get("c1");
+    const company = await Company.update(
+      "c1",
+      { name: "New" },
+      { ifMatch: `"stale", ${etagFor(updatedAt, {})}` }
+    );
+    expect(company.name).toEqual("New");
+  });
+
+  test("works: If-Match *", async function () {
+    const company = await Company.update(
+      "c1",
+      { name: "New" },
+      { ifMatch: "*" }
+    );
+    expect(company.name).toEqual("New");
+  });
+
+  test("precondition failed if it's changed since", async function () {
+    const { updatedAt } = await Company.get("c1");
+    await Company.update("c1", { name: "New" });
+    try {
+      await Company.update(
+        "c1",
+        { name: "Newer" },
+        { ifMatch: etagFor(updatedAt, {}) }
+      );
+      fail();
+    } catch (err) {
+      expect(err instanceof PreconditionFailedError).toBeTruthy();
+    }
+    expect((await Company.get("c1")).name).toEqual("New");
+  });
+
   test("bad request with no data", async function () {
     try {
       await Company.update("c1", {});
@@ -262,15 +392,138 @@ describe("update", function () {
 describe("remove", function () {
   test("works", async function () {
     await Company.remove("c1");
+    const res = await db.query(
+      "SELECT deleted_at FROM companies WHERE handle='c1'"
+    );
+    expect(res.rows).toEqual([{ deleted_at: expect.any(Date) }]);
+
+    const companies = await Company.findAll();
+    expect(companies.map((c) => c.handle)).toEqual(["c2", "c3"]);
+    expect(await Company.count()).toEqual(2);
+  });
+
+  test("deletes the company's jobs too", async function () {
+    await Company.remove("c1");
+    const res = await db.query(
+      "SELECT deleted_at FROM jobs WHERE company_handle='c1'"
+    );
+    expect(res.rows).toEqual([
+      { deleted_at: expect.any(Date) },
+      { deleted_at: expect.any(Date) },
+    ]);
+  });
+
+  test("deleted companies aren't found", async function () {
+    await Company.remove("c1");
+    try {
+      await Company.get("c1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("deleted companies can't be updated", async function () {
+    await Company.remove("c1");
+    try {
+      await Company.update("c1", { name: "New" });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await Company.remove("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if already deleted", async function () {
+    await Company.remove("c1");
+    try {
+      await Company.remove("c1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** restore */
+
+describe("restore", function () {
+  test("works", async function () {
+    await Company.remove("c1");
+    const company = await Company.restore("c1");
+    expect(company).toEqual({
+      handle: "c1",
+      name: "C1",
+      description: "Desc1",
+      numEmployees: 1,
+      logoUrl: "http://c1.img",
+      createdAt: expect.any(Date),
+      updatedAt: expect.any(Date),
+    });
+    expect((await Company.get("c1")).jobs.length).toEqual(2);
+  });
+
+  test("leaves jobs deleted before the company deleted", async function () {
+    const jobRes = await db.query(
+      "SELECT id FROM jobs WHERE title='j1' AND company_handle='c1'"
+    );
+    await db.query(
+      "UPDATE jobs SET deleted_at = NOW() - INTERVAL '1 day' WHERE id = $1",
+      [jobRes.rows[0].id]
+    );
+    await Company.remove("c1");
+    await Company.restore("c1");
+
+    const company = await Company.get("c1");
+    expect(company.jobs.map((j) => j.title)).toEqual(["j2"]);
+  });
+
+  test("not found if not deleted", async function () {
+    try {
+      await Company.restore("c1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** purge */
+
+describe("purge", function () {
+  test("works", async function () {
+    await Company.remove("c1");
+    await Company.purge("c1");
     const res = await db.query(
       "SELECT handle FROM companies WHERE handle='c1'"
     );
     expect(res.rows.length).toEqual(0);
+    const jobsRes = await db.query(
+      "SELECT id FROM jobs WHERE company_handle='c1'"
+    );
+    expect(jobsRes.rows.length).toEqual(0);
+  });
+
+  test("bad request if not deleted first", async function () {
+    try {
+      await Company.purge("c1");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
   });
 
   test("not found if no such company", async function () {
     try {
-      await Company.remove("nope");
+      await Company.purge("nope");
       fail();
     } catch (err) {
       expect(err instanceof NotFoundError).toBeTruthy();
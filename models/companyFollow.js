@@ -0,0 +1,91 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { checkUser, checkCompany } = require("../helpers/checks");
+
+/** Related functions for the companies users follow. */
+
+class CompanyFollow {
+  /** Have username follow a company.
+   *
+   * Returns { username, companyHandle, createdAt }
+   *
+   * Throws NotFoundError if the user or company doesn't exist (or is
+   * deleted), and BadRequestError if they already follow it.
+   **/
+
+  static async add(username, handle, client = db) {
+    return db.withTransaction(async (tx) => {
+      await checkUser(username, tx);
+      await checkCompany(handle, tx);
+
+      const duplicateCheck = await tx.query(
+        `SELECT username
+         FROM company_follows
+         WHERE username = $1 AND company_handle = $2`,
+        [username, handle]
+      );
+      if (duplicateCheck.rows[0]) {
+        throw new BadRequestError(`${username} already follows ${handle}`);
+      }
+
+      const result = await tx.query(
+        `INSERT INTO company_follows (username, company_handle)
+         VALUES ($1, $2)
+         RETURNING username,
+                   company_handle AS "companyHandle",
+                   created_at AS "createdAt"`,
+        [username, handle]
+      );
+      return result.rows[0];
+    }, client);
+  }
+
+  /** Have username stop following a company; returns undefined.
+   *
+   * Throws NotFoundError if they don't follow it.
+   **/
+
+  static async remove(username, handle, client = db) {
+    const result = await client.query(
+      `DELETE FROM company_follows
+       WHERE username = $1 AND company_handle = $2
+       RETURNING username`,
+      [username, handle]
+    );
+
+    if (!result.rows[0]) {
+      throw new NotFoundError(`${username} doesn't follow ${handle}`);
+    }
+  }
+
+  /** Find the companies a user follows (leaving out deleted ones), by name.
+   *
+   * Returns [{ handle, name, description, numEmployees, logoUrl,
+   *   followedAt }, ...]
+   *
+   * Throws NotFoundError if the user doesn't exist.
+   **/
+
+  static async findForUser(username, client = db) {
+    await checkUser(username, client);
+
+    const result = await client.query(
+      `SELECT c.handle,
+              c.name,
+              c.description,
+              c.num_employees AS "numEmployees",
+              c.logo_url AS "logoUrl",
+              f.created_at AS "followedAt"
+       FROM company_follows AS f
+       JOIN companies AS c ON c.handle = f.company_handle
+       WHERE f.username = $1 AND c.deleted_at IS NULL
+       ORDER BY c.name`,
+      [username]
+    );
+    return result.rows;
+  }
+}
+
+module.exports = CompanyFollow;
@@ -0,0 +1,115 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const CompanyFollow = require("./companyFollow.js");
+const Company = require("./company.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon.js");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** add */
+
+describe("add", function () {
+  test("works", async function () {
+    const follow = await CompanyFollow.add("u1", "c2");
+    expect(follow).toEqual({
+      username: "u1",
+      companyHandle: "c2",
+      createdAt: expect.any(Date),
+    });
+    expect((await Company.get("c2")).followers).toEqual(1);
+  });
+
+  test("bad request if already following", async function () {
+    await CompanyFollow.add("u1", "c2");
+    try {
+      await CompanyFollow.add("u1", "c2");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user or company", async function () {
+    for (const [username, handle] of [
+      ["nope", "c1"],
+      ["u1", "nope"],
+    ]) {
+      try {
+        await CompanyFollow.add(username, handle);
+        fail();
+      } catch (err) {
+        expect(err instanceof NotFoundError).toBeTruthy();
+      }
+    }
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    await CompanyFollow.add("u1", "c2");
+    await CompanyFollow.remove("u1", "c2");
+    expect(await CompanyFollow.findForUser("u1")).toEqual([]);
+  });
+
+  test("not found if not following", async function () {
+    try {
+      await CompanyFollow.remove("u1", "c2");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findForUser */
+
+describe("findForUser", function () {
+  test("works: by name, leaving out deleted companies", async function () {
+    await CompanyFollow.add("u1", "c3");
+    await CompanyFollow.add("u1", "c1");
+    await CompanyFollow.add("u1", "c2");
+    await CompanyFollow.add("u2", "c2");
+    await db.query("UPDATE companies SET deleted_at = NOW() WHERE handle='c2'");
+
+    const companies = await CompanyFollow.findForUser("u1");
+    expect(companies).toEqual([
+      {
+        handle: "c1",
+        name: "C1",
+        description: "Desc1",
+        numEmployees: 1,
+        logoUrl: "http://c1.img",
+        followedAt: expect.any(Date),
+      },
+      {
+        handle: "c3",
+        name: "C3",
+        description: "Desc3",
+        numEmployees: 3,
+        logoUrl: "http://c3.img",
+        followedAt: expect.any(Date),
+      },
+    ]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await CompanyFollow.findForUser("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,190 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { checkUser, checkCompany } = require("../helpers/checks");
+
+/** Membership roles, least to most powerful. Each role can do everything the
+ * ones before it can:
+ * - viewer: see the company's members
+ * - recruiter: post, edit and remove the company's jobs
+ * - owner: manage the company's members and offices
+ */
+
+const ROLES = ["viewer", "recruiter", "owner"];
+
+/** Related functions for users' memberships of companies. */
+
+class CompanyMember {
+  /** Does `role` grant at least what `required` does? */
+
+  static roleAtLeast(role, required) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required);
+  }
+
+  /** Given a company handle and username, return the member's role, or null
+   * if they aren't a member. */
+
+  static async getRole(handle, username, client = db) {
+    const result = await client.query(
+      `SELECT role
+       FROM company_members
+       WHERE company_handle = $1 AND username = $2`,
+      [handle, username]
+    );
+    return result.rows[0] ? result.rows[0].role : null;
+  }
+
+  /** Find all members of a company.
+   *
+   * Returns [{ username, firstName, lastName, email, role, createdAt }, ...]
+   *
+   * Throws NotFoundError if the company doesn't exist.
+   **/
+
+  static async findForCompany(handle, client = db) {
+    await checkCompany(handle, client);
+
+    const result = await client.query(
+      `SELECT m.username,
+              u.first_name AS "firstName",
+              u.last_name AS "lastName",
+              u.email,
+              m.role,
+              m.created_at AS "createdAt"
+       FROM company_members AS m
+       JOIN users AS u ON u.username = m.username
+       WHERE m.company_handle = $1 AND u.deleted_at IS NULL
+       ORDER BY m.username`,
+      [handle]
+    );
+    return result.rows;
+  }
+
+  /** Add username to a company with `role`.
+   *
+   * Returns { companyHandle, username, role, createdAt }
+   *
+   * Throws NotFoundError if the company or user doesn't exist, and
+   * BadRequestError if the user is already a member or the role is unknown.
+   **/
+
+  static async add(handle, username, role, client = db) {
+    checkRole(role);
+
+    return db.withTransaction(async (tx) => {
+      await checkCompany(handle, tx);
+
+      await checkUser(username, tx);
+
+      const duplicateCheck = await tx.query(
+        `SELECT username
+         FROM company_members
+         WHERE company_handle = $1 AND username = $2`,
+        [handle, username]
+      );
+      if (duplicateCheck.rows[0]) {
+        throw new BadRequestError(`Already a member of ${handle}: ${username}`);
+      }
+
+      const result = await tx.query(
+        `INSERT INTO company_members (company_handle, username, role)
+         VALUES ($1, $2, $3)
+         RETURNING company_handle AS "companyHandle",
+                   username,
+                   role,
+                   created_at AS "createdAt"`,
+        [handle, username, role]
+      );
+      return result.rows[0];
+    }, client);
+  }
+
+  /** Change a member's role.
+   *
+   * Returns { companyHandle, username, role, createdAt }
+   *
+   * Throws NotFoundError if they aren't a member, and BadRequestError if the
+   * role is unknown or this would leave the company without an owner.
+   **/
+
+  static async updateRole(handle, username, role, client = db) {
+    checkRole(role);
+
+    return db.withTransaction(async (tx) => {
+      if (role !== "owner") await checkNotLastOwner(handle, username, tx);
+
+      const result = await tx.query(
+        `UPDATE company_members
+         SET role = $3
+         WHERE company_handle = $1 AND username = $2
+         RETURNING company_handle AS "companyHandle",
+                   username,
+                   role,
+                   created_at AS "createdAt"`,
+        [handle, username, role]
+      );
+      const member = result.rows[0];
+
+      if (!member)
+        throw new NotFoundError(`No member of ${handle}: ${username}`);
+
+      return member;
+    }, client);
+  }
+
+  /** Remove username from a company; returns undefined.
+   *
+   * Throws NotFoundError if they aren't a member, and BadRequestError if
+   * they're the company's last owner.
+   **/
+
+  static async remove(handle, username, client = db) {
+    return db.withTransaction(async (tx) => {
+      await checkNotLastOwner(handle, username, tx);
+
+      const result = await tx.query(
+        `DELETE
+         FROM company_members
+         WHERE company_handle = $1 AND username = $2
+         RETURNING username`,
+        [handle, username]
+      );
+
+      if (!result.rows[0]) {
+        throw new NotFoundError(`No member of ${handle}: ${username}`);
+      }
+    }, client);
+  }
+}
+
+/** Throws BadRequestError unless role is one of ROLES. */
+
+function checkRole(role) {
+  if (!ROLES.includes(role)) {
+    throw new BadRequestError(`Unknown role: ${role}`);
+  }
+}
+
+/** Throws BadRequestError if username is the company's only owner, so it
+ * always keeps someone who can manage its members. Locks the owners' rows so
+ * two owners can't step down at once. */
+
+async function checkNotLastOwner(handle, username, client) {
+  const result = await client.query(
+    `SELECT username
+     FROM company_members
+     WHERE company_handle = $1 AND role = 'owner'
+     FOR UPDATE`,
+    [handle]
+  );
+  const owners = result.rows.map((r) => r.username);
+
+  if (owners.length === 1 && owners[0] === username) {
+    throw new BadRequestError(`Can't remove the last owner of ${handle}`);
+  }
+}
+
+CompanyMember.ROLES = ROLES;
+
+module.exports = CompanyMember;
@@ -0,0 +1,193 @@
+"use strict";
+
+const { BadRequestError, NotFoundError } = require("../expressError");
+const CompanyMember = require("./companyMember.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon.js");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** roleAtLeast */
+
+describe("roleAtLeast", function () {
+  test("works", function () {
+    expect(CompanyMember.roleAtLeast("owner", "recruiter")).toBeTruthy();
+    expect(CompanyMember.roleAtLeast("recruiter", "recruiter")).toBeTruthy();
+    expect(CompanyMember.roleAtLeast("viewer", "recruiter")).toBeFalsy();
+  });
+});
+
+/************************************** getRole */
+
+describe("getRole", function () {
+  test("works", async function () {
+    expect(await CompanyMember.getRole("c1", "u1")).toEqual("owner");
+    expect(await CompanyMember.getRole("c1", "u2")).toEqual("recruiter");
+  });
+
+  test("works: not a member", async function () {
+    expect(await CompanyMember.getRole("c2", "u1")).toBeNull();
+  });
+});
+
+/************************************** findForCompany */
+
+describe("findForCompany", function () {
+  test("works", async function () {
+    const members = await CompanyMember.findForCompany("c1");
+    expect(members).toEqual([
+      {
+        username: "u1",
+        firstName: "U1F",
+        lastName: "U1L",
+        email: "u1@email.com",
+        role: "owner",
+        createdAt: expect.any(Date),
+      },
+      {
+        username: "u2",
+        firstName: "U2F",
+        lastName: "U2L",
+        email: "u2@email.com",
+        role: "recruiter",
+        createdAt: expect.any(Date),
+      },
+    ]);
+  });
+
+  test("works: no members", async function () {
+    expect(await CompanyMember.findForCompany("c2")).toEqual([]);
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await CompanyMember.findForCompany("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** add */
+
+describe("add", function () {
+  test("works", async function () {
+    const member = await CompanyMember.add("c2", "u1", "viewer");
+    expect(member).toEqual({
+      companyHandle: "c2",
+      username: "u1",
+      role: "viewer",
+      createdAt: expect.any(Date),
+    });
+    expect(await CompanyMember.getRole("c2", "u1")).toEqual("viewer");
+  });
+
+  test("bad request if already a member", async function () {
+    try {
+      await CompanyMember.add("c1", "u2", "viewer");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request with unknown role", async function () {
+    try {
+      await CompanyMember.add("c2", "u1", "boss");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await CompanyMember.add("c2", "nope", "viewer");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await CompanyMember.add("nope", "u1", "viewer");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** updateRole */
+
+describe("updateRole", function () {
+  test("works", async function () {
+    const member = await CompanyMember.updateRole("c1", "u2", "owner");
+    expect(member).toEqual({
+      companyHandle: "c1",
+      username: "u2",
+      role: "owner",
+      createdAt: expect.any(Date),
+    });
+  });
+
+  test("works: demote an owner if another remains", async function () {
+    await CompanyMember.updateRole("c1", "u2", "owner");
+    await CompanyMember.updateRole("c1", "u1", "viewer");
+    expect(await CompanyMember.getRole("c1", "u1")).toEqual("viewer");
+  });
+
+  test("bad request demoting the last owner", async function () {
+    try {
+      await CompanyMember.updateRole("c1", "u1", "recruiter");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if not a member", async function () {
+    try {
+      await CompanyMember.updateRole("c2", "u1", "viewer");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    await CompanyMember.remove("c1", "u2");
+    expect(await CompanyMember.getRole("c1", "u2")).toBeNull();
+  });
+
+  test("bad request removing the last owner", async function () {
+    try {
+      await CompanyMember.remove("c1", "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if not a member", async function () {
+    try {
+      await CompanyMember.remove("c2", "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
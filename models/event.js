@@ -0,0 +1,81 @@
+"use strict";
+
+const db = require("../db");
+const { JOB_VIEW_DEDUP_MINUTES } = require("../config");
+const { currentActor } = require("../helpers/requestContext");
+
+/** Longest search term kept; longer ones are cut short. */
+
+const MAX_TERM_LENGTH = 100;
+
+/** Related functions for the log of what people do on the site (see
+ * models/stats.js for what's made of it). Events are recorded as whoever is
+ * making the current request (see helpers/requestContext.js).
+ *
+ * Recording never throws: a stat isn't worth failing the request it's about,
+ * so errors are only logged.
+ */
+
+class Event {
+  /** Record that someone viewed the job with this id; returns undefined.
+   *
+   * Views count once per viewer every JOB_VIEW_DEDUP_MINUTES: a view isn't
+   * recorded if the same viewer viewed the job within that long. Viewers are
+   * told apart by username if logged in, or else by fingerprint (see
+   * visitorFingerprint in helpers/tokens.js); anonymous views without one
+   * are all recorded. Views made at the same moment may both be recorded.
+   */
+
+  static async recordJobView(jobId, { fingerprint = null } = {}, client = db) {
+    const username = currentActor();
+    await record(
+      "job_view",
+      `INSERT INTO events (kind, job_id, username, fingerprint)
+       SELECT 'job_view', $1, $2::varchar, $3::text
+       WHERE NOT EXISTS (
+         SELECT 1
+         FROM events
+         WHERE kind = 'job_view'
+           AND job_id = $1
+           AND created_at > NOW() - make_interval(mins => $4)
+           AND (username = $2 OR ($2 IS NULL AND fingerprint = $3)))`,
+      [jobId, username, username ? null : fingerprint, JOB_VIEW_DEDUP_MINUTES],
+      client
+    );
+  }
+
+  /** Record a search for `term`, which is lowercased and has its whitespace
+   * tidied up, so the same search counts the same; returns undefined. Blank
+   * terms aren't recorded. */
+
+  static async recordSearch(term, client = db) {
+    const normalized = String(term)
+      .toLowerCase()
+      .replace(/\s+/g, " ")
+      .trim()
+      .slice(0, MAX_TERM_LENGTH);
+    if (!normalized) return;
+
+    await record(
+      "search",
+      `INSERT INTO events (kind, term, username)
+       VALUES ('search', $1, $2)`,
+      [normalized, currentActor()],
+      client
+    );
+  }
+}
+
+/** Run the query recording an event of this kind, logging any error. */
+
+async function record(kind, query, values, client) {
+  try {
+    await client.query(query, values);
+  } catch (err) {
+    console.error(`Couldn't record ${kind} event:`, err.message);
+  }
+}
+
+Event.MAX_TERM_LENGTH = MAX_TERM_LENGTH;
+
+module.exports = Event;
@@ -0,0 +1,114 @@
+"use strict";
+
+const db = require("../db.js");
+const { JOB_VIEW_DEDUP_MINUTES } = require("../config");
+const { runAs } = require("../helpers/requestContext");
+const Event = require("./event.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon.js");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+let jobIds;
+
+beforeEach(async function () {
+  const result = await db.query(`SELECT id, title FROM jobs`);
+  jobIds = Object.fromEntries(result.rows.map((r) => [r.title, r.id]));
+});
+
+async function events() {
+  const result = await db.query(
+    `SELECT kind, job_id AS "jobId", term, username
+     FROM events
+     ORDER BY id`
+  );
+  return result.rows;
+}
+
+/************************************** recordJobView */
+
+describe("recordJobView", function () {
+  test("works, as whoever is making the request", async function () {
+    const jobId = jobIds.j1;
+    await Event.recordJobView(jobId);
+    await runAs("u1", () => Event.recordJobView(jobId));
+    expect(await events()).toEqual([
+      { kind: "job_view", jobId, term: null, username: null },
+      { kind: "job_view", jobId, term: null, username: "u1" },
+    ]);
+  });
+
+  test("works: once per user per job in the window", async function () {
+    await runAs("u1", async () => {
+      await Event.recordJobView(jobIds.j1, { fingerprint: "a" });
+      await Event.recordJobView(jobIds.j1, { fingerprint: "b" });
+      await Event.recordJobView(jobIds.j2);
+    });
+    await runAs("u2", () => Event.recordJobView(jobIds.j1));
+    expect((await events()).map((e) => [e.jobId, e.username])).toEqual([
+      [jobIds.j1, "u1"],
+      [jobIds.j2, "u1"],
+      [jobIds.j1, "u2"],
+    ]);
+  });
+
+  test("works: once per fingerprint when anonymous", async function () {
+    await Event.recordJobView(jobIds.j1, { fingerprint: "a" });
+    await Event.recordJobView(jobIds.j1, { fingerprint: "a" });
+    await Event.recordJobView(jobIds.j1, { fingerprint: "b" });
+    // without a fingerprint, there's no telling who it is
+    await Event.recordJobView(jobIds.j1);
+    await Event.recordJobView(jobIds.j1);
+    expect(await events()).toHaveLength(4);
+  });
+
+  test("works: again after the window", async function () {
+    await runAs("u1", () => Event.recordJobView(jobIds.j1));
+    await db.query(
+      `UPDATE events
+       SET created_at = NOW() - make_interval(mins => $1 + 1)`,
+      [JOB_VIEW_DEDUP_MINUTES]
+    );
+    await runAs("u1", () => Event.recordJobView(jobIds.j1));
+    expect(await events()).toHaveLength(2);
+  });
+
+  test("logs rather than throws on errors", async function () {
+    const spy = jest.spyOn(console, "error").mockImplementation(() => {});
+    try {
+      await Event.recordJobView(0);
+      expect(spy).toHaveBeenCalled();
+    } finally {
+      spy.mockRestore();
+    }
+  });
+});
+
+/************************************** recordSearch */
+
+describe("recordSearch", function () {
+  test("works, tidying up the term", async function () {
+    await Event.recordSearch("  Senior\n  ENGINEER ");
+    expect(await events()).toEqual([
+      { kind: "search", jobId: null, term: "senior engineer", username: null },
+    ]);
+  });
+
+  test("cuts long terms short", async function () {
+    await Event.recordSearch("x".repeat(Event.MAX_TERM_LENGTH + 10));
+    const [event] = await events();
+    expect(event.term).toEqual("x".repeat(Event.MAX_TERM_LENGTH));
+  });
+
+  test("skips blank terms", async function () {
+    await Event.recordSearch("  ");
+    expect(await events()).toEqual([]);
+  });
+});
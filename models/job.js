@@ -7,111 +7,732 @@ const {
   ExpressError,
 } = require("../expressError");
 const { sqlForPartialUpdate } = require("../helpers/sql");
+const {
+  sqlForSort,
+  encodeCursor,
+  decodeCursor,
+} = require("../helpers/pagination");
+const {
+  checkCurrency,
+  toAnnualBase,
+  sqlToAnnualBase,
+} = require("../helpers/currency");
+const { parseNear, parseRadius, sqlDistanceKm } = require("../helpers/geo");
+const { checkIfMatch } = require("../helpers/etag");
+const { checkUser } = require("../helpers/checks");
+const Audit = require("./audit");
+
+/** Columns returned for a job by create, findAll and update. */
+
+const JOB_COLUMNS = `id,
+                     title,
+                     salary,
+                     equity,
+                     company_handle,
+                     salary_min AS "salaryMin",
+                     salary_max AS "salaryMax",
+                     currency,
+                     pay_period AS "payPeriod",
+                     status,
+                     closes_at AS "closesAt",
+                     published_at AS "publishedAt",
+                     closed_at AS "closedAt",
+                     location_id AS "locationId",
+                     workplace,
+                     created_at AS "createdAt",
+                     updated_at AS "updatedAt"`;
+
+/** Every status a job posting can be in. */
+
+const STATUSES = ["draft", "published", "closed", "archived"];
+
+/** Where a job is worked: at its office, remotely, or a mix of both. */
+
+const WORKPLACES = ["onsite", "hybrid", "remote"];
+
+/** Legal status changes: status => [statuses it may move to].
+ *
+ * Closed jobs can be reopened; archived is final.
+ */
+
+const STATUS_TRANSITIONS = {
+  draft: ["published", "archived"],
+  published: ["closed", "archived"],
+  closed: ["published", "archived"],
+  archived: [],
+};
+
+/** How findPopular scores jobs: each view and application is worth its
+ * weight, halving every halfLifeDays, and those older than windowDays
+ * (worth little by then) aren't counted. */
+
+const POPULARITY = {
+  viewWeight: 1,
+  applicationWeight: 5,
+  halfLifeDays: 7,
+  windowDays: 28,
+};
+
+/** SQL that's true for jobs open to the public: published, not past their
+ * closing date and not deleted. Pass the alias the jobs table has in the
+ * query, if any. */
+
+function sqlIsOpen(alias = "jobs") {
+  return `(${alias}.status = 'published'
+           AND (${alias}.closes_at IS NULL OR ${alias}.closes_at > NOW())
+           AND ${alias}.deleted_at IS NULL)`;
+}
+
+/** Fields jobs can be sorted by => SQL column. */
+
+const SORTABLE = {
+  title: "title",
+  salary: "salary",
+  equity: "equity",
+  companyHandle: "company_handle",
+  id: "id",
+};
+
+/** Is a filter on, going by a boolean or, from a saved search, a string? */
+
+function isTrue(value) {
+  return value === true || value === "true";
+}
+
+function isFalse(value) {
+  return value === false || value === "false";
+}
+
+/** Parse a comma-separated list of skill names (or an array of them) into
+ * distinct lowercase names. */
+
+function toSkillNames(skills) {
+  const names = [].concat(skills).flatMap((s) => String(s).split(","));
+  return [...new Set(names.map((n) => n.trim().toLowerCase()))].filter(
+    (n) => n
+  );
+}
+
+/** Build the WHERE conditions (and their values) for job filters.
+ *
+ * Only open jobs match unless includeHidden is set, in which case they can
+ * be filtered on status instead. Deleted jobs never match.
+ *
+ * If the filters are near a point, distanceSql is the SQL for a job's
+ * distance in km from it (null for jobs with no office, or one with no
+ * coordinates).
+ */
+
+function jobFilters(queryParams, includeHidden = false) {
+  const conditions = [];
+  const values = [];
+
+  if (!includeHidden) {
+    conditions.push(sqlIsOpen());
+  } else {
+    conditions.push("deleted_at IS NULL");
+  }
+  if (includeHidden && queryParams.status) {
+    if (!STATUSES.includes(queryParams.status)) {
+      throw new BadRequestError(`Unknown status: ${queryParams.status}`);
+    }
+    values.push(queryParams.status);
+    conditions.push(`status = $${values.length}`);
+  }
+
+  // Check if a title filter is provided
+  if (queryParams.title) {
+    values.push(`%${queryParams.title}%`);
+    conditions.push(`title ILIKE $${values.length}`);
+  }
+  // Check if a full-text search is provided (title, company name and
+  // company description)
+  if (queryParams.q) {
+    values.push(queryParams.q);
+    conditions.push(
+      `(search_vector || (SELECT c.search_vector
+                          FROM companies AS c
+                          WHERE c.handle = jobs.company_handle))
+         @@ websearch_to_tsquery('english', $${values.length})`
+    );
+  }
+  // Check if a minSalary filter is provided
+  if (queryParams.minSalary) {
+    values.push(queryParams.minSalary);
+    conditions.push(`salary >= $${values.length}`);
+  }
+  // Check if a salary range is requested: it matches postings whose range
+  // overlaps it, once both are converted to yearly pay in the base currency.
+  // The requested range is in currency/payPeriod (default USD, yearly).
+  if (queryParams.salaryMin || queryParams.salaryMax) {
+    const currency = queryParams.currency || "USD";
+    const payPeriod = queryParams.payPeriod || "yearly";
+    checkCurrency(currency, payPeriod);
+
+    if (queryParams.salaryMin) {
+      values.push(
+        toAnnualBase(toAmount(queryParams.salaryMin), currency, payPeriod)
+      );
+      const postedMax = sqlToAnnualBase(
+        "COALESCE(salary_max, salary_min)",
+        "currency",
+        "pay_period"
+      );
+      conditions.push(`${postedMax} >= $${values.length}`);
+    }
+    if (queryParams.salaryMax) {
+      values.push(
+        toAnnualBase(toAmount(queryParams.salaryMax), currency, payPeriod)
+      );
+      const postedMin = sqlToAnnualBase("salary_min", "currency", "pay_period");
+      conditions.push(`${postedMin} <= $${values.length}`);
+    }
+  }
+  // Check if a equity filter is provided
+  if (isTrue(queryParams.equity)) {
+    // Only include entries with positive equity (non-zero amount of equity)
+    conditions.push(`equity > 0`);
+  }
+  // Check if a window of publishing times is provided
+  if (queryParams.publishedAfter) {
+    values.push(queryParams.publishedAfter);
+    conditions.push(`published_at > $${values.length}`);
+  }
+  if (queryParams.publishedBefore) {
+    values.push(queryParams.publishedBefore);
+    conditions.push(`published_at <= $${values.length}`);
+  }
+  // Check if only remote (or only not remote) jobs are wanted
+  if (isTrue(queryParams.remote)) {
+    conditions.push(`workplace = 'remote'`);
+  } else if (isFalse(queryParams.remote)) {
+    conditions.push(`workplace <> 'remote'`);
+  }
+  // Check if a city or country is provided: they're where the job's office is
+  if (queryParams.city) {
+    values.push(queryParams.city);
+    conditions.push(
+      `location_id IN (SELECT id
+                       FROM locations
+                       WHERE LOWER(city) = LOWER($${values.length}))`
+    );
+  }
+  if (queryParams.country) {
+    values.push(queryParams.country);
+    conditions.push(
+      `location_id IN (SELECT id
+                       FROM locations
+                       WHERE country = UPPER($${values.length}))`
+    );
+  }
+  // Check if a point is provided, to measure distances to the job's office
+  // from, and a radius around it that offices must be in
+  let distanceSql = null;
+  if (queryParams.near) {
+    const { latitude, longitude } = parseNear(queryParams.near);
+    values.push(latitude, longitude);
+    distanceSql = `(SELECT ${sqlDistanceKm(
+      "l.latitude",
+      "l.longitude",
+      `$${values.length - 1}`,
+      `$${values.length}`
+    )}
+                    FROM locations AS l
+                    WHERE l.id = jobs.location_id)`;
+  }
+  if (queryParams.radiusKm !== undefined) {
+    if (!distanceSql) throw new BadRequestError("radiusKm needs near");
+    values.push(parseRadius(queryParams.radiusKm));
+    conditions.push(`${distanceSql} <= $${values.length}`);
+  }
+  // Check if skills are provided: jobs needing all of them or, with
+  // skillMatch "any", at least one (required or nice to have, either way)
+  if (queryParams.skills) {
+    const names = toSkillNames(queryParams.skills);
+    const match = queryParams.skillMatch || "all";
+    if (match !== "all" && match !== "any") {
+      throw new BadRequestError(`skillMatch should be all or any: ${match}`);
+    }
+    values.push(names);
+    const matching = `(SELECT COUNT(*)
+                       FROM job_skills AS js
+                       JOIN skills AS s ON s.id = js.skill_id
+                       WHERE js.job_id = jobs.id
+                         AND LOWER(s.name) = ANY($${values.length}))`;
+    if (match === "any") {
+      conditions.push(`${matching} > 0`);
+    } else {
+      values.push(names.length);
+      conditions.push(`${matching} = $${values.length}`);
+    }
+  }
+
+  return { conditions, values, distanceSql };
+}
+
+/** Parse a salary amount from a query string.
+ *
+ * Throws BadRequestError if it isn't a non-negative number.
+ */
+
+function toAmount(value) {
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw new BadRequestError(`Not a salary amount: ${value}`);
+  }
+  return amount;
+}
+
+/** Check a salary range and its currency/pay period make sense.
+ *
+ * Throws BadRequestError if not.
+ */
+
+function checkSalaryRange({ salaryMin, salaryMax, currency, payPeriod }) {
+  checkCurrency(currency, payPeriod);
+  if (salaryMin != null && salaryMax != null && salaryMin > salaryMax) {
+    throw new BadRequestError("salaryMin can't be more than salaryMax");
+  }
+}
+
+/** Throws BadRequestError unless locationId is one of the company's offices
+ * (or null, for none). */
+
+async function checkLocation(locationId, handle, client) {
+  if (locationId === null) return;
+  const result = await client.query(
+    `SELECT id FROM locations WHERE id = $1 AND company_handle = $2`,
+    [locationId, handle]
+  );
+  if (!result.rows[0]) {
+    throw new BadRequestError(`No location of ${handle}: ${locationId}`);
+  }
+}
+
+/** SQL to SET the timestamps that go with moving to `status`. */
+
+function sqlForStatusTimestamps(status) {
+  if (status === "published") return ", published_at = NOW(), closed_at = NULL";
+  if (status === "closed") return ", closed_at = NOW()";
+  return "";
+}
 
 /** Related functions for jobs. */
 
 class Job {
+  /** Can a job move from status `fromStatus` to `toStatus`? */
+
+  static canTransition(fromStatus, toStatus) {
+    return (STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
   /** Create a job (from data), update db, return new job data.
    *
-   * data should be { title, salary, equity, company_handle }
+   * data should be { title, salary, equity, company_handle } and may have
+   * { salaryMin, salaryMax, currency, payPeriod } (currency defaults to USD,
+   * payPeriod to yearly; with no range given, it's just the salary),
+   * { status, closesAt } (status is draft or, by default, published), and
+   * { locationId, workplace } (one of the company's offices, and onsite (the
+   * default), hybrid or remote)
    *
-   * Returns { id, title, salary, equity, company_handle }
+   * Returns { id, title, salary, equity, company_handle, salaryMin,
+   *   salaryMax, currency, payPeriod, status, closesAt, publishedAt,
+   *   closedAt, locationId, workplace, createdAt, updatedAt }
    *
-   * Throws BadRequestError if duplicate.
+   * Throws NotFoundError if the company doesn't exist (or is deleted), and
+   * BadRequestError if duplicate, the salary range is invalid, the status
+   * isn't draft or published, or the location isn't the company's.
    *
    * */
 
-  static async create({ title, salary, equity, company_handle }) {
-    // Check for duplicates
-    const dupCheck = await db.query(
-      `SELECT * FROM jobs WHERE title = $1 AND salary=$2 AND equity=$3 AND company_handle = $4`,
-      [title, salary, equity, company_handle]
-    );
-    if (dupCheck.rows.length > 0) {
-      throw new BadRequestError("Duplicate job posting for this company.");
+  static async create(
+    {
+      title,
+      salary = null,
+      equity,
+      company_handle,
+      salaryMin,
+      salaryMax,
+      currency = "USD",
+      payPeriod = "yearly",
+      status = "published",
+      closesAt = null,
+      locationId = null,
+      workplace = "onsite",
+    },
+    client = db
+  ) {
+    if (salaryMin === undefined && salaryMax === undefined) {
+      salaryMin = salaryMax = salary;
+    }
+    checkSalaryRange({ salaryMin, salaryMax, currency, payPeriod });
+    if (status !== "draft" && status !== "published") {
+      throw new BadRequestError(`Jobs can't start as: ${status}`);
+    }
+    if (!WORKPLACES.includes(workplace)) {
+      throw new BadRequestError(`Unknown workplace: ${workplace}`);
     }
 
-    // create new job
-    const result = await db.query(
-      `INSERT INTO jobs
-           (title, salary, equity, company_handle)
-           VALUES ($1, $2, $3, $4)
-           RETURNING id, title, salary, equity, company_handle`,
-      [title, salary, equity, company_handle]
-    );
-    const job = result.rows[0];
-    return job;
+    return db.withTransaction(async (tx) => {
+      const companyCheck = await tx.query(
+        `SELECT handle
+         FROM companies
+         WHERE handle = $1 AND deleted_at IS NULL`,
+        [company_handle]
+      );
+      if (!companyCheck.rows[0]) {
+        throw new NotFoundError(`No company: ${company_handle}`);
+      }
+      await checkLocation(locationId, company_handle, tx);
+
+      // Check for duplicates
+      const dupCheck = await tx.query(
+        `SELECT id
+         FROM jobs
+         WHERE title = $1
+           AND salary IS NOT DISTINCT FROM $2
+           AND equity = $3
+           AND company_handle = $4
+           AND deleted_at IS NULL`,
+        [title, salary, equity, company_handle]
+      );
+      if (dupCheck.rows.length > 0) {
+        throw new BadRequestError("Duplicate job posting for this company.");
+      }
+
+      // create new job
+      const result = await tx.query(
+        `INSERT INTO jobs
+             (title, salary, equity, company_handle,
+              salary_min, salary_max, currency, pay_period,
+              status, closes_at, location_id, workplace, published_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12,
+                     CASE WHEN $9 = 'published' THEN NOW() END)
+             RETURNING ${JOB_COLUMNS}`,
+        [
+          title,
+          salary,
+          equity,
+          company_handle,
+          salaryMin,
+          salaryMax,
+          currency,
+          payPeriod,
+          status,
+          closesAt,
+          locationId,
+          workplace,
+        ]
+      );
+      const job = result.rows[0];
+
+      await Audit.record(
+        { action: "create", entityType: "job", entityId: job.id, after: job },
+        tx
+      );
+
+      return job;
+    }, client);
   }
 
   /** Find all jobs.
    *
-   * Returns [{ id, title, salary, equity, company_handle }, ...]
+   * queryParams can filter on { title, q, minSalary, equity } (q is a
+   * full-text search of the title and the company's name and description),
+   * on a salary range { salaryMin, salaryMax, currency, payPeriod } (matched
+   * against posted ranges after converting both to yearly pay in the base
+   * currency), on when they were last published { publishedAfter,
+   * publishedBefore } (after exclusive, before inclusive), on where they're
+   * worked { remote, city, country } (city and country are the office's;
+   * remote is true for only remote jobs, false for none), on distance from
+   * a point { near, radiusKm } (near is "latitude,longitude"; radiusKm needs
+   * it), on skills { skills, skillMatch } (skills is a comma-separated list
+   * of names; jobs need all of them or, if skillMatch is "any", at least
+   * one), and page through results with { sort, limit, offset } (sort is a
+   * comma-separated list of title, salary, equity, companyHandle, id, and
+   * with near, distanceKm; prefix "-" for descending).
+   *
+   * With near, each job has its distanceKm from it (null if its office has
+   * no coordinates, or it has no office), and they're nearest first unless
+   * sorted otherwise.
+   *
+   * Only jobs open to the public are found, unless includeHidden is set
+   * (for admins), when queryParams can also filter on { status }.
+   *
+   * Returns [{ id, title, salary, equity, company_handle, salaryMin,
+   *   salaryMax, currency, payPeriod, status, closesAt, publishedAt,
+   *   closedAt, locationId, workplace, createdAt, updatedAt, distanceKm? },
+   *   ...]
    *
    * */
 
-  static async findAll({ queryParams }) {
+  static async findAll(
+    { queryParams = {}, includeHidden = false } = {},
+    client = db
+  ) {
+    const { conditions, values, distanceSql } = jobFilters(
+      queryParams,
+      includeHidden
+    );
+    const orderBy = distanceSql
+      ? sqlForSort(
+          queryParams.sort,
+          { ...SORTABLE, distanceKm: `"distanceKm"` },
+          "distanceKm"
+        )
+      : sqlForSort(queryParams.sort, SORTABLE, "title");
+
     // Start building the query string
-    let query = `SELECT id, title, salary, equity, company_handle FROM jobs`;
+    let query = distanceSql
+      ? `SELECT ${JOB_COLUMNS}, ${distanceSql} AS "distanceKm" FROM jobs`
+      : `SELECT ${JOB_COLUMNS} FROM jobs`;
 
-    let conditions = [];
-    const values = [];
+    // Append WHERE clause if there are any conditions
+    if (conditions.length > 0) {
+      query += ` WHERE ${conditions.join(" AND ")}`;
+    }
+    // Append ORDER BY clause; id breaks ties so pages are stable
+    query += ` ORDER BY ${orderBy}, id`;
 
-    // Check if a title filter is provided
-    if (queryParams.title) {
-      values.push(`%${queryParams.title}%`);
-      conditions.push(`title ILIKE $${values.length}`);
+    if (queryParams.limit !== undefined) {
+      values.push(queryParams.limit);
+      query += ` LIMIT $${values.length}`;
     }
-    // Check if a minSalary filter is provided
-    if (queryParams.minSalary) {
-      values.push(queryParams.minSalary);
-      conditions.push(`salary >= $${values.length}`);
+    if (queryParams.offset !== undefined) {
+      values.push(queryParams.offset);
+      query += ` OFFSET $${values.length}`;
     }
-    // Check if a equity filter is provided
-    if (queryParams.equity && queryParams.equity === "true") {
-      // Only include entries with positive equity (non-zero amount of equity)
-      conditions.push(`equity > 0`);
+
+    const jobsRes = await client.query(query, values);
+    return jobsRes.rows;
+  }
+
+  /** Find the open jobs of the companies a user follows, most recently
+   * posted or changed first, a page at a time: cursor (from the last page's
+   * nextCursor) is where to carry on from, and limit how many to return.
+   *
+   * Returns { jobs, nextCursor }
+   *   where jobs is [{ id, title, salary, equity, company_handle, salaryMin,
+   *     salaryMax, currency, payPeriod, status, closesAt, publishedAt,
+   *     closedAt, locationId, workplace, createdAt, updatedAt }, ...]
+   *   and nextCursor is null on the last page
+   *
+   * Throws NotFoundError if the user doesn't exist, and BadRequestError if
+   * the cursor is invalid.
+   **/
+
+  static async findFeed(username, { cursor, limit = 20 } = {}, client = db) {
+    await checkUser(username, client);
+
+    // one more than asked for, to tell if there's another page
+    const values = [username, limit + 1];
+    let after = "";
+    if (cursor) {
+      const [updatedAt, id] = decodeCursor(cursor, 2);
+      if (isNaN(Date.parse(updatedAt)) || !Number.isInteger(id)) {
+        throw new BadRequestError("Invalid cursor");
+      }
+      values.push(updatedAt, id);
+      after = `AND (updated_at, id) < ($3::timestamptz, $4)`;
     }
 
-    // Append WHERE clause if there are any conditions
+    // the timestamp goes in the cursor as text, keeping its microseconds
+    const result = await client.query(
+      `SELECT ${JOB_COLUMNS}, updated_at::text AS "cursorAt"
+       FROM jobs
+       WHERE company_handle IN (SELECT company_handle
+                                FROM company_follows
+                                WHERE username = $1)
+         AND ${sqlIsOpen()}
+         ${after}
+       ORDER BY updated_at DESC, id DESC
+       LIMIT $2`,
+      values
+    );
+
+    const rows = result.rows.slice(0, limit);
+    const jobs = rows.map(({ cursorAt, ...job }) => job);
+    const last = rows[rows.length - 1];
+    const nextCursor =
+      result.rows.length > limit
+        ? encodeCursor([last.cursorAt, last.id])
+        : null;
+
+    return { jobs, nextCursor };
+  }
+
+  /** Find the open jobs viewed and applied for most lately, scored by
+   * their recent views and applications (see POPULARITY), best first.
+   * Jobs with neither aren't listed.
+   *
+   * Returns [{ id, title, salary, equity, company_handle, salaryMin,
+   *   salaryMax, currency, payPeriod, status, closesAt, publishedAt,
+   *   closedAt, locationId, workplace, createdAt, updatedAt, score }, ...]
+   **/
+
+  static async findPopular({ limit = 20 } = {}, client = db) {
+    const { viewWeight, applicationWeight, halfLifeDays, windowDays } =
+      POPULARITY;
+
+    const result = await client.query(
+      `SELECT ${JOB_COLUMNS}, s.score
+       FROM jobs
+       JOIN (SELECT a.job_id,
+                    SUM(a.weight * power(0.5,
+                        EXTRACT(EPOCH FROM NOW() - a.created_at)
+                        / ($3 * 86400))) AS score
+             FROM (SELECT job_id, $1::float AS weight, created_at
+                   FROM events
+                   WHERE kind = 'job_view'
+                     AND created_at > NOW() - make_interval(days => $4)
+                   UNION ALL
+                   SELECT job_id, $2::float, created_at
+                   FROM applications
+                   WHERE created_at > NOW() - make_interval(days => $4))
+                  AS a
+             GROUP BY a.job_id) AS s
+         ON s.job_id = jobs.id
+       WHERE ${sqlIsOpen()}
+       ORDER BY s.score DESC, jobs.id
+       LIMIT $5`,
+      [viewWeight, applicationWeight, halfLifeDays, windowDays, limit]
+    );
+
+    return result.rows.map((job) => ({
+      ...job,
+      score: Math.round(job.score * 1000) / 1000,
+    }));
+  }
+
+  /** Count the jobs matching the filters in queryParams (the same filters
+   * as findAll; sort and paging are ignored).
+   *
+   * Returns a number.
+   * */
+
+  static async count(
+    { queryParams = {}, includeHidden = false } = {},
+    client = db
+  ) {
+    const { conditions, values } = jobFilters(queryParams, includeHidden);
+
+    let query = `SELECT COUNT(*) AS "total" FROM jobs`;
     if (conditions.length > 0) {
       query += ` WHERE ${conditions.join(" AND ")}`;
     }
-    // Append ORDER BY clause
-    query += ` ORDER BY title`;
 
-    const jobsRes = await db.query(query, values);
-    return jobsRes.rows;
+    const countRes = await client.query(query, values);
+    return Number(countRes.rows[0].total);
   }
 
   /** Given a job id, return data about jobs.
    *
-   * Returns { id, title, salary, equity, companies }
-   *   where companies is [{ handle, name, description, numEmployees, logoUrl }, ...]
+   * Returns { id, title, salary, equity, salaryMin, salaryMax, currency,
+   *   payPeriod, status, closesAt, publishedAt, closedAt, workplace,
+   *   createdAt, updatedAt, location, companies }
+   *   where location is { id, name, address, city, region, country,
+   *     latitude, longitude } (or null, with no office)
+   *   and companies is [{ handle, name, description, numEmployees, logoUrl }, ...]
    *
-   * Throws NotFoundError if not found.
+   * With includeViews (for admins and the company's members), it also has
+   * views: how many times it's been viewed (see Event.recordJobView).
+   *
+   * Throws NotFoundError if not found or deleted, or if it isn't open to the
+   * public and includeHidden (for admins) isn't set.
    **/
 
-  static async get(idData) {
-    const jobRes = await db.query(
-      `SELECT j.id, j.title, j.salary, j.equity, c.handle, c.name, c.description, c.num_employees, c.logo_url
+  static async get(
+    idData,
+    { includeHidden = false, includeViews = false } = {},
+    client = db
+  ) {
+    const jobRes = await client.query(
+      `SELECT j.id, j.title, j.salary, j.equity,
+              j.salary_min AS "salaryMin", j.salary_max AS "salaryMax",
+              j.currency, j.pay_period AS "payPeriod",
+              j.status, j.closes_at AS "closesAt",
+              j.published_at AS "publishedAt", j.closed_at AS "closedAt",
+              j.workplace, j.created_at AS "createdAt",
+              j.updated_at AS "updatedAt",
+              CASE WHEN $3 THEN (SELECT COUNT(*)
+                                 FROM events AS e
+                                 WHERE e.kind = 'job_view'
+                                   AND e.job_id = j.id)
+              END AS views,
+              l.id AS "locationId", l.name AS "locationName", l.address,
+              l.city, l.region, l.country, l.latitude, l.longitude,
+              c.handle, c.name, c.description, c.num_employees, c.logo_url
            FROM jobs as j
            LEFT JOIN companies as c
            ON j.company_handle = c.handle
-           WHERE id = $1`,
-      [idData]
+           LEFT JOIN locations as l
+           ON j.location_id = l.id
+           WHERE j.id = $1
+             AND j.deleted_at IS NULL
+             AND ($2 OR ${sqlIsOpen("j")})`,
+      [idData, includeHidden, includeViews]
     );
 
     if (jobRes.rows.length === 0)
       throw new NotFoundError(`No job found: ${idData}`);
 
-    const { id, title, salary, equity } = jobRes.rows[0];
+    const {
+      id,
+      title,
+      salary,
+      equity,
+      salaryMin,
+      salaryMax,
+      currency,
+      payPeriod,
+      status,
+      closesAt,
+      publishedAt,
+      closedAt,
+      workplace,
+      createdAt,
+      updatedAt,
+      views,
+      locationId,
+      locationName,
+      address,
+      city,
+      region,
+      country,
+      latitude,
+      longitude,
+    } = jobRes.rows[0];
     const job = {
       id: id,
       title: title,
       salary: salary,
       equity: equity,
+      salaryMin: salaryMin,
+      salaryMax: salaryMax,
+      currency: currency,
+      payPeriod: payPeriod,
+      status: status,
+      closesAt: closesAt,
+      publishedAt: publishedAt,
+      closedAt: closedAt,
+      workplace: workplace,
+      createdAt: createdAt,
+      updatedAt: updatedAt,
+      location: locationId
+        ? {
+            id: locationId,
+            name: locationName,
+            address: address,
+            city: city,
+            region: region,
+            country: country,
+            latitude: latitude,
+            longitude: longitude,
+          }
+        : null,
       companies: [],
     };
+    if (includeViews) job.views = Number(views);
 
     jobRes.rows.forEach((row) => {
       if (row.handle) {
@@ -128,55 +749,294 @@ class Job {
     return job;
   }
 
+  /** Given a job id, return the handle of the company that posted it.
+   *
+   * Throws NotFoundError if not found or deleted.
+   **/
+
+  static async getCompanyHandle(id, client = db) {
+    const result = await client.query(
+      `SELECT company_handle FROM jobs WHERE id = $1 AND deleted_at IS NULL`,
+      [id]
+    );
+    if (!result.rows[0]) throw new NotFoundError(`No job found: ${id}`);
+    return result.rows[0].company_handle;
+  }
+
   /** Update job data with `data`.
    *
    * This is a "partial update" --- it's fine if data doesn't contain all the
    * fields; this only changes provided ones.
    *
-   * Data can include: {title, salary, equity}
+   * Data can include: {title, salary, equity, salaryMin, salaryMax, currency,
+   *   payPeriod, status, closesAt, locationId, workplace}
+   *
+   * A salary without salaryMin or salaryMax sets both to it, as in create.
+   *
+   * Changing status stamps publishedAt (when published, or reopened) or
+   * closedAt (when closed).
+   *
+   * ifMatch is the request's If-Match header, if any: the job is only
+   * changed if it's still the version that names (see helpers/etag.js).
    *
-   * Returns {id, title, salary, equity, company_handle}
+   * Returns {id, title, salary, equity, company_handle, salaryMin, salaryMax,
+   *   currency, payPeriod, status, closesAt, publishedAt, closedAt,
+   *   locationId, workplace, createdAt, updatedAt}
    *
-   * Throws NotFoundError if not found.
+   * Throws NotFoundError if not found, BadRequestError if the salary range
+   * would end up invalid, the job can't move to the new status or the
+   * location isn't one of the company's offices, and PreconditionFailedError
+   * if ifMatch doesn't match.
    */
 
-  static async update(id, data) {
+  static async update(id, data, { ifMatch } = {}, client = db) {
+    // as in create, a salary on its own is the range too
+    if (
+      data.salary !== undefined &&
+      data.salaryMin === undefined &&
+      data.salaryMax === undefined
+    ) {
+      data = { ...data, salaryMin: data.salary, salaryMax: data.salary };
+    }
+    checkSalaryRange({
+      salaryMin: data.salaryMin,
+      salaryMax: data.salaryMax,
+      currency: data.currency || "USD",
+      payPeriod: data.payPeriod || "yearly",
+    });
+    if (data.workplace !== undefined && !WORKPLACES.includes(data.workplace)) {
+      throw new BadRequestError(`Unknown workplace: ${data.workplace}`);
+    }
+
     const { setCols, values } = sqlForPartialUpdate(data, {
       title: "title",
       salary: "salary",
       equity: "equity",
+      salaryMin: "salary_min",
+      salaryMax: "salary_max",
+      currency: "currency",
+      payPeriod: "pay_period",
+      closesAt: "closes_at",
+      locationId: "location_id",
     });
     const idVarIdx = "$" + (values.length + 1);
 
-    const querySql = `UPDATE jobs 
-                      SET ${setCols} 
-                      WHERE id = ${idVarIdx} 
-                      RETURNING id, title, salary, equity, company_handle`;
-    const result = await db.query(querySql, [...values, id]);
-    const company = result.rows[0];
+    return db.withTransaction(async (tx) => {
+      // lock the row so concurrent changes can't both pass the status check
+      const beforeRes = await tx.query(
+        `SELECT ${JOB_COLUMNS}
+         FROM jobs
+         WHERE id = $1 AND deleted_at IS NULL
+         FOR UPDATE`,
+        [id]
+      );
+      const before = beforeRes.rows[0];
+      if (!before) throw new NotFoundError(`No job: ${id}`);
+      checkIfMatch(ifMatch, before.updatedAt, `Job ${id}`);
+      if (data.locationId !== undefined) {
+        await checkLocation(data.locationId, before.company_handle, tx);
+      }
 
-    if (!company) throw new NotFoundError(`No company: ${id}`);
+      let timestampCols = "";
+      if (data.status !== undefined) {
+        const fromStatus = before.status;
+        if (fromStatus !== data.status) {
+          if (!Job.canTransition(fromStatus, data.status)) {
+            throw new BadRequestError(
+              `Can't move job from ${fromStatus} to ${data.status}`
+            );
+          }
+          timestampCols = sqlForStatusTimestamps(data.status);
+        }
+      }
 
-    return company;
+      const querySql = `UPDATE jobs 
+                        SET ${setCols}${timestampCols} 
+                        WHERE id = ${idVarIdx} 
+                        RETURNING ${JOB_COLUMNS}`;
+      let result;
+      try {
+        result = await tx.query(querySql, [...values, id]);
+      } catch (err) {
+        // the other end of the range is already in the db
+        if (err.constraint === "jobs_salary_range_check") {
+          throw new BadRequestError("salaryMin can't be more than salaryMax");
+        }
+        throw err;
+      }
+      const job = result.rows[0];
+
+      await Audit.record(
+        {
+          action: "update",
+          entityType: "job",
+          entityId: id,
+          before,
+          after: job,
+        },
+        tx
+      );
+
+      return job;
+    }, client);
   }
 
-  /** Delete given company from database; returns undefined.
+  /** Delete given job; returns undefined.
    *
-   * Throws NotFoundError if company not found.
+   * The job is only hidden (its applications are kept) until it's restored
+   * or purged.
+   *
+   * Throws NotFoundError if job not found.
    **/
 
-  static async remove(id) {
-    const result = await db.query(
-      `DELETE
-           FROM jobs
-           WHERE id = $1
-           RETURNING id`,
-      [id]
+  static async remove(id, client = db) {
+    return db.withTransaction(async (tx) => {
+      const result = await tx.query(
+        `UPDATE jobs
+         SET deleted_at = NOW()
+         WHERE id = $1 AND deleted_at IS NULL
+         RETURNING ${JOB_COLUMNS}`,
+        [id]
+      );
+      const job = result.rows[0];
+
+      if (!job) throw new NotFoundError(`No job: ${id}`);
+
+      await Audit.record(
+        { action: "delete", entityType: "job", entityId: id, before: job },
+        tx
+      );
+    }, client);
+  }
+
+  /** Delete all of a company's jobs, as part of deleting the company;
+   * returns undefined. */
+
+  static async removeAllForCompany(handle, client = db) {
+    const result = await client.query(
+      `UPDATE jobs
+       SET deleted_at = NOW()
+       WHERE company_handle = $1 AND deleted_at IS NULL
+       RETURNING ${JOB_COLUMNS}`,
+      [handle]
+    );
+
+    for (const job of result.rows) {
+      await Audit.record(
+        { action: "delete", entityType: "job", entityId: job.id, before: job },
+        client
+      );
+    }
+  }
+
+  /** Bring back the jobs that were deleted along with a company (those
+   * deleted when it was), before restoring the company; returns undefined. */
+
+  static async restoreAllForCompany(handle, client = db) {
+    const result = await client.query(
+      `UPDATE jobs
+       SET deleted_at = NULL
+       WHERE company_handle = $1
+         AND deleted_at = (SELECT deleted_at
+                           FROM companies
+                           WHERE handle = $1)
+       RETURNING ${JOB_COLUMNS}`,
+      [handle]
     );
-    const company = result.rows[0];
 
-    if (!company) throw new NotFoundError(`No company: ${id}`);
+    for (const job of result.rows) {
+      await Audit.record(
+        { action: "restore", entityType: "job", entityId: job.id, after: job },
+        client
+      );
+    }
+  }
+
+  /** Bring back a deleted job.
+   *
+   * Returns { id, title, salary, equity, company_handle, salaryMin,
+   *   salaryMax, currency, payPeriod, status, closesAt, publishedAt,
+   *   closedAt, locationId, workplace, createdAt, updatedAt }
+   *
+   * Throws NotFoundError if there's no deleted job with this id, and
+   * BadRequestError if its company is deleted too (restore that instead).
+   **/
+
+  static async restore(id, client = db) {
+    return db.withTransaction(async (tx) => {
+      const deletedRes = await tx.query(
+        `SELECT j.company_handle, c.deleted_at IS NOT NULL AS "companyDeleted"
+         FROM jobs AS j
+         JOIN companies AS c ON c.handle = j.company_handle
+         WHERE j.id = $1 AND j.deleted_at IS NOT NULL
+         FOR UPDATE OF j`,
+        [id]
+      );
+      const deleted = deletedRes.rows[0];
+
+      if (!deleted) throw new NotFoundError(`No deleted job: ${id}`);
+      if (deleted.companyDeleted) {
+        throw new BadRequestError(
+          `Company ${deleted.company_handle} is deleted: restore it instead`
+        );
+      }
+
+      const result = await tx.query(
+        `UPDATE jobs
+         SET deleted_at = NULL
+         WHERE id = $1
+         RETURNING ${JOB_COLUMNS}`,
+        [id]
+      );
+      const job = result.rows[0];
+
+      await Audit.record(
+        { action: "restore", entityType: "job", entityId: id, after: job },
+        tx
+      );
+
+      return job;
+    }, client);
+  }
+
+  /** Permanently remove a deleted job, and its applications; returns
+   * undefined.
+   *
+   * Throws NotFoundError if job not found, and BadRequestError if it hasn't
+   * been deleted first.
+   **/
+
+  static async purge(id, client = db) {
+    return db.withTransaction(async (tx) => {
+      const result = await tx.query(
+        `SELECT ${JOB_COLUMNS}, deleted_at IS NOT NULL AS "deleted"
+         FROM jobs
+         WHERE id = $1
+         FOR UPDATE`,
+        [id]
+      );
+      if (!result.rows[0]) throw new NotFoundError(`No job: ${id}`);
+
+      const { deleted, ...job } = result.rows[0];
+      if (!deleted) {
+        throw new BadRequestError(`Job ${id} must be deleted before purging`);
+      }
+
+      await tx.query(`DELETE FROM jobs WHERE id = $1`, [id]);
+
+      await Audit.record(
+        { action: "purge", entityType: "job", entityId: id, before: job },
+        tx
+      );
+    }, client);
   }
 }
 
+Job.STATUSES = STATUSES;
+Job.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+Job.WORKPLACES = WORKPLACES;
+Job.POPULARITY = POPULARITY;
+Job.sqlIsOpen = sqlIsOpen;
+Job.COLUMNS = JOB_COLUMNS;
+
 module.exports = Job;
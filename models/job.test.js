@@ -1,8 +1,17 @@
 "use strict";
 
 const db = require("../db.js");
-const { BadRequestError, NotFoundError } = require("../expressError.js");
+const {
+  BadRequestError,
+  NotFoundError,
+  PreconditionFailedError,
+} = require("../expressError.js");
+const { etagFor } = require("../helpers/etag");
 const Job = require("./job.js");
+const Location = require("./location.js");
+const Skill = require("./skill.js");
+const CompanyFollow = require("./companyFollow.js");
+const Application = require("./application.js");
 const {
   commonBeforeAll,
   commonBeforeEach,
@@ -31,6 +40,18 @@ describe("create", function () {
       id: expect.any(Number),
       title: "new",
       salary: 123,
+      salaryMin: 123,
+      salaryMax: 123,
+      currency: "USD",
+      payPeriod: "yearly",
+      status: "published",
+      closesAt: null,
+      publishedAt: expect.any(Date),
+      closedAt: null,
+      locationId: null,
+      workplace: "onsite",
+      createdAt: expect.any(Date),
+      updatedAt: expect.any(Date),
       equity: "1",
       company_handle: "c1",
     });
@@ -50,6 +71,79 @@ describe("create", function () {
     ]);
   });
 
+  test("works: salary range, currency and pay period", async function () {
+    const job = await Job.create({
+      title: "contract",
+      equity: 0,
+      company_handle: "c1",
+      salaryMin: 40,
+      salaryMax: 60,
+      currency: "EUR",
+      payPeriod: "hourly",
+    });
+    expect(job).toEqual({
+      id: expect.any(Number),
+      title: "contract",
+      salary: null,
+      salaryMin: 40,
+      salaryMax: 60,
+      currency: "EUR",
+      payPeriod: "hourly",
+      status: "published",
+      closesAt: null,
+      publishedAt: expect.any(Date),
+      closedAt: null,
+      locationId: null,
+      workplace: "onsite",
+      createdAt: expect.any(Date),
+      updatedAt: expect.any(Date),
+      equity: "0",
+      company_handle: "c1",
+    });
+  });
+
+  test("bad request with salaryMin over salaryMax", async function () {
+    try {
+      await Job.create({ ...newJob, salaryMin: 200, salaryMax: 100 });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request with unknown currency", async function () {
+    try {
+      await Job.create({ ...newJob, currency: "XYZ" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("works: draft", async function () {
+    const job = await Job.create({
+      ...newJob,
+      status: "draft",
+      closesAt: "2030-01-01T00:00:00Z",
+    });
+    expect(job).toEqual(
+      expect.objectContaining({
+        status: "draft",
+        closesAt: new Date("2030-01-01T00:00:00Z"),
+        publishedAt: null,
+      })
+    );
+  });
+
+  test("bad request with a status jobs can't start in", async function () {
+    try {
+      await Job.create({ ...newJob, status: "closed" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
   test("bad request with dupe", async function () {
     try {
       await Job.create(newJob);
@@ -59,6 +153,52 @@ describe("create", function () {
       expect(err instanceof BadRequestError).toBeTruthy();
     }
   });
+
+  test("not found if the company is deleted", async function () {
+    await db.query("UPDATE companies SET deleted_at = NOW() WHERE handle='c1'");
+    try {
+      await Job.create(newJob);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("works: at an office, hybrid", async function () {
+    const office = await Location.create("c1", {
+      city: "Boston",
+      country: "US",
+    });
+    const job = await Job.create({
+      ...newJob,
+      locationId: office.id,
+      workplace: "hybrid",
+    });
+    expect(job.locationId).toEqual(office.id);
+    expect(job.workplace).toEqual("hybrid");
+  });
+
+  test("bad request with another company's office", async function () {
+    const office = await Location.create("c2", {
+      city: "Boston",
+      country: "US",
+    });
+    try {
+      await Job.create({ ...newJob, locationId: office.id });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request with unknown workplace", async function () {
+    try {
+      await Job.create({ ...newJob, workplace: "moon" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
 });
 
 /************************************** findAll */
@@ -72,6 +212,18 @@ describe("findAll", function () {
         equity: "0",
         id: expect.any(Number),
         salary: 10,
+        salaryMin: 10,
+        salaryMax: 10,
+        currency: "USD",
+        payPeriod: "yearly",
+        status: "published",
+        closesAt: null,
+        publishedAt: expect.any(Date),
+        closedAt: null,
+        locationId: null,
+        workplace: "onsite",
+        createdAt: expect.any(Date),
+        updatedAt: expect.any(Date),
         title: "j1",
       },
       {
@@ -79,6 +231,18 @@ describe("findAll", function () {
         equity: "1",
         id: expect.any(Number),
         salary: 20,
+        salaryMin: 20,
+        salaryMax: 20,
+        currency: "USD",
+        payPeriod: "yearly",
+        status: "published",
+        closesAt: null,
+        publishedAt: expect.any(Date),
+        closedAt: null,
+        locationId: null,
+        workplace: "onsite",
+        createdAt: expect.any(Date),
+        updatedAt: expect.any(Date),
         title: "j2",
       },
       {
@@ -86,6 +250,18 @@ describe("findAll", function () {
         equity: "1",
         id: expect.any(Number),
         salary: 30,
+        salaryMin: 30,
+        salaryMax: 30,
+        currency: "USD",
+        payPeriod: "yearly",
+        status: "published",
+        closesAt: null,
+        publishedAt: expect.any(Date),
+        closedAt: null,
+        locationId: null,
+        workplace: "onsite",
+        createdAt: expect.any(Date),
+        updatedAt: expect.any(Date),
         title: "j3",
       },
     ]);
@@ -98,6 +274,18 @@ describe("findAll", function () {
         equity: "1",
         id: expect.any(Number),
         salary: 20,
+        salaryMin: 20,
+        salaryMax: 20,
+        currency: "USD",
+        payPeriod: "yearly",
+        status: "published",
+        closesAt: null,
+        publishedAt: expect.any(Date),
+        closedAt: null,
+        locationId: null,
+        workplace: "onsite",
+        createdAt: expect.any(Date),
+        updatedAt: expect.any(Date),
         title: "j2",
       },
       {
@@ -105,6 +293,18 @@ describe("findAll", function () {
         equity: "1",
         id: expect.any(Number),
         salary: 30,
+        salaryMin: 30,
+        salaryMax: 30,
+        currency: "USD",
+        payPeriod: "yearly",
+        status: "published",
+        closesAt: null,
+        publishedAt: expect.any(Date),
+        closedAt: null,
+        locationId: null,
+        workplace: "onsite",
+        createdAt: expect.any(Date),
+        updatedAt: expect.any(Date),
         title: "j3",
       },
     ]);
@@ -117,6 +317,18 @@ describe("findAll", function () {
         equity: "0",
         id: expect.any(Number),
         salary: 10,
+        salaryMin: 10,
+        salaryMax: 10,
+        currency: "USD",
+        payPeriod: "yearly",
+        status: "published",
+        closesAt: null,
+        publishedAt: expect.any(Date),
+        closedAt: null,
+        locationId: null,
+        workplace: "onsite",
+        createdAt: expect.any(Date),
+        updatedAt: expect.any(Date),
         title: "j1",
       },
       {
@@ -124,6 +336,18 @@ describe("findAll", function () {
         equity: "1",
         id: expect.any(Number),
         salary: 20,
+        salaryMin: 20,
+        salaryMax: 20,
+        currency: "USD",
+        payPeriod: "yearly",
+        status: "published",
+        closesAt: null,
+        publishedAt: expect.any(Date),
+        closedAt: null,
+        locationId: null,
+        workplace: "onsite",
+        createdAt: expect.any(Date),
+        updatedAt: expect.any(Date),
         title: "j2",
       },
       {
@@ -131,6 +355,18 @@ describe("findAll", function () {
         equity: "1",
         id: expect.any(Number),
         salary: 30,
+        salaryMin: 30,
+        salaryMax: 30,
+        currency: "USD",
+        payPeriod: "yearly",
+        status: "published",
+        closesAt: null,
+        publishedAt: expect.any(Date),
+        closedAt: null,
+        locationId: null,
+        workplace: "onsite",
+        createdAt: expect.any(Date),
+        updatedAt: expect.any(Date),
         title: "j3",
       },
     ]);
@@ -145,6 +381,18 @@ describe("findAll", function () {
         equity: "1",
         id: expect.any(Number),
         salary: 30,
+        salaryMin: 30,
+        salaryMax: 30,
+        currency: "USD",
+        payPeriod: "yearly",
+        status: "published",
+        closesAt: null,
+        publishedAt: expect.any(Date),
+        closedAt: null,
+        locationId: null,
+        workplace: "onsite",
+        createdAt: expect.any(Date),
+        updatedAt: expect.any(Date),
         title: "j3",
       },
     ]);
@@ -165,6 +413,18 @@ describe("findAll", function () {
         equity: "1",
         id: expect.any(Number),
         salary: 123,
+        salaryMin: 123,
+        salaryMax: 123,
+        currency: "USD",
+        payPeriod: "yearly",
+        status: "published",
+        closesAt: null,
+        publishedAt: expect.any(Date),
+        closedAt: null,
+        location: null,
+        workplace: "onsite",
+        createdAt: expect.any(Date),
+        updatedAt: expect.any(Date),
         title: "new",
         companies: [
           {
@@ -178,6 +438,34 @@ describe("findAll", function () {
       });
     });
 
+    test("works: hidden job with includeHidden", async function () {
+      const newjob = await Job.create({
+        title: "new",
+        salary: 123,
+        equity: 1,
+        company_handle: "c1",
+        status: "draft",
+      });
+      const job = await Job.get(newjob.id, { includeHidden: true });
+      expect(job.status).toEqual("draft");
+    });
+
+    test("not found for hidden job", async function () {
+      const newjob = await Job.create({
+        title: "new",
+        salary: 123,
+        equity: 1,
+        company_handle: "c1",
+        status: "draft",
+      });
+      try {
+        await Job.get(newjob.id);
+        fail();
+      } catch (err) {
+        expect(err instanceof NotFoundError).toBeTruthy();
+      }
+    });
+
     test("not found if no such job", async function () {
       try {
         await Job.get(0);
@@ -186,6 +474,411 @@ describe("findAll", function () {
         expect(err instanceof NotFoundError).toBeTruthy();
       }
     });
+
+    test("works: at an office", async function () {
+      const office = await Location.create("c1", {
+        name: "HQ",
+        city: "Boston",
+        region: "MA",
+        country: "US",
+        latitude: 42.3601,
+        longitude: -71.0589,
+      });
+      const newjob = await Job.create({
+        title: "new",
+        salary: 123,
+        equity: 1,
+        company_handle: "c1",
+        locationId: office.id,
+      });
+      const job = await Job.get(newjob.id);
+      expect(job.workplace).toEqual("onsite");
+      expect(job.location).toEqual({
+        id: office.id,
+        name: "HQ",
+        address: null,
+        city: "Boston",
+        region: "MA",
+        country: "US",
+        latitude: 42.3601,
+        longitude: -71.0589,
+      });
+    });
+  });
+});
+
+/************************************** findAll: sort and paging */
+
+describe("findAll: sort and paging", function () {
+  test("works: multiple sort fields", async function () {
+    const jobs = await Job.findAll({
+      queryParams: { sort: "-salary,title" },
+    });
+    expect(jobs.map((j) => j.title)).toEqual(["j3", "j2", "j1"]);
+  });
+
+  test("works: limit and offset", async function () {
+    const jobs = await Job.findAll({ queryParams: { limit: 2, offset: 1 } });
+    expect(jobs.map((j) => j.title)).toEqual(["j2", "j3"]);
+  });
+
+  test("bad request with unknown sort field", async function () {
+    try {
+      await Job.findAll({ queryParams: { sort: "salary;DROP TABLE jobs" } });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findAll: full-text search */
+
+describe("findAll: full-text search", function () {
+  test("works: q matches title", async function () {
+    const jobs = await Job.findAll({ queryParams: { q: "j3" } });
+    expect(jobs.map((j) => j.title)).toEqual(["j3"]);
+  });
+
+  test("works: q matches company description", async function () {
+    const jobs = await Job.findAll({ queryParams: { q: "desc1" } });
+    expect(jobs.map((j) => j.title)).toEqual(["j1", "j2"]);
+  });
+});
+
+/************************************** findAll: salary range */
+
+describe("findAll: salary range", function () {
+  beforeEach(async function () {
+    // 20-30 EUR an hour is 44928-67392 USD a year
+    await Job.create({
+      title: "hourly",
+      equity: 0,
+      company_handle: "c1",
+      salaryMin: 20,
+      salaryMax: 30,
+      currency: "EUR",
+      payPeriod: "hourly",
+    });
+    // 100000-120000 USD a year
+    await Job.create({
+      title: "yearly",
+      equity: 0,
+      company_handle: "c2",
+      salaryMin: 100000,
+      salaryMax: 120000,
+    });
+  });
+
+  test("works: overlapping ranges in USD per year", async function () {
+    const jobs = await Job.findAll({
+      queryParams: { salaryMin: 60000, salaryMax: 110000 },
+    });
+    expect(jobs.map((j) => j.title)).toEqual(["hourly", "yearly"]);
+  });
+
+  test("works: only a minimum", async function () {
+    const jobs = await Job.findAll({ queryParams: { salaryMin: 70000 } });
+    expect(jobs.map((j) => j.title)).toEqual(["yearly"]);
+  });
+
+  test("works: range in another currency and period", async function () {
+    // 4000-5000 GBP a month is 60960-76200 USD a year
+    const jobs = await Job.findAll({
+      queryParams: {
+        salaryMin: 4000,
+        salaryMax: 5000,
+        currency: "GBP",
+        payPeriod: "monthly",
+      },
+    });
+    expect(jobs.map((j) => j.title)).toEqual(["hourly"]);
+  });
+
+  test("bad request with unknown currency", async function () {
+    try {
+      await Job.findAll({ queryParams: { salaryMin: 1, currency: "XYZ" } });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request with a non-numeric amount", async function () {
+    try {
+      await Job.findAll({ queryParams: { salaryMin: "lots" } });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findAll: location */
+
+describe("findAll: location", function () {
+  const nyc = "40.7128,-74.0060";
+
+  beforeEach(async function () {
+    const newYork = await Location.create("c1", {
+      city: "New York",
+      country: "US",
+      latitude: 40.7128,
+      longitude: -74.006,
+    });
+    const boston = await Location.create("c1", {
+      city: "Boston",
+      country: "US",
+      latitude: 42.3601,
+      longitude: -71.0589,
+    });
+    const london = await Location.create("c2", {
+      city: "London",
+      country: "GB",
+      latitude: 51.5074,
+      longitude: -0.1278,
+    });
+    // no coordinates: can't be found by distance
+    const berlin = await Location.create("c2", {
+      city: "Berlin",
+      country: "DE",
+    });
+
+    const job = { salary: 1, equity: 0 };
+    await Job.create({
+      ...job,
+      title: "nyc",
+      company_handle: "c1",
+      locationId: newYork.id,
+    });
+    await Job.create({
+      ...job,
+      title: "boston",
+      company_handle: "c1",
+      locationId: boston.id,
+      workplace: "hybrid",
+    });
+    await Job.create({
+      ...job,
+      title: "london",
+      company_handle: "c2",
+      locationId: london.id,
+    });
+    await Job.create({
+      ...job,
+      title: "berlin",
+      company_handle: "c2",
+      locationId: berlin.id,
+    });
+    await Job.create({
+      ...job,
+      title: "anywhere",
+      company_handle: "c2",
+      workplace: "remote",
+    });
+  });
+
+  test("works: remote", async function () {
+    const jobs = await Job.findAll({ queryParams: { remote: true } });
+    expect(jobs.map((j) => j.title)).toEqual(["anywhere"]);
+  });
+
+  test("works: not remote", async function () {
+    const jobs = await Job.findAll({ queryParams: { remote: false } });
+    expect(jobs.map((j) => j.title)).toEqual([
+      "berlin",
+      "boston",
+      "j1",
+      "j2",
+      "j3",
+      "london",
+      "nyc",
+    ]);
+  });
+
+  test("works: city, any case", async function () {
+    const jobs = await Job.findAll({ queryParams: { city: "new york" } });
+    expect(jobs.map((j) => j.title)).toEqual(["nyc"]);
+  });
+
+  test("works: country", async function () {
+    const jobs = await Job.findAll({ queryParams: { country: "us" } });
+    expect(jobs.map((j) => j.title)).toEqual(["boston", "nyc"]);
+  });
+
+  test("works: near, nearest first", async function () {
+    const jobs = await Job.findAll({ queryParams: { near: nyc } });
+    expect(jobs.map((j) => j.title).slice(0, 3)).toEqual([
+      "nyc",
+      "boston",
+      "london",
+    ]);
+    expect(jobs[0].distanceKm).toBeCloseTo(0);
+    // about 306km to Boston and 5570km to London
+    expect(Math.round(jobs[1].distanceKm)).toEqual(306);
+    expect(Math.round(jobs[2].distanceKm / 10)).toEqual(557);
+    // jobs without an office with coordinates come last
+    expect(jobs.slice(3).map((j) => j.distanceKm)).toEqual([
+      null,
+      null,
+      null,
+      null,
+      null,
+    ]);
+  });
+
+  test("works: near, sorted by something else", async function () {
+    const jobs = await Job.findAll({
+      queryParams: { near: nyc, country: "US", sort: "-distanceKm" },
+    });
+    expect(jobs.map((j) => j.title)).toEqual(["boston", "nyc"]);
+  });
+
+  test("works: near with radiusKm", async function () {
+    const jobs = await Job.findAll({
+      queryParams: { near: nyc, radiusKm: 500 },
+    });
+    expect(jobs.map((j) => j.title)).toEqual(["nyc", "boston"]);
+    expect(
+      await Job.count({ queryParams: { near: nyc, radiusKm: 500 } })
+    ).toEqual(2);
+  });
+
+  test("works: filters as strings, like a saved search's", async function () {
+    const jobs = await Job.findAll({
+      queryParams: { near: nyc, radiusKm: "100", remote: "false" },
+    });
+    expect(jobs.map((j) => j.title)).toEqual(["nyc"]);
+  });
+
+  test("bad request with an invalid point", async function () {
+    try {
+      await Job.findAll({ queryParams: { near: "100,0" } });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request with radiusKm but no near", async function () {
+    try {
+      await Job.findAll({ queryParams: { radiusKm: 10 } });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request sorting by distance without near", async function () {
+    try {
+      await Job.findAll({ queryParams: { sort: "distanceKm" } });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findAll: skills */
+
+describe("findAll: skills", function () {
+  beforeEach(async function () {
+    const sql = await Skill.create({ name: "SQL" });
+    const python = await Skill.create({ name: "Python" });
+    const jobs = await db.query(`SELECT id, title FROM jobs`);
+    const ids = Object.fromEntries(jobs.rows.map((j) => [j.title, j.id]));
+
+    await Skill.addToJob(ids.j1, sql.id);
+    await Skill.addToJob(ids.j2, sql.id);
+    await Skill.addToJob(ids.j2, python.id, "nice_to_have");
+    await Skill.addToJob(ids.j3, python.id);
+  });
+
+  test("works: all, by default", async function () {
+    const jobs = await Job.findAll({ queryParams: { skills: "sql,PYTHON" } });
+    expect(jobs.map((j) => j.title)).toEqual(["j2"]);
+  });
+
+  test("works: any", async function () {
+    const jobs = await Job.findAll({
+      queryParams: { skills: "python, rust", skillMatch: "any" },
+    });
+    expect(jobs.map((j) => j.title)).toEqual(["j2", "j3"]);
+    expect(
+      await Job.count({
+        queryParams: { skills: "python, rust", skillMatch: "any" },
+      })
+    ).toEqual(2);
+  });
+
+  test("works: all, with a skill no job has", async function () {
+    const jobs = await Job.findAll({ queryParams: { skills: "sql,rust" } });
+    expect(jobs).toEqual([]);
+  });
+
+  test("bad request with unknown skillMatch", async function () {
+    try {
+      await Job.findAll({ queryParams: { skills: "sql", skillMatch: "most" } });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findAll: status */
+
+describe("findAll: status", function () {
+  beforeEach(async function () {
+    await db.query(`
+      INSERT INTO jobs(title, salary, equity, company_handle, status, closes_at)
+      VALUES ('draft', 40, 0, 'c1', 'draft', NULL),
+             ('closed', 50, 0, 'c1', 'closed', NULL),
+             ('expired', 60, 0, 'c1', 'published', NOW() - interval '1 day'),
+             ('closing', 70, 0, 'c1', 'published', NOW() + interval '1 day')`);
+  });
+
+  test("works: only open jobs", async function () {
+    const jobs = await Job.findAll({ queryParams: {} });
+    expect(jobs.map((j) => j.title)).toEqual(["closing", "j1", "j2", "j3"]);
+    expect(await Job.count({ queryParams: {} })).toEqual(4);
+  });
+
+  test("works: includeHidden", async function () {
+    const jobs = await Job.findAll({ queryParams: {}, includeHidden: true });
+    expect(jobs.length).toEqual(7);
+  });
+
+  test("works: includeHidden with status filter", async function () {
+    const jobs = await Job.findAll({
+      queryParams: { status: "draft" },
+      includeHidden: true,
+    });
+    expect(jobs.map((j) => j.title)).toEqual(["draft"]);
+  });
+
+  test("bad request with unknown status", async function () {
+    try {
+      await Job.findAll({
+        queryParams: { status: "nope" },
+        includeHidden: true,
+      });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** count */
+
+describe("count", function () {
+  test("works", async function () {
+    expect(await Job.count({ queryParams: {} })).toEqual(3);
+  });
+
+  test("works: with filter", async function () {
+    expect(await Job.count({ queryParams: { minSalary: 20 } })).toEqual(2);
   });
 });
 
@@ -213,6 +906,18 @@ describe("update", function () {
       id: expect.any(Number),
       title: "updated title",
       salary: 123,
+      salaryMin: 123,
+      salaryMax: 123,
+      currency: "USD",
+      payPeriod: "yearly",
+      status: "published",
+      closesAt: null,
+      publishedAt: expect.any(Date),
+      closedAt: null,
+      locationId: null,
+      workplace: "onsite",
+      createdAt: expect.any(Date),
+      updatedAt: expect.any(Date),
       equity: "1",
       company_handle: "c1",
     });
@@ -233,6 +938,53 @@ describe("update", function () {
     ]);
   });
 
+  test("works: a salary on its own is the range too", async function () {
+    const newjob = await Job.create(newJobdata);
+    const job = await Job.update(newjob.id, { salary: 150000 });
+    expect([job.salary, job.salaryMin, job.salaryMax]).toEqual([
+      150000, 150000, 150000,
+    ]);
+
+    const ranged = await Job.update(newjob.id, {
+      salary: 90,
+      salaryMin: 80,
+    });
+    expect([ranged.salary, ranged.salaryMin, ranged.salaryMax]).toEqual([
+      90, 80, 150000,
+    ]);
+  });
+
+  test("works: marks it updated", async function () {
+    const newjob = await Job.create(newJobdata);
+    await db.query(
+      `UPDATE jobs SET updated_at = '2020-01-01T00:00:00Z' WHERE id = $1`,
+      [newjob.id]
+    );
+    const job = await Job.update(newjob.id, { title: "updated title" });
+    expect(job.updatedAt > new Date("2020-01-01T00:00:00Z")).toBe(true);
+    expect(job.createdAt).toEqual(newjob.createdAt);
+  });
+
+  test("precondition failed if it's changed since", async function () {
+    const newjob = await Job.create(newJobdata);
+    const { updatedAt } = await Job.update(newjob.id, { title: "v2" });
+    await Job.update(
+      newjob.id,
+      { title: "v3" },
+      { ifMatch: etagFor(updatedAt, {}) }
+    );
+    try {
+      await Job.update(
+        newjob.id,
+        { title: "v4" },
+        { ifMatch: etagFor(updatedAt, {}) }
+      );
+      fail();
+    } catch (err) {
+      expect(err instanceof PreconditionFailedError).toBeTruthy();
+    }
+  });
+
   test("works: null fields", async function () {
     let newjob = await Job.create(newJobdata);
 
@@ -247,6 +999,18 @@ describe("update", function () {
       id: expect.any(Number),
       title: "updated title",
       salary: null,
+      salaryMin: null,
+      salaryMax: null,
+      currency: "USD",
+      payPeriod: "yearly",
+      status: "published",
+      closesAt: null,
+      publishedAt: expect.any(Date),
+      closedAt: null,
+      locationId: null,
+      workplace: "onsite",
+      createdAt: expect.any(Date),
+      updatedAt: expect.any(Date),
       equity: "1",
       company_handle: "c1",
     });
@@ -267,6 +1031,67 @@ describe("update", function () {
     ]);
   });
 
+  test("works: salary range", async function () {
+    const newjob = await Job.create(newJobdata);
+    const job = await Job.update(newjob.id, {
+      salaryMin: 100,
+      salaryMax: 150,
+      payPeriod: "monthly",
+    });
+    expect(job).toEqual(
+      expect.objectContaining({
+        salaryMin: 100,
+        salaryMax: 150,
+        currency: "USD",
+        payPeriod: "monthly",
+        status: "published",
+        closesAt: null,
+        publishedAt: expect.any(Date),
+        closedAt: null,
+        locationId: null,
+        workplace: "onsite",
+        createdAt: expect.any(Date),
+        updatedAt: expect.any(Date),
+      })
+    );
+  });
+
+  test("works: publish, close and reopen", async function () {
+    const newjob = await Job.create({ ...newJobdata, status: "draft" });
+
+    const published = await Job.update(newjob.id, { status: "published" });
+    expect(published.status).toEqual("published");
+    expect(published.publishedAt).toEqual(expect.any(Date));
+
+    const closed = await Job.update(newjob.id, { status: "closed" });
+    expect(closed.status).toEqual("closed");
+    expect(closed.closedAt).toEqual(expect.any(Date));
+
+    const reopened = await Job.update(newjob.id, { status: "published" });
+    expect(reopened.closedAt).toBeNull();
+  });
+
+  test("bad request with illegal status change", async function () {
+    const newjob = await Job.create(newJobdata);
+    await Job.update(newjob.id, { status: "archived" });
+    try {
+      await Job.update(newjob.id, { status: "published" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request with salaryMin over the stored salaryMax", async function () {
+    const newjob = await Job.create(newJobdata);
+    try {
+      await Job.update(newjob.id, { salaryMin: 1000 });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
   test("not found if no such job", async function () {
     try {
       await Job.update("0", updateData);
@@ -285,6 +1110,187 @@ describe("update", function () {
       expect(err instanceof BadRequestError).toBeTruthy();
     }
   });
+
+  test("works: location and workplace", async function () {
+    const office = await Location.create("c1", {
+      city: "Boston",
+      country: "US",
+    });
+    const newjob = await Job.create(newJobdata);
+    let job = await Job.update(newjob.id, {
+      locationId: office.id,
+      workplace: "hybrid",
+    });
+    expect(job.locationId).toEqual(office.id);
+    expect(job.workplace).toEqual("hybrid");
+
+    job = await Job.update(newjob.id, { locationId: null });
+    expect(job.locationId).toBeNull();
+  });
+
+  test("bad request with another company's office", async function () {
+    const office = await Location.create("c2", {
+      city: "Boston",
+      country: "US",
+    });
+    const newjob = await Job.create(newJobdata);
+    try {
+      await Job.update(newjob.id, { locationId: office.id });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findFeed */
+
+describe("findFeed", function () {
+  beforeEach(async function () {
+    // j1 and j2 are c1's, j3 is c2's; j2 changed most recently
+    await db.query(`UPDATE jobs
+                    SET updated_at = CASE title
+                                       WHEN 'j1' THEN '2021-01-01T00:00:00Z'
+                                       WHEN 'j2' THEN '2021-03-01T00:00:00Z'
+                                       ELSE '2021-02-01T00:00:00Z'
+                                     END::timestamptz`);
+    await CompanyFollow.add("u2", "c1");
+    await CompanyFollow.add("u2", "c2");
+  });
+
+  test("works: newest change first", async function () {
+    const { jobs, nextCursor } = await Job.findFeed("u2");
+    expect(jobs.map((j) => j.title)).toEqual(["j2", "j3", "j1"]);
+    expect(jobs[0]).toEqual(
+      expect.objectContaining({
+        company_handle: "c1",
+        updatedAt: expect.any(Date),
+      })
+    );
+    expect(nextCursor).toBeNull();
+  });
+
+  test("works: only companies followed, and open jobs", async function () {
+    await CompanyFollow.remove("u2", "c2");
+    await db.query(`UPDATE jobs SET status = 'closed' WHERE title = 'j2'`);
+    const { jobs } = await Job.findFeed("u2");
+    expect(jobs.map((j) => j.title)).toEqual(["j1"]);
+  });
+
+  test("works: a page at a time", async function () {
+    let page = await Job.findFeed("u2", { limit: 2 });
+    expect(page.jobs.map((j) => j.title)).toEqual(["j2", "j3"]);
+    expect(page.nextCursor).toEqual(expect.any(String));
+
+    // a job changed since doesn't shift the next page
+    await db.query(`UPDATE jobs SET updated_at = '2021-04-01T00:00:00Z'
+                    WHERE title = 'j1'`);
+    page = await Job.findFeed("u2", { cursor: page.nextCursor, limit: 2 });
+    expect(page.jobs).toEqual([]);
+    expect(page.nextCursor).toBeNull();
+  });
+
+  test("works: ties broken by id", async function () {
+    await db.query(`UPDATE jobs SET updated_at = '2020-12-01T00:00:00Z'`);
+    const all = (await Job.findFeed("u2")).jobs.map((j) => j.id);
+
+    const first = await Job.findFeed("u2", { limit: 1 });
+    const rest = await Job.findFeed("u2", { cursor: first.nextCursor });
+    expect([...first.jobs, ...rest.jobs].map((j) => j.id)).toEqual(all);
+    expect(all).toEqual([...all].sort((a, b) => b - a));
+  });
+
+  test("works: none followed", async function () {
+    expect(await Job.findFeed("u1")).toEqual({ jobs: [], nextCursor: null });
+  });
+
+  test("bad request with an invalid cursor", async function () {
+    try {
+      await Job.findFeed("u2", { cursor: "nope" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Job.findFeed("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** get: views */
+
+async function view(title, age = "0 days") {
+  await db.query(
+    `INSERT INTO events (kind, job_id, created_at)
+     SELECT 'job_view', id, NOW() - $2::interval FROM jobs WHERE title = $1`,
+    [title, age]
+  );
+}
+
+async function getJobId(title) {
+  const result = await db.query(`SELECT id FROM jobs WHERE title = $1`, [
+    title,
+  ]);
+  return result.rows[0].id;
+}
+
+describe("get: views", function () {
+  test("works: only with includeViews", async function () {
+    const id = await getJobId("j1");
+    await view("j1");
+    await view("j1", "1 year");
+    await view("j2");
+
+    expect(await Job.get(id)).not.toHaveProperty("views");
+    const job = await Job.get(id, { includeViews: true });
+    expect(job.views).toEqual(2);
+  });
+});
+
+/************************************** findPopular */
+
+describe("findPopular", function () {
+  test("works: recent views and applications, halving weekly", async function () {
+    await view("j1");
+    await view("j1");
+    await view("j1");
+    await Application.create("u1", await getJobId("j2"));
+    await view("j3", "7 days");
+    await view("j3", "7 days");
+
+    const jobs = await Job.findPopular();
+    expect(jobs.map((j) => [j.title, j.score])).toEqual([
+      ["j2", 5],
+      ["j1", 3],
+      ["j3", 1],
+    ]);
+    expect(jobs[0]).toEqual(
+      expect.objectContaining({ company_handle: "c1", status: "published" })
+    );
+  });
+
+  test("works: only open jobs with activity in the window", async function () {
+    await view("j1");
+    await view("j2", "29 days");
+    await view("j3");
+    await db.query(`UPDATE jobs SET status = 'closed' WHERE title = 'j3'`);
+    const jobs = await Job.findPopular();
+    expect(jobs.map((j) => j.title)).toEqual(["j1"]);
+  });
+
+  test("works: limit", async function () {
+    await view("j1");
+    await view("j2");
+    await view("j2");
+    const jobs = await Job.findPopular({ limit: 1 });
+    expect(jobs.map((j) => j.title)).toEqual(["j2"]);
+  });
 });
 
 /************************************** remove */
@@ -300,13 +1306,108 @@ describe("remove", function () {
     let newjob = await Job.create(newJobdata);
 
     await Job.remove(newjob.id);
+    const res = await db.query(
+      `SELECT deleted_at FROM jobs WHERE id=${newjob.id}`
+    );
+    expect(res.rows).toEqual([{ deleted_at: expect.any(Date) }]);
+  });
+
+  test("deleted jobs aren't found", async function () {
+    let newjob = await Job.create(newJobdata);
+    await Job.remove(newjob.id);
+
+    const jobs = await Job.findAll({ includeHidden: true });
+    expect(jobs.map((j) => j.id)).not.toContain(newjob.id);
+    try {
+      await Job.get(newjob.id, { includeHidden: true });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such job", async function () {
+    try {
+      await Job.remove(0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** restore */
+
+describe("restore", function () {
+  const newJobdata = {
+    title: "new",
+    salary: 123,
+    equity: 1,
+    company_handle: "c1",
+  };
+
+  test("works", async function () {
+    const newjob = await Job.create(newJobdata);
+    await Job.remove(newjob.id);
+    const job = await Job.restore(newjob.id);
+    expect(job).toEqual({ ...newjob, updatedAt: expect.any(Date) });
+    expect((await Job.get(newjob.id)).id).toEqual(newjob.id);
+  });
+
+  test("bad request if the company is deleted", async function () {
+    const newjob = await Job.create(newJobdata);
+    await db.query("UPDATE companies SET deleted_at = NOW() WHERE handle='c1'");
+    await Job.remove(newjob.id);
+    try {
+      await Job.restore(newjob.id);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if not deleted", async function () {
+    const newjob = await Job.create(newJobdata);
+    try {
+      await Job.restore(newjob.id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** purge */
+
+describe("purge", function () {
+  const newJobdata = {
+    title: "new",
+    salary: 123,
+    equity: 1,
+    company_handle: "c1",
+  };
+
+  test("works", async function () {
+    const newjob = await Job.create(newJobdata);
+    await Job.remove(newjob.id);
+    await Job.purge(newjob.id);
     const res = await db.query(`SELECT id FROM jobs WHERE id=${newjob.id}`);
     expect(res.rows.length).toEqual(0);
   });
 
+  test("bad request if not deleted first", async function () {
+    const newjob = await Job.create(newJobdata);
+    try {
+      await Job.purge(newjob.id);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
   test("not found if no such job", async function () {
     try {
-      await Job.remove(0);
+      await Job.purge(0);
       fail();
     } catch (err) {
       expect(err instanceof NotFoundError).toBeTruthy();
@@ -0,0 +1,184 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { checkCompany } = require("../helpers/checks");
+const { sqlForPartialUpdate } = require("../helpers/sql");
+
+/** Columns returned for a location. */
+
+const LOCATION_COLUMNS = `id,
+                          company_handle AS "companyHandle",
+                          name,
+                          address,
+                          city,
+                          region,
+                          country,
+                          latitude,
+                          longitude,
+                          created_at AS "createdAt"`;
+
+/** Related functions for companies' offices. */
+
+class Location {
+  /** Add an office to a company.
+   *
+   * data should be { city, country } (country is a two-letter ISO code, like
+   * "US") and may have { name, address, region, latitude, longitude }
+   * (latitude and longitude go together; without them, jobs there can't be
+   * found by distance)
+   *
+   * Returns { id, companyHandle, name, address, city, region, country,
+   *   latitude, longitude, createdAt }
+   *
+   * Throws NotFoundError if the company doesn't exist (or is deleted), and
+   * BadRequestError if only one of latitude and longitude is given.
+   **/
+
+  static async create(
+    handle,
+    {
+      name = null,
+      address = null,
+      city,
+      region = null,
+      country,
+      latitude = null,
+      longitude = null,
+    },
+    client = db
+  ) {
+    checkCoordinates(latitude, longitude);
+
+    return db.withTransaction(async (tx) => {
+      await checkCompany(handle, tx);
+
+      const result = await tx.query(
+        `INSERT INTO locations
+             (company_handle, name, address, city, region, country,
+              latitude, longitude)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             RETURNING ${LOCATION_COLUMNS}`,
+        [handle, name, address, city, region, country, latitude, longitude]
+      );
+      return result.rows[0];
+    }, client);
+  }
+
+  /** Find all of a company's offices, by city.
+   *
+   * Returns [{ id, companyHandle, name, address, city, region, country,
+   *   latitude, longitude, createdAt }, ...]
+   *
+   * Throws NotFoundError if the company doesn't exist.
+   **/
+
+  static async findForCompany(handle, client = db) {
+    await checkCompany(handle, client);
+
+    const result = await client.query(
+      `SELECT ${LOCATION_COLUMNS}
+       FROM locations
+       WHERE company_handle = $1
+       ORDER BY country, city, id`,
+      [handle]
+    );
+    return result.rows;
+  }
+
+  /** Given a company handle and location id, return the office.
+   *
+   * Returns { id, companyHandle, name, address, city, region, country,
+   *   latitude, longitude, createdAt }
+   *
+   * Throws NotFoundError if the company has no such office.
+   **/
+
+  static async get(handle, id, client = db) {
+    const result = await client.query(
+      `SELECT ${LOCATION_COLUMNS}
+       FROM locations
+       WHERE company_handle = $1 AND id = $2`,
+      [handle, id]
+    );
+    const location = result.rows[0];
+
+    if (!location) throw new NotFoundError(`No location of ${handle}: ${id}`);
+
+    return location;
+  }
+
+  /** Update an office with `data`.
+   *
+   * This is a "partial update" --- it's fine if data doesn't contain all the
+   * fields; this only changes provided ones.
+   *
+   * Data can include: { name, address, city, region, country, latitude,
+   *   longitude }
+   *
+   * Returns { id, companyHandle, name, address, city, region, country,
+   *   latitude, longitude, createdAt }
+   *
+   * Throws NotFoundError if the company has no such office, and
+   * BadRequestError if it would end up with only one of latitude and
+   * longitude.
+   **/
+
+  static async update(handle, id, data, client = db) {
+    const { setCols, values } = sqlForPartialUpdate(data, {});
+    const handleVarIdx = "$" + (values.length + 1);
+    const idVarIdx = "$" + (values.length + 2);
+
+    let result;
+    try {
+      result = await client.query(
+        `UPDATE locations
+         SET ${setCols}
+         WHERE company_handle = ${handleVarIdx} AND id = ${idVarIdx}
+         RETURNING ${LOCATION_COLUMNS}`,
+        [...values, handle, id]
+      );
+    } catch (err) {
+      // the other coordinate is already in the db
+      if (err.constraint === "locations_check") {
+        throw new BadRequestError("latitude and longitude go together");
+      }
+      throw err;
+    }
+    const location = result.rows[0];
+
+    if (!location) throw new NotFoundError(`No location of ${handle}: ${id}`);
+
+    return location;
+  }
+
+  /** Remove an office; returns undefined. Jobs there are left without an
+   * office.
+   *
+   * Throws NotFoundError if the company has no such office.
+   **/
+
+  static async remove(handle, id, client = db) {
+    const result = await client.query(
+      `DELETE
+       FROM locations
+       WHERE company_handle = $1 AND id = $2
+       RETURNING id`,
+      [handle, id]
+    );
+
+    if (!result.rows[0]) {
+      throw new NotFoundError(`No location of ${handle}: ${id}`);
+    }
+  }
+}
+
+/** Throws BadRequestError if only one of latitude and longitude is given. */
+
+function checkCoordinates(latitude, longitude) {
+  if ((latitude === null) !== (longitude === null)) {
+    throw new BadRequestError("latitude and longitude go together");
+  }
+}
+
+module.exports = Location;
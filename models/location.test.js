@@ -0,0 +1,224 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const Location = require("./location.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon.js");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const boston = {
+  name: "HQ",
+  address: "1 Main St",
+  city: "Boston",
+  region: "MA",
+  country: "US",
+  latitude: 42.3601,
+  longitude: -71.0589,
+};
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const location = await Location.create("c1", boston);
+    expect(location).toEqual({
+      id: expect.any(Number),
+      companyHandle: "c1",
+      ...boston,
+      createdAt: expect.any(Date),
+    });
+  });
+
+  test("works: just city and country", async function () {
+    const location = await Location.create("c1", {
+      city: "London",
+      country: "GB",
+    });
+    expect(location).toEqual({
+      id: expect.any(Number),
+      companyHandle: "c1",
+      name: null,
+      address: null,
+      city: "London",
+      region: null,
+      country: "GB",
+      latitude: null,
+      longitude: null,
+      createdAt: expect.any(Date),
+    });
+  });
+
+  test("bad request with only a latitude", async function () {
+    try {
+      await Location.create("c1", { ...boston, longitude: null });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await Location.create("nope", boston);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if the company is deleted", async function () {
+    await db.query("UPDATE companies SET deleted_at = NOW() WHERE handle='c1'");
+    try {
+      await Location.create("c1", boston);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findForCompany */
+
+describe("findForCompany", function () {
+  test("works", async function () {
+    await Location.create("c1", boston);
+    await Location.create("c1", { city: "Albany", country: "US" });
+    await Location.create("c1", { city: "London", country: "GB" });
+    await Location.create("c2", { city: "Paris", country: "FR" });
+
+    const locations = await Location.findForCompany("c1");
+    expect(locations.map((l) => l.city)).toEqual([
+      "London",
+      "Albany",
+      "Boston",
+    ]);
+  });
+
+  test("works: none", async function () {
+    expect(await Location.findForCompany("c3")).toEqual([]);
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await Location.findForCompany("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works", async function () {
+    const { id } = await Location.create("c1", boston);
+    const location = await Location.get("c1", id);
+    expect(location).toEqual({
+      id,
+      companyHandle: "c1",
+      ...boston,
+      createdAt: expect.any(Date),
+    });
+  });
+
+  test("not found if another company's", async function () {
+    const { id } = await Location.create("c1", boston);
+    try {
+      await Location.get("c2", id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** update */
+
+describe("update", function () {
+  test("works", async function () {
+    const { id } = await Location.create("c1", boston);
+    const location = await Location.update("c1", id, {
+      address: "2 Main St",
+      latitude: 42.36,
+      longitude: -71.06,
+    });
+    expect(location).toEqual({
+      id,
+      companyHandle: "c1",
+      ...boston,
+      address: "2 Main St",
+      latitude: 42.36,
+      longitude: -71.06,
+      createdAt: expect.any(Date),
+    });
+  });
+
+  test("bad request leaving only a longitude", async function () {
+    const { id } = await Location.create("c1", boston);
+    try {
+      await Location.update("c1", id, { latitude: null });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if another company's", async function () {
+    const { id } = await Location.create("c1", boston);
+    try {
+      await Location.update("c2", id, { city: "Paris" });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("bad request with no data", async function () {
+    const { id } = await Location.create("c1", boston);
+    try {
+      await Location.update("c1", id, {});
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works, leaving its jobs without an office", async function () {
+    const { id } = await Location.create("c1", boston);
+    await db.query("UPDATE jobs SET location_id = $1 WHERE title = 'j1'", [id]);
+
+    await Location.remove("c1", id);
+    const found = await db.query("SELECT id FROM locations WHERE id = $1", [
+      id,
+    ]);
+    expect(found.rows.length).toEqual(0);
+    const job = await db.query(
+      "SELECT location_id FROM jobs WHERE title = 'j1'"
+    );
+    expect(job.rows[0].location_id).toBeNull();
+  });
+
+  test("not found if another company's", async function () {
+    const { id } = await Location.create("c1", boston);
+    try {
+      await Location.remove("c2", id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,74 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+
+/** Related functions for in-app notifications of new jobs matching users'
+ * saved searches. */
+
+class Notification {
+  /** Notify the saved search's user of a job matching it; returns
+   * undefined. A job is only notified once per search. */
+
+  static async create({ username, savedSearchId, jobId }, client = db) {
+    await client.query(
+      `INSERT INTO notifications (username, saved_search_id, job_id)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (saved_search_id, job_id) DO NOTHING`,
+      [username, savedSearchId, jobId]
+    );
+  }
+
+  /** Find a user's notifications, newest first; only unread ones if
+   * `unread` is set.
+   *
+   * Returns [{ id, savedSearchId, searchName, jobId, jobTitle,
+   *   companyHandle, createdAt, readAt }, ...]
+   **/
+
+  static async findForUser(username, { unread = false } = {}, client = db) {
+    const result = await client.query(
+      `SELECT n.id,
+              n.saved_search_id AS "savedSearchId",
+              s.name AS "searchName",
+              n.job_id AS "jobId",
+              j.title AS "jobTitle",
+              j.company_handle AS "companyHandle",
+              n.created_at AS "createdAt",
+              n.read_at AS "readAt"
+       FROM notifications AS n
+       JOIN saved_searches AS s ON s.id = n.saved_search_id
+       JOIN jobs AS j ON j.id = n.job_id
+       WHERE n.username = $1
+         AND j.deleted_at IS NULL
+         AND (NOT $2 OR n.read_at IS NULL)
+       ORDER BY n.created_at DESC, n.id DESC`,
+      [username, unread]
+    );
+    return result.rows;
+  }
+
+  /** Mark one of a user's notifications as read.
+   *
+   * Returns { id, readAt }
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async markRead(id, username, client = db) {
+    const result = await client.query(
+      `UPDATE notifications
+       SET read_at = COALESCE(read_at, NOW())
+       WHERE id = $1 AND username = $2
+       RETURNING id, read_at AS "readAt"`,
+      [id, username]
+    );
+    const notification = result.rows[0];
+
+    if (!notification) throw new NotFoundError(`No notification: ${id}`);
+
+    return notification;
+  }
+}
+
+module.exports = Notification;
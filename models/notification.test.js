@@ -0,0 +1,110 @@
+"use strict";
+
+const db = require("../db.js");
+const { NotFoundError } = require("../expressError");
+const Notification = require("./notification.js");
+const SavedSearch = require("./savedSearch.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon.js");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+let searchId;
+let jobIds;
+
+beforeEach(async function () {
+  const search = await SavedSearch.create("u1", { name: "All", filters: {} });
+  searchId = search.id;
+  const jobsRes = await db.query("SELECT id FROM jobs ORDER BY title");
+  jobIds = jobsRes.rows.map((r) => r.id);
+});
+
+/************************************** create */
+
+describe("create", function () {
+  test("works, once per job", async function () {
+    const notification = { username: "u1", savedSearchId: searchId };
+    await Notification.create({ ...notification, jobId: jobIds[0] });
+    await Notification.create({ ...notification, jobId: jobIds[0] });
+
+    const found = await Notification.findForUser("u1");
+    expect(found).toEqual([
+      {
+        id: expect.any(Number),
+        savedSearchId: searchId,
+        searchName: "All",
+        jobId: jobIds[0],
+        jobTitle: "j1",
+        companyHandle: "c1",
+        createdAt: expect.any(Date),
+        readAt: null,
+      },
+    ]);
+  });
+});
+
+/************************************** findForUser */
+
+describe("findForUser", function () {
+  test("works: unread only", async function () {
+    const notification = { username: "u1", savedSearchId: searchId };
+    await Notification.create({ ...notification, jobId: jobIds[0] });
+    await Notification.create({ ...notification, jobId: jobIds[1] });
+    const [newest] = await Notification.findForUser("u1");
+    await Notification.markRead(newest.id, "u1");
+
+    const unread = await Notification.findForUser("u1", { unread: true });
+    expect(unread.length).toEqual(1);
+    expect(unread[0].id).not.toEqual(newest.id);
+  });
+
+  test("works: skips deleted jobs", async function () {
+    await Notification.create({
+      username: "u1",
+      savedSearchId: searchId,
+      jobId: jobIds[0],
+    });
+    await db.query("UPDATE jobs SET deleted_at = NOW() WHERE id = $1", [
+      jobIds[0],
+    ]);
+    expect(await Notification.findForUser("u1")).toEqual([]);
+  });
+});
+
+/************************************** markRead */
+
+describe("markRead", function () {
+  test("works", async function () {
+    await Notification.create({
+      username: "u1",
+      savedSearchId: searchId,
+      jobId: jobIds[0],
+    });
+    const [notification] = await Notification.findForUser("u1");
+
+    const read = await Notification.markRead(notification.id, "u1");
+    expect(read).toEqual({ id: notification.id, readAt: expect.any(Date) });
+  });
+
+  test("not found for another user's notification", async function () {
+    await Notification.create({
+      username: "u1",
+      savedSearchId: searchId,
+      jobId: jobIds[0],
+    });
+    const [notification] = await Notification.findForUser("u1");
+    try {
+      await Notification.markRead(notification.id, "u2");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,336 @@
+"use strict";
+
+const db = require("../db");
+const { toAnnualBase, sqlToAnnualBase } = require("../helpers/currency");
+const User = require("./user");
+const Job = require("./job");
+const Skill = require("./skill");
+const SavedSearch = require("./savedSearch");
+const CompanyFollow = require("./companyFollow");
+
+/** The most points each factor can add to a job's score (out of 100):
+ * - skills: how many of the skills it asks for the user has (required ones
+ *   count double nice_to_have ones)
+ * - salary: whether it pays what they're after
+ * - equity: whether it offers equity, if they're after that
+ * - similarity: how alike its title is to jobs they've applied for
+ * - following: whether it's at a company they follow
+ */
+
+const WEIGHTS = {
+  skills: 35,
+  salary: 20,
+  equity: 10,
+  similarity: 25,
+  following: 10,
+};
+
+/** Jobs paying this much of what a user is after get half the salary
+ * points. */
+
+const NEAR_SALARY = 0.9;
+
+/** How many candidates to score for each recommendation asked for. */
+
+const CANDIDATES_PER_RESULT = 5;
+
+/** Related functions for recommending jobs to users. */
+
+class Recommendation {
+  /** Recommend open jobs to a user, best first, going by what they've told
+   * us: their skills, their saved searches, the jobs they've applied for and
+   * the companies they follow (see WEIGHTS). Jobs they've applied for (or
+   * are interested in) aren't recommended, nor are jobs that score nothing.
+   *
+   * Returns [{ job, score, reasons }, ...]
+   *   where job is as Job.findAll, score is 0-100
+   *   and reasons is [{ factor, points, detail }, ...], what the score is
+   *     made of
+   *
+   * Throws NotFoundError if the user doesn't exist.
+   **/
+
+  static async forUser(username, { limit = 20 } = {}, client = db) {
+    const prefs = await preferencesOf(username, client);
+
+    const candidates = await candidatesFor(
+      prefs,
+      limit * CANDIDATES_PER_RESULT,
+      client
+    );
+    const skillsByJob = await skillsOfJobs(
+      candidates.map((job) => job.id),
+      client
+    );
+
+    return candidates
+      .map((job) => {
+        const reasons = [
+          skillsReason(skillsByJob.get(job.id) || [], prefs),
+          salaryReason(job, prefs),
+          equityReason(job, prefs),
+          similarityReason(job, prefs),
+          followingReason(job, prefs),
+        ].filter((reason) => reason && reason.points > 0);
+        const score = reasons.reduce((sum, r) => sum + r.points, 0);
+        return { job, score, reasons };
+      })
+      .filter((rec) => rec.score > 0)
+      .sort((a, b) => b.score - a.score || a.job.id - b.job.id)
+      .slice(0, limit);
+  }
+}
+
+/** What we know a user wants:
+ *
+ * { skills: Map of skill id => { name, level },
+ *   applied: [{ id, title }, ...],
+ *   appliedIds: Set of job ids,
+ *   following: Map of the handles of companies they follow => name,
+ *   salary: yearly pay in the base currency, or null if we can't tell,
+ *   equity: true if they're after equity }
+ *
+ * The salary is the most they've asked for in a saved search (salaryMin or
+ * minSalary) or, failing that, the middle of what the jobs they've applied
+ * for pay. They're after equity if a saved search asks for it, or at least
+ * half of the jobs they've applied for offer it.
+ */
+
+async function preferencesOf(username, client) {
+  const user = await User.get(username, client);
+  const skills = await Skill.findForUser(username, client);
+  const searches = await SavedSearch.findForUser(username, client);
+  const followed = await CompanyFollow.findForUser(username, client);
+
+  const appliedRes = await client.query(
+    `SELECT id,
+            title,
+            equity,
+            COALESCE(salary_min, salary) AS "salaryMin",
+            currency,
+            pay_period AS "payPeriod"
+     FROM jobs
+     WHERE id = ANY($1)`,
+    [user.jobs.map((j) => j.id)]
+  );
+  const applied = appliedRes.rows;
+
+  const askedFor = searches
+    .map((s) => ({
+      ...s.filters,
+      min: s.filters.salaryMin || s.filters.minSalary,
+    }))
+    .filter((f) => f.min && !isNaN(f.min))
+    .map((f) =>
+      toAnnualBase(Number(f.min), f.currency || "USD", f.payPeriod || "yearly")
+    );
+  const appliedPay = applied
+    .filter((j) => j.salaryMin !== null)
+    .map((j) => toAnnualBase(j.salaryMin, j.currency, j.payPeriod));
+
+  const withEquity = applied.filter((j) => Number(j.equity) > 0).length;
+
+  return {
+    skills: new Map(skills.map((s) => [s.id, s])),
+    applied,
+    appliedIds: new Set(user.jobs.map((j) => j.id)),
+    following: new Map(followed.map((c) => [c.handle, c.name])),
+    salary: askedFor.length ? Math.max(...askedFor) : median(appliedPay),
+    equity:
+      searches.some((s) => s.filters.equity === "true") ||
+      (applied.length > 0 && withEquity >= applied.length / 2),
+  };
+}
+
+/** The open jobs, not yet applied for, most worth scoring for a user: at
+ * most limit of them, best first by a rough score worked out in the
+ * database. That's the score itself, except that any word in common with a
+ * title they applied for gets full similarity points; jobs it leaves at
+ * nothing aren't candidates.
+ *
+ * Returns [job, ...] where job is as Job.findAll
+ */
+
+async function candidatesFor(prefs, limit, client) {
+  const skillWeight = `CASE js.importance WHEN 'required' THEN 1 ELSE 0.5 END`;
+  const pays = sqlToAnnualBase(
+    "COALESCE(jobs.salary_max, jobs.salary_min)",
+    "jobs.currency",
+    "jobs.pay_period"
+  );
+  const appliedWords = [
+    ...new Set(prefs.applied.flatMap((j) => [...titleWords(j.title)])),
+  ];
+
+  const result = await client.query(
+    `SELECT ${Job.COLUMNS}
+     FROM jobs,
+       LATERAL (SELECT SUM(${skillWeight}) FILTER (WHERE js.skill_id = ANY($2))
+                         / SUM(${skillWeight}) AS share
+                FROM job_skills AS js
+                WHERE js.job_id = jobs.id) AS skills,
+       LATERAL (SELECT COALESCE(skills.share, 0) * $5::float
+                       + CASE WHEN ${pays} >= $8::float THEN $6::float
+                              WHEN ${pays} >= $8::float * $9::float
+                                THEN $6::float / 2
+                              ELSE 0 END
+                       + CASE WHEN $10::boolean AND jobs.equity > 0
+                              THEN $7::float ELSE 0 END
+                       + CASE WHEN jobs.company_handle = ANY($3)
+                              THEN $11::float ELSE 0 END
+                       + CASE WHEN regexp_split_to_array(LOWER(jobs.title),
+                                                         '[^a-z0-9+#]+')
+                                   && $4::text[]
+                              THEN $12::float ELSE 0 END AS points) AS rough
+     WHERE ${Job.sqlIsOpen()}
+       AND NOT jobs.id = ANY($1)
+       AND rough.points > 0
+     ORDER BY rough.points DESC, jobs.id
+     LIMIT $13`,
+    [
+      [...prefs.appliedIds],
+      [...prefs.skills.keys()],
+      [...prefs.following.keys()],
+      appliedWords,
+      WEIGHTS.skills,
+      WEIGHTS.salary,
+      WEIGHTS.equity,
+      prefs.salary,
+      NEAR_SALARY,
+      prefs.equity,
+      WEIGHTS.following,
+      WEIGHTS.similarity,
+      limit,
+    ]
+  );
+  return result.rows;
+}
+
+/** The skills each of jobIds asks for: Map of job id => [{ id, name,
+ * importance }, ...] */
+
+async function skillsOfJobs(jobIds, client) {
+  const result = await client.query(
+    `SELECT js.job_id AS "jobId", s.id, s.name, js.importance
+     FROM job_skills AS js
+     JOIN skills AS s ON s.id = js.skill_id
+     WHERE js.job_id = ANY($1)
+     ORDER BY LOWER(s.name)`,
+    [jobIds]
+  );
+
+  const byJob = new Map();
+  for (const { jobId, ...skill } of result.rows) {
+    if (!byJob.has(jobId)) byJob.set(jobId, []);
+    byJob.get(jobId).push(skill);
+  }
+  return byJob;
+}
+
+/** Points for the share of a job's skills the user has; required skills
+ * count double nice_to_have ones. */
+
+function skillsReason(jobSkills, prefs) {
+  const weightOf = (s) => (s.importance === "required" ? 1 : 0.5);
+  const total = jobSkills.reduce((sum, s) => sum + weightOf(s), 0);
+  const known = jobSkills.filter((s) => prefs.skills.has(s.id));
+  if (!known.length) return null;
+
+  const share = known.reduce((sum, s) => sum + weightOf(s), 0) / total;
+  return {
+    factor: "skills",
+    points: Math.round(WEIGHTS.skills * share),
+    detail:
+      `You know ${known.map((s) => s.name).join(", ")} ` +
+      `(${known.length} of the ${jobSkills.length} skills it asks for)`,
+  };
+}
+
+/** Full points if the job can pay what the user is after, half if it's
+ * close. */
+
+function salaryReason(job, prefs) {
+  const top = job.salaryMax === null ? job.salaryMin : job.salaryMax;
+  if (prefs.salary === null || top === null) return null;
+
+  const pays = toAnnualBase(top, job.currency, job.payPeriod);
+  let share = 0;
+  if (pays >= prefs.salary) share = 1;
+  else if (pays >= prefs.salary * NEAR_SALARY) share = 0.5;
+  return {
+    factor: "salary",
+    points: Math.round(WEIGHTS.salary * share),
+    detail:
+      `Pays up to ${Math.round(pays)} a year, ` +
+      `against the ${Math.round(prefs.salary)} you're after`,
+  };
+}
+
+/** Full points if the job offers equity and the user is after it. */
+
+function equityReason(job, prefs) {
+  if (!prefs.equity || !(Number(job.equity) > 0)) return null;
+  return {
+    factor: "equity",
+    points: WEIGHTS.equity,
+    detail: "Offers equity, which you've looked for",
+  };
+}
+
+/** Points for how alike the job's title is to the closest of those the user
+ * applied for (the share of their words they have in common). */
+
+function similarityReason(job, prefs) {
+  const words = titleWords(job.title);
+  let best = { share: 0 };
+  for (const applied of prefs.applied) {
+    const share = overlap(words, titleWords(applied.title));
+    if (share > best.share) best = { share, title: applied.title };
+  }
+  if (!best.title) return null;
+
+  return {
+    factor: "similarity",
+    points: Math.round(WEIGHTS.similarity * best.share),
+    detail: `Like "${best.title}", which you applied for`,
+  };
+}
+
+/** Full points if the job's company is one the user follows. */
+
+function followingReason(job, prefs) {
+  const name = prefs.following.get(job.company_handle);
+  if (name === undefined) return null;
+  return {
+    factor: "following",
+    points: WEIGHTS.following,
+    detail: `At ${name}, which you follow`,
+  };
+}
+
+/** The distinct lowercase words of a title. */
+
+function titleWords(title) {
+  return new Set(title.toLowerCase().match(/[a-z0-9+#]+/g) || []);
+}
+
+/** The share of the words in either set that are in both (0 to 1). */
+
+function overlap(a, b) {
+  const both = [...a].filter((w) => b.has(w)).length;
+  const either = new Set([...a, ...b]).size;
+  return either ? both / either : 0;
+}
+
+/** The middle of a list of numbers, or null if it's empty. */
+
+function median(numbers) {
+  if (!numbers.length) return null;
+  const sorted = [...numbers].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+Recommendation.WEIGHTS = WEIGHTS;
+
+module.exports = Recommendation;
@@ -0,0 +1,156 @@
+"use strict";
+
+const db = require("../db.js");
+const { NotFoundError } = require("../expressError");
+const Recommendation = require("./recommendation.js");
+const Application = require("./application.js");
+const SavedSearch = require("./savedSearch.js");
+const Skill = require("./skill.js");
+const CompanyFollow = require("./companyFollow.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon.js");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+let jobIds;
+
+beforeEach(async function () {
+  const result = await db.query(`SELECT id, title FROM jobs`);
+  jobIds = Object.fromEntries(result.rows.map((r) => [r.title, r.id]));
+});
+
+/** [[title, score], ...] of recommendations, for comparing. */
+
+function scores(recommendations) {
+  return recommendations.map((r) => [r.job.title, r.score]);
+}
+
+/************************************** forUser */
+
+describe("forUser", function () {
+  test("works: nothing to go on", async function () {
+    expect(await Recommendation.forUser("u1")).toEqual([]);
+  });
+
+  test("works: skills, required ones counting double", async function () {
+    const sql = await Skill.create({ name: "SQL" });
+    const python = await Skill.create({ name: "Python" });
+    await Skill.addToJob(jobIds.j1, sql.id);
+    await Skill.addToJob(jobIds.j1, python.id, "nice_to_have");
+    await Skill.addToJob(jobIds.j2, python.id);
+    await Skill.addToUser("u1", sql.id);
+
+    const recommendations = await Recommendation.forUser("u1");
+    expect(recommendations).toEqual([
+      {
+        job: expect.objectContaining({ id: jobIds.j1, title: "j1" }),
+        score: 23,
+        reasons: [
+          {
+            factor: "skills",
+            points: 23,
+            detail: "You know SQL (1 of the 2 skills it asks for)",
+          },
+        ],
+      },
+    ]);
+  });
+
+  test("works: salary and equity from saved searches", async function () {
+    await SavedSearch.create("u1", {
+      name: "paid",
+      filters: { salaryMin: "20", equity: "true" },
+    });
+
+    const recommendations = await Recommendation.forUser("u1");
+    expect(scores(recommendations)).toEqual([
+      ["j2", 30],
+      ["j3", 30],
+    ]);
+    expect(recommendations[0].reasons.map((r) => r.factor)).toEqual([
+      "salary",
+      "equity",
+    ]);
+  });
+
+  test("works: half the salary points if close", async function () {
+    await SavedSearch.create("u1", {
+      name: "paid",
+      filters: { minSalary: "22" },
+    });
+    expect(scores(await Recommendation.forUser("u1"))).toEqual([
+      ["j3", 20],
+      ["j2", 10],
+    ]);
+  });
+
+  test("works: from jobs applied for, which are left out", async function () {
+    for (const [job, title] of [
+      ["j1", "Senior SQL Developer"],
+      ["j2", "SQL Developer"],
+      ["j3", "Chef"],
+    ]) {
+      await db.query(`UPDATE jobs SET title = $1 WHERE id = $2`, [
+        title,
+        jobIds[job],
+      ]);
+    }
+    await Application.create("u1", jobIds.j2);
+
+    const recommendations = await Recommendation.forUser("u1");
+    // j2 pays 20 and offers equity, so that's what u1 is after
+    expect(scores(recommendations)).toEqual([
+      ["Chef", 30],
+      ["Senior SQL Developer", 17],
+    ]);
+    expect(recommendations[1].reasons).toEqual([
+      {
+        factor: "similarity",
+        points: 17,
+        detail: 'Like "SQL Developer", which you applied for',
+      },
+    ]);
+  });
+
+  test("works: companies followed", async function () {
+    await CompanyFollow.add("u1", "c2");
+    expect(await Recommendation.forUser("u1")).toEqual([
+      {
+        job: expect.objectContaining({ id: jobIds.j3, title: "j3" }),
+        score: 10,
+        reasons: [
+          {
+            factor: "following",
+            points: 10,
+            detail: "At C2, which you follow",
+          },
+        ],
+      },
+    ]);
+  });
+
+  test("works: limit", async function () {
+    await SavedSearch.create("u1", {
+      name: "paid",
+      filters: { salaryMin: "20" },
+    });
+    const recommendations = await Recommendation.forUser("u1", { limit: 1 });
+    expect(scores(recommendations)).toEqual([["j2", 20]]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Recommendation.forUser("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,116 @@
+"use strict";
+
+const db = require("../db");
+const { UnauthorizedError } = require("../expressError");
+const { createOpaqueToken, hashToken } = require("../helpers/tokens");
+const { REFRESH_TOKEN_TTL_DAYS } = require("../config");
+
+/** Related functions for refresh tokens.
+ *
+ * Refresh tokens are opaque random strings handed to the client; only their
+ * hash is stored. Each one can be used once: refreshing revokes it and
+ * issues a replacement.
+ */
+
+class RefreshToken {
+  /** Issue a new refresh token for username.
+   *
+   * Returns the raw token (the only time it is available).
+   **/
+
+  static async create(username, client = db) {
+    const token = createOpaqueToken();
+
+    await client.query(
+      `INSERT INTO refresh_tokens (username, token_hash, expires_at)
+       VALUES ($1, $2, NOW() + make_interval(days => $3))`,
+      [username, hashToken(token), REFRESH_TOKEN_TTL_DAYS]
+    );
+
+    return token;
+  }
+
+  /** Trade a refresh token for a new one.
+   *
+   * Returns { user: { username, isAdmin }, refreshToken }
+   *
+   * Throws UnauthorizedError if the token is unknown, expired or revoked. A
+   * revoked token being presented again means it was stolen (or replayed),
+   * so every token for that user is revoked as well.
+   **/
+
+  static async rotate(token, client = db) {
+    const rotated = await db.withTransaction(async (tx) => {
+      // lock the row so two requests can't both trade the same token
+      const result = await tx.query(
+        `SELECT rt.id,
+                rt.username,
+                rt.revoked_at AS "revokedAt",
+                rt.expires_at < NOW() AS "expired",
+                u.is_admin AS "isAdmin"
+         FROM refresh_tokens AS rt
+         JOIN users AS u ON u.username = rt.username
+         WHERE rt.token_hash = $1 AND u.deleted_at IS NULL
+         FOR UPDATE OF rt`,
+        [hashToken(token)]
+      );
+      const found = result.rows[0];
+
+      if (!found) throw new UnauthorizedError("Invalid refresh token");
+      if (found.revokedAt) return { reusedBy: found.username };
+      if (found.expired) throw new UnauthorizedError("Refresh token expired");
+
+      const newToken = await RefreshToken.create(found.username, tx);
+      await tx.query(
+        `UPDATE refresh_tokens
+         SET revoked_at = NOW(),
+             replaced_by = (SELECT id FROM refresh_tokens WHERE token_hash = $2)
+         WHERE id = $1`,
+        [found.id, hashToken(newToken)]
+      );
+
+      return {
+        user: { username: found.username, isAdmin: found.isAdmin },
+        refreshToken: newToken,
+      };
+    }, client);
+
+    // outside the transaction, so throwing doesn't roll the revocation back
+    if (rotated.reusedBy) {
+      await RefreshToken.revokeAllForUser(rotated.reusedBy, client);
+      throw new UnauthorizedError("Refresh token already used");
+    }
+
+    return rotated;
+  }
+
+  /** Revoke a refresh token; returns undefined.
+   *
+   * Throws UnauthorizedError if the token is unknown or already revoked.
+   **/
+
+  static async revoke(token, client = db) {
+    const result = await client.query(
+      `UPDATE refresh_tokens
+       SET revoked_at = NOW()
+       WHERE token_hash = $1 AND revoked_at IS NULL
+       RETURNING id`,
+      [hashToken(token)]
+    );
+
+    if (!result.rows[0]) throw new UnauthorizedError("Invalid refresh token");
+  }
+
+  /** Revoke every outstanding refresh token for username; returns undefined. */
+
+  static async revokeAllForUser(username, client = db) {
+    await client.query(
+      `UPDATE refresh_tokens
+       SET revoked_at = NOW()
+       WHERE username = $1 AND revoked_at IS NULL`,
+      [username]
+    );
+  }
+}
+
+module.exports = RefreshToken;
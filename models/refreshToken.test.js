@@ -0,0 +1,110 @@
+"use strict";
+
+const { UnauthorizedError } = require("../expressError");
+const db = require("../db.js");
+const RefreshToken = require("./refreshToken.js");
+const { hashToken } = require("../helpers/tokens");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const token = await RefreshToken.create("u1");
+    const found = await db.query(
+      `SELECT username, token_hash FROM refresh_tokens WHERE username = 'u1'`
+    );
+    expect(found.rows).toEqual([
+      { username: "u1", token_hash: hashToken(token) },
+    ]);
+  });
+});
+
+/************************************** rotate */
+
+describe("rotate", function () {
+  test("works", async function () {
+    const token = await RefreshToken.create("u1");
+    const result = await RefreshToken.rotate(token);
+    expect(result).toEqual({
+      user: { username: "u1", isAdmin: false },
+      refreshToken: expect.any(String),
+    });
+    expect(result.refreshToken).not.toEqual(token);
+  });
+
+  test("unauth if reused, and revokes the user's other tokens", async function () {
+    const token = await RefreshToken.create("u1");
+    const { refreshToken } = await RefreshToken.rotate(token);
+    try {
+      await RefreshToken.rotate(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+    try {
+      await RefreshToken.rotate(refreshToken);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("unauth if expired", async function () {
+    const token = await RefreshToken.create("u1");
+    await db.query(
+      `UPDATE refresh_tokens SET expires_at = NOW() - INTERVAL '1 day'`
+    );
+    try {
+      await RefreshToken.rotate(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("unauth if unknown", async function () {
+    try {
+      await RefreshToken.rotate("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("works", async function () {
+    const token = await RefreshToken.create("u1");
+    await RefreshToken.revoke(token);
+    try {
+      await RefreshToken.rotate(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("unauth if already revoked", async function () {
+    const token = await RefreshToken.create("u1");
+    await RefreshToken.revoke(token);
+    try {
+      await RefreshToken.revoke(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+});
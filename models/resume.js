@@ -0,0 +1,187 @@
+"use strict";
+
+const crypto = require("crypto");
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { checkUser } = require("../helpers/checks");
+const { UPLOAD_MAX_BYTES } = require("../config");
+const { putFile, getFile, removeFile } = require("../helpers/storage");
+const CompanyMember = require("./companyMember");
+
+/** The kinds of file a résumé can be: content type => { extension, and the
+ * bytes such files start with }. */
+
+const TYPES = {
+  "application/pdf": { extension: ".pdf", magic: Buffer.from("%PDF-") },
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": {
+    extension: ".docx",
+    // DOCX files are ZIP archives
+    magic: Buffer.from("PK\x03\x04", "latin1"),
+  },
+};
+
+/** Columns returned for a résumé. */
+
+const RESUME_COLUMNS = `id,
+                        username,
+                        filename,
+                        content_type AS "contentType",
+                        size,
+                        created_at AS "createdAt"`;
+
+/** Related functions for the résumés users upload. */
+
+class Resume {
+  /** Upload a résumé for a user.
+   *
+   * data should be { contentType, data } (data is the file, as a Buffer) and
+   * may have { filename } (by default, "resume" with the type's extension).
+   *
+   * Returns { id, username, filename, contentType, size, createdAt }
+   *
+   * Throws NotFoundError if the user doesn't exist, and BadRequestError if
+   * the file isn't a PDF or DOCX, is empty or is bigger than
+   * UPLOAD_MAX_BYTES.
+   **/
+
+  static async create(username, { filename, contentType, data }, client = db) {
+    checkFile(contentType, data);
+    filename = filename || `resume${TYPES[contentType].extension}`;
+
+    const key = crypto.randomBytes(16).toString("hex");
+    await putFile(key, data);
+
+    try {
+      return await db.withTransaction(async (tx) => {
+        await checkUser(username, tx);
+
+        const result = await tx.query(
+          `INSERT INTO resumes
+             (username, filename, content_type, size, storage_key)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING ${RESUME_COLUMNS}`,
+          [username, filename, contentType, data.length, key]
+        );
+        return result.rows[0];
+      }, client);
+    } catch (err) {
+      await removeFile(key);
+      throw err;
+    }
+  }
+
+  /** Find a user's résumés, newest first.
+   *
+   * Returns [{ id, username, filename, contentType, size, createdAt }, ...]
+   *
+   * Throws NotFoundError if the user doesn't exist.
+   **/
+
+  static async findForUser(username, client = db) {
+    await checkUser(username, client);
+
+    const result = await client.query(
+      `SELECT ${RESUME_COLUMNS}
+       FROM resumes
+       WHERE username = $1
+       ORDER BY created_at DESC, id DESC`,
+      [username]
+    );
+    return result.rows;
+  }
+
+  /** Given a username and résumé id, return the résumé, with its file.
+   *
+   * Returns { id, username, filename, contentType, size, createdAt, data }
+   *   where data is the file, as a Buffer
+   *
+   * Throws NotFoundError if the user has no such résumé.
+   **/
+
+  static async get(username, id, client = db) {
+    const result = await client.query(
+      `SELECT ${RESUME_COLUMNS}, storage_key AS "storageKey"
+       FROM resumes
+       WHERE id = $1 AND username = $2`,
+      [id, username]
+    );
+    const found = result.rows[0];
+
+    if (!found) throw new NotFoundError(`${username} has no resume ${id}`);
+
+    const { storageKey, ...resume } = found;
+    const data = await getFile(storageKey);
+    if (!data) throw new NotFoundError(`The file for resume ${id} is missing`);
+
+    return { ...resume, data };
+  }
+
+  /** Delete a user's résumé and its file; returns undefined. Applications
+   * it was sent with are left without one. The file is removed once the
+   * transaction commits.
+   *
+   * Throws NotFoundError if the user has no such résumé.
+   **/
+
+  static async remove(username, id, client = db) {
+    const result = await client.query(
+      `DELETE FROM resumes
+       WHERE id = $1 AND username = $2
+       RETURNING storage_key AS "storageKey"`,
+      [id, username]
+    );
+    const resume = result.rows[0];
+
+    if (!resume) throw new NotFoundError(`${username} has no resume ${id}`);
+
+    // the file goes once the row is gone for good
+    await db.afterCommit(client, () => removeFile(resume.storageKey));
+  }
+
+  /** Has the résumé been sent, with an application, to a company where
+   * `viewer` is a recruiter or owner? Returns true or false. */
+
+  static async isSharedWith(id, viewer, client = db) {
+    const staffRoles = CompanyMember.ROLES.filter((role) =>
+      CompanyMember.roleAtLeast(role, "recruiter")
+    );
+    const result = await client.query(
+      `SELECT 1
+       FROM applications AS a
+       JOIN jobs AS j ON j.id = a.job_id
+       JOIN company_members AS m ON m.company_handle = j.company_handle
+       WHERE a.resume_id = $1 AND m.username = $2 AND m.role = ANY($3)
+       LIMIT 1`,
+      [id, viewer, staffRoles]
+    );
+    return result.rows.length > 0;
+  }
+}
+
+/** Throws BadRequestError unless data is a non-empty file of one of TYPES,
+ * no bigger than UPLOAD_MAX_BYTES, that looks like what it says it is. */
+
+function checkFile(contentType, data) {
+  const type = TYPES[contentType];
+  if (!type) {
+    throw new BadRequestError(
+      `Resumes must be one of: ${Object.keys(TYPES).join(", ")}`
+    );
+  }
+  if (!Buffer.isBuffer(data) || data.length === 0) {
+    throw new BadRequestError("The resume is empty");
+  }
+  if (data.length > UPLOAD_MAX_BYTES) {
+    throw new BadRequestError(
+      `Resumes can't be more than ${UPLOAD_MAX_BYTES} bytes`
+    );
+  }
+  if (!data.subarray(0, type.magic.length).equals(type.magic)) {
+    throw new BadRequestError(`The resume isn't a ${contentType} file`);
+  }
+}
+
+Resume.TYPES = TYPES;
+
+module.exports = Resume;
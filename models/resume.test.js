@@ -0,0 +1,231 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { UPLOAD_MAX_BYTES } = require("../config");
+const { getFile } = require("../helpers/storage");
+const Resume = require("./resume.js");
+const Application = require("./application.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon.js");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const DOCX =
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+const pdf = {
+  filename: "cv.pdf",
+  contentType: "application/pdf",
+  data: Buffer.from("%PDF-1.4 my resume"),
+};
+
+async function getJobId(title) {
+  const result = await db.query(`SELECT id FROM jobs WHERE title = $1`, [
+    title,
+  ]);
+  return result.rows[0].id;
+}
+
+async function storageKeyOf(id) {
+  const result = await db.query(
+    `SELECT storage_key FROM resumes WHERE id = $1`,
+    [id]
+  );
+  return result.rows[0].storage_key;
+}
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const resume = await Resume.create("u1", pdf);
+    expect(resume).toEqual({
+      id: expect.any(Number),
+      username: "u1",
+      filename: "cv.pdf",
+      contentType: "application/pdf",
+      size: pdf.data.length,
+      createdAt: expect.any(Date),
+    });
+    const stored = await getFile(await storageKeyOf(resume.id));
+    expect(stored.toString()).toEqual("%PDF-1.4 my resume");
+  });
+
+  test("works: DOCX, named by default", async function () {
+    const resume = await Resume.create("u1", {
+      contentType: DOCX,
+      data: Buffer.from("PK\x03\x04word/document.xml", "latin1"),
+    });
+    expect(resume.filename).toEqual("resume.docx");
+  });
+
+  test("bad request with other types, or a file that isn't one", async function () {
+    for (const file of [
+      { contentType: "text/plain", data: Buffer.from("my resume") },
+      { contentType: "application/pdf", data: Buffer.from("not a pdf") },
+      { contentType: DOCX, data: Buffer.from("%PDF-1.4") },
+    ]) {
+      try {
+        await Resume.create("u1", file);
+        fail();
+      } catch (err) {
+        expect(err instanceof BadRequestError).toBeTruthy();
+      }
+    }
+  });
+
+  test("bad request if empty or too big", async function () {
+    const tooBig = Buffer.alloc(UPLOAD_MAX_BYTES + 1);
+    pdf.data.copy(tooBig);
+    for (const data of [Buffer.alloc(0), tooBig]) {
+      try {
+        await Resume.create("u1", { ...pdf, data });
+        fail();
+      } catch (err) {
+        expect(err instanceof BadRequestError).toBeTruthy();
+      }
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Resume.create("nope", pdf);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findForUser */
+
+describe("findForUser", function () {
+  test("works: newest first", async function () {
+    await Resume.create("u1", pdf);
+    await Resume.create("u1", { ...pdf, filename: "cv2.pdf" });
+    await Resume.create("u2", pdf);
+
+    const resumes = await Resume.findForUser("u1");
+    expect(resumes.map((r) => r.filename)).toEqual(["cv2.pdf", "cv.pdf"]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Resume.findForUser("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works, with the file", async function () {
+    const { id } = await Resume.create("u1", pdf);
+    const resume = await Resume.get("u1", id);
+    expect(resume).toEqual({
+      id,
+      username: "u1",
+      filename: "cv.pdf",
+      contentType: "application/pdf",
+      size: pdf.data.length,
+      createdAt: expect.any(Date),
+      data: pdf.data,
+    });
+  });
+
+  test("not found if another user's", async function () {
+    const { id } = await Resume.create("u1", pdf);
+    try {
+      await Resume.get("u2", id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works, with its file, leaving applications without one", async function () {
+    const jobId = await getJobId("j1");
+    const { id } = await Resume.create("u1", pdf);
+    const key = await storageKeyOf(id);
+    await Application.create("u1", jobId, "applied", { resumeId: id });
+
+    await Resume.remove("u1", id);
+    expect(await Resume.findForUser("u1")).toEqual([]);
+    expect(await getFile(key)).toBeNull();
+    const application = await Application.get("u1", jobId);
+    expect(application.resumeId).toBeNull();
+  });
+
+  test("keeps the file if the caller rolls back", async function () {
+    const { id } = await Resume.create("u1", pdf);
+    const key = await storageKeyOf(id);
+    try {
+      await db.withTransaction(async (client) => {
+        await Resume.remove("u1", id, client);
+        throw new Error("boom");
+      });
+      fail();
+    } catch (err) {
+      expect(err.message).toEqual("boom");
+    }
+    expect(await getFile(key)).not.toBeNull();
+    expect((await Resume.get("u1", id)).id).toEqual(id);
+  });
+
+  test("not found if another user's", async function () {
+    const { id } = await Resume.create("u1", pdf);
+    try {
+      await Resume.remove("u2", id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** isSharedWith */
+
+describe("isSharedWith", function () {
+  // c1's members are u1 (owner) and u2 (recruiter)
+
+  test("works: recruiters and owners of companies applied to", async function () {
+    await db.query(`INSERT INTO users (username, password, first_name,
+                                       last_name, email)
+                    VALUES ('u3', 'x', 'U3F', 'U3L', 'u3@email.com')`);
+    const { id } = await Resume.create("u3", pdf);
+    expect(await Resume.isSharedWith(id, "u1")).toBe(false);
+
+    await Application.create("u3", await getJobId("j1"), "applied", {
+      resumeId: id,
+    });
+    expect(await Resume.isSharedWith(id, "u1")).toBe(true);
+    expect(await Resume.isSharedWith(id, "u2")).toBe(true);
+
+    await db.query(`UPDATE company_members SET role = 'viewer'
+                    WHERE username = 'u2'`);
+    expect(await Resume.isSharedWith(id, "u2")).toBe(false);
+  });
+
+  test("works: not other companies' staff", async function () {
+    const { id } = await Resume.create("u2", pdf);
+    await Application.create("u2", await getJobId("j3"), "applied", {
+      resumeId: id,
+    });
+    expect(await Resume.isSharedWith(id, "u1")).toBe(false);
+  });
+});
@@ -0,0 +1,243 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { checkUser } = require("../helpers/checks");
+const { validationErrors, coerceStrings } = require("../helpers/validation");
+const Job = require("./job");
+
+const jobSearchSchema = require("../schemas/jobSearch.json");
+
+/** The Job.findAll filters a search can save. */
+
+const FILTERS = [
+  "title",
+  "q",
+  "minSalary",
+  "equity",
+  "salaryMin",
+  "salaryMax",
+  "currency",
+  "payPeriod",
+  "remote",
+  "city",
+  "country",
+  "near",
+  "radiusKm",
+  "skills",
+  "skillMatch",
+];
+
+/** How new matches are delivered: as in-app notifications, or in an email
+ * digest. */
+
+const NOTIFY = ["in_app", "email"];
+
+/** Columns returned for a saved search. */
+
+const SAVED_SEARCH_COLUMNS = `id,
+                              username,
+                              name,
+                              filters,
+                              notify,
+                              created_at AS "createdAt",
+                              last_run_at AS "lastRunAt"`;
+
+/** Related functions for users' saved job searches. */
+
+class SavedSearch {
+  /** Save a search for username.
+   *
+   * data should be { name, filters } and may have { notify } (in_app, the
+   * default, or email). filters are Job.findAll filters, as in a /jobs query
+   * string.
+   *
+   * Returns { id, username, name, filters, notify, createdAt, lastRunAt }
+   *
+   * Throws NotFoundError if the user doesn't exist, and BadRequestError if
+   * they already have a search with this name or the filters are invalid.
+   **/
+
+  static async create(
+    username,
+    { name, filters = {}, notify = "in_app" },
+    client = db
+  ) {
+    checkFilters(filters);
+    if (!NOTIFY.includes(notify)) {
+      throw new BadRequestError(`Unknown notify: ${notify}`);
+    }
+
+    return db.withTransaction(async (tx) => {
+      await checkUser(username, tx);
+      // catches bad values, like an unknown currency, up front
+      await Job.count({ queryParams: queryParamsOf(filters) }, tx);
+
+      const duplicateCheck = await tx.query(
+        `SELECT id FROM saved_searches WHERE username = $1 AND name = $2`,
+        [username, name]
+      );
+      if (duplicateCheck.rows[0]) {
+        throw new BadRequestError(`Duplicate saved search: ${name}`);
+      }
+
+      const result = await tx.query(
+        `INSERT INTO saved_searches (username, name, filters, notify)
+         VALUES ($1, $2, $3, $4)
+         RETURNING ${SAVED_SEARCH_COLUMNS}`,
+        [username, name, JSON.stringify(filters), notify]
+      );
+      return result.rows[0];
+    }, client);
+  }
+
+  /** Find all of a user's saved searches.
+   *
+   * Returns [{ id, username, name, filters, notify, createdAt, lastRunAt },
+   *   ...]
+   *
+   * Throws NotFoundError if the user doesn't exist.
+   **/
+
+  static async findForUser(username, client = db) {
+    await checkUser(username, client);
+
+    const result = await client.query(
+      `SELECT ${SAVED_SEARCH_COLUMNS}
+       FROM saved_searches
+       WHERE username = $1
+       ORDER BY name`,
+      [username]
+    );
+    return result.rows;
+  }
+
+  /** Given a saved search id and its user, return it.
+   *
+   * Returns { id, username, name, filters, notify, createdAt, lastRunAt }
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async get(id, username, client = db) {
+    const result = await client.query(
+      `SELECT ${SAVED_SEARCH_COLUMNS}
+       FROM saved_searches
+       WHERE id = $1 AND username = $2`,
+      [id, username]
+    );
+    const search = result.rows[0];
+
+    if (!search) throw new NotFoundError(`No saved search: ${id}`);
+
+    return search;
+  }
+
+  /** Delete a user's saved search (and its notifications); returns
+   * undefined.
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async remove(id, username, client = db) {
+    const result = await client.query(
+      `DELETE
+       FROM saved_searches
+       WHERE id = $1 AND username = $2
+       RETURNING id`,
+      [id, username]
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`No saved search: ${id}`);
+  }
+
+  /** Find every saved search of users who haven't been deleted, with what's
+   * needed to notify them.
+   *
+   * Returns [{ id, username, name, filters, notify, createdAt, lastRunAt,
+   *   firstName, email }, ...]
+   **/
+
+  static async findAllForNotifying(client = db) {
+    const result = await client.query(
+      `SELECT s.id,
+              s.username,
+              s.name,
+              s.filters,
+              s.notify,
+              s.created_at AS "createdAt",
+              s.last_run_at AS "lastRunAt",
+              u.first_name AS "firstName",
+              u.email
+       FROM saved_searches AS s
+       JOIN users AS u ON u.username = s.username
+       WHERE u.deleted_at IS NULL
+       ORDER BY s.username, s.name`
+    );
+    return result.rows;
+  }
+
+  /** Find the open jobs matching a saved search that were published after it
+   * was last run (or saved, if it never has been), up to `until`.
+   *
+   * Returns [{ id, title, salary, equity, company_handle, ... }, ...] as
+   *   Job.findAll
+   *
+   * Throws BadRequestError if its filters are no longer valid.
+   **/
+
+  static async findNewJobs(search, until, client = db) {
+    const queryParams = {
+      ...queryParamsOf(search.filters),
+      publishedAfter: search.lastRunAt || search.createdAt,
+      publishedBefore: until,
+    };
+    return Job.findAll({ queryParams }, client);
+  }
+
+  /** Record that a saved search was checked for new jobs up to `runAt`;
+   * returns undefined. */
+
+  static async markRun(id, runAt, client = db) {
+    await client.query(
+      `UPDATE saved_searches SET last_run_at = $2 WHERE id = $1`,
+      [id, runAt]
+    );
+  }
+}
+
+/** Throws BadRequestError unless filters only has FILTERS, as strings. */
+
+function checkFilters(filters) {
+  for (const [filter, value] of Object.entries(filters)) {
+    if (!FILTERS.includes(filter)) {
+      throw new BadRequestError(`Unknown filter: ${filter}`);
+    }
+    if (typeof value !== "string") {
+      throw new BadRequestError(`Filter ${filter} should be a string`);
+    }
+  }
+}
+
+/** Saved filters as Job.findAll queryParams: turned into the types they'd
+ * have in a /jobs query string, and checked the same way (see
+ * schemas/jobSearch.json).
+ *
+ * Throws BadRequestError, listing what's wrong with each filter, if any are
+ * invalid.
+ */
+
+function queryParamsOf(filters) {
+  const queryParams = coerceStrings(filters, jobSearchSchema);
+  const errors = validationErrors(queryParams, jobSearchSchema).map((e) => ({
+    ...e,
+    field: e.field && `filters.${e.field}`,
+  }));
+  if (errors.length) throw new BadRequestError("Invalid filters", errors);
+  return queryParams;
+}
+
+SavedSearch.FILTERS = FILTERS;
+SavedSearch.NOTIFY = NOTIFY;
+
+module.exports = SavedSearch;
@@ -0,0 +1,251 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const SavedSearch = require("./savedSearch.js");
+const Job = require("./job.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon.js");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const newSearch = {
+  name: "Equity jobs",
+  filters: { title: "j", equity: "true" },
+};
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const search = await SavedSearch.create("u1", newSearch);
+    expect(search).toEqual({
+      id: expect.any(Number),
+      username: "u1",
+      name: "Equity jobs",
+      filters: { title: "j", equity: "true" },
+      notify: "in_app",
+      createdAt: expect.any(Date),
+      lastRunAt: null,
+    });
+  });
+
+  test("works: email", async function () {
+    const search = await SavedSearch.create("u1", {
+      ...newSearch,
+      notify: "email",
+    });
+    expect(search.notify).toEqual("email");
+  });
+
+  test("bad request with dupe name", async function () {
+    await SavedSearch.create("u1", newSearch);
+    try {
+      await SavedSearch.create("u1", newSearch);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("works: same name for another user", async function () {
+    await SavedSearch.create("u1", newSearch);
+    const search = await SavedSearch.create("u2", newSearch);
+    expect(search.username).toEqual("u2");
+  });
+
+  test("bad request with unknown filter", async function () {
+    try {
+      await SavedSearch.create("u1", { name: "x", filters: { nope: "1" } });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request with invalid filter value", async function () {
+    try {
+      await SavedSearch.create("u1", {
+        name: "x",
+        filters: { salaryMin: "10", currency: "XXX" },
+      });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request with filter values a /jobs query couldn't have", async function () {
+    try {
+      await SavedSearch.create("u1", {
+        name: "x",
+        filters: { minSalary: "abc", country: "Nowhere" },
+      });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.errors.map((e) => [e.field, e.code])).toEqual([
+        ["filters.minSalary", "type"],
+        ["filters.country", "pattern"],
+      ]);
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await SavedSearch.create("nope", newSearch);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findForUser */
+
+describe("findForUser", function () {
+  test("works", async function () {
+    await SavedSearch.create("u1", newSearch);
+    await SavedSearch.create("u1", { name: "Anything", filters: {} });
+    await SavedSearch.create("u2", newSearch);
+
+    const searches = await SavedSearch.findForUser("u1");
+    expect(searches.map((s) => s.name)).toEqual(["Anything", "Equity jobs"]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await SavedSearch.findForUser("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works", async function () {
+    const search = await SavedSearch.create("u1", newSearch);
+    expect(await SavedSearch.get(search.id, "u1")).toEqual(search);
+  });
+
+  test("not found for another user's search", async function () {
+    const search = await SavedSearch.create("u1", newSearch);
+    try {
+      await SavedSearch.get(search.id, "u2");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    const search = await SavedSearch.create("u1", newSearch);
+    await SavedSearch.remove(search.id, "u1");
+    expect(await SavedSearch.findForUser("u1")).toEqual([]);
+  });
+
+  test("not found for another user's search", async function () {
+    const search = await SavedSearch.create("u1", newSearch);
+    try {
+      await SavedSearch.remove(search.id, "u2");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findAllForNotifying */
+
+describe("findAllForNotifying", function () {
+  test("works, skipping deleted users", async function () {
+    await SavedSearch.create("u1", newSearch);
+    await SavedSearch.create("u2", newSearch);
+    await db.query("UPDATE users SET deleted_at = NOW() WHERE username='u2'");
+
+    const searches = await SavedSearch.findAllForNotifying();
+    expect(searches).toEqual([
+      {
+        id: expect.any(Number),
+        username: "u1",
+        name: "Equity jobs",
+        filters: { title: "j", equity: "true" },
+        notify: "in_app",
+        createdAt: expect.any(Date),
+        lastRunAt: null,
+        firstName: "U1F",
+        email: "u1@email.com",
+      },
+    ]);
+  });
+});
+
+/************************************** findNewJobs */
+
+describe("findNewJobs", function () {
+  test("works: only matching jobs published since the last run", async function () {
+    await db.query("UPDATE jobs SET published_at = NOW() - INTERVAL '1 day'");
+    const search = await SavedSearch.create("u1", newSearch);
+    await SavedSearch.markRun(search.id, new Date(Date.now() - 60 * 60 * 1000));
+    const newJob = await Job.create({
+      title: "j4",
+      salary: 40,
+      equity: 0.5,
+      company_handle: "c1",
+    });
+    await Job.create({
+      title: "j5",
+      salary: 50,
+      equity: 0,
+      company_handle: "c1",
+    });
+
+    const jobs = await SavedSearch.findNewJobs(
+      await SavedSearch.get(search.id, "u1"),
+      new Date()
+    );
+    expect(jobs.map((j) => j.id)).toEqual([newJob.id]);
+  });
+
+  test("bad request if its filters are no longer valid", async function () {
+    const search = await SavedSearch.create("u1", newSearch);
+    await db.query(
+      `UPDATE saved_searches SET filters = '{"minSalary": "abc"}' WHERE id = $1`,
+      [search.id]
+    );
+    try {
+      await SavedSearch.findNewJobs(
+        await SavedSearch.get(search.id, "u1"),
+        new Date()
+      );
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("works: nothing new", async function () {
+    const search = await SavedSearch.create("u1", newSearch);
+    await SavedSearch.markRun(search.id, new Date());
+
+    const jobs = await SavedSearch.findNewJobs(
+      await SavedSearch.get(search.id, "u1"),
+      new Date()
+    );
+    expect(jobs).toEqual([]);
+  });
+});
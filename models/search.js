@@ -0,0 +1,136 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const Job = require("./job");
+
+/** Options for ts_headline: matched words are wrapped in <mark> tags. */
+
+const HEADLINE_OPTIONS =
+  "StartSel=<mark>, StopSel=</mark>, MaxWords=25, MinWords=10, MaxFragments=2";
+
+/** SQL for expr with the characters special in HTML escaped, so snippets
+ * are safe to show as HTML: only their <mark> tags are markup. */
+
+function sqlEscapeHtml(expr) {
+  return `replace(replace(replace(replace(replace(${expr},
+            '&', '&amp;'), '<', '&lt;'), '>', '&gt;'), '"', '&quot;'),
+            '''', '&#39;')`;
+}
+
+/** SQL for a job's full search document: its own title plus the company's
+ * name and description, weighted below the title. */
+
+const JOB_DOCUMENT = `(j.search_vector || setweight(c.search_vector, 'C'))`;
+
+/** Full-text search across jobs and companies. */
+
+class Search {
+  /** Search jobs and companies for the words in q.
+   *
+   * q uses web-search syntax: words are ANDed, "quoted phrases", or, and
+   * -excluded words.
+   *
+   * Options:
+   * - type: "jobs" or "companies" to only search one of them
+   * - limit, offset: paging over the combined, ranked results
+   *
+   * Returns { results, total }
+   *   where results is ranked best match first, each either
+   *   { type: "company", handle, name, rank, snippet } or
+   *   { type: "job", id, title, companyHandle, companyName, rank, snippet }
+   *   and snippet has the matching text, as HTML, with <mark>ed words.
+   *
+   * Throws BadRequestError if q is empty or type is unknown.
+   **/
+
+  static async search(q, { type, limit = 20, offset = 0 } = {}, client = db) {
+    if (!q || !q.trim()) throw new BadRequestError("Search needs a q");
+    if (type && type !== "jobs" && type !== "companies") {
+      throw new BadRequestError(`Can't search type: ${type}`);
+    }
+
+    // fetch enough of each to fill the requested page once they're merged
+    const wanted = offset + limit;
+    const searches = [];
+    if (type !== "jobs")
+      searches.push(Search.searchCompanies(q, wanted, client));
+    if (type !== "companies")
+      searches.push(Search.searchJobs(q, wanted, client));
+
+    const found = await Promise.all(searches);
+    const results = found
+      .flatMap((f) => f.results)
+      .sort((a, b) => b.rank - a.rank)
+      .slice(offset, offset + limit);
+    const total = found.reduce((sum, f) => sum + f.total, 0);
+
+    return { results, total };
+  }
+
+  /** Search companies by name and description.
+   *
+   * Returns { results: [{ type, handle, name, rank, snippet }, ...], total }
+   **/
+
+  static async searchCompanies(q, limit, client = db) {
+    const result = await client.query(
+      `SELECT 'company' AS "type",
+              handle,
+              name,
+              ts_rank(search_vector, query) AS "rank",
+              ts_headline('english',
+                          ${sqlEscapeHtml("name || ': ' || description")},
+                          query, $3) AS "snippet",
+              COUNT(*) OVER () AS "total"
+       FROM companies, websearch_to_tsquery('english', $1) AS query
+       WHERE search_vector @@ query AND deleted_at IS NULL
+       ORDER BY "rank" DESC, name
+       LIMIT $2`,
+      [q, limit, HEADLINE_OPTIONS]
+    );
+
+    return splitTotal(result.rows);
+  }
+
+  /** Search jobs by title, and by their company's name and description.
+   * Only jobs open to the public are found.
+   *
+   * Returns { results: [{ type, id, title, companyHandle, companyName, rank,
+   *   snippet }, ...], total }
+   **/
+
+  static async searchJobs(q, limit, client = db) {
+    const result = await client.query(
+      `SELECT 'job' AS "type",
+              j.id,
+              j.title,
+              j.company_handle AS "companyHandle",
+              c.name AS "companyName",
+              ts_rank(${JOB_DOCUMENT}, query) AS "rank",
+              ts_headline('english',
+                          ${sqlEscapeHtml("j.title || ' at ' || c.name")},
+                          query, $3) AS "snippet",
+              COUNT(*) OVER () AS "total"
+       FROM jobs AS j
+         JOIN companies AS c ON c.handle = j.company_handle,
+         websearch_to_tsquery('english', $1) AS query
+       WHERE ${JOB_DOCUMENT} @@ query AND ${Job.sqlIsOpen("j")}
+       ORDER BY "rank" DESC, j.title, j.id
+       LIMIT $2`,
+      [q, limit, HEADLINE_OPTIONS]
+    );
+
+    return splitTotal(result.rows);
+  }
+}
+
+/** Pull the windowed total count off each row. */
+
+function splitTotal(rows) {
+  const total = rows.length ? Number(rows[0].total) : 0;
+  const results = rows.map(({ total, ...row }) => row);
+  return { results, total };
+}
+
+module.exports = Search;
@@ -0,0 +1,132 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const db = require("../db.js");
+const Search = require("./search.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+beforeEach(async function () {
+  await db.query(`
+    INSERT INTO companies(handle, name, num_employees, description)
+    VALUES ('snake', 'Snake Works', 10, 'Python shop, fully remote'),
+           ('bricks', 'Bricks Inc', 10, 'Office-based Java consultancy')`);
+  await db.query(`
+    INSERT INTO jobs(title, salary, equity, company_handle)
+    VALUES ('Python Developer', 100, 0, 'snake'),
+           ('Python Developer', 90, 0, 'bricks'),
+           ('Java Developer', 80, 0, 'bricks')`);
+});
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** search */
+
+describe("search", function () {
+  test("works: ranks mixed results", async function () {
+    const { results, total } = await Search.search("python remote");
+    expect(total).toEqual(2);
+    expect(results).toEqual([
+      {
+        type: "job",
+        id: expect.any(Number),
+        title: "Python Developer",
+        companyHandle: "snake",
+        companyName: "Snake Works",
+        rank: expect.any(Number),
+        snippet: "<mark>Python</mark> Developer at Snake Works",
+      },
+      {
+        type: "company",
+        handle: "snake",
+        name: "Snake Works",
+        rank: expect.any(Number),
+        snippet: expect.stringContaining("<mark>Python</mark>"),
+      },
+    ]);
+    expect(results[0].rank).toBeGreaterThanOrEqual(results[1].rank);
+  });
+
+  test("works: snippets escape the text around the marks", async function () {
+    await db.query(`
+      UPDATE companies
+      SET description = '<img src=x onerror="alert(1)"> Python & more'
+      WHERE handle = 'snake'`);
+    await db.query(`
+      UPDATE jobs SET title = 'Python <b>Developer</b>'
+      WHERE company_handle = 'snake'`);
+    const { results } = await Search.search("python");
+    const snippets = results
+      .filter((r) => r.handle === "snake" || r.companyHandle === "snake")
+      .map((r) => r.snippet);
+    expect(snippets.sort()).toEqual([
+      "<mark>Python</mark> &lt;b&gt;Developer&lt;/b&gt; at Snake Works",
+      "Snake Works: &lt;img src=x onerror=&quot;alert(1)&quot;&gt; " +
+        "<mark>Python</mark> &amp; more",
+    ]);
+  });
+
+  test("works: stems words", async function () {
+    const { results } = await Search.search("developers", { type: "jobs" });
+    expect(results.map((r) => r.title).sort()).toEqual([
+      "Java Developer",
+      "Python Developer",
+      "Python Developer",
+    ]);
+  });
+
+  test("works: only companies", async function () {
+    const { results, total } = await Search.search("python", {
+      type: "companies",
+    });
+    expect(total).toEqual(1);
+    expect(results.map((r) => r.type)).toEqual(["company"]);
+  });
+
+  test("works: paging", async function () {
+    const { results, total } = await Search.search("python", {
+      limit: 1,
+      offset: 1,
+    });
+    expect(total).toEqual(3);
+    expect(results.length).toEqual(1);
+  });
+
+  test("works: skips jobs that aren't open", async function () {
+    await db.query(
+      `UPDATE jobs SET status = 'draft' WHERE company_handle = 'bricks'`
+    );
+    const { results } = await Search.search("developer", { type: "jobs" });
+    expect(results.map((r) => r.companyHandle)).toEqual(["snake"]);
+  });
+
+  test("works: nothing found", async function () {
+    const { results, total } = await Search.search("haskell");
+    expect(results).toEqual([]);
+    expect(total).toEqual(0);
+  });
+
+  test("bad request without q", async function () {
+    try {
+      await Search.search("  ");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request with unknown type", async function () {
+    try {
+      await Search.search("python", { type: "users" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,392 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { checkUser } = require("../helpers/checks");
+const { sqlForPartialUpdate } = require("../helpers/sql");
+
+/** How much a job needs a skill. */
+
+const IMPORTANCES = ["required", "nice_to_have"];
+
+/** How well a user knows a skill, least to most. */
+
+const LEVELS = ["beginner", "intermediate", "advanced", "expert"];
+
+/** Columns returned for a skill. */
+
+const SKILL_COLUMNS = `id, name, category, created_at AS "createdAt"`;
+
+/** Related functions for skills, and the skills jobs need and users have. */
+
+class Skill {
+  /** Create a skill (from data), update db, return new skill data.
+   *
+   * data should be { name } and may have { category }
+   *
+   * Returns { id, name, category, createdAt }
+   *
+   * Throws BadRequestError if there's already a skill with the name, in any
+   * case.
+   **/
+
+  static async create({ name, category = null }, client = db) {
+    return db.withTransaction(async (tx) => {
+      await checkNameFree(name, null, tx);
+
+      const result = await tx.query(
+        `INSERT INTO skills (name, category)
+         VALUES ($1, $2)
+         RETURNING ${SKILL_COLUMNS}`,
+        [name, category]
+      );
+      return result.rows[0];
+    }, client);
+  }
+
+  /** Find all skills, by name.
+   *
+   * Can filter on { name, category }: name is part of the name, in any case;
+   * category has to match exactly.
+   *
+   * Returns [{ id, name, category, createdAt }, ...]
+   **/
+
+  static async findAll({ name, category } = {}, client = db) {
+    const conditions = [];
+    const values = [];
+
+    if (name) {
+      values.push(`%${name}%`);
+      conditions.push(`name ILIKE $${values.length}`);
+    }
+    if (category) {
+      values.push(category);
+      conditions.push(`category = $${values.length}`);
+    }
+
+    let query = `SELECT ${SKILL_COLUMNS} FROM skills`;
+    if (conditions.length > 0) {
+      query += ` WHERE ${conditions.join(" AND ")}`;
+    }
+    query += ` ORDER BY LOWER(name)`;
+
+    const result = await client.query(query, values);
+    return result.rows;
+  }
+
+  /** Given a skill id, return the skill.
+   *
+   * Returns { id, name, category, createdAt }
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async get(id, client = db) {
+    const result = await client.query(
+      `SELECT ${SKILL_COLUMNS} FROM skills WHERE id = $1`,
+      [id]
+    );
+    const skill = result.rows[0];
+
+    if (!skill) throw new NotFoundError(`No skill: ${id}`);
+
+    return skill;
+  }
+
+  /** Update a skill with `data`.
+   *
+   * This is a "partial update" --- it's fine if data doesn't contain all the
+   * fields; this only changes provided ones.
+   *
+   * Data can include: { name, category }
+   *
+   * Returns { id, name, category, createdAt }
+   *
+   * Throws NotFoundError if not found, and BadRequestError if another skill
+   * has the name.
+   **/
+
+  static async update(id, data, client = db) {
+    const { setCols, values } = sqlForPartialUpdate(data, {});
+    const idVarIdx = "$" + (values.length + 1);
+
+    return db.withTransaction(async (tx) => {
+      if (data.name !== undefined) await checkNameFree(data.name, id, tx);
+
+      const result = await tx.query(
+        `UPDATE skills
+         SET ${setCols}
+         WHERE id = ${idVarIdx}
+         RETURNING ${SKILL_COLUMNS}`,
+        [...values, id]
+      );
+      const skill = result.rows[0];
+
+      if (!skill) throw new NotFoundError(`No skill: ${id}`);
+
+      return skill;
+    }, client);
+  }
+
+  /** Delete a skill, and every job's and user's link to it; returns
+   * undefined.
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async remove(id, client = db) {
+    const result = await client.query(
+      `DELETE FROM skills WHERE id = $1 RETURNING id`,
+      [id]
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`No skill: ${id}`);
+  }
+
+  /** Find the skills a job needs: required ones first, then by name.
+   *
+   * Returns [{ id, name, category, importance }, ...]
+   **/
+
+  static async findForJob(jobId, client = db) {
+    const result = await client.query(
+      `SELECT s.id, s.name, s.category, js.importance
+       FROM job_skills AS js
+       JOIN skills AS s ON s.id = js.skill_id
+       WHERE js.job_id = $1
+       ORDER BY js.importance = 'required' DESC, LOWER(s.name)`,
+      [jobId]
+    );
+    return result.rows;
+  }
+
+  /** Add a skill to those a job needs; importance is required (the default)
+   * or nice_to_have.
+   *
+   * Returns { id, name, category, importance }
+   *
+   * Throws NotFoundError if the job (or skill) doesn't exist, and
+   * BadRequestError if the job already has the skill or the importance is
+   * unknown.
+   **/
+
+  static async addToJob(jobId, skillId, importance = "required", client = db) {
+    checkOneOf(importance, IMPORTANCES, "importance");
+
+    return db.withTransaction(async (tx) => {
+      const jobCheck = await tx.query(
+        `SELECT id FROM jobs WHERE id = $1 AND deleted_at IS NULL`,
+        [jobId]
+      );
+      if (!jobCheck.rows[0]) throw new NotFoundError(`No job: ${jobId}`);
+      await Skill.get(skillId, tx);
+
+      const duplicateCheck = await tx.query(
+        `SELECT skill_id FROM job_skills WHERE job_id = $1 AND skill_id = $2`,
+        [jobId, skillId]
+      );
+      if (duplicateCheck.rows[0]) {
+        throw new BadRequestError(`Job ${jobId} already has skill ${skillId}`);
+      }
+
+      const result = await tx.query(
+        `WITH link AS (
+           INSERT INTO job_skills (job_id, skill_id, importance)
+           VALUES ($1, $2, $3)
+           RETURNING skill_id, importance)
+         SELECT s.id, s.name, s.category, link.importance
+         FROM link
+         JOIN skills AS s ON s.id = link.skill_id`,
+        [jobId, skillId, importance]
+      );
+      return result.rows[0];
+    }, client);
+  }
+
+  /** Change how much a job needs a skill.
+   *
+   * Returns { id, name, category, importance }
+   *
+   * Throws NotFoundError if the job doesn't have the skill, and
+   * BadRequestError if the importance is unknown.
+   **/
+
+  static async updateForJob(jobId, skillId, importance, client = db) {
+    checkOneOf(importance, IMPORTANCES, "importance");
+
+    const result = await client.query(
+      `WITH link AS (
+         UPDATE job_skills
+         SET importance = $3
+         WHERE job_id = $1 AND skill_id = $2
+         RETURNING skill_id, importance)
+       SELECT s.id, s.name, s.category, link.importance
+       FROM link
+       JOIN skills AS s ON s.id = link.skill_id`,
+      [jobId, skillId, importance]
+    );
+    const skill = result.rows[0];
+
+    if (!skill) throw new NotFoundError(`Job ${jobId} has no skill ${skillId}`);
+
+    return skill;
+  }
+
+  /** Remove a skill from those a job needs; returns undefined.
+   *
+   * Throws NotFoundError if the job doesn't have the skill.
+   **/
+
+  static async removeFromJob(jobId, skillId, client = db) {
+    const result = await client.query(
+      `DELETE FROM job_skills
+       WHERE job_id = $1 AND skill_id = $2
+       RETURNING skill_id`,
+      [jobId, skillId]
+    );
+
+    if (!result.rows[0]) {
+      throw new NotFoundError(`Job ${jobId} has no skill ${skillId}`);
+    }
+  }
+
+  /** Find a user's skills, by name.
+   *
+   * Returns [{ id, name, category, level }, ...]
+   *
+   * Throws NotFoundError if the user doesn't exist.
+   **/
+
+  static async findForUser(username, client = db) {
+    await checkUser(username, client);
+
+    const result = await client.query(
+      `SELECT s.id, s.name, s.category, us.level
+       FROM user_skills AS us
+       JOIN skills AS s ON s.id = us.skill_id
+       WHERE us.username = $1
+       ORDER BY LOWER(s.name)`,
+      [username]
+    );
+    return result.rows;
+  }
+
+  /** Add a skill to a user's; level is beginner, intermediate (the default),
+   * advanced or expert.
+   *
+   * Returns { id, name, category, level }
+   *
+   * Throws NotFoundError if the user (or skill) doesn't exist, and
+   * BadRequestError if they already have the skill or the level is unknown.
+   **/
+
+  static async addToUser(
+    username,
+    skillId,
+    level = "intermediate",
+    client = db
+  ) {
+    checkOneOf(level, LEVELS, "level");
+
+    return db.withTransaction(async (tx) => {
+      await checkUser(username, tx);
+      await Skill.get(skillId, tx);
+
+      const duplicateCheck = await tx.query(
+        `SELECT skill_id
+         FROM user_skills
+         WHERE username = $1 AND skill_id = $2`,
+        [username, skillId]
+      );
+      if (duplicateCheck.rows[0]) {
+        throw new BadRequestError(`${username} already has skill ${skillId}`);
+      }
+
+      const result = await tx.query(
+        `WITH link AS (
+           INSERT INTO user_skills (username, skill_id, level)
+           VALUES ($1, $2, $3)
+           RETURNING skill_id, level)
+         SELECT s.id, s.name, s.category, link.level
+         FROM link
+         JOIN skills AS s ON s.id = link.skill_id`,
+        [username, skillId, level]
+      );
+      return result.rows[0];
+    }, client);
+  }
+
+  /** Change how well a user knows a skill.
+   *
+   * Returns { id, name, category, level }
+   *
+   * Throws NotFoundError if they don't have the skill, and BadRequestError
+   * if the level is unknown.
+   **/
+
+  static async updateForUser(username, skillId, level, client = db) {
+    checkOneOf(level, LEVELS, "level");
+
+    const result = await client.query(
+      `WITH link AS (
+         UPDATE user_skills
+         SET level = $3
+         WHERE username = $1 AND skill_id = $2
+         RETURNING skill_id, level)
+       SELECT s.id, s.name, s.category, link.level
+       FROM link
+       JOIN skills AS s ON s.id = link.skill_id`,
+      [username, skillId, level]
+    );
+    const skill = result.rows[0];
+
+    if (!skill) throw new NotFoundError(`${username} has no skill ${skillId}`);
+
+    return skill;
+  }
+
+  /** Remove a skill from a user's; returns undefined.
+   *
+   * Throws NotFoundError if they don't have the skill.
+   **/
+
+  static async removeFromUser(username, skillId, client = db) {
+    const result = await client.query(
+      `DELETE FROM user_skills
+       WHERE username = $1 AND skill_id = $2
+       RETURNING skill_id`,
+      [username, skillId]
+    );
+
+    if (!result.rows[0]) {
+      throw new NotFoundError(`${username} has no skill ${skillId}`);
+    }
+  }
+}
+
+/** Throws BadRequestError unless value is one of allowed. */
+
+function checkOneOf(value, allowed, what) {
+  if (!allowed.includes(value)) {
+    throw new BadRequestError(`Unknown ${what}: ${value}`);
+  }
+}
+
+/** Throws BadRequestError if a skill other than exceptId has this name, in
+ * any case. */
+
+async function checkNameFree(name, exceptId, client) {
+  const result = await client.query(
+    `SELECT id
+     FROM skills
+     WHERE LOWER(name) = LOWER($1) AND id IS DISTINCT FROM $2`,
+    [name, exceptId]
+  );
+  if (result.rows[0]) throw new BadRequestError(`Duplicate skill: ${name}`);
+}
+
+Skill.IMPORTANCES = IMPORTANCES;
+Skill.LEVELS = LEVELS;
+
+module.exports = Skill;
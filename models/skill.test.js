@@ -0,0 +1,309 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const Skill = require("./skill.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon.js");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+let jobId;
+
+beforeEach(async function () {
+  const result = await db.query(`SELECT id FROM jobs WHERE title = 'j1'`);
+  jobId = result.rows[0].id;
+});
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const skill = await Skill.create({ name: "SQL", category: "Languages" });
+    expect(skill).toEqual({
+      id: expect.any(Number),
+      name: "SQL",
+      category: "Languages",
+      createdAt: expect.any(Date),
+    });
+  });
+
+  test("bad request with a dupe, in any case", async function () {
+    await Skill.create({ name: "SQL" });
+    try {
+      await Skill.create({ name: "sql" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  beforeEach(async function () {
+    await Skill.create({ name: "SQL", category: "Languages" });
+    await Skill.create({ name: "python", category: "Languages" });
+    await Skill.create({ name: "PostgreSQL", category: "Databases" });
+  });
+
+  test("works: by name, in any case", async function () {
+    const skills = await Skill.findAll();
+    expect(skills.map((s) => s.name)).toEqual(["PostgreSQL", "python", "SQL"]);
+  });
+
+  test("works: name filter", async function () {
+    const skills = await Skill.findAll({ name: "sql" });
+    expect(skills.map((s) => s.name)).toEqual(["PostgreSQL", "SQL"]);
+  });
+
+  test("works: category filter", async function () {
+    const skills = await Skill.findAll({ category: "Languages" });
+    expect(skills.map((s) => s.name)).toEqual(["python", "SQL"]);
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works", async function () {
+    const { id } = await Skill.create({ name: "SQL" });
+    const skill = await Skill.get(id);
+    expect(skill).toEqual({
+      id,
+      name: "SQL",
+      category: null,
+      createdAt: expect.any(Date),
+    });
+  });
+
+  test("not found if no such skill", async function () {
+    try {
+      await Skill.get(0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** update */
+
+describe("update", function () {
+  test("works", async function () {
+    const { id } = await Skill.create({ name: "SQL" });
+    const skill = await Skill.update(id, { name: "sql", category: "DB" });
+    expect(skill).toEqual({
+      id,
+      name: "sql",
+      category: "DB",
+      createdAt: expect.any(Date),
+    });
+  });
+
+  test("bad request with another skill's name", async function () {
+    await Skill.create({ name: "SQL" });
+    const { id } = await Skill.create({ name: "Python" });
+    try {
+      await Skill.update(id, { name: "Sql" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such skill", async function () {
+    try {
+      await Skill.update(0, { name: "SQL" });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works, unlinking jobs and users", async function () {
+    const { id } = await Skill.create({ name: "SQL" });
+    await Skill.addToJob(jobId, id);
+    await Skill.addToUser("u1", id);
+
+    await Skill.remove(id);
+    expect(await Skill.findForJob(jobId)).toEqual([]);
+    expect(await Skill.findForUser("u1")).toEqual([]);
+  });
+
+  test("not found if no such skill", async function () {
+    try {
+      await Skill.remove(0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** job skills */
+
+describe("job skills", function () {
+  let sql, python;
+
+  beforeEach(async function () {
+    sql = await Skill.create({ name: "SQL" });
+    python = await Skill.create({ name: "Python" });
+  });
+
+  test("works: add, find, update and remove", async function () {
+    expect(await Skill.addToJob(jobId, sql.id)).toEqual({
+      id: sql.id,
+      name: "SQL",
+      category: null,
+      importance: "required",
+    });
+    await Skill.addToJob(jobId, python.id, "nice_to_have");
+
+    let skills = await Skill.findForJob(jobId);
+    expect(skills.map((s) => [s.name, s.importance])).toEqual([
+      ["SQL", "required"],
+      ["Python", "nice_to_have"],
+    ]);
+
+    const updated = await Skill.updateForJob(jobId, python.id, "required");
+    expect(updated.importance).toEqual("required");
+    skills = await Skill.findForJob(jobId);
+    expect(skills.map((s) => s.name)).toEqual(["Python", "SQL"]);
+
+    await Skill.removeFromJob(jobId, sql.id);
+    skills = await Skill.findForJob(jobId);
+    expect(skills.map((s) => s.name)).toEqual(["Python"]);
+  });
+
+  test("bad request if the job already has it", async function () {
+    await Skill.addToJob(jobId, sql.id);
+    try {
+      await Skill.addToJob(jobId, sql.id);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request with unknown importance", async function () {
+    try {
+      await Skill.addToJob(jobId, sql.id, "essential");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such job or skill", async function () {
+    for (const [job, skill] of [
+      [0, sql.id],
+      [jobId, 0],
+    ]) {
+      try {
+        await Skill.addToJob(job, skill);
+        fail();
+      } catch (err) {
+        expect(err instanceof NotFoundError).toBeTruthy();
+      }
+    }
+  });
+
+  test("not found updating or removing a skill the job lacks", async function () {
+    try {
+      await Skill.updateForJob(jobId, sql.id, "required");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+    try {
+      await Skill.removeFromJob(jobId, sql.id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** user skills */
+
+describe("user skills", function () {
+  let sql, python;
+
+  beforeEach(async function () {
+    sql = await Skill.create({ name: "SQL" });
+    python = await Skill.create({ name: "Python" });
+  });
+
+  test("works: add, find, update and remove", async function () {
+    expect(await Skill.addToUser("u1", sql.id, "expert")).toEqual({
+      id: sql.id,
+      name: "SQL",
+      category: null,
+      level: "expert",
+    });
+    await Skill.addToUser("u1", python.id);
+
+    let skills = await Skill.findForUser("u1");
+    expect(skills.map((s) => [s.name, s.level])).toEqual([
+      ["Python", "intermediate"],
+      ["SQL", "expert"],
+    ]);
+
+    const updated = await Skill.updateForUser("u1", python.id, "beginner");
+    expect(updated.level).toEqual("beginner");
+
+    await Skill.removeFromUser("u1", sql.id);
+    skills = await Skill.findForUser("u1");
+    expect(skills.map((s) => s.name)).toEqual(["Python"]);
+  });
+
+  test("bad request if the user already has it", async function () {
+    await Skill.addToUser("u1", sql.id);
+    try {
+      await Skill.addToUser("u1", sql.id);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request with unknown level", async function () {
+    try {
+      await Skill.addToUser("u1", sql.id, "guru");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Skill.findForUser("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found removing a skill the user lacks", async function () {
+    try {
+      await Skill.removeFromUser("u1", sql.id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,319 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { checkCompany, toTimestamp } = require("../helpers/checks");
+const { sqlToAnnualBase } = require("../helpers/currency");
+const Job = require("./job");
+const Application = require("./application");
+
+/** Bucket sizes => the interval each covers. */
+
+const BUCKETS = { day: "1 day", week: "1 week", month: "1 month" };
+
+/** The fewest days in each size of bucket, for capping how many there are. */
+
+const MIN_BUCKET_DAYS = { day: 1, week: 7, month: 28 };
+
+/** The most buckets a range may be split into. */
+
+const MAX_BUCKETS = 366;
+
+/** Without a from, stats cover this many days up to `to`. */
+
+const DEFAULT_DAYS = 30;
+
+/** How many titles (for salaries) and search terms are listed. */
+
+const TOP_COUNT = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Metrics for dashboards, made with SQL aggregates over jobs, applications
+ * and the events log (see models/event.js). */
+
+class Stats {
+  /** Stats for the whole site; see compute below. */
+
+  static async forSite(range = {}, client = db) {
+    return compute(null, range, client);
+  }
+
+  /** Stats for one company's jobs (and the searches that find it or them);
+   * see compute below.
+   *
+   * Throws NotFoundError if the company doesn't exist (or is deleted).
+   **/
+
+  static async forCompany(handle, range = {}, client = db) {
+    await checkCompany(handle, client);
+    return compute(handle, range, client);
+  }
+}
+
+/** Stats for the jobs of the company with this handle (or all jobs, if it's
+ * null) over a range { from, to, bucket }: from (inclusive) and to
+ * (exclusive) are dates or date-times, by default the DEFAULT_DAYS up to
+ * now, and bucket is day (the default), week or month.
+ *
+ * Returns { from, to, bucket, openJobs, activity, conversion,
+ *   medianSalaries, topSearches }
+ *   where openJobs is how many jobs are open to the public now
+ *   and activity is [{ start, views, applications, openJobs,
+ *     applicationsPerJob }, ...], a bucket at a time (in the database's
+ *     time zone); jobs count as open going by when they were published and
+ *     closed
+ *   and conversion is { states, transitions } for the applications made in
+ *     the range: states is [{ state, applications }, ...], how many reached
+ *     each state, and transitions is [{ fromState, toState, applications,
+ *     rate }, ...], where rate is the share of those in fromState that moved
+ *     on to toState
+ *   and medianSalaries is [{ title, jobs, medianSalary }, ...] for the jobs
+ *     posted in the range, most common titles first (salaries are yearly,
+ *     in the base currency, using the middle of each job's range)
+ *   and topSearches is [{ term, searches }, ...], most searched first
+ *
+ * Throws BadRequestError if from or to isn't a date, from isn't before to,
+ * bucket is unknown, or there'd be more than MAX_BUCKETS buckets.
+ **/
+
+async function compute(handle, range, client) {
+  const { from, to, bucket } = parseRange(range);
+
+  return {
+    from,
+    to,
+    bucket,
+    openJobs: await openJobs(handle, client),
+    activity: await activity(handle, { from, to, bucket }, client),
+    conversion: await conversion(handle, { from, to }, client),
+    medianSalaries: await medianSalaries(handle, { from, to }, client),
+    topSearches: await topSearches(handle, { from, to }, client),
+  };
+}
+
+/** Check and fill in the defaults of a range { from, to, bucket }.
+ *
+ * Returns { from, to, bucket } with from and to as Dates.
+ *
+ * Throws BadRequestError if it isn't a usable range.
+ */
+
+function parseRange({ from, to, bucket = "day" }) {
+  if (!Object.prototype.hasOwnProperty.call(BUCKETS, bucket)) {
+    throw new BadRequestError(
+      `bucket must be one of: ${Object.keys(BUCKETS).join(", ")}`
+    );
+  }
+
+  to = to === undefined ? new Date() : toTimestamp(to);
+  from =
+    from === undefined
+      ? new Date(to.getTime() - DEFAULT_DAYS * DAY_MS)
+      : toTimestamp(from);
+  if (from >= to) throw new BadRequestError("from must be before to");
+
+  const days = (to - from) / DAY_MS;
+  if (days / MIN_BUCKET_DAYS[bucket] > MAX_BUCKETS) {
+    throw new BadRequestError(
+      `That's more than ${MAX_BUCKETS} buckets: use bigger ones, or a ` +
+        "shorter range"
+    );
+  }
+
+  return { from, to, bucket };
+}
+
+/** SQL limiting the jobs aliased `alias` to the company whose handle is in
+ * parameter `param`, unless that's null. */
+
+function sqlForCompany(alias, param) {
+  return `(${param}::text IS NULL OR ${alias}.company_handle = ${param})`;
+}
+
+async function openJobs(handle, client) {
+  const result = await client.query(
+    `SELECT COUNT(*) AS "openJobs"
+     FROM jobs AS j
+     WHERE ${Job.sqlIsOpen("j")} AND ${sqlForCompany("j", "$1")}`,
+    [handle]
+  );
+  return Number(result.rows[0].openJobs);
+}
+
+async function activity(handle, { from, to, bucket }, client) {
+  const result = await client.query(
+    `WITH buckets AS (
+       SELECT start,
+              GREATEST(start, $1::timestamptz) AS "from",
+              LEAST(start + $4::interval, $2::timestamptz) AS "to"
+       FROM generate_series(date_trunc($5, $1::timestamptz),
+                            $2::timestamptz - INTERVAL '1 microsecond',
+                            $4::interval) AS start
+     )
+     SELECT b.start,
+            (SELECT COUNT(*)
+             FROM events AS e
+             JOIN jobs AS j ON j.id = e.job_id
+             WHERE e.kind = 'job_view'
+               AND e.created_at >= b.from AND e.created_at < b.to
+               AND ${sqlForCompany("j", "$3")}) AS views,
+            (SELECT COUNT(*)
+             FROM applications AS a
+             JOIN jobs AS j ON j.id = a.job_id
+             WHERE a.created_at >= b.from AND a.created_at < b.to
+               AND ${sqlForCompany("j", "$3")}) AS applications,
+            (SELECT COUNT(*)
+             FROM jobs AS j
+             WHERE j.deleted_at IS NULL
+               AND j.status IN ('published', 'closed')
+               AND j.published_at < b.to
+               AND (j.closed_at IS NULL OR j.closed_at >= b.from)
+               AND (j.closes_at IS NULL OR j.closes_at >= b.from)
+               AND ${sqlForCompany("j", "$3")}) AS "openJobs"
+     FROM buckets AS b
+     ORDER BY b.start`,
+    [from, to, handle, BUCKETS[bucket], bucket]
+  );
+
+  return result.rows.map((row) => {
+    const applications = Number(row.applications);
+    const open = Number(row.openJobs);
+    return {
+      start: row.start,
+      views: Number(row.views),
+      applications,
+      openJobs: open,
+      applicationsPerJob: open ? round(applications / open) : null,
+    };
+  });
+}
+
+async function conversion(handle, { from, to }, client) {
+  const result = await client.query(
+    `SELECT c.from_state AS "fromState",
+            c.to_state AS "toState",
+            COUNT(*) AS applications
+     FROM application_state_changes AS c
+     JOIN applications AS a
+       ON a.username = c.username AND a.job_id = c.job_id
+     JOIN jobs AS j ON j.id = a.job_id
+     WHERE a.created_at >= $1 AND a.created_at < $2
+       AND ${sqlForCompany("j", "$3")}
+     GROUP BY c.from_state, c.to_state`,
+    [from, to, handle]
+  );
+  const rows = result.rows.map((row) => ({
+    ...row,
+    applications: Number(row.applications),
+  }));
+
+  // applications can't come back to a state, so each one reaching a state
+  // made exactly one move into it
+  const reached = {};
+  for (const { toState, applications } of rows) {
+    reached[toState] = (reached[toState] || 0) + applications;
+  }
+
+  const order = (state) => Application.STATES.indexOf(state);
+  const states = Application.STATES.filter((state) => reached[state]).map(
+    (state) => ({ state, applications: reached[state] })
+  );
+  const transitions = rows
+    .filter((row) => row.fromState !== null)
+    .sort(
+      (a, b) =>
+        order(a.fromState) - order(b.fromState) ||
+        order(a.toState) - order(b.toState)
+    )
+    .map(({ fromState, toState, applications }) => ({
+      fromState,
+      toState,
+      applications,
+      rate: reached[fromState]
+        ? round(applications / reached[fromState])
+        : null,
+    }));
+
+  return { states, transitions };
+}
+
+async function medianSalaries(handle, { from, to }, client) {
+  const yearlyMin = sqlToAnnualBase(
+    "j.salary_min",
+    "j.currency",
+    "j.pay_period"
+  );
+  const yearlyMax = sqlToAnnualBase(
+    "j.salary_max",
+    "j.currency",
+    "j.pay_period"
+  );
+
+  const result = await client.query(
+    `SELECT j.title,
+            COUNT(*) AS jobs,
+            percentile_cont(0.5) WITHIN GROUP (
+              ORDER BY (COALESCE(${yearlyMin}, ${yearlyMax}) +
+                        COALESCE(${yearlyMax}, ${yearlyMin})) / 2
+            ) AS "medianSalary"
+     FROM jobs AS j
+     WHERE j.deleted_at IS NULL
+       AND j.status <> 'draft'
+       AND (j.salary_min IS NOT NULL OR j.salary_max IS NOT NULL)
+       AND j.created_at >= $1 AND j.created_at < $2
+       AND ${sqlForCompany("j", "$3")}
+     GROUP BY j.title
+     ORDER BY COUNT(*) DESC, j.title
+     LIMIT ${TOP_COUNT}`,
+    [from, to, handle]
+  );
+
+  return result.rows.map((row) => ({
+    title: row.title,
+    jobs: Number(row.jobs),
+    medianSalary: Math.round(row.medianSalary),
+  }));
+}
+
+async function topSearches(handle, { from, to }, client) {
+  // for a company, the searches that find it or one of its jobs
+  const result = await client.query(
+    `SELECT e.term, COUNT(*) AS searches
+     FROM events AS e
+     WHERE e.kind = 'search'
+       AND e.created_at >= $1 AND e.created_at < $2
+       AND ($3::text IS NULL
+            OR EXISTS (SELECT 1
+                       FROM companies AS c
+                       WHERE c.handle = $3
+                         AND c.search_vector @@
+                             websearch_to_tsquery('english', e.term))
+            OR EXISTS (SELECT 1
+                       FROM jobs AS j
+                       WHERE j.company_handle = $3
+                         AND j.deleted_at IS NULL
+                         AND j.search_vector @@
+                             websearch_to_tsquery('english', e.term)))
+     GROUP BY e.term
+     ORDER BY COUNT(*) DESC, e.term
+     LIMIT ${TOP_COUNT}`,
+    [from, to, handle]
+  );
+
+  return result.rows.map((row) => ({
+    term: row.term,
+    searches: Number(row.searches),
+  }));
+}
+
+/** Rounded to 3 decimal places. */
+
+function round(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+Stats.BUCKETS = BUCKETS;
+Stats.MAX_BUCKETS = MAX_BUCKETS;
+
+module.exports = Stats;
@@ -0,0 +1,298 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const Stats = require("./stats.js");
+const Application = require("./application.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon.js");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+let jobIds;
+
+beforeEach(async function () {
+  // so buckets start at midnight UTC, whatever the database's time zone
+  await db.query(`SET LOCAL TIME ZONE 'UTC'`);
+  const result = await db.query(`SELECT id, title FROM jobs`);
+  jobIds = Object.fromEntries(result.rows.map((r) => [r.title, r.id]));
+});
+
+const RANGE = { from: "2021-01-01", to: "2021-01-04" };
+
+/** Have username apply for a job on a date, then move through states. */
+
+async function apply(username, job, createdAt, states = ["applied"]) {
+  const [first, ...rest] = states;
+  await Application.create(username, jobIds[job], first);
+  for (const state of rest) {
+    await Application.changeState(username, jobIds[job], state, "u1");
+  }
+  await db.query(
+    `UPDATE applications SET created_at = $1
+     WHERE username = $2 AND job_id = $3`,
+    [createdAt, username, jobIds[job]]
+  );
+}
+
+async function view(job, createdAt) {
+  await db.query(
+    `INSERT INTO events (kind, job_id, created_at)
+     VALUES ('job_view', $1, $2)`,
+    [jobIds[job], createdAt]
+  );
+}
+
+async function search(term, createdAt) {
+  await db.query(
+    `INSERT INTO events (kind, term, created_at)
+     VALUES ('search', $1, $2)`,
+    [term, createdAt]
+  );
+}
+
+/************************************** forSite */
+
+describe("forSite", function () {
+  test("works: defaults to the last 30 days, by day", async function () {
+    const stats = await Stats.forSite();
+    expect(stats.to - stats.from).toEqual(30 * 24 * 60 * 60 * 1000);
+    expect(stats.bucket).toEqual("day");
+    expect(stats.openJobs).toEqual(3);
+    expect(stats.activity).toHaveLength(31);
+    expect(stats.conversion).toEqual({ states: [], transitions: [] });
+    expect(stats.medianSalaries).toEqual([
+      { title: "j1", jobs: 1, medianSalary: 10 },
+      { title: "j2", jobs: 1, medianSalary: 20 },
+      { title: "j3", jobs: 1, medianSalary: 30 },
+    ]);
+    expect(stats.topSearches).toEqual([]);
+  });
+
+  test("works: activity", async function () {
+    await apply("u1", "j2", "2021-01-01T10:00Z");
+    await apply("u1", "j1", "2021-01-02T10:00Z");
+    await apply("u2", "j1", "2021-01-03T10:00Z");
+    // j2 was open until midday on the 2nd, j1 from the 2nd, and j3 isn't yet
+    await db.query(
+      `UPDATE jobs SET published_at = '2021-01-02T00:00Z' WHERE id = $1`,
+      [jobIds.j1]
+    );
+    await db.query(
+      `UPDATE jobs
+       SET status = 'closed', published_at = '2020-12-01T00:00Z',
+           closed_at = '2021-01-02T12:00Z'
+       WHERE id = $1`,
+      [jobIds.j2]
+    );
+    await view("j1", "2020-12-31T12:00Z");
+    await view("j1", "2021-01-02T09:00Z");
+    await view("j1", "2021-01-02T10:00Z");
+    await view("j3", "2021-01-03T10:00Z");
+
+    const stats = await Stats.forSite(RANGE);
+    expect(stats.activity).toEqual([
+      {
+        start: new Date("2021-01-01T00:00Z"),
+        views: 0,
+        applications: 1,
+        openJobs: 1,
+        applicationsPerJob: 1,
+      },
+      {
+        start: new Date("2021-01-02T00:00Z"),
+        views: 2,
+        applications: 1,
+        openJobs: 2,
+        applicationsPerJob: 0.5,
+      },
+      {
+        start: new Date("2021-01-03T00:00Z"),
+        views: 1,
+        applications: 1,
+        openJobs: 1,
+        applicationsPerJob: 1,
+      },
+    ]);
+  });
+
+  test("works: weeks and months", async function () {
+    const weeks = await Stats.forSite({
+      from: "2021-01-01",
+      to: "2021-01-15",
+      bucket: "week",
+    });
+    expect(weeks.activity.map((b) => b.start)).toEqual([
+      new Date("2020-12-28T00:00Z"),
+      new Date("2021-01-04T00:00Z"),
+      new Date("2021-01-11T00:00Z"),
+    ]);
+
+    const months = await Stats.forSite({
+      from: "2021-01-15",
+      to: "2021-03-01",
+      bucket: "month",
+    });
+    expect(months.activity.map((b) => b.start)).toEqual([
+      new Date("2021-01-01T00:00Z"),
+      new Date("2021-02-01T00:00Z"),
+    ]);
+  });
+
+  test("works: conversion, for applications made in the range", async function () {
+    await apply("u1", "j1", "2021-01-01T10:00Z", [
+      "applied",
+      "screening",
+      "rejected",
+    ]);
+    await apply("u2", "j1", "2021-01-02T10:00Z", ["applied", "screening"]);
+    await apply("u1", "j2", "2021-01-03T10:00Z", ["interested", "withdrawn"]);
+    await apply("u2", "j2", "2020-12-31T10:00Z", ["applied", "screening"]);
+
+    const stats = await Stats.forSite(RANGE);
+    expect(stats.conversion).toEqual({
+      states: [
+        { state: "interested", applications: 1 },
+        { state: "applied", applications: 2 },
+        { state: "screening", applications: 2 },
+        { state: "rejected", applications: 1 },
+        { state: "withdrawn", applications: 1 },
+      ],
+      transitions: [
+        {
+          fromState: "interested",
+          toState: "withdrawn",
+          applications: 1,
+          rate: 1,
+        },
+        {
+          fromState: "applied",
+          toState: "screening",
+          applications: 2,
+          rate: 1,
+        },
+        {
+          fromState: "screening",
+          toState: "rejected",
+          applications: 1,
+          rate: 0.5,
+        },
+      ],
+    });
+  });
+
+  test("works: median salaries, yearly in the base currency", async function () {
+    await db.query(
+      `UPDATE jobs SET title = 'Engineer', created_at = '2021-01-02T00:00Z'
+       WHERE id = ANY($1)`,
+      [[jobIds.j1, jobIds.j2]]
+    );
+    await db.query(
+      `UPDATE jobs
+       SET title = 'Chef', created_at = '2021-01-02T00:00Z',
+           salary_min = 20, salary_max = 30, pay_period = 'hourly'
+       WHERE id = $1`,
+      [jobIds.j3]
+    );
+
+    const stats = await Stats.forSite(RANGE);
+    expect(stats.medianSalaries).toEqual([
+      { title: "Engineer", jobs: 2, medianSalary: 15 },
+      { title: "Chef", jobs: 1, medianSalary: 52000 },
+    ]);
+
+    await db.query(`UPDATE jobs SET status = 'draft' WHERE id = $1`, [
+      jobIds.j3,
+    ]);
+    const withoutDrafts = await Stats.forSite(RANGE);
+    expect(withoutDrafts.medianSalaries.map((s) => s.title)).toEqual([
+      "Engineer",
+    ]);
+  });
+
+  test("works: top searches", async function () {
+    await search("engineer", "2021-01-01T10:00Z");
+    await search("engineer", "2021-01-02T10:00Z");
+    await search("chef", "2021-01-02T10:00Z");
+    await search("c2", "2021-01-03T10:00Z");
+    await search("chef", "2020-12-31T10:00Z");
+
+    const stats = await Stats.forSite(RANGE);
+    expect(stats.topSearches).toEqual([
+      { term: "engineer", searches: 2 },
+      { term: "c2", searches: 1 },
+      { term: "chef", searches: 1 },
+    ]);
+  });
+
+  test("bad request with a bad range", async function () {
+    for (const range of [
+      { from: "2021-01-04", to: "2021-01-01" },
+      { from: "not a date" },
+      { bucket: "year" },
+      { from: "2000-01-01", to: "2021-01-01" },
+    ]) {
+      try {
+        await Stats.forSite(range);
+        fail();
+      } catch (err) {
+        expect(err instanceof BadRequestError).toBeTruthy();
+      }
+    }
+  });
+});
+
+/************************************** forCompany */
+
+describe("forCompany", function () {
+  test("works: only the company's jobs", async function () {
+    await view("j1", "2021-01-02T09:00Z");
+    await view("j3", "2021-01-02T10:00Z");
+    await apply("u1", "j3", "2021-01-02T10:00Z");
+    await apply("u2", "j1", "2021-01-03T10:00Z");
+
+    const stats = await Stats.forCompany("c2", RANGE);
+    expect(stats.openJobs).toEqual(1);
+    expect(stats.activity.map((b) => [b.views, b.applications])).toEqual([
+      [0, 0],
+      [1, 1],
+      [0, 0],
+    ]);
+    expect(stats.conversion.states).toEqual([
+      { state: "applied", applications: 1 },
+    ]);
+  });
+
+  test("works: searches that find the company or its jobs", async function () {
+    await db.query(`UPDATE jobs SET title = 'Chef' WHERE id = $1`, [jobIds.j3]);
+    await search("engineer", "2021-01-01T10:00Z");
+    await search("chef", "2021-01-02T10:00Z");
+    await search("c2", "2021-01-03T10:00Z");
+
+    const stats = await Stats.forCompany("c2", RANGE);
+    expect(stats.topSearches).toEqual([
+      { term: "c2", searches: 1 },
+      { term: "chef", searches: 1 },
+    ]);
+  });
+
+  test("not found if no such company, or it's deleted", async function () {
+    await db.query(`UPDATE companies SET deleted_at = NOW()
+                    WHERE handle = 'c2'`);
+    for (const handle of ["nope", "c2"]) {
+      try {
+        await Stats.forCompany(handle, RANGE);
+        fail();
+      } catch (err) {
+        expect(err instanceof NotFoundError).toBeTruthy();
+      }
+    }
+  });
+});
@@ -3,6 +3,12 @@
 const db = require("../db");
 const bcrypt = require("bcrypt");
 const { sqlForPartialUpdate } = require("../helpers/sql");
+const { sqlForSort } = require("../helpers/pagination");
+const { removeFile } = require("../helpers/storage");
+const { checkIfMatch } = require("../helpers/etag");
+const Application = require("./application");
+const Audit = require("./audit");
+const RefreshToken = require("./refreshToken");
 const {
   NotFoundError,
   BadRequestError,
@@ -11,6 +17,25 @@ const {
 
 const { BCRYPT_WORK_FACTOR } = require("../config.js");
 
+/** Columns returned for a user by register, update and remove. */
+
+const USER_COLUMNS = `username,
+                      first_name AS "firstName",
+                      last_name AS "lastName",
+                      email,
+                      is_admin AS "isAdmin",
+                      created_at AS "createdAt",
+                      updated_at AS "updatedAt"`;
+
+/** Fields users can be sorted by => SQL column. */
+
+const SORTABLE = {
+  username: "u.username",
+  firstName: "u.first_name",
+  lastName: "u.last_name",
+  email: "u.email",
+};
+
 /** Related functions for users. */
 
 class User {
@@ -18,12 +43,13 @@ class User {
    *
    * Returns { username, first_name, last_name, email, is_admin }
    *
-   * Throws UnauthorizedError is user not found or wrong password.
+   * Throws UnauthorizedError is user not found (or deleted) or wrong
+   * password.
    **/
 
-  static async authenticate(username, password) {
+  static async authenticate(username, password, client = db) {
     // try to find the user first
-    const result = await db.query(
+    const result = await client.query(
       `SELECT username,
                   password,
                   first_name AS "firstName",
@@ -31,7 +57,7 @@ class User {
                   email,
                   is_admin AS "isAdmin"
            FROM users
-           WHERE username = $1`,
+           WHERE username = $1 AND deleted_at IS NULL`,
       [username]
     );
 
@@ -51,95 +77,135 @@ class User {
 
   /** Register user with data.
    *
-   * Returns { username, firstName, lastName, email, isAdmin }
+   * Returns { username, firstName, lastName, email, isAdmin, createdAt,
+   *   updatedAt }
    *
    * Throws BadRequestError on duplicates.
    **/
 
-  static async register({
-    username,
-    password,
-    firstName,
-    lastName,
-    email,
-    isAdmin,
-  }) {
-    const duplicateCheck = await db.query(
-      `SELECT username
-           FROM users
-           WHERE username = $1`,
-      [username]
-    );
-
-    if (duplicateCheck.rows[0]) {
-      throw new BadRequestError(`Duplicate username: ${username}`);
-    }
-
-    const hashedPassword = await bcrypt.hash(password, BCRYPT_WORK_FACTOR);
-
-    const result = await db.query(
-      `INSERT INTO users
-           (username,
-            password,
-            first_name,
-            last_name,
-            email,
-            is_admin)
-           VALUES ($1, $2, $3, $4, $5, $6)
-           RETURNING username, first_name AS "firstName", last_name AS "lastName", email, is_admin AS "isAdmin"`,
-      [username, hashedPassword, firstName, lastName, email, isAdmin]
-    );
-
-    const user = result.rows[0];
+  static async register(
+    { username, password, firstName, lastName, email, isAdmin },
+    client = db
+  ) {
+    return db.withTransaction(async (tx) => {
+      const duplicateCheck = await tx.query(
+        `SELECT username
+             FROM users
+             WHERE username = $1`,
+        [username]
+      );
+
+      if (duplicateCheck.rows[0]) {
+        throw new BadRequestError(`Duplicate username: ${username}`);
+      }
 
-    return user;
+      const hashedPassword = await bcrypt.hash(password, BCRYPT_WORK_FACTOR);
+
+      const result = await tx.query(
+        `INSERT INTO users
+             (username,
+              password,
+              first_name,
+              last_name,
+              email,
+              is_admin)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING ${USER_COLUMNS}`,
+        [username, hashedPassword, firstName, lastName, email, isAdmin]
+      );
+
+      const user = result.rows[0];
+
+      await Audit.record(
+        {
+          action: "create",
+          entityType: "user",
+          entityId: username,
+          after: user,
+        },
+        tx
+      );
+
+      return user;
+    }, client);
   }
 
-  /** Find all users.
+  /** Find all users (except deleted ones).
    *
-   * Returns [{ username, first_name, last_name, email, is_admin, jobs}, ...]
-   *
-   * jobs as in { ..., jobs: [ jobId, jobId, ... ] }
+   * queryParams can page through results with { sort, limit, offset } (sort
+   * is a comma-separated list of username, firstName, lastName, email;
+   * prefix "-" for descending).
    *
+   * Returns [{ username, first_name, last_name, email, is_admin, createdAt,
+   *   updatedAt, job_ids }, ...]
+   *   where job_ids is the ids of the jobs they've applied for,
+   *   [ jobId, jobId, ... ] ([null] if none)
    **/
 
-  static async findAll() {
-    const result = await db.query(
-      `SELECT u.username,
+  static async findAll({ queryParams = {} } = {}, client = db) {
+    const orderBy = sqlForSort(queryParams.sort, SORTABLE, "username");
+    const values = [];
+    let query = `SELECT u.username,
               u.first_name,
               u.last_name, 
               u.email,
               u.is_admin,
+              u.created_at AS "createdAt",
+              u.updated_at AS "updatedAt",
               array_agg(a.job_id) as job_ids
        FROM users as u
        LEFT JOIN applications as a ON u.username = a.username
+       WHERE u.deleted_at IS NULL
        GROUP BY u.username, u.first_name, u.last_name, u.email, u.is_admin
-       ORDER BY u.username`
-    );
+       ORDER BY ${orderBy}, u.username`;
+
+    if (queryParams.limit !== undefined) {
+      values.push(queryParams.limit);
+      query += ` LIMIT $${values.length}`;
+    }
+    if (queryParams.offset !== undefined) {
+      values.push(queryParams.offset);
+      query += ` OFFSET $${values.length}`;
+    }
+
+    const result = await client.query(query, values);
     return result.rows;
   }
 
+  /** Count all users (except deleted ones).
+   *
+   * Returns a number.
+   **/
+
+  static async count(client = db) {
+    const result = await client.query(
+      `SELECT COUNT(*) AS "total" FROM users WHERE deleted_at IS NULL`
+    );
+    return Number(result.rows[0].total);
+  }
+
   /** Given a username, return data about user.
    *
-   * Returns { username, first_name, last_name, is_admin, jobs }
-   *   where jobs is { id, title, company_handle, company_name, state }
+   * Returns { username, first_name, last_name, email, email_verified,
+   *   is_admin, createdAt, updatedAt, jobs }
+   *   where jobs is [{ id, title, companyHandle, state, updatedAt }, ...]
+   *   (leaving out jobs that have been deleted)
    *
-   * Throws NotFoundError if user not found.
+   * Throws NotFoundError if user not found or deleted.
    **/
 
-  static async get(username) {
-    const userRes = await db.query(
-      `SELECT u.username,
-              u.first_name,
-              u.last_name, 
-              u.email,
-              u.is_admin,
-              array_agg(a.job_id) as job_ids
-       FROM users as u
-       LEFT JOIN applications as a ON u.username = a.username
-       WHERE u.username = $1
-       GROUP BY u.username, u.first_name, u.last_name, u.email, u.is_admin
-       ORDER BY u.username`,
+  static async get(username, client = db) {
+    const userRes = await client.query(
+      `SELECT username,
+              first_name,
+              last_name,
+              email,
+              email_verified_at IS NOT NULL AS "email_verified",
+              is_admin,
+              created_at AS "createdAt",
+              updated_at AS "updatedAt"
+       FROM users
+       WHERE username = $1 AND deleted_at IS NULL`,
       [username]
     );
 
@@ -147,6 +213,20 @@ class User {
 
     if (!user) throw new NotFoundError(`No user: ${username}`);
 
+    const applicationsRes = await client.query(
+      `SELECT j.id,
+              j.title,
+              j.company_handle AS "companyHandle",
+              a.state,
+              a.updated_at AS "updatedAt"
+       FROM applications AS a
+       JOIN jobs AS j ON j.id = a.job_id
+       WHERE a.username = $1 AND j.deleted_at IS NULL
+       ORDER BY a.created_at, j.id`,
+      [username]
+    );
+    user.jobs = applicationsRes.rows;
+
     return user;
   }
 
@@ -158,16 +238,23 @@ class User {
    * Data can include:
    *   { firstName, lastName, password, email, isAdmin }
    *
-   * Returns { username, firstName, lastName, email, isAdmin }
+   * Changing email means it has to be verified again.
+   *
+   * ifMatch is the request's If-Match header, if any: the user is only
+   * changed if it's still the version that names (see helpers/etag.js).
    *
-   * Throws NotFoundError if not found.
+   * Returns { username, firstName, lastName, email, isAdmin, createdAt,
+   *   updatedAt }
+   *
+   * Throws NotFoundError if not found, and PreconditionFailedError if
+   * ifMatch doesn't match.
    *
    * WARNING: this function can set a new password or make a user an admin.
    * Callers of this function must be certain they have validated inputs to this
    * or a serious security risks are opened.
    */
 
-  static async update(username, data) {
+  static async update(username, data, { ifMatch } = {}, client = db) {
     if (data.password) {
       data.password = await bcrypt.hash(data.password, BCRYPT_WORK_FACTOR);
     }
@@ -179,53 +266,236 @@ class User {
     });
     const usernameVarIdx = "$" + (values.length + 1);
 
-    const querySql = `UPDATE users 
-                      SET ${setCols} 
-                      WHERE username = ${usernameVarIdx} 
-                      RETURNING username,
-                                first_name AS "firstName",
-                                last_name AS "lastName",
-                                email,
-                                is_admin AS "isAdmin"`;
-    const result = await db.query(querySql, [...values, username]);
-    const user = result.rows[0];
+    // (in SET, "email" is still the old address)
+    let verifiedCol = "";
+    if (data.email !== undefined) {
+      const emailVarIdx = "$" + (Object.keys(data).indexOf("email") + 1);
+      verifiedCol = `, email_verified_at = CASE
+                         WHEN email = ${emailVarIdx} THEN email_verified_at
+                       END`;
+    }
 
-    if (!user) throw new NotFoundError(`No user: ${username}`);
+    return db.withTransaction(async (tx) => {
+      const beforeRes = await tx.query(
+        `SELECT ${USER_COLUMNS}
+         FROM users
+         WHERE username = $1 AND deleted_at IS NULL
+         FOR UPDATE`,
+        [username]
+      );
+      const before = beforeRes.rows[0];
+
+      if (!before) throw new NotFoundError(`No user: ${username}`);
+      checkIfMatch(ifMatch, before.updatedAt, `User ${username}`);
+
+      const querySql = `UPDATE users 
+                        SET ${setCols}${verifiedCol} 
+                        WHERE username = ${usernameVarIdx} 
+                        RETURNING ${USER_COLUMNS}`;
+      const result = await tx.query(querySql, [...values, username]);
+      const user = result.rows[0];
+
+      // log that the password changed, but never the hash
+      const passwordChange = data.password ? { password: "[changed]" } : {};
+      await Audit.record(
+        {
+          action: "update",
+          entityType: "user",
+          entityId: username,
+          before,
+          after: { ...user, ...passwordChange },
+        },
+        tx
+      );
+
+      return user;
+    }, client);
+  }
 
-    delete user.password;
-    return user;
+  /** Given an email address, return the users with it (emails aren't
+   * unique, so there may be more than one).
+   *
+   * Returns [{ username, firstName, lastName, email }, ...]
+   **/
+
+  static async findByEmail(email, client = db) {
+    const result = await client.query(
+      `SELECT username,
+              first_name AS "firstName",
+              last_name AS "lastName",
+              email
+       FROM users
+       WHERE lower(email) = lower($1) AND deleted_at IS NULL
+       ORDER BY username`,
+      [email]
+    );
+    return result.rows;
   }
 
-  /** Delete given user from database; returns undefined. */
+  /** Mark username's email as verified, as long as it's still `email` (the
+   * address the verification link was sent to); returns undefined.
+   *
+   * Throws BadRequestError if the user's email has changed since.
+   **/
 
-  static async remove(username) {
-    let result = await db.query(
-      `DELETE
-           FROM users
-           WHERE username = $1
-           RETURNING username`,
-      [username]
+  static async verifyEmail(username, email, client = db) {
+    const result = await client.query(
+      `UPDATE users
+       SET email_verified_at = COALESCE(email_verified_at, NOW())
+       WHERE username = $1 AND email = $2
+       RETURNING username`,
+      [username, email]
     );
-    const user = result.rows[0];
 
-    if (!user) throw new NotFoundError(`No user: ${username}`);
+    if (!result.rows[0]) {
+      throw new BadRequestError("Email has changed since this link was sent");
+    }
+  }
+
+  /** Delete given user; returns undefined.
+   *
+   * They're only hidden (their applications are kept) until restored or
+   * purged. Deleted users can't log in, and their refresh tokens are revoked.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async remove(username, client = db) {
+    return db.withTransaction(async (tx) => {
+      const result = await tx.query(
+        `UPDATE users
+         SET deleted_at = NOW()
+         WHERE username = $1 AND deleted_at IS NULL
+         RETURNING ${USER_COLUMNS}`,
+        [username]
+      );
+      const user = result.rows[0];
+
+      if (!user) throw new NotFoundError(`No user: ${username}`);
+
+      await RefreshToken.revokeAllForUser(username, tx);
+      await Audit.record(
+        {
+          action: "delete",
+          entityType: "user",
+          entityId: username,
+          before: user,
+        },
+        tx
+      );
+    }, client);
+  }
+
+  /** Bring back a deleted user.
+   *
+   * Returns { username, firstName, lastName, email, isAdmin, createdAt,
+   *   updatedAt }
+   *
+   * Throws NotFoundError if there's no deleted user with this username.
+   **/
+
+  static async restore(username, client = db) {
+    return db.withTransaction(async (tx) => {
+      const result = await tx.query(
+        `UPDATE users
+         SET deleted_at = NULL
+         WHERE username = $1 AND deleted_at IS NOT NULL
+         RETURNING ${USER_COLUMNS}`,
+        [username]
+      );
+      const user = result.rows[0];
+
+      if (!user) throw new NotFoundError(`No deleted user: ${username}`);
+
+      await Audit.record(
+        {
+          action: "restore",
+          entityType: "user",
+          entityId: username,
+          after: user,
+        },
+        tx
+      );
+
+      return user;
+    }, client);
+  }
+
+  /** Permanently remove a deleted user, with their applications,
+   * memberships and résumés; returns undefined. The résumés' files are
+   * removed once the transaction commits.
+   *
+   * Throws NotFoundError if user not found, and BadRequestError if they
+   * haven't been deleted first.
+   **/
+
+  static async purge(username, client = db) {
+    await db.withTransaction(async (tx) => {
+      const result = await tx.query(
+        `SELECT ${USER_COLUMNS}, deleted_at IS NOT NULL AS "deleted"
+         FROM users
+         WHERE username = $1
+         FOR UPDATE`,
+        [username]
+      );
+      if (!result.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+      const { deleted, ...user } = result.rows[0];
+      if (!deleted) {
+        throw new BadRequestError(
+          `User ${username} must be deleted before purging`
+        );
+      }
+
+      const resumes = await tx.query(
+        `SELECT storage_key AS "storageKey" FROM resumes WHERE username = $1`,
+        [username]
+      );
+      await tx.query(`DELETE FROM users WHERE username = $1`, [username]);
+
+      await Audit.record(
+        {
+          action: "purge",
+          entityType: "user",
+          entityId: username,
+          before: user,
+        },
+        tx
+      );
+
+      // their résumés' files go once the rows are gone for good
+      for (const { storageKey } of resumes.rows) {
+        await db.afterCommit(tx, () => removeFile(storageKey));
+      }
+    }, client);
   }
 
   /** Apply user for jobs.
    *
-   * Returns { jobID }
+   * state is the starting state of the application: "applied" (default) or
+   * "interested". material may have { resumeId, coverLetter } (see
+   * Application.create).
+   *
+   * Returns { job_id, state }
    *
    **/
 
-  static async applyForJob(username, jobId) {
-    let result = await db.query(
-      `INSERT INTO applications (username, job_id)
-       VALUES ($1, $2)
-       RETURNING job_id`,
-      [username, jobId]
+  static async applyForJob(
+    username,
+    jobId,
+    state = "applied",
+    material = {},
+    client = db
+  ) {
+    const application = await Application.create(
+      username,
+      jobId,
+      state,
+      material,
+      client
     );
 
-    return result.rows[0];
+    return { job_id: application.jobId, state: application.state };
   }
 }
 
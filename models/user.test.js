@@ -4,9 +4,13 @@ const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  PreconditionFailedError,
 } = require("../expressError");
 const db = require("../db.js");
 const User = require("./user.js");
+const Resume = require("./resume.js");
+const { getFile } = require("../helpers/storage");
+const { etagFor } = require("../helpers/etag");
 const {
   commonBeforeAll,
   commonBeforeEach,
@@ -68,7 +72,11 @@ describe("register", function () {
       ...newUser,
       password: "password",
     });
-    expect(user).toEqual(newUser);
+    expect(user).toEqual({
+      ...newUser,
+      createdAt: expect.any(Date),
+      updatedAt: expect.any(Date),
+    });
     const found = await db.query("SELECT * FROM users WHERE username = 'new'");
     expect(found.rows.length).toEqual(1);
     expect(found.rows[0].is_admin).toEqual(false);
@@ -81,7 +89,12 @@ describe("register", function () {
       password: "password",
       isAdmin: true,
     });
-    expect(user).toEqual({ ...newUser, isAdmin: true });
+    expect(user).toEqual({
+      ...newUser,
+      isAdmin: true,
+      createdAt: expect.any(Date),
+      updatedAt: expect.any(Date),
+    });
     const found = await db.query("SELECT * FROM users WHERE username = 'new'");
     expect(found.rows.length).toEqual(1);
     expect(found.rows[0].is_admin).toEqual(true);
@@ -117,6 +130,8 @@ describe("findAll", function () {
         last_name: "U1L",
         email: "u1@email.com",
         is_admin: false,
+        createdAt: expect.any(Date),
+        updatedAt: expect.any(Date),
         job_ids: [null],
       },
       {
@@ -125,12 +140,36 @@ describe("findAll", function () {
         last_name: "U2L",
         email: "u2@email.com",
         is_admin: false,
+        createdAt: expect.any(Date),
+        updatedAt: expect.any(Date),
         job_ids: [null],
       },
     ]);
   });
 });
 
+/************************************** findAll: sort and paging */
+
+describe("findAll: sort and paging", function () {
+  test("works: sort descending", async function () {
+    const users = await User.findAll({ queryParams: { sort: "-username" } });
+    expect(users.map((u) => u.username)).toEqual(["u2", "u1"]);
+  });
+
+  test("works: limit", async function () {
+    const users = await User.findAll({ queryParams: { limit: 1 } });
+    expect(users.map((u) => u.username)).toEqual(["u1"]);
+  });
+});
+
+/************************************** count */
+
+describe("count", function () {
+  test("works", async function () {
+    expect(await User.count()).toEqual(2);
+  });
+});
+
 /************************************** get */
 
 describe("get", function () {
@@ -141,8 +180,11 @@ describe("get", function () {
       first_name: "U1F",
       last_name: "U1L",
       email: "u1@email.com",
+      email_verified: false,
       is_admin: false,
-      job_ids: [null],
+      createdAt: expect.any(Date),
+      updatedAt: expect.any(Date),
+      jobs: [],
     });
   });
 
@@ -171,6 +213,8 @@ describe("update", function () {
     expect(job).toEqual({
       username: "u1",
       ...updateData,
+      createdAt: expect.any(Date),
+      updatedAt: expect.any(Date),
     });
   });
 
@@ -184,12 +228,40 @@ describe("update", function () {
       lastName: "U1L",
       email: "u1@email.com",
       isAdmin: false,
+      createdAt: expect.any(Date),
+      updatedAt: expect.any(Date),
     });
     const found = await db.query("SELECT * FROM users WHERE username = 'u1'");
     expect(found.rows.length).toEqual(1);
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
+  test("works: If-Match with the current version", async function () {
+    const { updatedAt } = await User.get("u1");
+    const user = await User.update(
+      "u1",
+      { firstName: "NewF" },
+      { ifMatch: etagFor(updatedAt, {}) }
+    );
+    expect(user.firstName).toEqual("NewF");
+    expect(user.updatedAt > updatedAt).toBe(true);
+  });
+
+  test("precondition failed if it's changed since", async function () {
+    const { updatedAt } = await User.get("u1");
+    await User.update("u1", { firstName: "NewF" });
+    try {
+      await User.update(
+        "u1",
+        { lastName: "NewL" },
+        { ifMatch: etagFor(updatedAt, {}) }
+      );
+      fail();
+    } catch (err) {
+      expect(err instanceof PreconditionFailedError).toBeTruthy();
+    }
+  });
+
   test("not found if no such user", async function () {
     try {
       await User.update("nope", {
@@ -212,18 +284,194 @@ describe("update", function () {
   });
 });
 
+/************************************** update: email verification */
+
+describe("update: email verification", function () {
+  beforeEach(async function () {
+    await User.verifyEmail("u1", "u1@email.com");
+  });
+
+  test("keeps verification if email is unchanged", async function () {
+    await User.update("u1", { email: "u1@email.com", firstName: "New" });
+    expect((await User.get("u1")).email_verified).toEqual(true);
+  });
+
+  test("clears verification when email changes", async function () {
+    await User.update("u1", { firstName: "New", email: "new@email.com" });
+    expect((await User.get("u1")).email_verified).toEqual(false);
+  });
+});
+
+/************************************** findByEmail */
+
+describe("findByEmail", function () {
+  test("works", async function () {
+    expect(await User.findByEmail("U1@email.com")).toEqual([
+      {
+        username: "u1",
+        firstName: "U1F",
+        lastName: "U1L",
+        email: "u1@email.com",
+      },
+    ]);
+  });
+
+  test("works: no one with that email", async function () {
+    expect(await User.findByEmail("nope@email.com")).toEqual([]);
+  });
+});
+
+/************************************** verifyEmail */
+
+describe("verifyEmail", function () {
+  test("works", async function () {
+    await User.verifyEmail("u1", "u1@email.com");
+    expect((await User.get("u1")).email_verified).toEqual(true);
+  });
+
+  test("bad request if the email has changed", async function () {
+    try {
+      await User.verifyEmail("u1", "old@email.com");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
 /************************************** remove */
 
 describe("remove", function () {
   test("works", async function () {
     await User.remove("u1");
+    const res = await db.query(
+      "SELECT deleted_at FROM users WHERE username='u1'"
+    );
+    expect(res.rows).toEqual([{ deleted_at: expect.any(Date) }]);
+
+    const users = await User.findAll();
+    expect(users.map((u) => u.username)).toEqual(["u2"]);
+    expect(await User.count()).toEqual(1);
+  });
+
+  test("deleted users can't log in", async function () {
+    await User.remove("u1");
+    try {
+      await User.authenticate("u1", "password1");
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("deleted users aren't found", async function () {
+    await User.remove("u1");
+    try {
+      await User.get("u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await User.remove("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** restore */
+
+describe("restore", function () {
+  test("works", async function () {
+    await User.remove("u1");
+    const user = await User.restore("u1");
+    expect(user).toEqual({
+      username: "u1",
+      firstName: "U1F",
+      lastName: "U1L",
+      email: "u1@email.com",
+      isAdmin: false,
+      createdAt: expect.any(Date),
+      updatedAt: expect.any(Date),
+    });
+    expect((await User.authenticate("u1", "password1")).username).toEqual("u1");
+  });
+
+  test("not found if not deleted", async function () {
+    try {
+      await User.restore("u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** purge */
+
+describe("purge", function () {
+  test("works", async function () {
+    await User.remove("u1");
+    await User.purge("u1");
     const res = await db.query("SELECT * FROM users WHERE username='u1'");
     expect(res.rows.length).toEqual(0);
   });
 
+  test("works: removes their resumes' files", async function () {
+    const { id } = await Resume.create("u1", {
+      contentType: "application/pdf",
+      data: Buffer.from("%PDF-1.4"),
+    });
+    const res = await db.query(
+      "SELECT storage_key FROM resumes WHERE id = $1",
+      [id]
+    );
+    await User.remove("u1");
+    await User.purge("u1");
+    expect(await getFile(res.rows[0].storage_key)).toBeNull();
+  });
+
+  test("keeps their resumes' files if the caller rolls back", async function () {
+    const { id } = await Resume.create("u1", {
+      contentType: "application/pdf",
+      data: Buffer.from("%PDF-1.4"),
+    });
+    const res = await db.query(
+      "SELECT storage_key FROM resumes WHERE id = $1",
+      [id]
+    );
+    await User.remove("u1");
+    try {
+      await db.withTransaction(async (client) => {
+        await User.purge("u1", client);
+        throw new Error("boom");
+      });
+      fail();
+    } catch (err) {
+      expect(err.message).toEqual("boom");
+    }
+    expect(await getFile(res.rows[0].storage_key)).not.toBeNull();
+    const found = await Resume.get("u1", id);
+    expect(found.id).toEqual(id);
+  });
+
+  test("bad request if not deleted first", async function () {
+    try {
+      await User.purge("u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
   test("not found if no such user", async function () {
     try {
-      await User.remove("nope");
+      await User.purge("nope");
       fail();
     } catch (err) {
       expect(err instanceof NotFoundError).toBeTruthy();
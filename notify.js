@@ -0,0 +1,137 @@
+"use strict";
+
+/** Notifications of new jobs matching users' saved searches.
+ *
+ * Each run looks for jobs published since a search was last run (or saved,
+ * for its first run). Searches set to notify in_app get a notification for
+ * each new job; each user with searches set to email gets one digest of all
+ * of theirs. Run it on a schedule (from cron, say):
+ *
+ *   node notify.js
+ */
+
+require("colors");
+const db = require("./db");
+const SavedSearch = require("./models/savedSearch");
+const Notification = require("./models/notification");
+const { sendMail } = require("./helpers/mailer");
+const { savedSearchDigestEmail } = require("./helpers/emails");
+
+/** Check every saved search for jobs published up to `now`, and deliver
+ * them.
+ *
+ * A user's email searches are only marked as run once their digest is sent,
+ * so if sending fails, the next run tries again. A search that can't be
+ * checked (its filters no longer being valid, say) is logged and left unrun,
+ * with the rest of its user's email searches, and the others carry on.
+ *
+ * Returns { searches, notifications, emails, failed }: how many searches
+ * were checked, notifications recorded, digests sent, and in-app searches
+ * and digests that failed.
+ */
+
+async function notifySavedSearches({ now = new Date() } = {}) {
+  const searches = await SavedSearch.findAllForNotifying();
+  const counts = {
+    searches: searches.length,
+    notifications: 0,
+    emails: 0,
+    failed: 0,
+  };
+
+  // username => that user's email searches
+  const emailSearches = new Map();
+
+  for (const search of searches) {
+    if (search.notify === "email") {
+      const userSearches = emailSearches.get(search.username) || [];
+      emailSearches.set(search.username, [...userSearches, search]);
+      continue;
+    }
+
+    try {
+      await db.withTransaction(async (tx) => {
+        const jobs = await SavedSearch.findNewJobs(search, now, tx);
+        for (const job of jobs) {
+          await Notification.create(
+            {
+              username: search.username,
+              savedSearchId: search.id,
+              jobId: job.id,
+            },
+            tx
+          );
+        }
+        await SavedSearch.markRun(search.id, now, tx);
+        counts.notifications += jobs.length;
+      });
+    } catch (err) {
+      console.error(`Couldn't check saved search ${search.id}:`, err.message);
+      counts.failed++;
+    }
+  }
+
+  for (const userSearches of emailSearches.values()) {
+    const matches = [];
+    try {
+      for (const search of userSearches) {
+        const jobs = await SavedSearch.findNewJobs(search, now);
+        if (jobs.length) matches.push({ search, jobs });
+      }
+    } catch (err) {
+      console.error(
+        `Couldn't check saved searches of ${userSearches[0].username}:`,
+        err.message
+      );
+      counts.failed++;
+      continue;
+    }
+
+    if (matches.length) {
+      try {
+        // the user's details come along with each of their searches
+        await sendMail(savedSearchDigestEmail(userSearches[0], matches));
+        counts.emails++;
+      } catch (err) {
+        console.error(
+          `Couldn't send digest to ${userSearches[0].username}:`,
+          err.message
+        );
+        counts.failed++;
+        continue;
+      }
+    }
+    for (const search of userSearches) {
+      await SavedSearch.markRun(search.id, now);
+    }
+  }
+
+  return counts;
+}
+
+async function main() {
+  try {
+    const counts = await notifySavedSearches();
+    console.log(
+      "Checked".green,
+      `${counts.searches} saved searches:`,
+      `${counts.notifications} notifications,`,
+      `${counts.emails} digests sent`
+    );
+    if (counts.failed) {
+      console.log(`${counts.failed} searches or digests failed`.red);
+      process.exitCode = 1;
+    }
+  } finally {
+    await db.end();
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err.message.red);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { notifySavedSearches };
@@ -0,0 +1,177 @@
+"use strict";
+
+const db = require("./db");
+const { notifySavedSearches } = require("./notify");
+const SavedSearch = require("./models/savedSearch");
+const Notification = require("./models/notification");
+const Job = require("./models/job");
+const { setTransport } = require("./helpers/mailer");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./models/_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+let sent;
+let previousTransport;
+
+beforeEach(async function () {
+  sent = [];
+  previousTransport = setTransport({
+    async send(message) {
+      sent.push(message);
+    },
+  });
+
+  // the fixture jobs are old news; searches were last run an hour ago
+  await db.query("UPDATE jobs SET published_at = NOW() - INTERVAL '1 day'");
+});
+
+afterEach(function () {
+  setTransport(previousTransport);
+});
+
+/** Save a search for username, last run an hour ago. */
+
+async function saveSearch(username, data) {
+  const search = await SavedSearch.create(username, data);
+  await SavedSearch.markRun(search.id, new Date(Date.now() - 60 * 60 * 1000));
+  return search;
+}
+
+async function postJob(title, equity) {
+  return Job.create({ title, salary: 100, equity, company_handle: "c1" });
+}
+
+describe("notifySavedSearches", function () {
+  test("works: in-app notifications", async function () {
+    const search = await saveSearch("u1", {
+      name: "Equity",
+      filters: { equity: "true" },
+    });
+    const match = await postJob("new", 0.5);
+    await postJob("no equity", 0);
+
+    const now = new Date();
+    const counts = await notifySavedSearches({ now });
+    expect(counts).toEqual({
+      searches: 1,
+      notifications: 1,
+      emails: 0,
+      failed: 0,
+    });
+
+    const notifications = await Notification.findForUser("u1");
+    expect(notifications.map((n) => n.jobId)).toEqual([match.id]);
+    expect((await SavedSearch.get(search.id, "u1")).lastRunAt).toEqual(now);
+    expect(sent).toEqual([]);
+  });
+
+  test("works: jobs aren't notified twice", async function () {
+    await saveSearch("u1", { name: "All", filters: {} });
+    await postJob("new", 0);
+
+    await notifySavedSearches();
+    const counts = await notifySavedSearches();
+    expect(counts.notifications).toEqual(0);
+    expect((await Notification.findForUser("u1")).length).toEqual(1);
+  });
+
+  test("works: one email digest per user", async function () {
+    await saveSearch("u1", {
+      name: "Equity",
+      filters: { equity: "true" },
+      notify: "email",
+    });
+    await saveSearch("u1", {
+      name: "New",
+      filters: { title: "new" },
+      notify: "email",
+    });
+    await saveSearch("u2", {
+      name: "Nothing",
+      filters: { title: "nope" },
+      notify: "email",
+    });
+    await postJob("new", 0.5);
+
+    const counts = await notifySavedSearches();
+    expect(counts).toEqual({
+      searches: 3,
+      notifications: 0,
+      emails: 1,
+      failed: 0,
+    });
+    expect(sent.length).toEqual(1);
+    expect(sent[0].to).toEqual("u1@email.com");
+    expect(sent[0].subject).toEqual("2 new jobs for your saved searches");
+    expect(sent[0].text).toContain("Equity:\n- new at c1");
+    expect(sent[0].text).toContain("New:\n- new at c1");
+    expect(await Notification.findForUser("u1")).toEqual([]);
+  });
+
+  test("searches stay unrun if the digest can't be sent", async function () {
+    const search = await saveSearch("u1", {
+      name: "All",
+      filters: {},
+      notify: "email",
+    });
+    const before = await SavedSearch.get(search.id, "u1");
+    await postJob("new", 0);
+    setTransport({
+      async send() {
+        throw new Error("mail server down");
+      },
+    });
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const counts = await notifySavedSearches();
+    console.error.mockRestore();
+    expect(counts.failed).toEqual(1);
+    expect((await SavedSearch.get(search.id, "u1")).lastRunAt).toEqual(
+      before.lastRunAt
+    );
+  });
+
+  test("a search that can't be checked doesn't stop the others", async function () {
+    const broken = [];
+    for (const notify of ["in_app", "email"]) {
+      const search = await saveSearch("u1", {
+        name: `Broken ${notify}`,
+        filters: {},
+        notify,
+      });
+      broken.push(await SavedSearch.get(search.id, "u1"));
+    }
+    // as if the currency had since been dropped from EXCHANGE_RATES
+    await db.query(
+      `UPDATE saved_searches
+       SET filters = '{"salaryMin": "10", "currency": "XXX"}'`
+    );
+    await saveSearch("u2", { name: "All", filters: {} });
+    await saveSearch("u2", { name: "Mail", filters: {}, notify: "email" });
+    await postJob("new", 0);
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const counts = await notifySavedSearches();
+    console.error.mockRestore();
+    expect(counts).toEqual({
+      searches: 4,
+      notifications: 1,
+      emails: 1,
+      failed: 2,
+    });
+    expect(sent.map((m) => m.to)).toEqual(["u2@email.com"]);
+    for (const search of broken) {
+      expect((await SavedSearch.get(search.id, "u1")).lastRunAt).toEqual(
+        search.lastRunAt
+      );
+    }
+  });
+});
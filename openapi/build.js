@@ -0,0 +1,237 @@
+"use strict";
+
+/** The OpenAPI document describing the API, served at /openapi.json.
+ *
+ * Request bodies and query strings are the JSON schemas in schemas/ (the
+ * same ones the routes validate with), response shapes are in openapi/components.js, and the
+ * rest comes from openapi/paths/, a file for each file in routes/. There,
+ * each operation is written in shorthand:
+ *
+ *   summary, description  what it does
+ *   auth                  who may: "login", "admin", "user" (that user, or
+ *                         an admin) or "company:<role>" (an admin, or a
+ *                         member of the company with at least that role);
+ *                         anyone if left out
+ *   query                 the name of its query string's schema in schemas/
+ *   body                  the name of its schema in schemas/, or
+ *                         { mediaType: schema, ... }
+ *   status, response      its status on success (default 200), and
+ *                         { field: schema, ... } of its JSON body; or
+ *   content               { mediaType: schema, ... } for anything but JSON
+ *   errors                [status, ...] it can fail with, besides those
+ *                         implied: 400 if it takes input, 401 if it needs
+ *                         authorization (and 403 if that's a company role
+ *                         above viewer) and 404 if it has path parameters
+ *   versioned             true if it answers with the version of what it's
+ *                         about as the ETag header; a change then also takes
+ *                         If-Match (and can fail with 412)
+ *
+ * openapi/build.test.js checks that every route is described here.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { version } = require("../package.json");
+const { ref, object, schemas } = require("./components");
+
+const PATH_FILES = [
+  "docs",
+  "auth",
+  "companies",
+  "jobs",
+  "users",
+  "search",
+  "skills",
+  "admin",
+];
+
+/** Path parameters are strings, except ids. */
+
+const PATH_PARAMS = {
+  id: { type: "integer" },
+  skillId: { type: "integer" },
+};
+
+const AUTH = {
+  login: "logged in",
+  admin: "is admin",
+  user: "that user, or admin",
+};
+
+const ERRORS = {
+  400: "Invalid request",
+  401: "Not logged in, or not allowed",
+  403: "A member of the company, but without the role needed",
+  404: "Not found",
+  412: "Changed since the version in If-Match",
+  413: "Too large",
+  429: "Too many requests; see the Retry-After header",
+};
+
+/** The JSON schemas in schemas/, by name (their file name): without $schema
+ * and $id, which mean nothing to OpenAPI. */
+
+function requestSchemas() {
+  const dir = path.join(__dirname, "..", "schemas");
+  const found = {};
+  for (const file of fs.readdirSync(dir).sort()) {
+    if (!file.endsWith(".json")) continue;
+    const { $schema, $id, ...schema } = require(path.join(dir, file));
+    found[path.basename(file, ".json")] = schema;
+  }
+  return found;
+}
+
+const REQUEST_SCHEMAS = requestSchemas();
+
+function authDescription(auth) {
+  if (!auth) return "none";
+  if (auth.startsWith("company:")) {
+    return `admin, or a member of the company with role ${auth.slice(8)}`;
+  }
+  return AUTH[auth];
+}
+
+/** The If-Match header taken by versioned changes. */
+
+const IF_MATCH = {
+  name: "If-Match",
+  in: "header",
+  description:
+    "An ETag it was fetched with: only change it if it's still that version",
+  required: false,
+  schema: { type: "string" },
+};
+
+function parameters(pathName, method, { query, versioned }) {
+  const inPath = [...pathName.matchAll(/{(\w+)}/g)].map(([, name]) => ({
+    name,
+    in: "path",
+    required: true,
+    schema: PATH_PARAMS[name] || { type: "string" },
+  }));
+  const { properties = {}, required = [] } = query
+    ? REQUEST_SCHEMAS[query]
+    : {};
+  const inQuery = Object.entries(properties).map(
+    ([name, { description, ...schema }]) => ({
+      name,
+      in: "query",
+      ...(description && { description }),
+      required: required.includes(name),
+      schema,
+    })
+  );
+  const inHeader = versioned && method !== "get" ? [IF_MATCH] : [];
+  return [...inPath, ...inQuery, ...inHeader];
+}
+
+function requestBody(body) {
+  const content =
+    typeof body === "string"
+      ? { "application/json": { schema: ref(body) } }
+      : Object.fromEntries(
+          Object.entries(body).map(([type, schema]) => [type, { schema }])
+        );
+  return { required: true, content };
+}
+
+function responses(pathName, method, op) {
+  const success = {
+    description: "OK",
+    ...(op.versioned && {
+      headers: {
+        ETag: {
+          description:
+            "Its version, to send back as If-Match, and a hash of the " +
+            "body, for If-None-Match",
+          schema: { type: "string" },
+        },
+      },
+    }),
+    content: op.content
+      ? Object.fromEntries(
+          Object.entries(op.content).map(([type, schema]) => [type, { schema }])
+        )
+      : { "application/json": { schema: object(op.response || {}) } },
+  };
+
+  const errors = new Set(op.errors);
+  if (op.body || op.query) errors.add(400);
+  if (op.auth) errors.add(401);
+  if (op.auth && op.auth.startsWith("company:") && op.auth !== "company:viewer")
+    errors.add(403);
+  if (pathName.includes("{")) errors.add(404);
+  if (op.versioned && method !== "get") errors.add(412);
+
+  const all = { [op.status || 200]: success };
+  for (const status of [...errors].sort((a, b) => a - b)) {
+    all[status] = {
+      description: ERRORS[status],
+      content: { "application/json": { schema: ref("Error") } },
+    };
+  }
+  return all;
+}
+
+/** The OpenAPI operation written in shorthand as op, tagged with the name of
+ * its file in openapi/paths. */
+
+function operation(pathName, method, op, tag) {
+  const description = [
+    op.description,
+    `Authorization required: ${authDescription(op.auth)}`,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+
+  const params = parameters(pathName, method, op);
+  return {
+    tags: [tag],
+    summary: op.summary,
+    description,
+    ...(params.length && { parameters: params }),
+    ...(op.body && { requestBody: requestBody(op.body) }),
+    responses: responses(pathName, method, op),
+    security: op.auth ? [{ bearerAuth: [] }] : [],
+  };
+}
+
+/** Builds the document from the files described above. */
+
+function buildSpec() {
+  const paths = {};
+  for (const file of PATH_FILES) {
+    for (const [pathName, ops] of Object.entries(require(`./paths/${file}`))) {
+      paths[pathName] = {};
+      for (const [method, op] of Object.entries(ops)) {
+        paths[pathName][method] = operation(pathName, method, op, file);
+      }
+    }
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Jobly",
+      version,
+      description:
+        "Companies, the jobs they post, and the users applying for them.",
+    },
+    paths,
+    components: {
+      schemas: { ...REQUEST_SCHEMAS, ...schemas },
+      securitySchemes: {
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT",
+          description: "The token from /auth/token or /auth/register",
+        },
+      },
+    },
+  };
+}
+
+module.exports = { buildSpec };
@@ -0,0 +1,118 @@
+"use strict";
+
+const app = require("../app");
+const db = require("../db");
+const { buildSpec } = require("./build");
+
+afterAll(function () {
+  db.end();
+});
+
+const spec = buildSpec();
+
+/** Where a router layer of app is mounted, e.g. "/companies" ("" for "/").
+ *
+ * Express 4 keeps only the regular expression it matches paths with, like
+ * /^\/companies\/?(?=\/|$)/i, so the path is read back out of that.
+ */
+
+function mountPath(layer) {
+  if (layer.regexp.fast_slash) return "";
+  const match = layer.regexp.source.match(/^\^(.*)\\\/\?\(\?=\\\/\|\$\)$/);
+  return match[1].replace(/\\\//g, "/");
+}
+
+/** Every route of app, as ["get /companies/{handle}", ...]. */
+
+function appRoutes() {
+  const routes = [];
+  const addRoute = (prefix, route) => {
+    const path = (prefix + route.path)
+      .replace(/:(\w+)/g, "{$1}")
+      .replace(/(.)\/$/, "$1");
+    for (const method of Object.keys(route.methods)) {
+      routes.push(`${method} ${path}`);
+    }
+  };
+
+  for (const layer of app._router.stack) {
+    if (layer.route) addRoute("", layer.route);
+    if (layer.name !== "router") continue;
+    for (const inner of layer.handle.stack) {
+      if (inner.route) addRoute(mountPath(layer), inner.route);
+    }
+  }
+  return routes;
+}
+
+function specRoutes() {
+  const routes = [];
+  for (const [path, ops] of Object.entries(spec.paths)) {
+    for (const method of Object.keys(ops)) routes.push(`${method} ${path}`);
+  }
+  return routes;
+}
+
+describe("buildSpec", function () {
+  test("describes every route", function () {
+    const documented = specRoutes();
+    const undocumented = appRoutes().filter((r) => !documented.includes(r));
+    expect(undocumented).toEqual([]);
+  });
+
+  test("describes only routes that exist", function () {
+    const routes = appRoutes();
+    expect(specRoutes().filter((r) => !routes.includes(r))).toEqual([]);
+  });
+
+  test("every $ref is to a schema it has", function () {
+    const refs = JSON.stringify(spec).match(/"\$ref":"[^"]*"/g);
+    const missing = refs
+      .map((ref) => ref.split("#/components/schemas/")[1].slice(0, -1))
+      .filter((name) => !spec.components.schemas[name]);
+    expect(missing).toEqual([]);
+  });
+
+  test("request bodies are the schemas routes validate with", function () {
+    const { $schema, $id, ...companyNew } = require("../schemas/companyNew");
+    expect(spec.components.schemas.companyNew).toEqual(companyNew);
+    expect(
+      spec.paths["/companies"].post.requestBody.content["application/json"]
+    ).toEqual({ schema: { $ref: "#/components/schemas/companyNew" } });
+  });
+
+  test("describes authorization", function () {
+    const op = spec.paths["/companies/{handle}"].patch;
+    expect(op.security).toEqual([{ bearerAuth: [] }]);
+    expect(op.description).toContain("Authorization required: is admin");
+    expect(Object.keys(op.responses)).toEqual([
+      "200",
+      "400",
+      "401",
+      "404",
+      "412",
+    ]);
+    expect(op.parameters.map((p) => [p.name, p.in])).toEqual([
+      ["handle", "path"],
+      ["If-Match", "header"],
+    ]);
+    expect(op.parameters[0]).toEqual({
+      name: "handle",
+      in: "path",
+      required: true,
+      schema: { type: "string" },
+    });
+
+    expect(spec.paths["/companies/{handle}"].get.security).toEqual([]);
+  });
+
+  test("describes versions", function () {
+    const get = spec.paths["/companies/{handle}"].get;
+    expect(Object.keys(get.responses[200].headers)).toEqual(["ETag"]);
+    expect(get.parameters.map((p) => p.name)).toEqual(["handle"]);
+    expect(Object.keys(get.responses)).toEqual(["200", "404"]);
+
+    const unversioned = spec.paths["/companies/{handle}"].delete;
+    expect(unversioned.responses[200].headers).toBeUndefined();
+  });
+});
@@ -0,0 +1,478 @@
+"use strict";
+
+/** Shapes of the API's responses, for the OpenAPI document.
+ *
+ * Request bodies aren't here: they're the JSON schemas in schemas/.
+ */
+
+/** A reference to the schema called name (here or in schemas/). */
+
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+/** An object schema with these properties, all of them required. */
+
+function object(properties) {
+  return {
+    type: "object",
+    properties,
+    required: Object.keys(properties),
+  };
+}
+
+/** An array of items. */
+
+function arrayOf(items) {
+  return { type: "array", items };
+}
+
+const string = { type: "string" };
+const integer = { type: "integer" };
+const number = { type: "number" };
+const boolean = { type: "boolean" };
+const dateTime = { type: "string", format: "date-time" };
+const nullable = (schema) => ({ ...schema, type: [schema.type, "null"] });
+
+const schemas = {
+  Error: object({
+    error: {
+      type: "object",
+      properties: {
+        message: string,
+        status: integer,
+        errors: {
+          ...arrayOf(ref("FieldError")),
+          description: "For invalid data: what's wrong with it",
+        },
+      },
+      required: ["message", "status"],
+    },
+  }),
+
+  FieldError: object({
+    field: {
+      ...nullable(string),
+      description:
+        'Path of the field, e.g. "salary" or "filters.title"; null for the ' +
+        "whole body or query string",
+    },
+    code: {
+      ...string,
+      description:
+        'The JSON schema keyword it broke, e.g. "type" or "required"',
+    },
+    message: string,
+  }),
+
+  Pagination: object({
+    total: integer,
+    limit: integer,
+    offset: integer,
+    next: { ...nullable(string), description: "URL of the next page" },
+    prev: { ...nullable(string), description: "URL of the previous page" },
+  }),
+
+  Tokens: object({
+    token: { ...string, description: "JWT access token" },
+    refreshToken: {
+      ...string,
+      description: "Trade it at /auth/refresh for a new token",
+    },
+  }),
+
+  Company: object({
+    handle: string,
+    name: string,
+    description: string,
+    numEmployees: nullable(integer),
+    logoUrl: nullable(string),
+    createdAt: dateTime,
+    updatedAt: dateTime,
+  }),
+
+  CompanyDetail: {
+    allOf: [
+      ref("Company"),
+      object({
+        followers: { ...integer, description: "How many users follow it" },
+        jobs: arrayOf(
+          object({
+            id: integer,
+            title: string,
+            salary: nullable(integer),
+            equity: nullable(string),
+            companyHandle: string,
+          })
+        ),
+      }),
+    ],
+  },
+
+  FollowedCompany: {
+    allOf: [ref("Company"), object({ followedAt: dateTime })],
+  },
+
+  Follow: object({
+    username: string,
+    companyHandle: string,
+    createdAt: dateTime,
+  }),
+
+  Job: object({
+    id: integer,
+    title: string,
+    salary: nullable(integer),
+    equity: { ...nullable(string), description: 'A decimal, e.g. "0.05"' },
+    company_handle: string,
+    salaryMin: nullable(integer),
+    salaryMax: nullable(integer),
+    currency: string,
+    payPeriod: { type: "string", enum: ["hourly", "monthly", "yearly"] },
+    status: {
+      type: "string",
+      enum: ["draft", "published", "closed", "archived"],
+    },
+    closesAt: nullable(dateTime),
+    publishedAt: nullable(dateTime),
+    closedAt: nullable(dateTime),
+    locationId: { ...nullable(integer), description: "The job's office" },
+    workplace: { type: "string", enum: ["onsite", "hybrid", "remote"] },
+    createdAt: dateTime,
+    updatedAt: dateTime,
+  }),
+
+  JobListing: {
+    allOf: [
+      ref("Job"),
+      {
+        type: "object",
+        properties: {
+          distanceKm: {
+            ...nullable(number),
+            description:
+              "With near: from there to the job's office (null if it has " +
+              "no coordinates, or there's no office)",
+          },
+        },
+      },
+    ],
+  },
+
+  JobDetail: {
+    allOf: [
+      ref("Job"),
+      object({
+        location: {
+          ...nullable(
+            object({
+              id: integer,
+              name: nullable(string),
+              address: nullable(string),
+              city: string,
+              region: nullable(string),
+              country: string,
+              latitude: nullable(number),
+              longitude: nullable(number),
+            })
+          ),
+        },
+        companies: arrayOf(ref("Company")),
+      }),
+      {
+        type: "object",
+        properties: {
+          views: {
+            ...integer,
+            description:
+              "For admins and the company's members: how many times it's " +
+              "been viewed",
+          },
+        },
+      },
+    ],
+  },
+
+  PopularJob: {
+    allOf: [
+      ref("Job"),
+      object({
+        score: {
+          ...number,
+          description:
+            "Its recent views and applications, newest counting most",
+        },
+      }),
+    ],
+  },
+
+  Location: object({
+    id: integer,
+    companyHandle: string,
+    name: nullable(string),
+    address: nullable(string),
+    city: string,
+    region: nullable(string),
+    country: { ...string, description: "Two-letter ISO code, e.g. US" },
+    latitude: nullable(number),
+    longitude: nullable(number),
+    createdAt: dateTime,
+  }),
+
+  Skill: object({
+    id: integer,
+    name: string,
+    category: nullable(string),
+    createdAt: dateTime,
+  }),
+
+  JobSkill: object({
+    id: integer,
+    name: string,
+    category: nullable(string),
+    importance: { type: "string", enum: ["required", "nice_to_have"] },
+  }),
+
+  UserSkill: object({
+    id: integer,
+    name: string,
+    category: nullable(string),
+    level: {
+      type: "string",
+      enum: ["beginner", "intermediate", "advanced", "expert"],
+    },
+  }),
+
+  User: object({
+    username: string,
+    firstName: string,
+    lastName: string,
+    email: string,
+    isAdmin: boolean,
+    createdAt: dateTime,
+    updatedAt: dateTime,
+  }),
+
+  UserDetail: object({
+    username: string,
+    first_name: string,
+    last_name: string,
+    email: string,
+    email_verified: boolean,
+    is_admin: boolean,
+    createdAt: dateTime,
+    updatedAt: dateTime,
+    jobs: arrayOf(
+      object({
+        id: integer,
+        title: string,
+        companyHandle: string,
+        state: string,
+        updatedAt: dateTime,
+      })
+    ),
+  }),
+
+  Application: object({
+    username: string,
+    jobId: integer,
+    state: {
+      type: "string",
+      description: "e.g. interested, applied, screening, interviewing",
+    },
+    resumeId: nullable(integer),
+    coverLetter: nullable(string),
+    createdAt: dateTime,
+    updatedAt: dateTime,
+  }),
+
+  ApplicationDetail: {
+    allOf: [
+      ref("Application"),
+      object({
+        history: arrayOf(
+          object({
+            fromState: nullable(string),
+            toState: string,
+            changedBy: nullable(string),
+            changedAt: dateTime,
+          })
+        ),
+      }),
+    ],
+  },
+
+  Resume: object({
+    id: integer,
+    username: string,
+    filename: string,
+    contentType: {
+      type: "string",
+      enum: [
+        "application/pdf",
+        "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      ],
+    },
+    size: { ...integer, description: "In bytes" },
+    createdAt: dateTime,
+  }),
+
+  Member: object({
+    companyHandle: string,
+    username: string,
+    role: { type: "string", enum: ["owner", "recruiter", "viewer"] },
+    createdAt: dateTime,
+  }),
+
+  MemberDetail: object({
+    username: string,
+    firstName: string,
+    lastName: string,
+    email: string,
+    role: { type: "string", enum: ["owner", "recruiter", "viewer"] },
+    createdAt: dateTime,
+  }),
+
+  SavedSearch: object({
+    id: integer,
+    username: string,
+    name: string,
+    filters: { type: "object", additionalProperties: string },
+    notify: { type: "string", enum: ["in_app", "email"] },
+    createdAt: dateTime,
+    lastRunAt: nullable(dateTime),
+  }),
+
+  Recommendation: object({
+    job: ref("Job"),
+    score: { ...integer, description: "Out of 100: the sum of the points" },
+    reasons: arrayOf(
+      object({
+        factor: {
+          type: "string",
+          enum: ["skills", "salary", "equity", "similarity", "following"],
+        },
+        points: integer,
+        detail: string,
+      })
+    ),
+  }),
+
+  Notification: object({
+    id: integer,
+    savedSearchId: integer,
+    searchName: string,
+    jobId: integer,
+    jobTitle: string,
+    companyHandle: string,
+    createdAt: dateTime,
+    readAt: nullable(dateTime),
+  }),
+
+  SearchResult: {
+    oneOf: [
+      object({
+        type: { const: "company" },
+        handle: string,
+        name: string,
+        rank: number,
+        snippet: string,
+      }),
+      object({
+        type: { const: "job" },
+        id: integer,
+        title: string,
+        companyHandle: string,
+        companyName: string,
+        rank: number,
+        snippet: string,
+      }),
+    ],
+  },
+
+  AuditEntry: object({
+    id: integer,
+    actor: nullable(string),
+    action: {
+      type: "string",
+      enum: ["create", "update", "delete", "restore", "purge"],
+    },
+    entityType: { type: "string", enum: ["company", "job", "user"] },
+    entityId: string,
+    before: nullable({ type: "object" }),
+    after: nullable({ type: "object" }),
+    createdAt: dateTime,
+  }),
+
+  ImportReport: object({
+    committed: boolean,
+    created: integer,
+    failed: integer,
+    results: arrayOf({
+      type: "object",
+      properties: {
+        row: integer,
+        ok: boolean,
+        errors: arrayOf(ref("FieldError")),
+      },
+      required: ["row", "ok"],
+      additionalProperties: { description: "The created item, if ok" },
+    }),
+  }),
+
+  LoginLimits: object({
+    windowSeconds: integer,
+    maxPerIp: integer,
+    maxPerUsername: integer,
+    failureWindowSeconds: integer,
+    maxFailures: integer,
+    maxFailuresPerIp: integer,
+    lockoutSeconds: integer,
+    maxLockoutSeconds: integer,
+  }),
+
+  Stats: object({
+    from: dateTime,
+    to: dateTime,
+    bucket: { type: "string", enum: ["day", "week", "month"] },
+    openJobs: { ...integer, description: "How many jobs are open now" },
+    activity: arrayOf(
+      object({
+        start: dateTime,
+        views: integer,
+        applications: integer,
+        openJobs: integer,
+        applicationsPerJob: nullable(number),
+      })
+    ),
+    conversion: {
+      ...object({
+        states: arrayOf(object({ state: string, applications: integer })),
+        transitions: arrayOf(
+          object({
+            fromState: string,
+            toState: string,
+            applications: integer,
+            rate: {
+              ...nullable(number),
+              description:
+                "The share of applications in fromState that moved to toState",
+            },
+          })
+        ),
+      }),
+      description: "For the applications made in the range",
+    },
+    medianSalaries: {
+      ...arrayOf(
+        object({ title: string, jobs: integer, medianSalary: integer })
+      ),
+      description:
+        "For the most common titles posted in the range; yearly, in the " +
+        "base currency",
+    },
+    topSearches: arrayOf(object({ term: string, searches: integer })),
+  }),
+};
+
+module.exports = { ref, object, arrayOf, schemas };
@@ -0,0 +1,50 @@
+"use strict";
+
+/** OpenAPI paths for routes/admin.js: see openapi/build.js. */
+
+const { ref, arrayOf } = require("../components");
+
+module.exports = {
+  "/admin/audit": {
+    get: {
+      summary: "The log of changes to companies, jobs and users",
+      description:
+        "Newest first. actor is the username that made the change (null if " +
+        "they weren't logged in, e.g. registering). For updates, before and " +
+        "after hold only the fields that changed.",
+      auth: "admin",
+      query: "auditSearch",
+      response: {
+        entries: arrayOf(ref("AuditEntry")),
+        pagination: ref("Pagination"),
+      },
+    },
+  },
+
+  "/admin/stats": {
+    get: {
+      summary: "Metrics for the whole site",
+      description:
+        "Over from (inclusive) to to (exclusive), by default the 30 days up " +
+        "to now, with activity grouped by bucket.",
+      auth: "admin",
+      query: "statsSearch",
+      response: { stats: ref("Stats") },
+    },
+  },
+
+  "/admin/login-limits": {
+    get: {
+      summary: "How logging in is rate limited",
+      auth: "admin",
+      response: { loginLimits: ref("LoginLimits") },
+    },
+    patch: {
+      summary: "Change how logging in is rate limited",
+      description: "Until the server restarts.",
+      auth: "admin",
+      body: "loginLimitsUpdate",
+      response: { loginLimits: ref("LoginLimits") },
+    },
+  },
+};
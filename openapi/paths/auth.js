@@ -0,0 +1,92 @@
+"use strict";
+
+/** OpenAPI paths for routes/auth.js: see openapi/build.js. */
+
+const { ref } = require("../components");
+
+const tokens = { "application/json": ref("Tokens") };
+
+module.exports = {
+  "/auth/token": {
+    post: {
+      summary: "Log in",
+      description:
+        "Attempts are rate limited per IP address and username, and " +
+        "repeated failures lock them out for a while.",
+      body: "userAuth",
+      content: tokens,
+      errors: [401, 429],
+    },
+  },
+
+  "/auth/register": {
+    post: {
+      summary: "Sign up",
+      description: "Also mails a link to verify the email address.",
+      body: "userRegister",
+      status: 201,
+      content: tokens,
+    },
+  },
+
+  "/auth/refresh": {
+    post: {
+      summary: "Get a new access token",
+      description:
+        "The refresh token is rotated: the one sent can't be used again, " +
+        "use the returned one instead.",
+      body: "refreshToken",
+      content: tokens,
+      errors: [401],
+    },
+  },
+
+  "/auth/logout": {
+    post: {
+      summary: "Revoke a refresh token",
+      description: "The current access token keeps working until it expires.",
+      body: "refreshToken",
+      response: { loggedOut: { const: true } },
+    },
+  },
+
+  "/auth/password-reset/request": {
+    post: {
+      summary: "Mail a password reset link",
+      description:
+        "To each account with that email. The response is the same whether " +
+        "or not there are any.",
+      body: "passwordResetRequest",
+      response: { message: { type: "string" } },
+    },
+  },
+
+  "/auth/password-reset/confirm": {
+    post: {
+      summary: "Set a new password",
+      description:
+        "Using the token from a reset email. Every refresh token for the " +
+        "account is revoked.",
+      body: "passwordResetConfirm",
+      response: { passwordReset: { const: true } },
+    },
+  },
+
+  "/auth/verify-email": {
+    post: {
+      summary: "Verify an email address",
+      description: "Using the token from a verification email.",
+      body: "verifyEmail",
+      response: { emailVerified: { const: true } },
+    },
+  },
+
+  "/auth/verify-email/request": {
+    post: {
+      summary: "Mail a new email verification link",
+      auth: "login",
+      response: { message: { type: "string" } },
+      errors: [400],
+    },
+  },
+};
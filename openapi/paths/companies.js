@@ -0,0 +1,179 @@
+"use strict";
+
+/** OpenAPI paths for routes/companies.js: see openapi/build.js. */
+
+const { ref, arrayOf } = require("../components");
+
+module.exports = {
+  "/companies": {
+    post: {
+      summary: "Create a company",
+      auth: "admin",
+      body: "companyNew",
+      status: 201,
+      response: { company: ref("Company") },
+    },
+    get: {
+      summary: "List companies",
+      query: "companySearch",
+      response: {
+        companies: arrayOf(ref("Company")),
+        pagination: ref("Pagination"),
+      },
+    },
+  },
+
+  "/companies/export": {
+    get: {
+      summary: "Download companies",
+      description:
+        "Every company matching the same filters (and sort) as GET " +
+        "/companies, as CSV (with columns handle, name, description, " +
+        "numEmployees, logoUrl) or NDJSON (a JSON company per line).",
+      auth: "admin",
+      query: "companyExport",
+      content: {
+        "text/csv": { type: "string" },
+        "application/x-ndjson": { type: "string" },
+      },
+    },
+  },
+
+  "/companies/import": {
+    post: {
+      summary: "Create many companies",
+      description:
+        "Send a JSON array of companies, or CSV with a header row naming " +
+        "the fields. Each row is validated as in POST /companies and saved " +
+        "on its own, unless atomic is set: then all of them are saved or, " +
+        "if any fails, none are (and the response is a 400).",
+      auth: "admin",
+      query: "importOptions",
+      body: {
+        "application/json": arrayOf(ref("companyNew")),
+        "text/csv": { type: "string" },
+      },
+      content: { "application/json": ref("ImportReport") },
+    },
+  },
+
+  "/companies/{handle}": {
+    get: {
+      summary: "Get a company, with its open jobs",
+      response: { company: ref("CompanyDetail") },
+      versioned: true,
+    },
+    patch: {
+      summary: "Update a company",
+      auth: "admin",
+      body: "companyUpdate",
+      response: { company: ref("Company") },
+      versioned: true,
+    },
+    delete: {
+      summary: "Delete a company and its jobs",
+      description: "They're hidden, not removed: see restore and purge.",
+      auth: "admin",
+      response: { deleted: { type: "string" } },
+    },
+  },
+
+  "/companies/{handle}/restore": {
+    post: {
+      summary: "Restore a deleted company",
+      description: "The jobs deleted along with it come back too.",
+      auth: "admin",
+      response: { company: ref("Company") },
+    },
+  },
+
+  "/companies/{handle}/purge": {
+    post: {
+      summary: "Permanently remove a deleted company",
+      description: "Its jobs, their applications and its members go too.",
+      auth: "admin",
+      response: { purged: { type: "string" } },
+    },
+  },
+
+  "/companies/{handle}/members": {
+    get: {
+      summary: "List a company's members",
+      auth: "company:viewer",
+      response: { members: arrayOf(ref("MemberDetail")) },
+    },
+    post: {
+      summary: "Add a member to a company",
+      description:
+        "role is owner, recruiter (can also post and edit the company's " +
+        "jobs) or viewer.",
+      auth: "company:owner",
+      body: "companyMemberNew",
+      status: 201,
+      response: { member: ref("Member") },
+    },
+  },
+
+  "/companies/{handle}/members/{username}": {
+    patch: {
+      summary: "Change a member's role",
+      auth: "company:owner",
+      body: "companyMemberUpdate",
+      response: { member: ref("Member") },
+    },
+    delete: {
+      summary: "Remove a member from a company",
+      description: "A company always keeps at least one owner.",
+      auth: "company:owner",
+      response: { removed: { type: "string" } },
+    },
+  },
+
+  "/companies/{handle}/stats": {
+    get: {
+      summary: "Metrics for a company's jobs",
+      description:
+        "As for /admin/stats; topSearches are the searches that find the " +
+        "company or one of its jobs.",
+      auth: "company:owner",
+      query: "statsSearch",
+      response: { stats: ref("Stats") },
+    },
+  },
+
+  "/companies/{handle}/locations": {
+    get: {
+      summary: "List a company's offices",
+      response: { locations: arrayOf(ref("Location")) },
+    },
+    post: {
+      summary: "Add an office to a company",
+      description:
+        "Jobs at offices without latitude and longitude can't be found by " +
+        "distance.",
+      auth: "company:owner",
+      body: "locationNew",
+      status: 201,
+      response: { location: ref("Location") },
+    },
+  },
+
+  "/companies/{handle}/locations/{id}": {
+    get: {
+      summary: "Get one of a company's offices",
+      response: { location: ref("Location") },
+    },
+    patch: {
+      summary: "Update an office",
+      auth: "company:owner",
+      body: "locationUpdate",
+      response: { location: ref("Location") },
+    },
+    delete: {
+      summary: "Remove an office",
+      description: "Jobs at the office are left without one.",
+      auth: "company:owner",
+      response: { deleted: { type: "string" } },
+    },
+  },
+};
@@ -0,0 +1,19 @@
+"use strict";
+
+/** OpenAPI paths for routes/docs.js: see openapi/build.js. */
+
+module.exports = {
+  "/openapi.json": {
+    get: {
+      summary: "This document",
+      content: { "application/json": { type: "object" } },
+    },
+  },
+
+  "/docs": {
+    get: {
+      summary: "Interactive documentation of the API",
+      content: { "text/html": { type: "string" } },
+    },
+  },
+};
@@ -0,0 +1,177 @@
+"use strict";
+
+/** OpenAPI paths for routes/jobs.js: see openapi/build.js. */
+
+const { ref, arrayOf } = require("../components");
+
+module.exports = {
+  "/jobs": {
+    post: {
+      summary: "Post a job",
+      description:
+        "salary can be left out if salaryMin is given. status is draft, or " +
+        "by default published; after closesAt, it stops taking applications. " +
+        "locationId must be one of the company's offices.",
+      auth: "company:recruiter",
+      body: "jobNew",
+      status: 201,
+      response: { job: ref("Job") },
+    },
+    get: {
+      summary: "List jobs",
+      description:
+        "Only jobs open to the public (published and not past closesAt) " +
+        "are listed, except for admins, who see every job. With near, each " +
+        "has its distanceKm from there, and they're nearest first.",
+      query: "jobSearch",
+      response: {
+        jobs: arrayOf(ref("JobListing")),
+        pagination: ref("Pagination"),
+      },
+    },
+  },
+
+  "/jobs/popular": {
+    get: {
+      summary: "List the most popular open jobs",
+      description:
+        "Best first, scored by views (1 point) and applications (5 points) " +
+        "over the last 4 weeks, each worth half as much for every week since.",
+      query: "jobPopular",
+      response: { jobs: arrayOf(ref("PopularJob")) },
+    },
+  },
+
+  "/jobs/export": {
+    get: {
+      summary: "Download jobs",
+      description:
+        "Every job matching the same filters (and sort) as GET /jobs, " +
+        "including those not open to the public, as CSV (a column for each " +
+        "field of a job) or NDJSON (a JSON job per line).",
+      auth: "admin",
+      query: "jobExport",
+      content: {
+        "text/csv": { type: "string" },
+        "application/x-ndjson": { type: "string" },
+      },
+    },
+  },
+
+  "/jobs/import": {
+    post: {
+      summary: "Create many jobs",
+      description:
+        "Send a JSON array of jobs, or CSV with a header row naming the " +
+        "fields. Each row is validated as in POST /jobs and saved on its " +
+        "own, unless atomic is set: then all of them are saved or, if any " +
+        "fails, none are (and the response is a 400).",
+      auth: "admin",
+      query: "importOptions",
+      body: {
+        "application/json": arrayOf(ref("jobNew")),
+        "text/csv": { type: "string" },
+      },
+      content: { "application/json": ref("ImportReport") },
+    },
+  },
+
+  "/jobs/{id}": {
+    get: {
+      summary: "Get a job, with its company",
+      description:
+        "Jobs that aren't open to the public are only found for admins " +
+        "and the company's members. " +
+        "Views are counted once per viewer every JOB_VIEW_DEDUP_MINUTES, " +
+        "except by admins and the company's members, who see the count.",
+      response: { job: ref("JobDetail") },
+      versioned: true,
+    },
+    patch: {
+      summary: "Update a job",
+      description:
+        "status moves through draft => published => closed (which can be " +
+        "published again), and any of them => archived.",
+      auth: "company:recruiter",
+      body: "jobUpdate",
+      response: { job: ref("Job") },
+      versioned: true,
+    },
+    delete: {
+      summary: "Delete a job",
+      description: "It's hidden, not removed: see restore and purge.",
+      auth: "company:recruiter",
+      response: { deleted: { type: "string" } },
+    },
+  },
+
+  "/jobs/{id}/restore": {
+    post: {
+      summary: "Restore a deleted job",
+      description: "Not while its company is deleted too.",
+      auth: "admin",
+      response: { job: ref("Job") },
+    },
+  },
+
+  "/jobs/{id}/purge": {
+    post: {
+      summary: "Permanently remove a deleted job",
+      description: "Its applications go too.",
+      auth: "admin",
+      response: { purged: { type: "string" } },
+    },
+  },
+
+  "/jobs/{id}/skills": {
+    get: {
+      summary: "List the skills a job needs",
+      description: "Required ones first, then nice_to_have ones.",
+      response: { skills: arrayOf(ref("JobSkill")) },
+    },
+    post: {
+      summary: "Add a skill a job needs",
+      auth: "company:recruiter",
+      body: "jobSkillNew",
+      status: 201,
+      response: { skill: ref("JobSkill") },
+    },
+  },
+
+  "/jobs/{id}/skills/{skillId}": {
+    patch: {
+      summary: "Change how much a job needs a skill",
+      auth: "company:recruiter",
+      body: "jobSkillUpdate",
+      response: { skill: ref("JobSkill") },
+    },
+    delete: {
+      summary: "Remove a skill a job needs",
+      auth: "company:recruiter",
+      response: { removed: { type: "string" } },
+    },
+  },
+
+  "/jobs/{id}/applications": {
+    get: {
+      summary: "List a job's applications",
+      description:
+        "Download an application's resume from " +
+        "/users/{username}/resumes/{resumeId}.",
+      auth: "company:recruiter",
+      query: "applicationSearch",
+      response: { applications: arrayOf(ref("Application")) },
+    },
+  },
+
+  "/jobs/{id}/applications/{username}": {
+    patch: {
+      summary: "Move an application along the workflow",
+      description: "e.g. applied => screening => interviewing => offered",
+      auth: "company:recruiter",
+      body: "applicationUpdate",
+      response: { application: ref("Application") },
+      versioned: true,
+    },
+  },
+};
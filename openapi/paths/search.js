@@ -0,0 +1,21 @@
+"use strict";
+
+/** OpenAPI paths for routes/search.js: see openapi/build.js. */
+
+const { ref, arrayOf } = require("../components");
+
+module.exports = {
+  "/search": {
+    get: {
+      summary: "Search jobs and companies",
+      description:
+        "Searches job titles, company names and company descriptions, best " +
+        "match first. snippet is the matched text with <mark>ed words.",
+      query: "searchQuery",
+      response: {
+        results: arrayOf(ref("SearchResult")),
+        pagination: ref("Pagination"),
+      },
+    },
+  },
+};
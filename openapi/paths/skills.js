@@ -0,0 +1,42 @@
+"use strict";
+
+/** OpenAPI paths for routes/skills.js: see openapi/build.js. */
+
+const { ref, arrayOf } = require("../components");
+
+module.exports = {
+  "/skills": {
+    post: {
+      summary: "Add a skill",
+      description: "Names are unique, in any case.",
+      auth: "admin",
+      body: "skillNew",
+      status: 201,
+      response: { skill: ref("Skill") },
+    },
+    get: {
+      summary: "List skills",
+      query: "skillSearch",
+      response: { skills: arrayOf(ref("Skill")) },
+    },
+  },
+
+  "/skills/{id}": {
+    get: {
+      summary: "Get a skill",
+      response: { skill: ref("Skill") },
+    },
+    patch: {
+      summary: "Update a skill",
+      auth: "admin",
+      body: "skillUpdate",
+      response: { skill: ref("Skill") },
+    },
+    delete: {
+      summary: "Delete a skill",
+      description: "Jobs and users with the skill lose it too.",
+      auth: "admin",
+      response: { deleted: { type: "string" } },
+    },
+  },
+};
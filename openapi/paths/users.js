@@ -0,0 +1,291 @@
+"use strict";
+
+/** OpenAPI paths for routes/users.js: see openapi/build.js. */
+
+const { ref, object, arrayOf } = require("../components");
+
+/** A résumé file, in either of the types accepted. */
+
+const resumeFile = {
+  "application/pdf": { type: "string", format: "binary" },
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": {
+    type: "string",
+    format: "binary",
+  },
+};
+
+module.exports = {
+  "/users": {
+    post: {
+      summary: "Add a user",
+      description:
+        "Not registration (see /auth/register): admins adding users, who " +
+        "may be admins too. Returns a token for the new user.",
+      auth: "admin",
+      body: "userNew",
+      status: 201,
+      response: { user: ref("User"), token: { type: "string" } },
+    },
+    get: {
+      summary: "List users",
+      auth: "admin",
+      query: "userSearch",
+      response: {
+        users: arrayOf(ref("User")),
+        pagination: ref("Pagination"),
+      },
+    },
+  },
+
+  "/users/{username}": {
+    get: {
+      summary: "Get a user, with the jobs they've applied for",
+      auth: "user",
+      response: { user: ref("UserDetail") },
+      versioned: true,
+    },
+    patch: {
+      summary: "Update a user",
+      auth: "user",
+      body: "userUpdate",
+      response: { user: ref("User") },
+      versioned: true,
+    },
+    delete: {
+      summary: "Delete a user",
+      description:
+        "They're hidden and can no longer log in, but aren't removed: see " +
+        "restore and purge.",
+      auth: "user",
+      response: { deleted: { type: "string" } },
+    },
+  },
+
+  "/users/{username}/restore": {
+    post: {
+      summary: "Restore a deleted user",
+      auth: "admin",
+      response: { user: ref("User") },
+    },
+  },
+
+  "/users/{username}/purge": {
+    post: {
+      summary: "Permanently remove a deleted user",
+      description: "Their applications and memberships go too.",
+      auth: "admin",
+      response: { purged: { type: "string" } },
+    },
+  },
+
+  "/users/{username}/jobs/{id}": {
+    post: {
+      summary: "Apply for a job",
+      description:
+        'state is "applied" (the default) or "interested". resumeId (one of ' +
+        "the user's resumes) and coverLetter are sent with the application.",
+      auth: "user",
+      body: "applicationNew",
+      response: {
+        job: object({ job_id: { type: "integer" }, state: { type: "string" } }),
+      },
+    },
+    get: {
+      summary: "Get an application, with its history",
+      auth: "user",
+      response: { application: ref("ApplicationDetail") },
+      versioned: true,
+    },
+    patch: {
+      summary: "Move an application to a new state",
+      description:
+        'Users can only apply (from "interested") or withdraw; admins can ' +
+        "make any legal transition.",
+      auth: "user",
+      body: "applicationUpdate",
+      response: { application: ref("Application") },
+      versioned: true,
+    },
+  },
+
+  "/users/{username}/resumes": {
+    get: {
+      summary: "List a user's resumes",
+      description: "Newest first.",
+      auth: "user",
+      response: { resumes: arrayOf(ref("Resume")) },
+    },
+    post: {
+      summary: "Upload a resume",
+      description:
+        "The body is the file itself, a PDF or DOCX of at most " +
+        "UPLOAD_MAX_BYTES (5MB by default).",
+      auth: "user",
+      query: "resumeUpload",
+      body: resumeFile,
+      status: 201,
+      response: { resume: ref("Resume") },
+      errors: [413],
+    },
+  },
+
+  "/users/{username}/resumes/{id}": {
+    get: {
+      summary: "Download a resume",
+      description:
+        "Besides that user and admins, recruiters and owners of companies " +
+        "the resume was sent to with an application may download it.",
+      auth: "login",
+      content: resumeFile,
+    },
+    delete: {
+      summary: "Delete a resume",
+      description: "Applications it was sent with are left without one.",
+      auth: "user",
+      response: { deleted: { type: "string" } },
+    },
+  },
+
+  "/users/{username}/skills": {
+    get: {
+      summary: "List a user's skills",
+      auth: "user",
+      response: { skills: arrayOf(ref("UserSkill")) },
+    },
+    post: {
+      summary: "Add a skill to a user's",
+      auth: "user",
+      body: "userSkillNew",
+      status: 201,
+      response: { skill: ref("UserSkill") },
+    },
+  },
+
+  "/users/{username}/skills/{skillId}": {
+    patch: {
+      summary: "Change how well a user knows a skill",
+      auth: "user",
+      body: "userSkillUpdate",
+      response: { skill: ref("UserSkill") },
+    },
+    delete: {
+      summary: "Remove a skill from a user's",
+      auth: "user",
+      response: { removed: { type: "string" } },
+    },
+  },
+
+  "/users/{username}/searches": {
+    get: {
+      summary: "List a user's saved searches",
+      auth: "user",
+      response: { searches: arrayOf(ref("SavedSearch")) },
+    },
+    post: {
+      summary: "Save a job search",
+      description:
+        "filters are /jobs filters, as strings like in a query string. New " +
+        'jobs matching them are notified in the app or, if notify is "email", ' +
+        "in a digest email.",
+      auth: "user",
+      body: "savedSearchNew",
+      status: 201,
+      response: { search: ref("SavedSearch") },
+    },
+  },
+
+  "/users/{username}/searches/{id}": {
+    get: {
+      summary: "Get a saved search",
+      auth: "user",
+      response: { search: ref("SavedSearch") },
+    },
+    delete: {
+      summary: "Delete a saved search",
+      auth: "user",
+      response: { deleted: { type: "string" } },
+    },
+  },
+
+  "/users/{username}/following/companies": {
+    get: {
+      summary: "List the companies a user follows",
+      description: "By name.",
+      auth: "user",
+      response: { companies: arrayOf(ref("FollowedCompany")) },
+    },
+  },
+
+  "/users/{username}/following/companies/{handle}": {
+    post: {
+      summary: "Follow a company",
+      description: "Its new and changed jobs show up in the user's feed.",
+      auth: "user",
+      status: 201,
+      response: { follow: ref("Follow") },
+    },
+    delete: {
+      summary: "Stop following a company",
+      auth: "user",
+      response: { unfollowed: { type: "string" } },
+    },
+  },
+
+  "/users/{username}/feed": {
+    get: {
+      summary: "List the jobs of the companies a user follows",
+      description:
+        "Open jobs, most recently posted or changed first. Pass " +
+        "pagination.nextCursor as cursor (or follow pagination.next) for " +
+        "the next page; both are null on the last page.",
+      auth: "user",
+      query: "feedSearch",
+      response: {
+        jobs: arrayOf(ref("Job")),
+        pagination: object({
+          limit: { type: "integer" },
+          nextCursor: { type: ["string", "null"] },
+          next: { type: ["string", "null"] },
+        }),
+      },
+    },
+  },
+
+  "/users/{username}/recommendations": {
+    get: {
+      summary: "Recommend open jobs to a user",
+      description:
+        "Best match first, leaving out jobs they've applied for. Each job " +
+        "is scored out of 100 on the user's skills (35), the salary (20) " +
+        "and equity (10) they're after, going by their saved searches and " +
+        "applications, how alike it is to jobs they've applied for (25) " +
+        "and whether they follow its company (10); reasons says how.",
+      auth: "user",
+      query: "recommendationSearch",
+      response: { recommendations: arrayOf(ref("Recommendation")) },
+    },
+  },
+
+  "/users/{username}/notifications": {
+    get: {
+      summary: "List new jobs matching a user's saved searches",
+      description: "Newest first.",
+      auth: "user",
+      query: "notificationSearch",
+      response: { notifications: arrayOf(ref("Notification")) },
+    },
+  },
+
+  "/users/{username}/notifications/{id}/read": {
+    post: {
+      summary: "Mark a notification read",
+      auth: "user",
+      response: {
+        notification: object({
+          id: { type: "integer" },
+          readAt: { type: "string", format: "date-time" },
+        }),
+      },
+    },
+  },
+};
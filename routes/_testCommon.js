@@ -1,18 +1,26 @@
 "use strict";
 
 const db = require("../db.js");
+const { migrateUp } = require("../migrate");
 const User = require("../models/user");
 const Company = require("../models/company");
 const Job = require("../models/job");
+const CompanyMember = require("../models/companyMember");
 const { createToken } = require("../helpers/tokens");
+const { MemoryStore, setStore } = require("../middleware/rateLimit");
 
 async function commonBeforeAll() {
+  // build (or bring up to date) the test database's schema
+  await migrateUp(db);
+
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM users");
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM companies");
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM jobs");
+  // noinspection SqlWithoutWhere
+  await db.query("DELETE FROM audit_log");
 
   await Company.create({
     handle: "c1",
@@ -68,6 +76,9 @@ async function commonBeforeAll() {
     password: "password1",
     isAdmin: true,
   });
+  await CompanyMember.add("c1", "u2", "owner");
+  await CompanyMember.add("c1", "u3", "recruiter");
+
   await Job.create({
     title: "j1",
     salary: 123,
@@ -83,6 +94,8 @@ async function commonBeforeAll() {
 }
 
 async function commonBeforeEach() {
+  // each test starts with no logins counted against it
+  setStore(new MemoryStore());
   await db.query("BEGIN");
 }
 
@@ -96,6 +109,7 @@ async function commonAfterAll() {
 
 const u1Token = createToken({ username: "u1", isAdmin: false });
 const u2Token = createToken({ username: "u2", isAdmin: false });
+const u3Token = createToken({ username: "u3", isAdmin: false });
 const a1TokenAdmin = createToken({ username: "a1", isAdmin: true });
 
 module.exports = {
@@ -106,4 +120,5 @@ module.exports = {
   u1Token,
   a1TokenAdmin,
   u2Token,
+  u3Token,
 };
@@ -0,0 +1,141 @@
+"use strict";
+
+/** Routes for site administration. */
+
+const express = require("express");
+
+const { ensureIsAdmin } = require("../middleware/auth");
+const { validateBody, validateQuery } = require("../middleware/validate");
+const { getLoginLimits, setLoginLimits } = require("../middleware/rateLimit");
+const Audit = require("../models/audit");
+const Stats = require("../models/stats");
+const { parsePagination, paginationMeta } = require("../helpers/pagination");
+
+const loginLimitsUpdateSchema = require("../schemas/loginLimitsUpdate.json");
+const auditSearchSchema = require("../schemas/auditSearch.json");
+const statsSearchSchema = require("../schemas/statsSearch.json");
+
+const router = new express.Router();
+
+/** GET /audit  =>
+ *   { entries: [ { id, actor, action, entityType, entityId, before, after,
+ *                  createdAt }, ...],
+ *     pagination: { total, limit, offset, next, prev } }
+ *
+ * The log of every create, update, delete, restore and purge of companies,
+ * jobs and users, newest first. actor is the username that made the change
+ * (null if they weren't logged in, e.g. registering). For updates, before
+ * and after hold only the fields that changed.
+ *
+ * Can filter on:
+ * - actor
+ * - action (create, update, delete, restore or purge)
+ * - entityType (company, job or user), entityId
+ * - from, to: dates or date-times; from is inclusive, to exclusive
+ *
+ * Can page with limit (default 20, at most 100) and offset.
+ *
+ * Authorization required: is admin
+ */
+
+router.get(
+  "/audit",
+  ensureIsAdmin,
+  validateQuery(auditSearchSchema),
+  async function (req, res, next) {
+    try {
+      const { actor, action, entityType, entityId, from, to } = req.query;
+      const { limit, offset } = parsePagination(req.query);
+      const queryParams = {
+        actor,
+        action,
+        entityType,
+        entityId,
+        from,
+        to,
+        limit,
+        offset,
+      };
+
+      const entries = await Audit.findAll({ queryParams });
+      const total = await Audit.count({ queryParams });
+      return res.json({
+        entries,
+        pagination: paginationMeta(req, { limit, offset, total }),
+      });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /stats  =>
+ *   { stats: { from, to, bucket, openJobs, activity, conversion,
+ *              medianSalaries, topSearches } }
+ *
+ * Metrics for the whole site:
+ * - openJobs: how many jobs are open now
+ * - activity: [{ start, views, applications, openJobs, applicationsPerJob },
+ *   ...], a bucket at a time
+ * - conversion: { states: [{ state, applications }, ...], transitions:
+ *   [{ fromState, toState, applications, rate }, ...] } for the
+ *   applications made in the range
+ * - medianSalaries: [{ title, jobs, medianSalary }, ...] for the most common
+ *   titles posted in the range, yearly in the base currency
+ * - topSearches: [{ term, searches }, ...]
+ *
+ * Query string:
+ * - from, to: dates or date-times; from is inclusive, to exclusive (default
+ *   the 30 days up to now)
+ * - bucket: day (the default), week or month
+ *
+ * Authorization required: is admin
+ */
+
+router.get(
+  "/stats",
+  ensureIsAdmin,
+  validateQuery(statsSearchSchema),
+  async function (req, res, next) {
+    try {
+      const { from, to, bucket } = req.query;
+      const stats = await Stats.forSite({ from, to, bucket });
+      return res.json({ stats });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /login-limits  =>  { loginLimits }
+ *
+ * How POST /auth/token is throttled: loginLimits is { windowSeconds,
+ * maxPerIp, maxPerUsername, failureWindowSeconds, maxFailures,
+ * maxFailuresPerIp, lockoutSeconds, maxLockoutSeconds } (see
+ * LOGIN_RATE_LIMITS in config.js).
+ *
+ * Authorization required: is admin
+ */
+
+router.get("/login-limits", ensureIsAdmin, function (req, res) {
+  return res.json({ loginLimits: getLoginLimits() });
+});
+
+/** PATCH /login-limits { limit: value, ... }  =>  { loginLimits }
+ *
+ * Changes some of the login limits. They apply to this server process, until
+ * it restarts.
+ *
+ * Authorization required: is admin
+ */
+
+router.patch(
+  "/login-limits",
+  ensureIsAdmin,
+  validateBody(loginLimitsUpdateSchema),
+  function (req, res) {
+    return res.json({ loginLimits: setLoginLimits(req.body) });
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,188 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const { LOGIN_RATE_LIMITS } = require("../config");
+const { setLoginLimits } = require("../middleware/rateLimit");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+  a1TokenAdmin,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /admin/audit */
+
+describe("GET /admin/audit", function () {
+  test("records who made a change", async function () {
+    await request(app)
+      .patch(`/users/u1`)
+      .send({ firstName: "New" })
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+
+    const resp = await request(app)
+      .get(`/admin/audit?entityType=user&entityId=u1&action=update`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.body).toEqual({
+      entries: [
+        {
+          id: expect.any(Number),
+          actor: "a1",
+          action: "update",
+          entityType: "user",
+          entityId: "u1",
+          before: { firstName: "U1F" },
+          after: { firstName: "New" },
+          createdAt: expect.any(String),
+        },
+      ],
+      pagination: {
+        total: 1,
+        limit: 20,
+        offset: 0,
+        next: null,
+        prev: null,
+      },
+    });
+  });
+
+  test("works: filter by actor", async function () {
+    await request(app)
+      .delete(`/companies/c3`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+
+    const resp = await request(app)
+      .get(`/admin/audit?actor=a1`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.body.entries.map((e) => [e.action, e.entityId])).toEqual([
+      ["delete", "c3"],
+    ]);
+  });
+
+  test("bad request with invalid date", async function () {
+    const resp = await request(app)
+      .get(`/admin/audit?from=nope`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+      .get(`/admin/audit`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get(`/admin/audit`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** GET /admin/stats */
+
+describe("GET /admin/stats", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .get(`/admin/stats?from=2021-01-01&to=2021-03-01&bucket=month`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.body).toEqual({
+      stats: {
+        from: "2021-01-01T00:00:00.000Z",
+        to: "2021-03-01T00:00:00.000Z",
+        bucket: "month",
+        openJobs: 2,
+        activity: [expect.any(Object), expect.any(Object)],
+        conversion: { states: [], transitions: [] },
+        medianSalaries: [],
+        topSearches: [],
+      },
+    });
+  });
+
+  test("bad request with a bad range", async function () {
+    for (const query of ["bucket=year", "from=2021-02-01&to=2021-01-01"]) {
+      const resp = await request(app)
+        .get(`/admin/stats?${query}`)
+        .set("authorization", `Bearer ${a1TokenAdmin}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+      .get(`/admin/stats`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** /admin/login-limits */
+
+describe("GET /admin/login-limits", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .get(`/admin/login-limits`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.body).toEqual({ loginLimits: LOGIN_RATE_LIMITS });
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+      .get(`/admin/login-limits`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("PATCH /admin/login-limits", function () {
+  afterEach(function () {
+    setLoginLimits(LOGIN_RATE_LIMITS);
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .patch(`/admin/login-limits`)
+      .send({ maxFailures: 2 })
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.body).toEqual({
+      loginLimits: { ...LOGIN_RATE_LIMITS, maxFailures: 2 },
+    });
+
+    // and logins are held to it
+    for (let i = 0; i < 2; i++) {
+      await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "nope" });
+    }
+    const loginResp = await request(app)
+      .post("/auth/token")
+      .send({ username: "u1", password: "password1" });
+    expect(loginResp.statusCode).toEqual(429);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+      .patch(`/admin/login-limits`)
+      .send({ maxFailures: 0, nope: 1 })
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+      .patch(`/admin/login-limits`)
+      .send({ maxFailures: 2 })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
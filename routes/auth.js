@@ -2,63 +2,296 @@
 
 /** Routes for authentication. */
 
-const jsonschema = require("jsonschema");
-
+const db = require("../db");
 const User = require("../models/user");
+const RefreshToken = require("../models/refreshToken");
+const AccountToken = require("../models/accountToken");
 const express = require("express");
 const router = new express.Router();
 const { createToken } = require("../helpers/tokens");
+const { sendMail } = require("../helpers/mailer");
+const { passwordResetEmail, verificationEmail } = require("../helpers/emails");
+const { ensureLoggedIn } = require("../middleware/auth");
+const {
+  limitLogins,
+  recordLoginFailure,
+  recordLoginSuccess,
+} = require("../middleware/rateLimit");
 const userAuthSchema = require("../schemas/userAuth.json");
 const userRegisterSchema = require("../schemas/userRegister.json");
-const { BadRequestError } = require("../expressError");
+const refreshTokenSchema = require("../schemas/refreshToken.json");
+const passwordResetRequestSchema = require("../schemas/passwordResetRequest.json");
+const passwordResetConfirmSchema = require("../schemas/passwordResetConfirm.json");
+const verifyEmailSchema = require("../schemas/verifyEmail.json");
+const { BadRequestError, UnauthorizedError } = require("../expressError");
+const { validateBody } = require("../middleware/validate");
+
+/** Send mail without failing the request if it can't be sent: the account
+ * change it's about has already happened, and the user can ask again. */
+
+async function trySendMail(message) {
+  try {
+    await sendMail(message);
+  } catch (err) {
+    console.error(`Couldn't send mail to ${message.to}:`, err.message);
+  }
+}
 
-/** POST /auth/token:  { username, password } => { token }
+/** POST /auth/token:  { username, password } => { token, refreshToken }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns JWT token which can be used to authenticate further requests, and
+ * a refresh token to get a new one once it expires.
+ *
+ * Attempts are rate limited per IP address and username, and repeated
+ * failures lock them out for a while: see middleware/rateLimit.js. Either
+ * gets a 429 with a Retry-After header.
  *
  * Authorization required: none
  */
 
-router.post("/token", async function (req, res, next) {
-  try {
-    const validator = jsonschema.validate(req.body, userAuthSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map((e) => e.stack);
-      throw new BadRequestError(errs);
+router.post(
+  "/token",
+  limitLogins,
+  validateBody(userAuthSchema),
+  async function (req, res, next) {
+    try {
+      const { username, password } = req.body;
+      let user;
+      try {
+        user = await User.authenticate(username, password);
+      } catch (err) {
+        if (err instanceof UnauthorizedError) await recordLoginFailure(req);
+        throw err;
+      }
+      await recordLoginSuccess(req);
+      const token = createToken(user);
+      const refreshToken = await RefreshToken.create(user.username);
+      return res.json({ token, refreshToken });
+    } catch (err) {
+      return next(err);
     }
-
-    const { username, password } = req.body;
-    const user = await User.authenticate(username, password);
-    const token = createToken(user);
-    return res.json({ token });
-  } catch (err) {
-    return next(err);
   }
-});
+);
 
-/** POST /auth/register:   { user } => { token }
+/** POST /auth/register:   { user } => { token, refreshToken }
  *
  * user must include { username, password, firstName, lastName, email }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns JWT token which can be used to authenticate further requests, and
+ * a refresh token to get a new one once it expires. Also mails a link to
+ * verify the email address (see POST /auth/verify-email).
  *
  * Authorization required: none
  */
 
-router.post("/register", async function (req, res, next) {
-  try {
-    const validator = jsonschema.validate(req.body, userRegisterSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map((e) => e.stack);
-      throw new BadRequestError(errs);
+router.post(
+  "/register",
+  validateBody(userRegisterSchema),
+  async function (req, res, next) {
+    try {
+      // the account and its first tokens are created together or not at all
+      const { newUser, refreshToken, verifyToken } = await db.withTransaction(
+        async (client) => {
+          const newUser = await User.register(
+            { ...req.body, isAdmin: false },
+            client
+          );
+          const refreshToken = await RefreshToken.create(
+            newUser.username,
+            client
+          );
+          const verifyToken = await AccountToken.create(
+            newUser.username,
+            newUser.email,
+            "email_verification",
+            client
+          );
+          return { newUser, refreshToken, verifyToken };
+        }
+      );
+      await trySendMail(verificationEmail(newUser, verifyToken));
+      const token = createToken(newUser);
+      return res.status(201).json({ token, refreshToken });
+    } catch (err) {
+      return next(err);
     }
+  }
+);
 
-    const newUser = await User.register({ ...req.body, isAdmin: false });
-    const token = createToken(newUser);
-    return res.status(201).json({ token });
-  } catch (err) {
-    return next(err);
+/** POST /auth/refresh:  { refreshToken } => { token, refreshToken }
+ *
+ * Trades a refresh token for a new access token. The refresh token is
+ * rotated: the one sent can't be used again, use the returned one instead.
+ *
+ * Authorization required: none
+ */
+
+router.post(
+  "/refresh",
+  validateBody(refreshTokenSchema),
+  async function (req, res, next) {
+    try {
+      const { user, refreshToken } = await RefreshToken.rotate(
+        req.body.refreshToken
+      );
+      const token = createToken(user);
+      return res.json({ token, refreshToken });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /auth/logout:  { refreshToken } => { loggedOut: true }
+ *
+ * Revokes the refresh token. The current access token keeps working until
+ * it expires.
+ *
+ * Authorization required: none
+ */
+
+router.post(
+  "/logout",
+  validateBody(refreshTokenSchema),
+  async function (req, res, next) {
+    try {
+      await RefreshToken.revoke(req.body.refreshToken);
+      return res.json({ loggedOut: true });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /auth/password-reset/request:  { email } => { message }
+ *
+ * Mails a link to reset the password of each account with that email. The
+ * response is the same whether or not there are any, so it can't be used to
+ * find out who has an account.
+ *
+ * Authorization required: none
+ */
+
+router.post(
+  "/password-reset/request",
+  validateBody(passwordResetRequestSchema),
+  async function (req, res, next) {
+    try {
+      const users = await User.findByEmail(req.body.email);
+      for (const user of users) {
+        const resetToken = await AccountToken.create(
+          user.username,
+          user.email,
+          "password_reset"
+        );
+        await trySendMail(passwordResetEmail(user, resetToken));
+      }
+
+      return res.json({
+        message: "If that email has an account, a reset link was sent to it",
+      });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /auth/password-reset/confirm:  { token, password } =>
+ *   { passwordReset: true }
+ *
+ * Sets a new password using the token from a reset email. Every refresh
+ * token for the account is revoked, so other sessions have to log in again.
+ *
+ * Authorization required: none
+ */
+
+router.post(
+  "/password-reset/confirm",
+  validateBody(passwordResetConfirmSchema),
+  async function (req, res, next) {
+    try {
+      await db.withTransaction(async (client) => {
+        const { username } = await AccountToken.consume(
+          req.body.token,
+          "password_reset",
+          client
+        );
+        await User.update(
+          username,
+          { password: req.body.password },
+          {},
+          client
+        );
+        await RefreshToken.revokeAllForUser(username, client);
+      });
+      return res.json({ passwordReset: true });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /auth/verify-email:  { token } => { emailVerified: true }
+ *
+ * Verifies a user's email address using the token from a verification
+ * email.
+ *
+ * Authorization required: none
+ */
+
+router.post(
+  "/verify-email",
+  validateBody(verifyEmailSchema),
+  async function (req, res, next) {
+    try {
+      await db.withTransaction(async (client) => {
+        const { username, email } = await AccountToken.consume(
+          req.body.token,
+          "email_verification",
+          client
+        );
+        await User.verifyEmail(username, email, client);
+      });
+      return res.json({ emailVerified: true });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /auth/verify-email/request:  {} => { message }
+ *
+ * Mails the logged-in user a new link to verify their current email, e.g.
+ * after changing it.
+ *
+ * Authorization required: logged in
+ */
+
+router.post(
+  "/verify-email/request",
+  ensureLoggedIn,
+  async function (req, res, next) {
+    try {
+      const user = await User.get(res.locals.user.username);
+      if (user.email_verified) {
+        throw new BadRequestError("Email is already verified");
+      }
+
+      const verifyToken = await AccountToken.create(
+        user.username,
+        user.email,
+        "email_verification"
+      );
+      await trySendMail(
+        verificationEmail({ ...user, firstName: user.first_name }, verifyToken)
+      );
+      return res.json({
+        message: `A verification link was sent to ${user.email}`,
+      });
+    } catch (err) {
+      return next(err);
+    }
   }
-});
+);
 
 module.exports = router;
@@ -1,8 +1,11 @@
 "use strict";
 
 const request = require("supertest");
+const jwt = require("jsonwebtoken");
 
 const app = require("../app");
+const { SECRET_KEY } = require("../config");
+const { setTransport } = require("../helpers/mailer");
 
 const {
   commonBeforeAll,
@@ -16,6 +19,22 @@ beforeEach(commonBeforeEach);
 afterEach(commonAfterEach);
 afterAll(commonAfterAll);
 
+// capture mail instead of sending it
+let sentMail;
+let realTransport;
+beforeEach(function () {
+  sentMail = [];
+  realTransport = setTransport({ send: async (message) => sentMail.push(message) });
+});
+afterEach(function () {
+  setTransport(realTransport);
+});
+
+/** the token in the link in a mail */
+function tokenFrom(message) {
+  return message.text.match(/token=([0-9a-f]+)/)[1];
+}
+
 /************************************** POST /auth/token */
 
 describe("POST /auth/token", function () {
@@ -28,6 +47,7 @@ describe("POST /auth/token", function () {
         });
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
@@ -69,6 +89,53 @@ describe("POST /auth/token", function () {
         });
     expect(resp.statusCode).toEqual(400);
   });
+
+  test("too many requests after repeated failures", async function () {
+    for (let i = 0; i < 5; i++) {
+      const resp = await request(app)
+          .post("/auth/token")
+          .send({
+            username: "u1",
+            password: "nope",
+          });
+      expect(resp.statusCode).toEqual(401);
+    }
+
+    // locked out, even with the right password
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+    expect(resp.statusCode).toEqual(429);
+    expect(Number(resp.headers["retry-after"])).toBeGreaterThan(0);
+  });
+
+  test("failures before a success don't count", async function () {
+    for (let i = 0; i < 4; i++) {
+      await request(app)
+          .post("/auth/token")
+          .send({
+            username: "u1",
+            password: "nope",
+          });
+    }
+    await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "nope",
+        });
+    expect(resp.statusCode).toEqual(401);
+  });
 });
 
 /************************************** POST /auth/register */
@@ -87,9 +154,25 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
+  test("mails a link to verify the email", async function () {
+    await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "password",
+          email: "new@email.com",
+        });
+    expect(sentMail.length).toEqual(1);
+    expect(sentMail[0].to).toEqual("new@email.com");
+    expect(sentMail[0].text).toContain("/verify-email?token=");
+  });
+
   test("bad request with missing fields", async function () {
     const resp = await request(app)
         .post("/auth/register")
@@ -112,3 +195,268 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(400);
   });
 });
+
+/************************************** POST /auth/refresh */
+
+describe("POST /auth/refresh", function () {
+  test("works", async function () {
+    const login = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: login.body.refreshToken });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      "token": expect.any(String),
+      "refreshToken": expect.any(String),
+    });
+    expect(resp.body.refreshToken).not.toEqual(login.body.refreshToken);
+  });
+
+  test("unauth when reusing a rotated token", async function () {
+    const login = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+    const refreshed = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: login.body.refreshToken });
+    const reused = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: login.body.refreshToken });
+    expect(reused.statusCode).toEqual(401);
+
+    // reuse revokes the whole family, including the newest token
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: refreshed.body.refreshToken });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth with unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/logout */
+
+describe("POST /auth/logout", function () {
+  test("works", async function () {
+    const login = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({ refreshToken: login.body.refreshToken });
+    expect(resp.body).toEqual({ loggedOut: true });
+
+    const refresh = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: login.body.refreshToken });
+    expect(refresh.statusCode).toEqual(401);
+  });
+
+  test("unauth with unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({ refreshToken: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /auth/password-reset/request */
+
+describe("POST /auth/password-reset/request", function () {
+  test("mails a reset link", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "user1@user.com" });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ message: expect.any(String) });
+    expect(sentMail.length).toEqual(1);
+    expect(sentMail[0].to).toEqual("user1@user.com");
+    expect(sentMail[0].text).toContain("/reset-password?token=");
+  });
+
+  test("same response, no mail, for an unknown email", async function () {
+    const known = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "user1@user.com" });
+    sentMail.length = 0;
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "nobody@user.com" });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual(known.body);
+    expect(sentMail).toEqual([]);
+  });
+
+  test("bad request with invalid email", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "nope" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/password-reset/confirm */
+
+describe("POST /auth/password-reset/confirm", function () {
+  test("works", async function () {
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "user1@user.com" });
+
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token: tokenFrom(sentMail[0]), password: "newpassword" });
+    expect(resp.body).toEqual({ passwordReset: true });
+
+    const newLogin = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "newpassword" });
+    expect(newLogin.statusCode).toEqual(200);
+
+    // other sessions are logged out
+    const refresh = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: login.body.refreshToken });
+    expect(refresh.statusCode).toEqual(401);
+  });
+
+  test("bad request if token is reused", async function () {
+    await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "user1@user.com" });
+    const token = tokenFrom(sentMail[0]);
+    await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "newpassword" });
+
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "otherpassword" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token: "nope", password: "newpassword" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/verify-email */
+
+describe("POST /auth/verify-email", function () {
+  test("works", async function () {
+    const register = await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "password",
+          email: "new@email.com",
+        });
+
+    const resp = await request(app)
+        .post("/auth/verify-email")
+        .send({ token: tokenFrom(sentMail[0]) });
+    expect(resp.body).toEqual({ emailVerified: true });
+
+    const user = await request(app)
+        .get("/users/new")
+        .set("authorization", `Bearer ${register.body.token}`);
+    expect(user.body.user.email_verified).toEqual(true);
+  });
+
+  test("bad request with a password reset token", async function () {
+    await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "user1@user.com" });
+    const resp = await request(app)
+        .post("/auth/verify-email")
+        .send({ token: tokenFrom(sentMail[0]) });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/verify-email/request */
+
+describe("POST /auth/verify-email/request", function () {
+  test("mails a new link", async function () {
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    const resp = await request(app)
+        .post("/auth/verify-email/request")
+        .set("authorization", `Bearer ${login.body.token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(sentMail[0].to).toEqual("user1@user.com");
+  });
+
+  test("works even if the mail can't be sent", async function () {
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    setTransport({
+      send: async () => {
+        throw new Error("mail server down");
+      },
+    });
+    const spy = jest.spyOn(console, "error").mockImplementation(() => {});
+    try {
+      const resp = await request(app)
+          .post("/auth/verify-email/request")
+          .set("authorization", `Bearer ${login.body.token}`);
+      expect(resp.statusCode).toEqual(200);
+      expect(spy).toHaveBeenCalled();
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).post("/auth/verify-email/request");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** expired access tokens */
+
+describe("expired access tokens", function () {
+  test("are rejected with a reason", async function () {
+    const expired = jwt.sign({ username: "u1", isAdmin: false }, SECRET_KEY, {
+      expiresIn: -10,
+    });
+    const resp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${expired}`);
+    expect(resp.statusCode).toEqual(401);
+    expect(resp.body.error.message).toEqual("Access token expired");
+  });
+});
@@ -2,15 +2,33 @@
 
 /** Routes for companies. */
 
-const jsonschema = require("jsonschema");
 const express = require("express");
 
-const { BadRequestError } = require("../expressError");
-const { ensureLoggedIn, ensureIsAdmin } = require("../middleware/auth");
+const {
+  ensureLoggedIn,
+  ensureIsAdmin,
+  ensureCompanyRole,
+} = require("../middleware/auth");
+const { validateBody, validateQuery } = require("../middleware/validate");
 const Company = require("../models/company");
+const CompanyMember = require("../models/companyMember");
+const Location = require("../models/location");
+const Stats = require("../models/stats");
+const Event = require("../models/event");
+const { parsePagination, paginationMeta } = require("../helpers/pagination");
+const { readImportRows, importRows, streamExport } = require("../helpers/bulk");
+const { etagFor } = require("../helpers/etag");
 
 const companyNewSchema = require("../schemas/companyNew.json");
 const companyUpdateSchema = require("../schemas/companyUpdate.json");
+const companyMemberNewSchema = require("../schemas/companyMemberNew.json");
+const companyMemberUpdateSchema = require("../schemas/companyMemberUpdate.json");
+const locationNewSchema = require("../schemas/locationNew.json");
+const locationUpdateSchema = require("../schemas/locationUpdate.json");
+const companySearchSchema = require("../schemas/companySearch.json");
+const companyExportSchema = require("../schemas/companyExport.json");
+const importOptionsSchema = require("../schemas/importOptions.json");
+const statsSearchSchema = require("../schemas/statsSearch.json");
 
 const router = new express.Router();
 
@@ -18,62 +36,161 @@ const router = new express.Router();
  *
  * company should be { handle, name, description, numEmployees, logoUrl }
  *
- * Returns { handle, name, description, numEmployees, logoUrl }
+ * Returns { handle, name, description, numEmployees, logoUrl, createdAt,
+ *   updatedAt }
  *
  * Authorization required: is admin
  */
 
-router.post("/", ensureIsAdmin, async function (req, res, next) {
-  try {
-    const validator = jsonschema.validate(req.body, companyNewSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map((e) => e.stack);
-      throw new BadRequestError(errs);
+router.post(
+  "/",
+  ensureIsAdmin,
+  validateBody(companyNewSchema),
+  async function (req, res, next) {
+    try {
+      const company = await Company.create(req.body);
+      return res.status(201).json({ company });
+    } catch (err) {
+      return next(err);
     }
-
-    const company = await Company.create(req.body);
-    return res.status(201).json({ company });
-  } catch (err) {
-    return next(err);
   }
-});
+);
 
 /** GET /  =>
- *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...] }
+ *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...],
+ *     pagination: { total, limit, offset, next, prev } }
  *
  * Can filter on provided search filters:
  * - minEmployees
  * - maxEmployees
  * - nameLike (will find case-insensitive, partial matches)
+ * - q (full-text search of name and description, e.g. "python remote")
+ *
+ * Can page and sort with:
+ * - limit (default 20, at most 100), offset
+ * - sort: comma-separated name, handle, numEmployees; "-" for descending
+ *
+ * The search (q, or else nameLike) is counted for stats when getting the
+ * first page.
  *
  * Authorization required: none
  */
 
-router.get("/", async function (req, res, next) {
-  try {
-    // Retrieve query parameter from the URL
-    let { nameLike, minEmployees, maxEmployees } = req.query;
+router.get(
+  "/",
+  validateQuery(companySearchSchema),
+  async function (req, res, next) {
+    try {
+      // Retrieve query parameter from the URL
+      let { nameLike, q, minEmployees, maxEmployees, sort } = req.query;
+      const { limit, offset } = parsePagination(req.query);
+      const queryParams = {
+        nameLike,
+        q,
+        minEmployees,
+        maxEmployees,
+        sort,
+        limit,
+        offset,
+      };
 
-    const companies = await Company.findAll({
-      queryParams: { nameLike, minEmployees, maxEmployees },
-    });
-    return res.json({ companies });
-  } catch (err) {
-    return next(err);
+      const companies = await Company.findAll({ queryParams });
+      const total = await Company.count({ queryParams });
+      if (!offset && (q || nameLike)) await Event.recordSearch(q || nameLike);
+      return res.json({
+        companies,
+        pagination: paginationMeta(req, { limit, offset, total }),
+      });
+    } catch (err) {
+      return next(err);
+    }
   }
-});
+);
+
+/** GET /export  =>  companies as CSV or NDJSON
+ *
+ * Downloads every company matching the same filters (and sort) as GET /,
+ * as format=csv (the default; columns handle, name, description,
+ * numEmployees, logoUrl) or format=ndjson (a JSON company per line).
+ *
+ * Authorization required: is admin
+ */
+
+router.get(
+  "/export",
+  ensureIsAdmin,
+  validateQuery(companyExportSchema),
+  async function (req, res, next) {
+    try {
+      const { nameLike, q, minEmployees, maxEmployees, sort } = req.query;
+      const filters = { nameLike, q, minEmployees, maxEmployees, sort };
+
+      await streamExport(res, {
+        format: req.query.format || "csv",
+        filename: "companies",
+        columns: ["handle", "name", "description", "numEmployees", "logoUrl"],
+        fetchPage: ({ limit, offset }, client) =>
+          Company.findAll(
+            { queryParams: { ...filters, limit, offset } },
+            client
+          ),
+      });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /import [{ company }, ...]  =>  { committed, created, failed, results }
+ *
+ * Creates many companies: send a JSON array of them, or CSV (as text/csv)
+ * with a header row naming the fields. Each is validated as in POST /.
+ *
+ * Each row is saved on its own unless ?atomic=true, when either all of
+ * them are saved or, if any fails, none are (and the response is a 400).
+ *
+ * results reports on each row, numbered from 1:
+ *   [{ row, ok: true, company } or { row, ok: false, errors }, ...]
+ *
+ * Authorization required: is admin
+ */
+
+router.post(
+  "/import",
+  ensureIsAdmin,
+  validateQuery(importOptionsSchema),
+  async function (req, res, next) {
+    try {
+      const rows = readImportRows(req, companyNewSchema);
+      const report = await importRows(rows, {
+        schema: companyNewSchema,
+        create: (company, client) => Company.create(company, client),
+        name: "company",
+        atomic: req.query.atomic === true,
+      });
+      return res.status(report.committed ? 200 : 400).json(report);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
 
 /** GET /[handle]  =>  { company }
  *
- *  Company is { handle, name, description, numEmployees, logoUrl, jobs }
+ *  Company is { handle, name, description, numEmployees, logoUrl, createdAt,
+ *    updatedAt, followers, jobs }
  *   where jobs is [{ id, title, salary, equity }, ...]
  *
+ * The ETag header is the company's version, to send back as If-Match when
+ * changing it.
+ *
  * Authorization required: none
  */
 
 router.get("/:handle", async function (req, res, next) {
   try {
     const company = await Company.get(req.params.handle);
+    res.set("ETag", etagFor(company.updatedAt, { company }));
     return res.json({ company });
   } catch (err) {
     return next(err);
@@ -82,42 +199,316 @@ router.get("/:handle", async function (req, res, next) {
 
 /** PATCH /[handle] { fld1, fld2, ... } => { company }
  *
- * Patches company data.
+ * Patches company data. With an If-Match header, only if the company is still
+ * the version it names (412 if not); the new version is the ETag header.
  *
  * fields can be: { name, description, numEmployees, logo_url }
  *
- * Returns { handle, name, description, numEmployees, logo_url }
+ * Returns { handle, name, description, numEmployees, logo_url, createdAt,
+ *   updatedAt }
  *
  * Authorization required: is admin
  */
 
-router.patch("/:handle", ensureIsAdmin, async function (req, res, next) {
-  try {
-    const validator = jsonschema.validate(req.body, companyUpdateSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map((e) => e.stack);
-      throw new BadRequestError(errs);
+router.patch(
+  "/:handle",
+  ensureIsAdmin,
+  validateBody(companyUpdateSchema),
+  async function (req, res, next) {
+    try {
+      const company = await Company.update(req.params.handle, req.body, {
+        ifMatch: req.get("If-Match"),
+      });
+      res.set("ETag", etagFor(company.updatedAt, { company }));
+      return res.json({ company });
+    } catch (err) {
+      return next(err);
     }
+  }
+);
 
-    const company = await Company.update(req.params.handle, req.body);
+/** DELETE /[handle]  =>  { deleted: handle }
+ *
+ * The company and its jobs are hidden, not removed: see restore and purge.
+ *
+ * Authorization: is admin
+ */
+
+router.delete("/:handle", ensureIsAdmin, async function (req, res, next) {
+  try {
+    await Company.remove(req.params.handle);
+    return res.json({ deleted: req.params.handle });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[handle]/restore  =>  { company }
+ *
+ * Brings back a deleted company, with the jobs deleted along with it.
+ *
+ * Returns { handle, name, description, numEmployees, logoUrl }
+ *
+ * Authorization: is admin
+ */
+
+router.post("/:handle/restore", ensureIsAdmin, async function (req, res, next) {
+  try {
+    const company = await Company.restore(req.params.handle);
     return res.json({ company });
   } catch (err) {
     return next(err);
   }
 });
 
-/** DELETE /[handle]  =>  { deleted: handle }
+/** POST /[handle]/purge  =>  { purged: handle }
+ *
+ * Permanently removes a deleted company, with its jobs, their applications
+ * and its members.
  *
  * Authorization: is admin
  */
 
-router.delete("/:handle", ensureIsAdmin, async function (req, res, next) {
+router.post("/:handle/purge", ensureIsAdmin, async function (req, res, next) {
   try {
-    await Company.remove(req.params.handle);
-    return res.json({ deleted: req.params.handle });
+    await Company.purge(req.params.handle);
+    return res.json({ purged: req.params.handle });
   } catch (err) {
     return next(err);
   }
 });
 
+/** GET /[handle]/members  =>  { members }
+ *
+ * members is [{ username, firstName, lastName, email, role, createdAt }, ...]
+ *
+ * Authorization required: is admin, or a member of the company
+ */
+
+router.get(
+  "/:handle/members",
+  ensureCompanyRole("viewer"),
+  async function (req, res, next) {
+    try {
+      const members = await CompanyMember.findForCompany(req.params.handle);
+      return res.json({ members });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[handle]/members { username, role } => { member }
+ *
+ * role is owner, recruiter (can also post and edit the company's jobs) or
+ * viewer.
+ *
+ * Returns { companyHandle, username, role, createdAt }
+ *
+ * Authorization required: is admin, or an owner of the company
+ */
+
+router.post(
+  "/:handle/members",
+  ensureCompanyRole("owner"),
+  validateBody(companyMemberNewSchema),
+  async function (req, res, next) {
+    try {
+      const member = await CompanyMember.add(
+        req.params.handle,
+        req.body.username,
+        req.body.role
+      );
+      return res.status(201).json({ member });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** PATCH /[handle]/members/[username] { role } => { member }
+ *
+ * Returns { companyHandle, username, role, createdAt }
+ *
+ * Authorization required: is admin, or an owner of the company
+ */
+
+router.patch(
+  "/:handle/members/:username",
+  ensureCompanyRole("owner"),
+  validateBody(companyMemberUpdateSchema),
+  async function (req, res, next) {
+    try {
+      const member = await CompanyMember.updateRole(
+        req.params.handle,
+        req.params.username,
+        req.body.role
+      );
+      return res.json({ member });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /[handle]/members/[username]  =>  { removed: username }
+ *
+ * A company always keeps at least one owner.
+ *
+ * Authorization required: is admin, or an owner of the company
+ */
+
+router.delete(
+  "/:handle/members/:username",
+  ensureCompanyRole("owner"),
+  async function (req, res, next) {
+    try {
+      await CompanyMember.remove(req.params.handle, req.params.username);
+      return res.json({ removed: req.params.username });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[handle]/stats  =>
+ *   { stats: { from, to, bucket, openJobs, activity, conversion,
+ *              medianSalaries, topSearches } }
+ *
+ * The same metrics as GET /admin/stats, for the company's jobs; topSearches
+ * are the searches that find the company or one of its jobs.
+ *
+ * Query string: from, to and bucket, as for GET /admin/stats.
+ *
+ * Authorization required: is admin, or an owner of the company
+ */
+
+router.get(
+  "/:handle/stats",
+  ensureCompanyRole("owner"),
+  validateQuery(statsSearchSchema),
+  async function (req, res, next) {
+    try {
+      const { from, to, bucket } = req.query;
+      const stats = await Stats.forCompany(req.params.handle, {
+        from,
+        to,
+        bucket,
+      });
+      return res.json({ stats });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[handle]/locations  =>  { locations }
+ *
+ * locations is [{ id, companyHandle, name, address, city, region, country,
+ *   latitude, longitude, createdAt }, ...]
+ *
+ * Authorization required: none
+ */
+
+router.get("/:handle/locations", async function (req, res, next) {
+  try {
+    const locations = await Location.findForCompany(req.params.handle);
+    return res.json({ locations });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[handle]/locations { location } => { location }
+ *
+ * location should be { city, country } (a two-letter ISO code, like "US")
+ * and may have { name, address, region, latitude, longitude }; jobs at
+ * offices without latitude and longitude can't be found by distance.
+ *
+ * Returns { id, companyHandle, name, address, city, region, country,
+ *   latitude, longitude, createdAt }
+ *
+ * Authorization required: is admin, or an owner of the company
+ */
+
+router.post(
+  "/:handle/locations",
+  ensureCompanyRole("owner"),
+  validateBody(locationNewSchema),
+  async function (req, res, next) {
+    try {
+      const location = await Location.create(req.params.handle, req.body);
+      return res.status(201).json({ location });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[handle]/locations/[id]  =>  { location }
+ *
+ * Returns { id, companyHandle, name, address, city, region, country,
+ *   latitude, longitude, createdAt }
+ *
+ * Authorization required: none
+ */
+
+router.get("/:handle/locations/:id", async function (req, res, next) {
+  try {
+    const location = await Location.get(req.params.handle, req.params.id);
+    return res.json({ location });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PATCH /[handle]/locations/[id] { fld1, fld2, ... } => { location }
+ *
+ * fields can be: { name, address, city, region, country, latitude,
+ *   longitude }
+ *
+ * Returns { id, companyHandle, name, address, city, region, country,
+ *   latitude, longitude, createdAt }
+ *
+ * Authorization required: is admin, or an owner of the company
+ */
+
+router.patch(
+  "/:handle/locations/:id",
+  ensureCompanyRole("owner"),
+  validateBody(locationUpdateSchema),
+  async function (req, res, next) {
+    try {
+      const location = await Location.update(
+        req.params.handle,
+        req.params.id,
+        req.body
+      );
+      return res.json({ location });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /[handle]/locations/[id]  =>  { deleted: id }
+ *
+ * Jobs at the office are left without one.
+ *
+ * Authorization required: is admin, or an owner of the company
+ */
+
+router.delete(
+  "/:handle/locations/:id",
+  ensureCompanyRole("owner"),
+  async function (req, res, next) {
+    try {
+      await Location.remove(req.params.handle, req.params.id);
+      return res.json({ deleted: req.params.id });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
 module.exports = router;
@@ -4,6 +4,7 @@ const request = require("supertest");
 
 const db = require("../db");
 const app = require("../app");
+const Location = require("../models/location");
 
 const {
   commonBeforeAll,
@@ -11,6 +12,8 @@ const {
   commonAfterEach,
   commonAfterAll,
   u1Token,
+  u2Token,
+  u3Token,
   a1TokenAdmin,
 } = require("./_testCommon");
 
@@ -36,7 +39,11 @@ describe("POST /companies", function () {
       .set("authorization", `Bearer ${a1TokenAdmin}`);
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
-      company: newCompany,
+      company: {
+        ...newCompany,
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String),
+      },
     });
   });
   test("user without admin authorization fails to create company", async function () {
@@ -55,6 +62,14 @@ describe("POST /companies", function () {
       })
       .set("authorization", `Bearer ${a1TokenAdmin}`);
     expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error).toEqual({
+      message: "Invalid request body",
+      status: 400,
+      errors: [
+        { field: "name", code: "required", message: "is required" },
+        { field: "description", code: "required", message: "is required" },
+      ],
+    });
   });
 
   test("bad request with invalid data", async function () {
@@ -69,6 +84,170 @@ describe("POST /companies", function () {
   });
 });
 
+/************************************** POST /companies/import */
+
+describe("POST /companies/import", function () {
+  test("works for admin: json, with a report per row", async function () {
+    const resp = await request(app)
+      .post("/companies/import")
+      .send([
+        { handle: "new1", name: "New 1", description: "D1" },
+        { handle: "c1", name: "Dupe", description: "D" },
+        { handle: "new2", name: "New 2" },
+      ])
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      committed: true,
+      created: 1,
+      failed: 2,
+      results: [
+        {
+          row: 1,
+          ok: true,
+          company: {
+            handle: "new1",
+            name: "New 1",
+            description: "D1",
+            numEmployees: null,
+            logoUrl: null,
+            createdAt: expect.any(String),
+            updatedAt: expect.any(String),
+          },
+        },
+        {
+          row: 2,
+          ok: false,
+          errors: [
+            {
+              field: null,
+              code: "rejected",
+              message: "Duplicate company: c1",
+            },
+          ],
+        },
+        {
+          row: 3,
+          ok: false,
+          errors: [
+            { field: "description", code: "required", message: "is required" },
+          ],
+        },
+      ],
+    });
+  });
+
+  test("works for admin: csv", async function () {
+    const resp = await request(app)
+      .post("/companies/import")
+      .set("content-type", "text/csv")
+      .send(
+        "handle,name,description,numEmployees,logoUrl\n" +
+          'new1,New 1,"Big, old",10,http://new1.img\n' +
+          "new2,New 2,Small,,\n"
+      )
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.body.created).toEqual(2);
+    expect(resp.body.results[0].company).toEqual({
+      handle: "new1",
+      name: "New 1",
+      description: "Big, old",
+      numEmployees: 10,
+      logoUrl: "http://new1.img",
+      createdAt: expect.any(String),
+      updatedAt: expect.any(String),
+    });
+    expect(resp.body.results[1].company.numEmployees).toEqual(null);
+  });
+
+  test("atomic: nothing saved if a row fails", async function () {
+    const resp = await request(app)
+      .post("/companies/import?atomic=true")
+      .send([
+        { handle: "new1", name: "New 1", description: "D1" },
+        { handle: "c1", name: "Dupe", description: "D" },
+      ])
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.committed).toEqual(false);
+    expect(resp.body.created).toEqual(0);
+
+    const getResp = await request(app).get("/companies/new1");
+    expect(getResp.statusCode).toEqual(404);
+  });
+
+  test("works for admin: rows the database refuses fail", async function () {
+    const resp = await request(app)
+      .post("/companies/import")
+      .send([
+        { handle: "new1", name: "New 1", description: "D1" },
+        {
+          handle: "new2",
+          name: "New 2",
+          description: "D2",
+          numEmployees: 1e10,
+        },
+      ])
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual(
+      expect.objectContaining({ committed: true, created: 1, failed: 1 })
+    );
+    expect(resp.body.results[1]).toEqual({
+      row: 2,
+      ok: false,
+      errors: [{ field: null, code: "rejected", message: expect.any(String) }],
+    });
+  });
+
+  test("atomic: rows the database refuses fail too", async function () {
+    const resp = await request(app)
+      .post("/companies/import?atomic=true")
+      .send([
+        {
+          handle: "new1",
+          name: "New 1",
+          description: "D1",
+          numEmployees: 1e10,
+        },
+        { handle: "new2", name: "New 2", description: "D2" },
+      ])
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.committed).toEqual(false);
+    expect(resp.body.results.map((r) => r.ok)).toEqual([false, true]);
+  });
+
+  test("atomic: all saved if every row is fine", async function () {
+    const resp = await request(app)
+      .post("/companies/import?atomic=true")
+      .send([
+        { handle: "new1", name: "New 1", description: "D1" },
+        { handle: "new2", name: "New 2", description: "D2" },
+      ])
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.body).toEqual(
+      expect.objectContaining({ committed: true, created: 2, failed: 0 })
+    );
+  });
+
+  test("bad request if not an array or csv", async function () {
+    const resp = await request(app)
+      .post("/companies/import")
+      .send({ handle: "new1", name: "New 1", description: "D1" })
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for users", async function () {
+    const resp = await request(app)
+      .post("/companies/import")
+      .send([])
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
 /************************************** GET /companies */
 
 describe("GET /companies", function () {
@@ -82,6 +261,8 @@ describe("GET /companies", function () {
           description: "Desc1",
           numEmployees: 1,
           logoUrl: "http://c1.img",
+          createdAt: expect.any(String),
+          updatedAt: expect.any(String),
         },
         {
           handle: "c2",
@@ -89,6 +270,8 @@ describe("GET /companies", function () {
           description: "Desc2",
           numEmployees: 2,
           logoUrl: "http://c2.img",
+          createdAt: expect.any(String),
+          updatedAt: expect.any(String),
         },
         {
           handle: "c3",
@@ -96,8 +279,17 @@ describe("GET /companies", function () {
           description: "Desc3",
           numEmployees: 3,
           logoUrl: "http://c3.img",
+          createdAt: expect.any(String),
+          updatedAt: expect.any(String),
         },
       ],
+      pagination: {
+        total: 3,
+        limit: 20,
+        offset: 0,
+        next: null,
+        prev: null,
+      },
     });
   });
   test("ok with 1/3 filter", async function () {
@@ -110,6 +302,8 @@ describe("GET /companies", function () {
           description: "Desc1",
           numEmployees: 1,
           logoUrl: "http://c1.img",
+          createdAt: expect.any(String),
+          updatedAt: expect.any(String),
         },
         {
           handle: "c2",
@@ -117,8 +311,17 @@ describe("GET /companies", function () {
           description: "Desc2",
           numEmployees: 2,
           logoUrl: "http://c2.img",
+          createdAt: expect.any(String),
+          updatedAt: expect.any(String),
         },
       ],
+      pagination: {
+        total: 2,
+        limit: 20,
+        offset: 0,
+        next: null,
+        prev: null,
+      },
     });
   });
   test("ok with all filters", async function () {
@@ -133,10 +336,72 @@ describe("GET /companies", function () {
           description: "Desc1",
           numEmployees: 1,
           logoUrl: "http://c1.img",
+          createdAt: expect.any(String),
+          updatedAt: expect.any(String),
+        },
+      ],
+      pagination: {
+        total: 1,
+        limit: 20,
+        offset: 0,
+        next: null,
+        prev: null,
+      },
+    });
+  });
+  test("works: sort, limit and offset with links", async function () {
+    const resp = await request(app).get(
+      "/companies?sort=-numEmployees&limit=1&offset=1"
+    );
+    expect(resp.body).toEqual({
+      companies: [
+        {
+          handle: "c2",
+          name: "C2",
+          description: "Desc2",
+          numEmployees: 2,
+          logoUrl: "http://c2.img",
+          createdAt: expect.any(String),
+          updatedAt: expect.any(String),
+        },
+      ],
+      pagination: {
+        total: 3,
+        limit: 1,
+        offset: 1,
+        next: "/companies?sort=-numEmployees&limit=1&offset=2",
+        prev: "/companies?sort=-numEmployees&limit=1&offset=0",
+      },
+    });
+  });
+  test("bad request with unknown sort field", async function () {
+    const resp = await request(app).get("/companies?sort=logoUrl");
+    expect(resp.statusCode).toEqual(400);
+  });
+  test("bad request with invalid limit", async function () {
+    const resp = await request(app).get("/companies?limit=0");
+    expect(resp.statusCode).toEqual(400);
+  });
+  test("bad request with non-numeric minEmployees", async function () {
+    const resp = await request(app).get("/companies?minEmployees=lots");
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error).toEqual({
+      message: "Invalid query string",
+      status: 400,
+      errors: [
+        {
+          field: "minEmployees",
+          code: "type",
+          message: "is not of a type(s) integer",
         },
       ],
     });
   });
+  test("works: full-text q", async function () {
+    const resp = await request(app).get("/companies?q=desc3");
+    expect(resp.body.companies.map((c) => c.handle)).toEqual(["c3"]);
+    expect(resp.body.pagination.total).toEqual(1);
+  });
   test("fails: test next() handler", async function () {
     // there's no normal failure event which will cause this route to fail ---
     // thus making it hard to test that the error-handler works with it. This
@@ -149,6 +414,57 @@ describe("GET /companies", function () {
   });
 });
 
+/************************************** GET /companies/export */
+
+describe("GET /companies/export", function () {
+  test("works for admin: csv", async function () {
+    const resp = await request(app)
+      .get("/companies/export?nameLike=c")
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-type"]).toMatch("text/csv");
+    expect(resp.headers["content-disposition"]).toMatch("companies.csv");
+    expect(resp.text).toEqual(
+      "handle,name,description,numEmployees,logoUrl\r\n" +
+        "c1,C1,Desc1,1,http://c1.img\r\n" +
+        "c2,C2,Desc2,2,http://c2.img\r\n" +
+        "c3,C3,Desc3,3,http://c3.img\r\n"
+    );
+  });
+
+  test("works for admin: ndjson, filtered", async function () {
+    const resp = await request(app)
+      .get("/companies/export?format=ndjson&minEmployees=3")
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.headers["content-type"]).toMatch("application/x-ndjson");
+    expect(resp.text.trim().split("\n").map(JSON.parse)).toEqual([
+      {
+        handle: "c3",
+        name: "C3",
+        description: "Desc3",
+        numEmployees: 3,
+        logoUrl: "http://c3.img",
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String),
+      },
+    ]);
+  });
+
+  test("bad request for unknown format", async function () {
+    const resp = await request(app)
+      .get("/companies/export?format=xml")
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for users", async function () {
+    const resp = await request(app)
+      .get("/companies/export")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
 /************************************** GET /companies/:handle */
 
 describe("GET /companies/:handle", function () {
@@ -161,10 +477,47 @@ describe("GET /companies/:handle", function () {
         description: "Desc1",
         numEmployees: 1,
         logoUrl: "http://c1.img",
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String),
+        followers: 0,
+        jobs: [
+          {
+            id: expect.any(Number),
+            title: "j1",
+            salary: 123,
+            equity: "1",
+            companyHandle: "c1",
+          },
+          {
+            id: expect.any(Number),
+            title: "j2",
+            salary: 321,
+            equity: "0",
+            companyHandle: "c1",
+          },
+        ],
       },
     });
   });
 
+  test("not modified if the If-None-Match is current", async function () {
+    const get = await request(app).get(`/companies/c2`);
+    const resp = await request(app)
+      .get(`/companies/c2`)
+      .set("If-None-Match", get.headers.etag);
+    expect(resp.statusCode).toEqual(304);
+  });
+
+  test("modified once one of its jobs changes", async function () {
+    const get = await request(app).get(`/companies/c1`);
+    await db.query(`UPDATE jobs SET title = 'j1-new' WHERE title = 'j1'`);
+    const resp = await request(app)
+      .get(`/companies/c1`)
+      .set("If-None-Match", get.headers.etag);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.company.jobs[0].title).toEqual("j1-new");
+  });
+
   test("works for anon: company w/o jobs", async function () {
     const resp = await request(app).get(`/companies/c2`);
     expect(resp.body).toEqual({
@@ -174,6 +527,10 @@ describe("GET /companies/:handle", function () {
         description: "Desc2",
         numEmployees: 2,
         logoUrl: "http://c2.img",
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String),
+        followers: 0,
+        jobs: [],
       },
     });
   });
@@ -201,9 +558,50 @@ describe("PATCH /companies/:handle", function () {
         description: "Desc1",
         numEmployees: 1,
         logoUrl: "http://c1.img",
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String),
       },
     });
   });
+  test("works: If-Match with the ETag from GET, giving a new one", async function () {
+    const get = await request(app).get(`/companies/c1`);
+    expect(get.headers.etag).toMatch(/^"\w+\.[\w-]+"$/);
+
+    const resp = await request(app)
+      .patch(`/companies/c1`)
+      .send({ name: "C1-new" })
+      .set("If-Match", get.headers.etag)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers.etag).toMatch(/^"\w+\.[\w-]+"$/);
+    expect(resp.headers.etag).not.toEqual(get.headers.etag);
+
+    // the same version, though GET's body lists the company's jobs too
+    const version = (etag) => etag.split(".")[0];
+    const after = await request(app).get(`/companies/c1`);
+    expect(version(after.headers.etag)).toEqual(version(resp.headers.etag));
+  });
+
+  test("precondition failed if changed since the If-Match", async function () {
+    // two admins fetch c1; the first to save wins
+    const get = await request(app).get(`/companies/c1`);
+    await request(app)
+      .patch(`/companies/c1`)
+      .send({ name: "First" })
+      .set("If-Match", get.headers.etag)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    const resp = await request(app)
+      .patch(`/companies/c1`)
+      .send({ description: "Second" })
+      .set("If-Match", get.headers.etag)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(412);
+
+    const after = await request(app).get(`/companies/c1`);
+    expect(after.body.company.name).toEqual("First");
+    expect(after.body.company.description).toEqual("Desc1");
+  });
+
   test("unauth for users that isn't admin", async function () {
     const resp = await request(app)
       .patch(`/companies/c1`)
@@ -275,3 +673,457 @@ describe("DELETE /companies/:handle", function () {
     expect(resp.statusCode).toEqual(404);
   });
 });
+
+/************************************** POST /companies/:handle/restore */
+
+describe("POST /companies/:handle/restore", function () {
+  test("works for admin", async function () {
+    await request(app)
+      .delete(`/companies/c1`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    const resp = await request(app)
+      .post(`/companies/c1/restore`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.body).toEqual({
+      company: {
+        handle: "c1",
+        name: "C1",
+        description: "Desc1",
+        numEmployees: 1,
+        logoUrl: "http://c1.img",
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String),
+      },
+    });
+    const getResp = await request(app).get(`/companies/c1`);
+    expect(getResp.statusCode).toEqual(200);
+  });
+
+  test("unauth for users", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/restore`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if not deleted", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/restore`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** POST /companies/:handle/purge */
+
+describe("POST /companies/:handle/purge", function () {
+  test("works for admin", async function () {
+    await request(app)
+      .delete(`/companies/c1`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    const resp = await request(app)
+      .post(`/companies/c1/purge`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.body).toEqual({ purged: "c1" });
+    const restoreResp = await request(app)
+      .post(`/companies/c1/restore`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(restoreResp.statusCode).toEqual(404);
+  });
+
+  test("bad request if not deleted first", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/purge`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for users", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/purge`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** GET /companies/:handle/members */
+
+describe("GET /companies/:handle/members", function () {
+  test("works for a member", async function () {
+    const resp = await request(app)
+      .get(`/companies/c1/members`)
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body).toEqual({
+      members: [
+        {
+          username: "u2",
+          firstName: "U2F",
+          lastName: "U2L",
+          email: "user2@user.com",
+          role: "owner",
+          createdAt: expect.any(String),
+        },
+        {
+          username: "u3",
+          firstName: "U3F",
+          lastName: "U3L",
+          email: "user3@user.com",
+          role: "recruiter",
+          createdAt: expect.any(String),
+        },
+      ],
+    });
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .get(`/companies/c2/members`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.body).toEqual({ members: [] });
+  });
+
+  test("unauth for non-members", async function () {
+    const resp = await request(app)
+      .get(`/companies/c1/members`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get(`/companies/c1/members`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /companies/:handle/members */
+
+describe("POST /companies/:handle/members", function () {
+  test("works for owner", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/members`)
+      .send({ username: "u1", role: "viewer" })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      member: {
+        companyHandle: "c1",
+        username: "u1",
+        role: "viewer",
+        createdAt: expect.any(String),
+      },
+    });
+  });
+
+  test("forbidden for recruiter", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/members`)
+      .send({ username: "u1", role: "viewer" })
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for an owner of another company", async function () {
+    const resp = await request(app)
+      .post(`/companies/c2/members`)
+      .send({ username: "u1", role: "viewer" })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with unknown role", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/members`)
+      .send({ username: "u1", role: "boss" })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for no such user", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/members`)
+      .send({ username: "nope", role: "viewer" })
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** PATCH /companies/:handle/members/:username */
+
+describe("PATCH /companies/:handle/members/:username", function () {
+  test("works for owner", async function () {
+    const resp = await request(app)
+      .patch(`/companies/c1/members/u3`)
+      .send({ role: "viewer" })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body.member).toEqual(
+      expect.objectContaining({ username: "u3", role: "viewer" })
+    );
+  });
+
+  test("bad request demoting the last owner", async function () {
+    const resp = await request(app)
+      .patch(`/companies/c1/members/u2`)
+      .send({ role: "viewer" })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden for recruiter", async function () {
+    const resp = await request(app)
+      .patch(`/companies/c1/members/u3`)
+      .send({ role: "owner" })
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found for non-member", async function () {
+    const resp = await request(app)
+      .patch(`/companies/c1/members/u1`)
+      .send({ role: "viewer" })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** DELETE /companies/:handle/members/:username */
+
+describe("DELETE /companies/:handle/members/:username", function () {
+  test("works for owner", async function () {
+    const resp = await request(app)
+      .delete(`/companies/c1/members/u3`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({ removed: "u3" });
+  });
+
+  test("bad request removing the last owner", async function () {
+    const resp = await request(app)
+      .delete(`/companies/c1/members/u2`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden for recruiter", async function () {
+    const resp = await request(app)
+      .delete(`/companies/c1/members/u2`)
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** GET /companies/:handle/stats */
+
+describe("GET /companies/:handle/stats", function () {
+  test("works for an owner", async function () {
+    const resp = await request(app)
+      .get(`/companies/c1/stats?bucket=week`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body.stats).toEqual(
+      expect.objectContaining({ bucket: "week", openJobs: expect.any(Number) })
+    );
+  });
+
+  test("not found for admin if no such company", async function () {
+    const resp = await request(app)
+      .get(`/companies/nope/stats`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request with an unknown bucket", async function () {
+    const resp = await request(app)
+      .get(`/companies/c1/stats?bucket=year`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden for other members", async function () {
+    await request(app)
+      .post(`/companies/c1/members`)
+      .send({ username: "u1", role: "viewer" })
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    for (const token of [u1Token, u3Token]) {
+      const resp = await request(app)
+        .get(`/companies/c1/stats`)
+        .set("authorization", `Bearer ${token}`);
+      expect(resp.statusCode).toEqual(403);
+    }
+  });
+
+  test("unauth for non-members", async function () {
+    const resp = await request(app)
+      .get(`/companies/c2/stats`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** GET /companies/:handle/locations */
+
+describe("GET /companies/:handle/locations", function () {
+  test("works for anon", async function () {
+    await Location.create("c1", { city: "Boston", country: "US" });
+    const resp = await request(app).get(`/companies/c1/locations`);
+    expect(resp.body).toEqual({
+      locations: [
+        {
+          id: expect.any(Number),
+          companyHandle: "c1",
+          name: null,
+          address: null,
+          city: "Boston",
+          region: null,
+          country: "US",
+          latitude: null,
+          longitude: null,
+          createdAt: expect.any(String),
+        },
+      ],
+    });
+  });
+
+  test("not found for no such company", async function () {
+    const resp = await request(app).get(`/companies/nope/locations`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** POST /companies/:handle/locations */
+
+describe("POST /companies/:handle/locations", function () {
+  const boston = {
+    city: "Boston",
+    country: "US",
+    latitude: 42.3601,
+    longitude: -71.0589,
+  };
+
+  test("works for owner", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/locations`)
+      .send(boston)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.location).toEqual({
+      id: expect.any(Number),
+      companyHandle: "c1",
+      name: null,
+      address: null,
+      region: null,
+      ...boston,
+      createdAt: expect.any(String),
+    });
+  });
+
+  test("forbidden for recruiter", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/locations`)
+      .send(boston)
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/locations`)
+      .send({ ...boston, country: "USA", latitude: 100 })
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.errors.map((e) => e.field)).toEqual([
+      "country",
+      "latitude",
+    ]);
+  });
+});
+
+/************************************** GET /companies/:handle/locations/:id */
+
+describe("GET /companies/:handle/locations/:id", function () {
+  test("works for anon", async function () {
+    const { id } = await Location.create("c1", {
+      city: "Boston",
+      country: "US",
+    });
+    const resp = await request(app).get(`/companies/c1/locations/${id}`);
+    expect(resp.body.location.city).toEqual("Boston");
+  });
+
+  test("not found for another company's", async function () {
+    const { id } = await Location.create("c1", {
+      city: "Boston",
+      country: "US",
+    });
+    const resp = await request(app).get(`/companies/c2/locations/${id}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** PATCH /companies/:handle/locations/:id */
+
+describe("PATCH /companies/:handle/locations/:id", function () {
+  test("works for owner", async function () {
+    const { id } = await Location.create("c1", {
+      city: "Boston",
+      country: "US",
+    });
+    const resp = await request(app)
+      .patch(`/companies/c1/locations/${id}`)
+      .send({ name: "HQ" })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body.location.name).toEqual("HQ");
+  });
+
+  test("forbidden for recruiter", async function () {
+    const { id } = await Location.create("c1", {
+      city: "Boston",
+      country: "US",
+    });
+    const resp = await request(app)
+      .patch(`/companies/c1/locations/${id}`)
+      .send({ name: "HQ" })
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("bad request with only a latitude", async function () {
+    const { id } = await Location.create("c1", {
+      city: "Boston",
+      country: "US",
+    });
+    const resp = await request(app)
+      .patch(`/companies/c1/locations/${id}`)
+      .send({ latitude: 42 })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** DELETE /companies/:handle/locations/:id */
+
+describe("DELETE /companies/:handle/locations/:id", function () {
+  test("works for owner", async function () {
+    const { id } = await Location.create("c1", {
+      city: "Boston",
+      country: "US",
+    });
+    const resp = await request(app)
+      .delete(`/companies/c1/locations/${id}`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({ deleted: `${id}` });
+  });
+
+  test("unauth for anon", async function () {
+    const { id } = await Location.create("c1", {
+      city: "Boston",
+      country: "US",
+    });
+    const resp = await request(app).delete(`/companies/c1/locations/${id}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such location", async function () {
+    const resp = await request(app)
+      .delete(`/companies/c1/locations/0`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
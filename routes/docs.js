@@ -0,0 +1,52 @@
+"use strict";
+
+/** Routes for the API's documentation. */
+
+const express = require("express");
+
+const { buildSpec } = require("../openapi/build");
+
+const router = new express.Router();
+
+const spec = buildSpec();
+
+// Swagger UI, from a CDN, pointed at /openapi.json
+const SWAGGER_UI = "https://unpkg.com/swagger-ui-dist@5";
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Jobly API</title>
+  <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="${SWAGGER_UI}/swagger-ui-bundle.js"></script>
+  <script>
+    SwaggerUIBundle({ url: "openapi.json", dom_id: "#docs" });
+  </script>
+</body>
+</html>
+`;
+
+/** GET /openapi.json  =>  the OpenAPI document describing the API
+ *
+ * See openapi/build.js.
+ *
+ * Authorization required: none
+ */
+
+router.get("/openapi.json", function (req, res) {
+  return res.json(spec);
+});
+
+/** GET /docs  =>  a page to browse and try out the API
+ *
+ * Authorization required: none
+ */
+
+router.get("/docs", function (req, res) {
+  return res.type("html").send(DOCS_PAGE);
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /openapi.json */
+
+describe("GET /openapi.json", function () {
+  test("works for anon", async function () {
+    const resp = await request(app).get("/openapi.json");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.openapi).toEqual("3.1.0");
+    expect(resp.body.paths["/companies/{handle}"].get.summary).toEqual(
+      "Get a company, with its open jobs"
+    );
+  });
+});
+
+/************************************** GET /docs */
+
+describe("GET /docs", function () {
+  test("works for anon", async function () {
+    const resp = await request(app).get("/docs");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.type).toEqual("text/html");
+    expect(resp.text).toContain('url: "openapi.json"');
+  });
+});
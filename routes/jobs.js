@@ -2,77 +2,354 @@
 
 /** Routes for companies. */
 
-const jsonschema = require("jsonschema");
 const express = require("express");
 
-const { BadRequestError } = require("../expressError");
-const { ensureLoggedIn, ensureIsAdmin } = require("../middleware/auth");
+const {
+  ensureLoggedIn,
+  ensureIsAdmin,
+  ensureCompanyRole,
+} = require("../middleware/auth");
+const { validateBody, validateQuery } = require("../middleware/validate");
 const Job = require("../models/job");
+const Application = require("../models/application");
+const Skill = require("../models/skill");
+const Event = require("../models/event");
+const CompanyMember = require("../models/companyMember");
+const { parsePagination, paginationMeta } = require("../helpers/pagination");
+const { readImportRows, importRows, streamExport } = require("../helpers/bulk");
+const { etagFor } = require("../helpers/etag");
+const { visitorFingerprint } = require("../helpers/tokens");
 
 const jobNewSchema = require("../schemas/jobNew.json");
 const jobUpdateSchema = require("../schemas/jobUpdate.json");
+const applicationUpdateSchema = require("../schemas/applicationUpdate.json");
+const applicationSearchSchema = require("../schemas/applicationSearch.json");
+const jobSearchSchema = require("../schemas/jobSearch.json");
+const jobExportSchema = require("../schemas/jobExport.json");
+const jobPopularSchema = require("../schemas/jobPopular.json");
+const importOptionsSchema = require("../schemas/importOptions.json");
+const jobSkillNewSchema = require("../schemas/jobSkillNew.json");
+const jobSkillUpdateSchema = require("../schemas/jobSkillUpdate.json");
 
 const router = new express.Router();
 
+/** The columns of a jobs CSV export. */
+
+const EXPORT_COLUMNS = [
+  "id",
+  "title",
+  "salary",
+  "equity",
+  "company_handle",
+  "salaryMin",
+  "salaryMax",
+  "currency",
+  "payPeriod",
+  "status",
+  "closesAt",
+  "publishedAt",
+  "closedAt",
+  "locationId",
+  "workplace",
+];
+
+/** Is the logged-in user an admin? */
+
+function isAdmin(res) {
+  return !!(res.locals.user && res.locals.user.isAdmin);
+}
+
+/** Is the logged-in user an admin, or a member of the company that posted
+ * the job with this id? */
+
+async function isStaffForJob(res, id) {
+  if (isAdmin(res)) return true;
+  if (!res.locals.user) return false;
+
+  const handle = await Job.getCompanyHandle(id);
+  return !!(await CompanyMember.getRole(handle, res.locals.user.username));
+}
+
+/** Only admins and recruiters for the company posting the job may write it. */
+
+const ensureRecruiterForNewJob = ensureCompanyRole(
+  "recruiter",
+  (req) => req.body.company_handle
+);
+const ensureRecruiterForJob = ensureCompanyRole("recruiter", (req) =>
+  Job.getCompanyHandle(req.params.id)
+);
+
 /** POST / { job } =>  { job }
  *
- * job should be { id, title, salary, equity, company_handle }
+ * job should be { title, salary, equity, company_handle } and may have a
+ * salary range { salaryMin, salaryMax, currency, payPeriod } (salary can be
+ * left out if salaryMin is given), a status (draft, or by default
+ * published), closesAt, after which it stops taking applications, and
+ * where it's worked: locationId (one of the company's offices) and
+ * workplace (onsite, the default, hybrid or remote)
  *
- * Returns { id, title, salary, equity, company_handle }
+ * Returns { id, title, salary, equity, company_handle, salaryMin, salaryMax,
+ *   currency, payPeriod, status, closesAt, publishedAt, closedAt,
+ *   locationId, workplace, createdAt, updatedAt }
  *
- * Authorization required: is admin
+ * Authorization required: is admin, or a recruiter or owner of company_handle
  */
 
-router.post("/", ensureIsAdmin, async function (req, res, next) {
-  try {
-    const validator = jsonschema.validate(req.body, jobNewSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map((e) => e.stack);
-      throw new BadRequestError(errs);
+router.post(
+  "/",
+  ensureRecruiterForNewJob,
+  validateBody(jobNewSchema),
+  async function (req, res, next) {
+    try {
+      const job = await Job.create(req.body);
+      return res.status(201).json({ job });
+    } catch (err) {
+      return next(err);
     }
-
-    const job = await Job.create(req.body);
-    return res.status(201).json({ job });
-  } catch (err) {
-    return next(err);
   }
-});
+);
 
 /** GET /  =>
- *   { jobs: [ { id, title, salary, equity, company_handle }, ...] }
+ *   { jobs: [ { id, title, salary, equity, company_handle, salaryMin,
+ *               salaryMax, currency, payPeriod, status, closesAt,
+ *               publishedAt, closedAt, locationId, workplace,
+ *               createdAt, updatedAt, distanceKm? }, ...],
+ *     pagination: { total, limit, offset, next, prev } }
  *
  * Can filter on provided search filters:
  * - title
+ * - q (full-text search of title and company name and description)
  * - minSalary
  * - equity (0>x>1)
+ * - salaryMin, salaryMax: jobs whose posted range overlaps this one, in
+ *   currency (default USD) per payPeriod (hourly, monthly or default
+ *   yearly); both sides are converted to yearly pay to compare them
+ * - remote (true for only remote jobs, false for only onsite and hybrid)
+ * - city, country (of the job's office; country is a two-letter ISO code)
+ * - near ("latitude,longitude"): each job gets its distanceKm from there
+ *   (null if its office has no coordinates), and they're nearest first
+ * - radiusKm: with near, only jobs at offices within this many km of it
+ * - skills: comma-separated skill names; jobs needing all of them, or with
+ *   skillMatch=any, at least one
+ *
+ * Only jobs open to the public (published and not past closesAt) are listed,
+ * except for admins, who see every job and can filter on:
+ * - status (draft, published, closed or archived)
+ *
+ * Can page and sort with:
+ * - limit (default 20, at most 100), offset
+ * - sort: comma-separated title, salary, equity, companyHandle, id (and
+ *   with near, distanceKm); "-" for descending
+ *
+ * The search (q, or else title) is counted for stats when getting the first
+ * page.
  *
  * Authorization required: none
  */
-router.get("/", async function (req, res, next) {
-  try {
-    // Retrieve query parameter from the URL
-    let { title, minSalary, equity } = req.query;
+router.get(
+  "/",
+  validateQuery(jobSearchSchema),
+  async function (req, res, next) {
+    try {
+      // Retrieve query parameter from the URL
+      let { title, q, minSalary, equity, sort } = req.query;
+      let { salaryMin, salaryMax, currency, payPeriod, status } = req.query;
+      let { remote, city, country, near, radiusKm } = req.query;
+      let { skills, skillMatch } = req.query;
+      const { limit, offset } = parsePagination(req.query);
+      const queryParams = {
+        title,
+        q,
+        minSalary,
+        equity,
+        salaryMin,
+        salaryMax,
+        currency,
+        payPeriod,
+        status,
+        remote,
+        city,
+        country,
+        near,
+        radiusKm,
+        skills,
+        skillMatch,
+        sort,
+        limit,
+        offset,
+      };
+      const includeHidden = isAdmin(res);
 
-    const jobs = await Job.findAll({
-      queryParams: { title, minSalary, equity },
-    });
-    return res.json({ jobs });
-  } catch (err) {
-    return next(err);
+      const jobs = await Job.findAll({ queryParams, includeHidden });
+      const total = await Job.count({ queryParams, includeHidden });
+      if (!offset && (q || title)) await Event.recordSearch(q || title);
+      return res.json({
+        jobs,
+        pagination: paginationMeta(req, { limit, offset, total }),
+      });
+    } catch (err) {
+      return next(err);
+    }
   }
-});
+);
+
+/** GET /popular  =>
+ *   { jobs: [ { id, title, salary, equity, company_handle, salaryMin,
+ *               salaryMax, currency, payPeriod, status, closesAt,
+ *               publishedAt, closedAt, locationId, workplace,
+ *               createdAt, updatedAt, score }, ...] }
+ *
+ * The open jobs viewed and applied for most lately, best first. score adds
+ * up the job's views (1 point) and applications (5 points), each worth
+ * half as much for every week since, over the last 4 weeks (see
+ * Job.POPULARITY).
+ *
+ * Can limit how many (default 20, at most 100).
+ *
+ * Authorization required: none
+ */
+
+router.get(
+  "/popular",
+  validateQuery(jobPopularSchema),
+  async function (req, res, next) {
+    try {
+      const { limit } = parsePagination(req.query);
+      const jobs = await Job.findPopular({ limit });
+      return res.json({ jobs });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /export  =>  jobs as CSV or NDJSON
+ *
+ * Downloads every job matching the same filters (and sort) as GET /,
+ * including status, as format=csv (the default; a column for each field of
+ * a job) or format=ndjson (a JSON job per line). Jobs that aren't open to
+ * the public are included.
+ *
+ * Authorization required: is admin
+ */
+
+router.get(
+  "/export",
+  ensureIsAdmin,
+  validateQuery(jobExportSchema),
+  async function (req, res, next) {
+    try {
+      const { title, q, minSalary, equity, sort } = req.query;
+      const { salaryMin, salaryMax, currency, payPeriod, status } = req.query;
+      const { remote, city, country, near, radiusKm } = req.query;
+      const { skills, skillMatch } = req.query;
+      const filters = {
+        title,
+        q,
+        minSalary,
+        equity,
+        salaryMin,
+        salaryMax,
+        currency,
+        payPeriod,
+        status,
+        remote,
+        city,
+        country,
+        near,
+        radiusKm,
+        skills,
+        skillMatch,
+        sort,
+      };
+
+      await streamExport(res, {
+        format: req.query.format || "csv",
+        filename: "jobs",
+        columns: EXPORT_COLUMNS,
+        fetchPage: ({ limit, offset }, client) =>
+          Job.findAll(
+            { queryParams: { ...filters, limit, offset }, includeHidden: true },
+            client
+          ),
+      });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /import [{ job }, ...]  =>  { committed, created, failed, results }
+ *
+ * Creates many jobs: send a JSON array of them, or CSV (as text/csv) with a
+ * header row naming the fields. Each is validated as in POST /.
+ *
+ * Each row is saved on its own unless ?atomic=true, when either all of
+ * them are saved or, if any fails, none are (and the response is a 400).
+ *
+ * results reports on each row, numbered from 1:
+ *   [{ row, ok: true, job } or { row, ok: false, errors }, ...]
+ *
+ * Authorization required: is admin
+ */
+
+router.post(
+  "/import",
+  ensureIsAdmin,
+  validateQuery(importOptionsSchema),
+  async function (req, res, next) {
+    try {
+      const rows = readImportRows(req, jobNewSchema);
+      const report = await importRows(rows, {
+        schema: jobNewSchema,
+        create: (job, client) => Job.create(job, client),
+        name: "job",
+        atomic: req.query.atomic === true,
+      });
+      return res.status(report.committed ? 200 : 400).json(report);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
 
 /** GET /[id]  =>  { job }
  *
- *  Job is { id, title, salary, equity, companies }
- *   where companies is [{ handle, name, description, numEmployees, logoUrl }, ...]
+ *  Job is { id, title, salary, equity, salaryMin, salaryMax, currency,
+ *    payPeriod, status, closesAt, publishedAt, closedAt, workplace,
+ *    createdAt, updatedAt, location, companies }
+ *   where location is { id, name, address, city, region, country,
+ *     latitude, longitude } (or null)
+ *   and companies is [{ handle, name, description, numEmployees, logoUrl }, ...]
+ *
+ * Jobs that aren't open to the public are only found for admins and the
+ * company's members.
+ *
+ * Views are counted (see GET /admin/stats and GET /popular), once per viewer
+ * every JOB_VIEW_DEDUP_MINUTES (see config.js): by username, or for anyone
+ * not logged in, by their address and browser. Admins and the company's
+ * members aren't counted, and see the count as views.
+ *
+ * The ETag header is the job's version, to send back as If-Match when
+ * changing it.
  *
  * Authorization required: none
  */
 
 router.get("/:id", async function (req, res, next) {
   try {
-    const job = await Job.get(req.params.id);
+    const isStaff = await isStaffForJob(res, req.params.id);
+    const job = await Job.get(req.params.id, {
+      includeHidden: isStaff,
+      includeViews: isStaff,
+    });
+    if (!isStaff) {
+      await Event.recordJobView(job.id, {
+        fingerprint: visitorFingerprint(req.ip, req.get("user-agent")),
+      });
+    }
+    res.set("ETag", etagFor(job.updatedAt, { job }));
     return res.json({ job });
   } catch (err) {
     return next(err);
@@ -83,34 +360,207 @@ router.get("/:id", async function (req, res, next) {
  *
  * Patches job data.
  *
- * fields can be: { title, salary, equity }
+ * fields can be: { title, salary, equity, salaryMin, salaryMax, currency,
+ *   payPeriod, status, closesAt, locationId, workplace }
  *
- * Returns { id, title, salary, equity, companies }
+ * status moves through draft => published => closed (which can be
+ * published again), and any of them => archived.
  *
- * Authorization required: is admin
+ * With an If-Match header, only changes the job if it's still the version it
+ * names (412 if not); the new version is the ETag header.
+ *
+ * Returns { id, title, salary, equity, company_handle, salaryMin, salaryMax,
+ *   currency, payPeriod, status, closesAt, publishedAt, closedAt,
+ *   locationId, workplace, createdAt, updatedAt }
+ *
+ * Authorization required: is admin, or a recruiter or owner of the job's
+ * company
  */
 
-router.patch("/:id", ensureIsAdmin, async function (req, res, next) {
-  try {
-    const validator = jsonschema.validate(req.body, jobUpdateSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map((e) => e.stack);
-      throw new BadRequestError(errs);
+router.patch(
+  "/:id",
+  ensureRecruiterForJob,
+  validateBody(jobUpdateSchema),
+  async function (req, res, next) {
+    try {
+      const job = await Job.update(req.params.id, req.body, {
+        ifMatch: req.get("If-Match"),
+      });
+      res.set("ETag", etagFor(job.updatedAt, { job }));
+      return res.json({ job });
+    } catch (err) {
+      return next(err);
     }
+  }
+);
 
-    const job = await Job.update(req.params.id, req.body);
-    return res.json({ job });
+/** GET /[id]/skills  =>  { skills }
+ *
+ * skills is [{ id, name, category, importance }, ...], required ones (rather
+ * than nice_to_have) first.
+ *
+ * Jobs that aren't open to the public are only found for admins and the
+ * company's members.
+ *
+ * Authorization required: none
+ */
+
+router.get("/:id/skills", async function (req, res, next) {
+  try {
+    await Job.get(req.params.id, {
+      includeHidden: await isStaffForJob(res, req.params.id),
+    });
+    const skills = await Skill.findForJob(req.params.id);
+    return res.json({ skills });
   } catch (err) {
     return next(err);
   }
 });
 
+/** POST /[id]/skills { skillId, importance } => { skill }
+ *
+ * importance is required (the default) or nice_to_have.
+ *
+ * Returns { id, name, category, importance }
+ *
+ * Authorization required: is admin, or a recruiter or owner of the job's
+ * company
+ */
+
+router.post(
+  "/:id/skills",
+  ensureRecruiterForJob,
+  validateBody(jobSkillNewSchema),
+  async function (req, res, next) {
+    try {
+      const skill = await Skill.addToJob(
+        req.params.id,
+        req.body.skillId,
+        req.body.importance
+      );
+      return res.status(201).json({ skill });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** PATCH /[id]/skills/[skillId] { importance } => { skill }
+ *
+ * Returns { id, name, category, importance }
+ *
+ * Authorization required: is admin, or a recruiter or owner of the job's
+ * company
+ */
+
+router.patch(
+  "/:id/skills/:skillId",
+  ensureRecruiterForJob,
+  validateBody(jobSkillUpdateSchema),
+  async function (req, res, next) {
+    try {
+      const skill = await Skill.updateForJob(
+        req.params.id,
+        req.params.skillId,
+        req.body.importance
+      );
+      return res.json({ skill });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /[id]/skills/[skillId]  =>  { removed: skillId }
+ *
+ * Authorization required: is admin, or a recruiter or owner of the job's
+ * company
+ */
+
+router.delete(
+  "/:id/skills/:skillId",
+  ensureRecruiterForJob,
+  async function (req, res, next) {
+    try {
+      await Skill.removeFromJob(req.params.id, req.params.skillId);
+      return res.json({ removed: req.params.skillId });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[id]/applications  =>  { applications }
+ *
+ * applications is [{ username, jobId, state, resumeId, coverLetter,
+ *   createdAt, updatedAt }, ...]; download a résumé from
+ *   GET /users/[username]/resumes/[resumeId]
+ *
+ * Can filter on state.
+ *
+ * Authorization: is admin, or a recruiter or owner of the job's company
+ */
+
+router.get(
+  "/:id/applications",
+  ensureRecruiterForJob,
+  validateQuery(applicationSearchSchema),
+  async function (req, res, next) {
+    try {
+      await Job.get(req.params.id, { includeHidden: true });
+      const applications = await Application.findForJob(req.params.id, {
+        state: req.query.state,
+      });
+      return res.json({ applications });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** PATCH /[id]/applications/[username] { state } => { application }
+ *
+ * Moves a candidate's application along the workflow, e.g. applied =>
+ * screening => interviewing => offered. With an If-Match header, only if the
+ * application is still the version it names (412 if not); the new version is
+ * the ETag header.
+ *
+ * Returns { username, jobId, state, resumeId, coverLetter, createdAt,
+ *   updatedAt }
+ *
+ * Authorization required: is admin, or a recruiter or owner of the job's
+ * company
+ */
+
+router.patch(
+  "/:id/applications/:username",
+  ensureRecruiterForJob,
+  validateBody(applicationUpdateSchema),
+  async function (req, res, next) {
+    try {
+      const application = await Application.changeState(
+        req.params.username,
+        req.params.id,
+        req.body.state,
+        res.locals.user.username,
+        { ifMatch: req.get("If-Match") }
+      );
+      res.set("ETag", etagFor(application.updatedAt, { application }));
+      return res.json({ application });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
 /** DELETE /[id]  =>  { deleted: id }
  *
- * Authorization: is admin
+ * The job is hidden, not removed: see restore and purge.
+ *
+ * Authorization: is admin, or a recruiter or owner of the job's company
  */
 
-router.delete("/:id", ensureIsAdmin, async function (req, res, next) {
+router.delete("/:id", ensureRecruiterForJob, async function (req, res, next) {
   try {
     await Job.remove(req.params.id);
     return res.json({ deleted: req.params.id });
@@ -119,4 +569,40 @@ router.delete("/:id", ensureIsAdmin, async function (req, res, next) {
   }
 });
 
+/** POST /[id]/restore  =>  { job }
+ *
+ * Brings back a deleted job (unless its company is deleted too).
+ *
+ * Returns { id, title, salary, equity, company_handle, salaryMin, salaryMax,
+ *   currency, payPeriod, status, closesAt, publishedAt, closedAt,
+ *   locationId, workplace, createdAt, updatedAt }
+ *
+ * Authorization: is admin
+ */
+
+router.post("/:id/restore", ensureIsAdmin, async function (req, res, next) {
+  try {
+    const job = await Job.restore(req.params.id);
+    return res.json({ job });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[id]/purge  =>  { purged: id }
+ *
+ * Permanently removes a deleted job and its applications.
+ *
+ * Authorization: is admin
+ */
+
+router.post("/:id/purge", ensureIsAdmin, async function (req, res, next) {
+  try {
+    await Job.purge(req.params.id);
+    return res.json({ purged: req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 module.exports = router;
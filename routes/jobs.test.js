@@ -4,6 +4,10 @@ const request = require("supertest");
 
 const db = require("../db");
 const app = require("../app");
+const User = require("../models/user");
+const Job = require("../models/job");
+const Location = require("../models/location");
+const Skill = require("../models/skill");
 
 const {
   commonBeforeAll,
@@ -11,6 +15,8 @@ const {
   commonAfterEach,
   commonAfterAll,
   u1Token,
+  u2Token,
+  u3Token,
   a1TokenAdmin,
 } = require("./_testCommon");
 
@@ -19,6 +25,14 @@ beforeEach(commonBeforeEach);
 afterEach(commonAfterEach);
 afterAll(commonAfterAll);
 
+const draftJob = {
+  title: "draft",
+  salary: 500,
+  equity: 0,
+  company_handle: "c1",
+  status: "draft",
+};
+
 /************************************** POST /jobs */
 
 describe("POST /companies", function () {
@@ -39,11 +53,69 @@ describe("POST /companies", function () {
         id: expect.any(Number),
         title: "new",
         salary: 123,
+        salaryMin: 123,
+        salaryMax: 123,
+        currency: "USD",
+        payPeriod: "yearly",
+        status: "published",
+        closesAt: null,
+        publishedAt: expect.any(String),
+        closedAt: null,
+        locationId: null,
+        workplace: "onsite",
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String),
         equity: "1",
         company_handle: "c1",
       },
     });
   });
+  test("Admin create job with a salary range", async function () {
+    const resp = await request(app)
+      .post("/jobs")
+      .send({
+        title: "contract",
+        equity: 0,
+        company_handle: "c1",
+        salaryMin: 40,
+        salaryMax: 60,
+        currency: "EUR",
+        payPeriod: "hourly",
+      })
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.job).toEqual(
+      expect.objectContaining({
+        salary: null,
+        salaryMin: 40,
+        salaryMax: 60,
+        currency: "EUR",
+        payPeriod: "hourly",
+      })
+    );
+  });
+  test("works for a recruiter of the company", async function () {
+    const resp = await request(app)
+      .post("/jobs")
+      .send(newJob)
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.job.company_handle).toEqual("c1");
+  });
+  test("unauth for a recruiter of another company", async function () {
+    const resp = await request(app)
+      .post("/jobs")
+      .send({ ...newJob, company_handle: "c2" })
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+  test("bad request with unknown pay period", async function () {
+    const resp = await request(app)
+      .post("/jobs")
+      .send({ ...newJob, payPeriod: "weekly" })
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(400);
+  });
   test("user without admin authorization fails to create job", async function () {
     const resp = await request(app)
       .post("/jobs")
@@ -86,6 +158,18 @@ describe("GET /jobs", function () {
           id: expect.any(Number),
           title: "j1",
           salary: 123,
+          salaryMin: 123,
+          salaryMax: 123,
+          currency: "USD",
+          payPeriod: "yearly",
+          status: "published",
+          closesAt: null,
+          publishedAt: expect.any(String),
+          closedAt: null,
+          locationId: null,
+          workplace: "onsite",
+          createdAt: expect.any(String),
+          updatedAt: expect.any(String),
           equity: "1",
           company_handle: "c1",
         },
@@ -93,10 +177,29 @@ describe("GET /jobs", function () {
           id: expect.any(Number),
           title: "j2",
           salary: 321,
+          salaryMin: 321,
+          salaryMax: 321,
+          currency: "USD",
+          payPeriod: "yearly",
+          status: "published",
+          closesAt: null,
+          publishedAt: expect.any(String),
+          closedAt: null,
+          locationId: null,
+          workplace: "onsite",
+          createdAt: expect.any(String),
+          updatedAt: expect.any(String),
           equity: "0",
           company_handle: "c1",
         },
       ],
+      pagination: {
+        total: 2,
+        limit: 20,
+        offset: 0,
+        next: null,
+        prev: null,
+      },
     });
   });
   test("ok with title filter", async function () {
@@ -107,10 +210,29 @@ describe("GET /jobs", function () {
           id: expect.any(Number),
           title: "j1",
           salary: 123,
+          salaryMin: 123,
+          salaryMax: 123,
+          currency: "USD",
+          payPeriod: "yearly",
+          status: "published",
+          closesAt: null,
+          publishedAt: expect.any(String),
+          closedAt: null,
+          locationId: null,
+          workplace: "onsite",
+          createdAt: expect.any(String),
+          updatedAt: expect.any(String),
           equity: "1",
           company_handle: "c1",
         },
       ],
+      pagination: {
+        total: 1,
+        limit: 20,
+        offset: 0,
+        next: null,
+        prev: null,
+      },
     });
   });
   test("ok with minSalary filter", async function () {
@@ -121,10 +243,29 @@ describe("GET /jobs", function () {
           id: expect.any(Number),
           title: "j2",
           salary: 321,
+          salaryMin: 321,
+          salaryMax: 321,
+          currency: "USD",
+          payPeriod: "yearly",
+          status: "published",
+          closesAt: null,
+          publishedAt: expect.any(String),
+          closedAt: null,
+          locationId: null,
+          workplace: "onsite",
+          createdAt: expect.any(String),
+          updatedAt: expect.any(String),
           equity: "0",
           company_handle: "c1",
         },
       ],
+      pagination: {
+        total: 1,
+        limit: 20,
+        offset: 0,
+        next: null,
+        prev: null,
+      },
     });
   });
   test("ok with equity true filter", async function () {
@@ -135,10 +276,29 @@ describe("GET /jobs", function () {
           id: expect.any(Number),
           title: "j1",
           salary: 123,
+          salaryMin: 123,
+          salaryMax: 123,
+          currency: "USD",
+          payPeriod: "yearly",
+          status: "published",
+          closesAt: null,
+          publishedAt: expect.any(String),
+          closedAt: null,
+          locationId: null,
+          workplace: "onsite",
+          createdAt: expect.any(String),
+          updatedAt: expect.any(String),
           equity: "1",
           company_handle: "c1",
         },
       ],
+      pagination: {
+        total: 1,
+        limit: 20,
+        offset: 0,
+        next: null,
+        prev: null,
+      },
     });
   });
   test("ok with equity false filter", async function () {
@@ -149,6 +309,18 @@ describe("GET /jobs", function () {
           id: expect.any(Number),
           title: "j1",
           salary: 123,
+          salaryMin: 123,
+          salaryMax: 123,
+          currency: "USD",
+          payPeriod: "yearly",
+          status: "published",
+          closesAt: null,
+          publishedAt: expect.any(String),
+          closedAt: null,
+          locationId: null,
+          workplace: "onsite",
+          createdAt: expect.any(String),
+          updatedAt: expect.any(String),
           equity: "1",
           company_handle: "c1",
         },
@@ -156,10 +328,29 @@ describe("GET /jobs", function () {
           id: expect.any(Number),
           title: "j2",
           salary: 321,
+          salaryMin: 321,
+          salaryMax: 321,
+          currency: "USD",
+          payPeriod: "yearly",
+          status: "published",
+          closesAt: null,
+          publishedAt: expect.any(String),
+          closedAt: null,
+          locationId: null,
+          workplace: "onsite",
+          createdAt: expect.any(String),
+          updatedAt: expect.any(String),
           equity: "0",
           company_handle: "c1",
         },
       ],
+      pagination: {
+        total: 2,
+        limit: 20,
+        offset: 0,
+        next: null,
+        prev: null,
+      },
     });
   });
   test("ok with all filters", async function () {
@@ -172,11 +363,137 @@ describe("GET /jobs", function () {
           id: expect.any(Number),
           title: "j1",
           salary: 123,
+          salaryMin: 123,
+          salaryMax: 123,
+          currency: "USD",
+          payPeriod: "yearly",
+          status: "published",
+          closesAt: null,
+          publishedAt: expect.any(String),
+          closedAt: null,
+          locationId: null,
+          workplace: "onsite",
+          createdAt: expect.any(String),
+          updatedAt: expect.any(String),
           equity: "1",
           company_handle: "c1",
         },
       ],
+      pagination: {
+        total: 1,
+        limit: 20,
+        offset: 0,
+        next: null,
+        prev: null,
+      },
+    });
+  });
+  test("ok with salary range filter", async function () {
+    // 123 and 321 USD a year; 0.15 USD an hour is 312 a year
+    const resp = await request(app).get(
+      "/jobs?salaryMin=0.15&salaryMax=1&payPeriod=hourly"
+    );
+    expect(resp.body.jobs.map((j) => j.title)).toEqual(["j2"]);
+  });
+  test("bad request with unknown currency filter", async function () {
+    const resp = await request(app).get("/jobs?salaryMin=1&currency=XYZ");
+    expect(resp.statusCode).toEqual(400);
+  });
+  test("works: sort, limit and offset with links", async function () {
+    const resp = await request(app).get("/jobs?sort=-salary&limit=1");
+    expect(resp.body).toEqual({
+      jobs: [
+        {
+          id: expect.any(Number),
+          title: "j2",
+          salary: 321,
+          salaryMin: 321,
+          salaryMax: 321,
+          currency: "USD",
+          payPeriod: "yearly",
+          status: "published",
+          closesAt: null,
+          publishedAt: expect.any(String),
+          closedAt: null,
+          locationId: null,
+          workplace: "onsite",
+          createdAt: expect.any(String),
+          updatedAt: expect.any(String),
+          equity: "0",
+          company_handle: "c1",
+        },
+      ],
+      pagination: {
+        total: 2,
+        limit: 1,
+        offset: 0,
+        next: "/jobs?sort=-salary&limit=1&offset=1",
+        prev: null,
+      },
+    });
+  });
+  test("bad request with invalid offset", async function () {
+    const resp = await request(app).get("/jobs?offset=-1");
+    expect(resp.statusCode).toEqual(400);
+  });
+  test("bad request with invalid filters", async function () {
+    const resp = await request(app).get("/jobs?minSalary=abc&equity=maybe");
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.errors.map((e) => e.field)).toEqual([
+      "minSalary",
+      "equity",
+    ]);
+  });
+  test("works: full-text q", async function () {
+    const resp = await request(app).get("/jobs?q=j2");
+    expect(resp.body.jobs.map((j) => j.title)).toEqual(["j2"]);
+  });
+  test("hides jobs that aren't open from anon", async function () {
+    await Job.create({ ...draftJob });
+    const resp = await request(app).get("/jobs");
+    expect(resp.body.jobs.map((j) => j.title)).toEqual(["j1", "j2"]);
+  });
+  test("works: admin sees and can filter on status", async function () {
+    await Job.create({ ...draftJob });
+    const resp = await request(app)
+      .get("/jobs?status=draft")
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.body.jobs.map((j) => j.title)).toEqual(["draft"]);
+    expect(resp.body.pagination.total).toEqual(1);
+  });
+  test("works: near with radiusKm, with distances", async function () {
+    const boston = await Location.create("c1", {
+      city: "Boston",
+      country: "US",
+      latitude: 42.3601,
+      longitude: -71.0589,
     });
+    await db.query("UPDATE jobs SET location_id = $1 WHERE title = 'j2'", [
+      boston.id,
+    ]);
+    const resp = await request(app).get(
+      "/jobs?near=40.7128,-74.0060&radiusKm=500"
+    );
+    expect(resp.body.jobs.map((j) => j.title)).toEqual(["j2"]);
+    expect(Math.round(resp.body.jobs[0].distanceKm)).toEqual(306);
+    expect(resp.body.pagination.total).toEqual(1);
+  });
+  test("works: remote", async function () {
+    await db.query("UPDATE jobs SET workplace = 'remote' WHERE title = 'j1'");
+    const resp = await request(app).get("/jobs?remote=true");
+    expect(resp.body.jobs.map((j) => j.title)).toEqual(["j1"]);
+  });
+  test("bad request with invalid location filters", async function () {
+    const resp = await request(app).get("/jobs?near=here&radiusKm=0");
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.errors.map((e) => e.field)).toEqual([
+      "near",
+      "radiusKm",
+    ]);
+  });
+  test("bad request with radiusKm but no near", async function () {
+    const resp = await request(app).get("/jobs?radiusKm=10");
+    expect(resp.statusCode).toEqual(400);
   });
   test("fails: test next() handler", async function () {
     // there's no normal failure event which will cause this route to fail ---
@@ -190,6 +507,119 @@ describe("GET /jobs", function () {
   });
 });
 
+/************************************** GET /jobs/export */
+
+describe("GET /jobs/export", function () {
+  test("works for admin: csv, including hidden jobs", async function () {
+    await db.query("UPDATE jobs SET status = 'draft' WHERE title = 'j1'");
+    const resp = await request(app)
+      .get("/jobs/export?sort=title")
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.headers["content-type"]).toMatch("text/csv");
+    const lines = resp.text.trim().split("\r\n");
+    expect(lines[0]).toEqual(
+      "id,title,salary,equity,company_handle,salaryMin,salaryMax,currency," +
+        "payPeriod,status,closesAt,publishedAt,closedAt,locationId,workplace"
+    );
+    expect(lines[1]).toMatch(/^\d+,j1,/);
+    expect(lines[1]).toMatch(",draft,");
+  });
+
+  test("works for admin: ndjson, filtered", async function () {
+    const resp = await request(app)
+      .get("/jobs/export?format=ndjson&title=j2")
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    const jobs = resp.text.trim().split("\n").map(JSON.parse);
+    expect(jobs.map((j) => j.title)).toEqual(["j2"]);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get("/jobs/export");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /jobs/import */
+
+describe("POST /jobs/import", function () {
+  test("works for admin: csv", async function () {
+    const resp = await request(app)
+      .post("/jobs/import")
+      .set("content-type", "text/csv")
+      .send(
+        "title,salary,equity,company_handle\n" +
+          "new1,100,0,c1\n" +
+          "new2,lots,0,c1\n" +
+          "new3,100,0,nope\n"
+      )
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.body.created).toEqual(1);
+    expect(resp.body.results[0].job).toEqual(
+      expect.objectContaining({ title: "new1", salary: 100 })
+    );
+    expect(resp.body.results[1]).toEqual({
+      row: 2,
+      ok: false,
+      errors: [
+        {
+          field: "salary",
+          code: "type",
+          message: "is not of a type(s) integer",
+        },
+      ],
+    });
+    expect(resp.body.results[2]).toEqual({
+      row: 3,
+      ok: false,
+      errors: [{ field: null, code: "rejected", message: "No company: nope" }],
+    });
+  });
+
+  test("unauth for a recruiter", async function () {
+    const resp = await request(app)
+      .post("/jobs/import")
+      .send([{ title: "new", salary: 1, equity: 0, company_handle: "c1" }])
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** GET /jobs/popular */
+
+describe("GET /jobs/popular", function () {
+  test("works for anon", async function () {
+    const jobs = await request(app).get("/jobs?title=j");
+    const [j1, j2] = jobs.body.jobs;
+    await db.query(
+      `INSERT INTO events (kind, job_id)
+       VALUES ('job_view', $1), ('job_view', $2), ('job_view', $2)`,
+      [j1.id, j2.id]
+    );
+
+    const resp = await request(app).get("/jobs/popular");
+    expect(resp.body).toEqual({
+      jobs: [
+        { ...j2, score: 2 },
+        { ...j1, score: 1 },
+      ],
+    });
+  });
+
+  test("works: limit", async function () {
+    await db.query(
+      `INSERT INTO events (kind, job_id)
+       SELECT 'job_view', id FROM jobs`
+    );
+    const resp = await request(app).get("/jobs/popular?limit=1");
+    expect(resp.body.jobs).toHaveLength(1);
+  });
+
+  test("bad request with a bad limit", async function () {
+    const resp = await request(app).get("/jobs/popular?limit=0");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
 /************************************** GET /jobs/:id */
 
 describe("GET /jobs/:handle", function () {
@@ -204,6 +634,18 @@ describe("GET /jobs/:handle", function () {
         id: expect.any(Number),
         title: "j1",
         salary: 123,
+        salaryMin: 123,
+        salaryMax: 123,
+        currency: "USD",
+        payPeriod: "yearly",
+        status: "published",
+        closesAt: null,
+        publishedAt: expect.any(String),
+        closedAt: null,
+        location: null,
+        workplace: "onsite",
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String),
         equity: "1",
         companies: [
           {
@@ -217,10 +659,77 @@ describe("GET /jobs/:handle", function () {
       },
     });
   });
+  test("not found for anon on a draft", async function () {
+    const job = await Job.create({ ...draftJob });
+    const resp = await request(app).get(`/jobs/${job.id}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+  test("works for the company's members on a draft", async function () {
+    const job = await Job.create({ ...draftJob });
+    const resp = await request(app)
+      .get(`/jobs/${job.id}`)
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.job.status).toEqual("draft");
+  });
+  test("not found for other users on a draft", async function () {
+    const job = await Job.create({ ...draftJob });
+    const resp = await request(app)
+      .get(`/jobs/${job.id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+  test("works for admin on a draft", async function () {
+    const job = await Job.create({ ...draftJob });
+    const resp = await request(app)
+      .get(`/jobs/${job.id}`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.body.job.status).toEqual("draft");
+  });
   test("not found for no such job", async function () {
     const resp = await request(app).get(`/jobs/0`);
     expect(resp.statusCode).toEqual(404);
   });
+  test("counts the view, as whoever is viewing", async function () {
+    const job = await request(app).get("/jobs?title=j1");
+    const id = job.body.jobs[0].id;
+    await request(app)
+      .get(`/jobs/${id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    const result = await db.query(
+      `SELECT job_id AS "jobId", username FROM events WHERE kind = 'job_view'`
+    );
+    expect(result.rows).toEqual([{ jobId: id, username: "u1" }]);
+  });
+  test("counts anonymous views once per browser", async function () {
+    const job = await request(app).get("/jobs?title=j1");
+    const id = job.body.jobs[0].id;
+    for (const browser of ["Firefox", "Firefox", "Chrome"]) {
+      await request(app).get(`/jobs/${id}`).set("user-agent", browser);
+    }
+    const result = await db.query(
+      `SELECT COUNT(*)::int AS views FROM events WHERE kind = 'job_view'`
+    );
+    expect(result.rows[0].views).toEqual(2);
+  });
+  test("company members see the views, without counting", async function () {
+    const job = await request(app).get("/jobs?title=j1");
+    const id = job.body.jobs[0].id;
+    await request(app)
+      .get(`/jobs/${id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+
+    for (const token of [u3Token, a1TokenAdmin]) {
+      const resp = await request(app)
+        .get(`/jobs/${id}`)
+        .set("authorization", `Bearer ${token}`);
+      expect(resp.body.job.views).toEqual(1);
+    }
+    const resp = await request(app)
+      .get(`/jobs/${id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.job).not.toHaveProperty("views");
+  });
 });
 
 /************************************** PATCH /jobs/:id */
@@ -240,11 +749,79 @@ describe("PATCH /jobs/:id", function () {
         id: expect.any(Number),
         title: "new job",
         salary: 123,
+        salaryMin: 123,
+        salaryMax: 123,
+        currency: "USD",
+        payPeriod: "yearly",
+        status: "published",
+        closesAt: null,
+        publishedAt: expect.any(String),
+        closedAt: null,
+        locationId: null,
+        workplace: "onsite",
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String),
         equity: "1",
         company_handle: "c1",
       },
     });
   });
+  test("works for an owner of the job's company", async function () {
+    const job = await request(app).get("/jobs?title=j1");
+
+    const resp = await request(app)
+      .patch(`/jobs/${job.body.jobs[0].id}`)
+      .send({
+        title: "new job",
+      })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.job.title).toEqual("new job");
+  });
+  test("works: salary moves the range, for salaryMin filters", async function () {
+    const job = await request(app).get("/jobs?title=j1");
+    const id = job.body.jobs[0].id;
+
+    const resp = await request(app)
+      .patch(`/jobs/${id}`)
+      .send({ salary: 150000 })
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.body.job.salaryMin).toEqual(150000);
+    expect(resp.body.job.salaryMax).toEqual(150000);
+
+    const found = await request(app).get("/jobs?salaryMin=100000");
+    expect(found.body.jobs.map((j) => j.id)).toEqual([id]);
+  });
+  test("works: If-Match, and precondition failed once stale", async function () {
+    const job = await request(app).get("/jobs?title=j1");
+    const id = job.body.jobs[0].id;
+    const get = await request(app).get(`/jobs/${id}`);
+    expect(get.headers.etag).toMatch(/^"\w+\.[\w-]+"$/);
+
+    let resp = await request(app)
+      .patch(`/jobs/${id}`)
+      .send({ title: "new job" })
+      .set("If-Match", get.headers.etag)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers.etag).not.toEqual(get.headers.etag);
+
+    resp = await request(app)
+      .patch(`/jobs/${id}`)
+      .send({ salary: 1 })
+      .set("If-Match", get.headers.etag)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(412);
+  });
+  test("not found for a recruiter on no such job", async function () {
+    const resp = await request(app)
+      .patch(`/jobs/0`)
+      .send({
+        title: "new nope",
+      })
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
   test("unauth for users that isn't admin", async function () {
     const job = await request(app).get("/jobs?title=j1");
 
@@ -263,6 +840,23 @@ describe("PATCH /jobs/:id", function () {
       });
     expect(resp.statusCode).toEqual(401);
   });
+  test("works: recruiter publishes a draft", async function () {
+    const job = await Job.create({ ...draftJob });
+    const resp = await request(app)
+      .patch(`/jobs/${job.id}`)
+      .send({ status: "published" })
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body.job.status).toEqual("published");
+    expect(resp.body.job.publishedAt).toEqual(expect.any(String));
+  });
+  test("bad request on illegal status change", async function () {
+    const job = await Job.create({ ...draftJob });
+    const resp = await request(app)
+      .patch(`/jobs/${job.id}`)
+      .send({ status: "closed" })
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(400);
+  });
   test("not found on no such job", async function () {
     const resp = await request(app)
       .patch(`/jobs/0`)
@@ -296,6 +890,269 @@ describe("PATCH /jobs/:id", function () {
   });
 });
 
+/************************************** /jobs/:id/skills */
+
+describe("/jobs/:id/skills", function () {
+  let jobId, sql;
+
+  beforeEach(async function () {
+    const job = await request(app).get("/jobs?title=j1");
+    jobId = job.body.jobs[0].id;
+    sql = await Skill.create({ name: "SQL" });
+  });
+
+  test("works for a recruiter: add, list, update, remove", async function () {
+    let resp = await request(app)
+      .post(`/jobs/${jobId}/skills`)
+      .send({ skillId: sql.id, importance: "nice_to_have" })
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      skill: {
+        id: sql.id,
+        name: "SQL",
+        category: null,
+        importance: "nice_to_have",
+      },
+    });
+
+    resp = await request(app)
+      .patch(`/jobs/${jobId}/skills/${sql.id}`)
+      .send({ importance: "required" })
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body.skill.importance).toEqual("required");
+
+    resp = await request(app).get(`/jobs/${jobId}/skills`);
+    expect(resp.body).toEqual({
+      skills: [
+        { id: sql.id, name: "SQL", category: null, importance: "required" },
+      ],
+    });
+
+    resp = await request(app)
+      .delete(`/jobs/${jobId}/skills/${sql.id}`)
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body).toEqual({ removed: `${sql.id}` });
+  });
+
+  test("unauth for users not at the company", async function () {
+    const resp = await request(app)
+      .post(`/jobs/${jobId}/skills`)
+      .send({ skillId: sql.id })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with unknown importance", async function () {
+    const resp = await request(app)
+      .post(`/jobs/${jobId}/skills`)
+      .send({ skillId: sql.id, importance: "essential" })
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found listing a hidden job's for anon", async function () {
+    await db.query("UPDATE jobs SET status = 'draft' WHERE id = $1", [jobId]);
+    const resp = await request(app).get(`/jobs/${jobId}/skills`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("works: GET /jobs filtered on skills", async function () {
+    const python = await Skill.create({ name: "Python" });
+    await Skill.addToJob(jobId, sql.id);
+    await Skill.addToJob(jobId, python.id);
+    const j2 = await request(app).get("/jobs?title=j2");
+    await Skill.addToJob(j2.body.jobs[0].id, python.id);
+
+    let resp = await request(app).get("/jobs?skills=sql,python");
+    expect(resp.body.jobs.map((j) => j.title)).toEqual(["j1"]);
+    resp = await request(app).get("/jobs?skills=sql,python&skillMatch=any");
+    expect(resp.body.jobs.map((j) => j.title)).toEqual(["j1", "j2"]);
+  });
+});
+
+/************************************** GET /jobs/:id/applications */
+
+describe("GET /jobs/:id/applications", function () {
+  test("works for admin", async function () {
+    const job = await request(app).get("/jobs?title=j1");
+    const jobId = job.body.jobs[0].id;
+    await User.applyForJob("u1", jobId);
+    await User.applyForJob("u2", jobId, "interested");
+
+    const resp = await request(app)
+      .get(`/jobs/${jobId}/applications`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.body).toEqual({
+      applications: [
+        {
+          username: "u1",
+          jobId,
+          state: "applied",
+          resumeId: null,
+          coverLetter: null,
+          createdAt: expect.any(String),
+          updatedAt: expect.any(String),
+        },
+        {
+          username: "u2",
+          jobId,
+          state: "interested",
+          resumeId: null,
+          coverLetter: null,
+          createdAt: expect.any(String),
+          updatedAt: expect.any(String),
+        },
+      ],
+    });
+  });
+
+  test("works for a recruiter of the job's company", async function () {
+    const job = await request(app).get("/jobs?title=j1");
+    const jobId = job.body.jobs[0].id;
+    await User.applyForJob("u1", jobId);
+
+    const resp = await request(app)
+      .get(`/jobs/${jobId}/applications`)
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body.applications.map((a) => a.username)).toEqual(["u1"]);
+  });
+
+  test("works: state filter", async function () {
+    const job = await request(app).get("/jobs?title=j1");
+    const jobId = job.body.jobs[0].id;
+    await User.applyForJob("u1", jobId);
+    await User.applyForJob("u2", jobId, "interested");
+
+    const resp = await request(app)
+      .get(`/jobs/${jobId}/applications?state=interested`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.body.applications.map((a) => a.username)).toEqual(["u2"]);
+  });
+
+  test("unauth for users", async function () {
+    const job = await request(app).get("/jobs?title=j1");
+    const resp = await request(app)
+      .get(`/jobs/${job.body.jobs[0].id}/applications`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such job", async function () {
+    const resp = await request(app)
+      .get(`/jobs/0/applications`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** PATCH /jobs/:id/applications/:username */
+
+describe("PATCH /jobs/:id/applications/:username", function () {
+  test("works for admin", async function () {
+    const job = await request(app).get("/jobs?title=j1");
+    const jobId = job.body.jobs[0].id;
+    await User.applyForJob("u1", jobId);
+
+    const resp = await request(app)
+      .patch(`/jobs/${jobId}/applications/u1`)
+      .send({ state: "screening" })
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.body).toEqual({
+      application: {
+        username: "u1",
+        jobId,
+        state: "screening",
+        resumeId: null,
+        coverLetter: null,
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String),
+      },
+    });
+  });
+
+  test("works for a recruiter of the job's company", async function () {
+    const job = await request(app).get("/jobs?title=j1");
+    const jobId = job.body.jobs[0].id;
+    await User.applyForJob("u1", jobId);
+
+    const resp = await request(app)
+      .patch(`/jobs/${jobId}/applications/u1`)
+      .send({ state: "screening" })
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.application.state).toEqual("screening");
+  });
+
+  test("precondition failed if changed since the If-Match", async function () {
+    const job = await request(app).get("/jobs?title=j1");
+    const jobId = job.body.jobs[0].id;
+    await User.applyForJob("u1", jobId);
+    const get = await request(app)
+      .get(`/users/u1/jobs/${jobId}`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+
+    let resp = await request(app)
+      .patch(`/jobs/${jobId}/applications/u1`)
+      .send({ state: "screening" })
+      .set("If-Match", get.headers.etag)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(200);
+
+    resp = await request(app)
+      .patch(`/jobs/${jobId}/applications/u1`)
+      .send({ state: "rejected" })
+      .set("If-Match", get.headers.etag)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(412);
+  });
+
+  test("bad request for illegal transition", async function () {
+    const job = await request(app).get("/jobs?title=j1");
+    const jobId = job.body.jobs[0].id;
+    await User.applyForJob("u1", jobId);
+
+    const resp = await request(app)
+      .patch(`/jobs/${jobId}/applications/u1`)
+      .send({ state: "accepted" })
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for unknown state", async function () {
+    const job = await request(app).get("/jobs?title=j1");
+    const jobId = job.body.jobs[0].id;
+    await User.applyForJob("u1", jobId);
+
+    const resp = await request(app)
+      .patch(`/jobs/${jobId}/applications/u1`)
+      .send({ state: "hired" })
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for users", async function () {
+    const job = await request(app).get("/jobs?title=j1");
+    const jobId = job.body.jobs[0].id;
+    await User.applyForJob("u1", jobId);
+
+    const resp = await request(app)
+      .patch(`/jobs/${jobId}/applications/u1`)
+      .send({ state: "screening" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such application", async function () {
+    const job = await request(app).get("/jobs?title=j1");
+    const resp = await request(app)
+      .patch(`/jobs/${job.body.jobs[0].id}/applications/u1`)
+      .send({ state: "screening" })
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
 /************************************** DELETE /jobs/:id */
 
 describe("DELETE /jobs/:handle", function () {
@@ -306,6 +1163,13 @@ describe("DELETE /jobs/:handle", function () {
       .set("authorization", `Bearer ${a1TokenAdmin}`);
     expect(resp.body).toEqual({ deleted: job.body.jobs[0].id.toString() });
   });
+  test("works for a recruiter of the job's company", async function () {
+    const job = await request(app).get("/jobs?title=j1");
+    const resp = await request(app)
+      .delete(`/jobs/${job.body.jobs[0].id}`)
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body).toEqual({ deleted: job.body.jobs[0].id.toString() });
+  });
   test("donesn't works for users", async function () {
     const job = await request(app).get("/jobs?title=j1");
     const resp = await request(app)
@@ -326,3 +1190,71 @@ describe("DELETE /jobs/:handle", function () {
     expect(resp.statusCode).toEqual(404);
   });
 });
+
+/************************************** POST /jobs/:id/restore */
+
+describe("POST /jobs/:id/restore", function () {
+  test("works for admin", async function () {
+    const job = await request(app).get("/jobs?title=j1");
+    const id = job.body.jobs[0].id;
+    await request(app)
+      .delete(`/jobs/${id}`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    const resp = await request(app)
+      .post(`/jobs/${id}/restore`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.body.job).toEqual({
+      ...job.body.jobs[0],
+      updatedAt: expect.any(String),
+    });
+  });
+
+  test("unauth for a recruiter", async function () {
+    const job = await request(app).get("/jobs?title=j1");
+    const id = job.body.jobs[0].id;
+    await request(app)
+      .delete(`/jobs/${id}`)
+      .set("authorization", `Bearer ${u3Token}`);
+    const resp = await request(app)
+      .post(`/jobs/${id}/restore`)
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if not deleted", async function () {
+    const job = await request(app).get("/jobs?title=j1");
+    const resp = await request(app)
+      .post(`/jobs/${job.body.jobs[0].id}/restore`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** POST /jobs/:id/purge */
+
+describe("POST /jobs/:id/purge", function () {
+  test("works for admin", async function () {
+    const job = await request(app).get("/jobs?title=j1");
+    const id = job.body.jobs[0].id;
+    await request(app)
+      .delete(`/jobs/${id}`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    const resp = await request(app)
+      .post(`/jobs/${id}/purge`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.body).toEqual({ purged: id.toString() });
+  });
+
+  test("bad request if not deleted first", async function () {
+    const job = await request(app).get("/jobs?title=j1");
+    const resp = await request(app)
+      .post(`/jobs/${job.body.jobs[0].id}/purge`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).post(`/jobs/0/purge`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
@@ -0,0 +1,60 @@
+"use strict";
+
+/** Routes for full-text search. */
+
+const express = require("express");
+
+const { validateQuery } = require("../middleware/validate");
+const Search = require("../models/search");
+const Event = require("../models/event");
+const { parsePagination, paginationMeta } = require("../helpers/pagination");
+
+const searchQuerySchema = require("../schemas/searchQuery.json");
+
+const router = new express.Router();
+
+/** GET /?q=  =>
+ *   { results: [ result, ...], pagination: { total, limit, offset, next, prev } }
+ *
+ * Searches job titles, company names and company descriptions, best match
+ * first. Each result is one of:
+ *   { type: "company", handle, name, rank, snippet }
+ *   { type: "job", id, title, companyHandle, companyName, rank, snippet }
+ * where snippet is the matched text with <mark>ed words.
+ *
+ * Query string:
+ * - q (required): words to find; "quoted phrases", or and -word work too
+ * - type: "jobs" or "companies" to search only one
+ * - limit (default 20, at most 100), offset
+ *
+ * The search is counted for stats (see GET /admin/stats) when getting the
+ * first page.
+ *
+ * Authorization required: none
+ */
+
+router.get(
+  "/",
+  validateQuery(searchQuerySchema),
+  async function (req, res, next) {
+    try {
+      const { q, type } = req.query;
+      const { limit, offset } = parsePagination(req.query);
+
+      const { results, total } = await Search.search(q, {
+        type,
+        limit,
+        offset,
+      });
+      if (!offset) await Event.recordSearch(q);
+      return res.json({
+        results,
+        pagination: paginationMeta(req, { limit, offset, total }),
+      });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,86 @@
+"use strict";
+
+const request = require("supertest");
+
+const db = require("../db");
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /search */
+
+describe("GET /search", function () {
+  test("works for anon", async function () {
+    const resp = await request(app).get("/search?q=desc1");
+    expect(resp.body).toEqual({
+      results: [
+        {
+          type: "company",
+          handle: "c1",
+          name: "C1",
+          rank: expect.any(Number),
+          snippet: "<mark>Desc1</mark>",
+        },
+        {
+          type: "job",
+          id: expect.any(Number),
+          title: "j1",
+          companyHandle: "c1",
+          companyName: "C1",
+          rank: expect.any(Number),
+          snippet: "j1 at C1",
+        },
+        {
+          type: "job",
+          id: expect.any(Number),
+          title: "j2",
+          companyHandle: "c1",
+          companyName: "C1",
+          rank: expect.any(Number),
+          snippet: "j2 at C1",
+        },
+      ],
+      pagination: {
+        total: 3,
+        limit: 20,
+        offset: 0,
+        next: null,
+        prev: null,
+      },
+    });
+  });
+
+  test("works: type filter", async function () {
+    const resp = await request(app).get("/search?q=desc1&type=jobs");
+    expect(resp.body.results.map((r) => r.title)).toEqual(["j1", "j2"]);
+  });
+
+  test("counts searches for the first page", async function () {
+    await request(app).get("/search?q=Desc1");
+    await request(app).get("/search?q=Desc1&offset=20");
+    const result = await db.query(
+      `SELECT term FROM events WHERE kind = 'search'`
+    );
+    expect(result.rows).toEqual([{ term: "desc1" }]);
+  });
+
+  test("bad request without q", async function () {
+    const resp = await request(app).get("/search");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with unknown type", async function () {
+    const resp = await request(app).get("/search?q=c1&type=users");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
@@ -0,0 +1,119 @@
+"use strict";
+
+/** Routes for skills. */
+
+const express = require("express");
+
+const { ensureIsAdmin } = require("../middleware/auth");
+const { validateBody, validateQuery } = require("../middleware/validate");
+const Skill = require("../models/skill");
+
+const skillNewSchema = require("../schemas/skillNew.json");
+const skillUpdateSchema = require("../schemas/skillUpdate.json");
+const skillSearchSchema = require("../schemas/skillSearch.json");
+
+const router = new express.Router();
+
+/** POST / { skill } =>  { skill }
+ *
+ * skill should be { name } and may have { category }; names are unique, in
+ * any case.
+ *
+ * Returns { id, name, category, createdAt }
+ *
+ * Authorization required: is admin
+ */
+
+router.post(
+  "/",
+  ensureIsAdmin,
+  validateBody(skillNewSchema),
+  async function (req, res, next) {
+    try {
+      const skill = await Skill.create(req.body);
+      return res.status(201).json({ skill });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /  =>  { skills: [ { id, name, category, createdAt }, ...] }
+ *
+ * Can filter on:
+ * - name (part of the name, any case)
+ * - category
+ *
+ * Authorization required: none
+ */
+
+router.get(
+  "/",
+  validateQuery(skillSearchSchema),
+  async function (req, res, next) {
+    try {
+      const { name, category } = req.query;
+      const skills = await Skill.findAll({ name, category });
+      return res.json({ skills });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[id]  =>  { skill }
+ *
+ * Returns { id, name, category, createdAt }
+ *
+ * Authorization required: none
+ */
+
+router.get("/:id", async function (req, res, next) {
+  try {
+    const skill = await Skill.get(req.params.id);
+    return res.json({ skill });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PATCH /[id] { fld1, fld2, ... } => { skill }
+ *
+ * fields can be: { name, category }
+ *
+ * Returns { id, name, category, createdAt }
+ *
+ * Authorization required: is admin
+ */
+
+router.patch(
+  "/:id",
+  ensureIsAdmin,
+  validateBody(skillUpdateSchema),
+  async function (req, res, next) {
+    try {
+      const skill = await Skill.update(req.params.id, req.body);
+      return res.json({ skill });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /[id]  =>  { deleted: id }
+ *
+ * Jobs and users with the skill lose it too.
+ *
+ * Authorization required: is admin
+ */
+
+router.delete("/:id", ensureIsAdmin, async function (req, res, next) {
+  try {
+    await Skill.remove(req.params.id);
+    return res.json({ deleted: req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+module.exports = router;
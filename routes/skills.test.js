@@ -0,0 +1,148 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const Skill = require("../models/skill");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+  a1TokenAdmin,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** POST /skills */
+
+describe("POST /skills", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .post("/skills")
+      .send({ name: "SQL", category: "Languages" })
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      skill: {
+        id: expect.any(Number),
+        name: "SQL",
+        category: "Languages",
+        createdAt: expect.any(String),
+      },
+    });
+  });
+
+  test("unauth for users", async function () {
+    const resp = await request(app)
+      .post("/skills")
+      .send({ name: "SQL" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with a comma in the name", async function () {
+    const resp = await request(app)
+      .post("/skills")
+      .send({ name: "C, C++" })
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.errors[0].field).toEqual("name");
+  });
+
+  test("bad request with a dupe", async function () {
+    await Skill.create({ name: "SQL" });
+    const resp = await request(app)
+      .post("/skills")
+      .send({ name: "sql" })
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /skills */
+
+describe("GET /skills", function () {
+  test("works for anon, with filters", async function () {
+    await Skill.create({ name: "SQL", category: "Languages" });
+    await Skill.create({ name: "PostgreSQL", category: "Databases" });
+    await Skill.create({ name: "Python", category: "Languages" });
+
+    let resp = await request(app).get("/skills");
+    expect(resp.body.skills.map((s) => s.name)).toEqual([
+      "PostgreSQL",
+      "Python",
+      "SQL",
+    ]);
+
+    resp = await request(app).get("/skills?name=sql&category=Languages");
+    expect(resp.body.skills.map((s) => s.name)).toEqual(["SQL"]);
+  });
+});
+
+/************************************** GET /skills/:id */
+
+describe("GET /skills/:id", function () {
+  test("works for anon", async function () {
+    const { id } = await Skill.create({ name: "SQL" });
+    const resp = await request(app).get(`/skills/${id}`);
+    expect(resp.body.skill.name).toEqual("SQL");
+  });
+
+  test("not found for no such skill", async function () {
+    const resp = await request(app).get(`/skills/0`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** PATCH /skills/:id */
+
+describe("PATCH /skills/:id", function () {
+  test("works for admin", async function () {
+    const { id } = await Skill.create({ name: "SQL" });
+    const resp = await request(app)
+      .patch(`/skills/${id}`)
+      .send({ category: "Databases" })
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.body.skill.category).toEqual("Databases");
+  });
+
+  test("unauth for users", async function () {
+    const { id } = await Skill.create({ name: "SQL" });
+    const resp = await request(app)
+      .patch(`/skills/${id}`)
+      .send({ category: "Databases" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** DELETE /skills/:id */
+
+describe("DELETE /skills/:id", function () {
+  test("works for admin", async function () {
+    const { id } = await Skill.create({ name: "SQL" });
+    const resp = await request(app)
+      .delete(`/skills/${id}`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.body).toEqual({ deleted: `${id}` });
+  });
+
+  test("unauth for anon", async function () {
+    const { id } = await Skill.create({ name: "SQL" });
+    const resp = await request(app).delete(`/skills/${id}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such skill", async function () {
+    const resp = await request(app)
+      .delete(`/skills/0`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
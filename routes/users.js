@@ -2,19 +2,43 @@
 
 /** Routes for users. */
 
-const jsonschema = require("jsonschema");
-
 const express = require("express");
 const {
   ensureLoggedIn,
   ensureIsAdmin,
   ensureRightUser,
 } = require("../middleware/auth");
-const { BadRequestError } = require("../expressError");
+const { UnauthorizedError } = require("../expressError");
+const { validateBody, validateQuery } = require("../middleware/validate");
 const User = require("../models/user");
+const Application = require("../models/application");
+const SavedSearch = require("../models/savedSearch");
+const Notification = require("../models/notification");
+const Skill = require("../models/skill");
+const Recommendation = require("../models/recommendation");
+const Resume = require("../models/resume");
+const Job = require("../models/job");
+const CompanyFollow = require("../models/companyFollow");
+const { UPLOAD_MAX_BYTES } = require("../config");
 const { createToken } = require("../helpers/tokens");
+const {
+  parsePagination,
+  paginationMeta,
+  cursorMeta,
+} = require("../helpers/pagination");
+const { etagFor } = require("../helpers/etag");
 const userNewSchema = require("../schemas/userNew.json");
 const userUpdateSchema = require("../schemas/userUpdate.json");
+const applicationNewSchema = require("../schemas/applicationNew.json");
+const applicationUpdateSchema = require("../schemas/applicationUpdate.json");
+const savedSearchNewSchema = require("../schemas/savedSearchNew.json");
+const userSearchSchema = require("../schemas/userSearch.json");
+const notificationSearchSchema = require("../schemas/notificationSearch.json");
+const userSkillNewSchema = require("../schemas/userSkillNew.json");
+const userSkillUpdateSchema = require("../schemas/userSkillUpdate.json");
+const recommendationSearchSchema = require("../schemas/recommendationSearch.json");
+const resumeUploadSchema = require("../schemas/resumeUpload.json");
+const feedSearchSchema = require("../schemas/feedSearch.json");
 
 const router = express.Router();
 
@@ -25,50 +49,74 @@ const router = express.Router();
  * admin.
  *
  * This returns the newly created user and an authentication token for them:
- *  {user: { username, firstName, lastName, email, isAdmin }, token }
+ *  {user: { username, firstName, lastName, email, isAdmin, createdAt,
+ *          updatedAt }, token }
  *
  * Authorization required: is admin
  **/
 
-router.post("/", ensureIsAdmin, async function (req, res, next) {
-  try {
-    const validator = jsonschema.validate(req.body, userNewSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map((e) => e.stack);
-      throw new BadRequestError(errs);
+router.post(
+  "/",
+  ensureIsAdmin,
+  validateBody(userNewSchema),
+  async function (req, res, next) {
+    try {
+      const user = await User.register(req.body);
+      const token = createToken(user);
+      return res.status(201).json({ user, token });
+    } catch (err) {
+      return next(err);
     }
-
-    const user = await User.register(req.body);
-    const token = createToken(user);
-    return res.status(201).json({ user, token });
-  } catch (err) {
-    return next(err);
   }
-});
+);
 
-/** GET / => { users: [ {username, firstName, lastName, email , jobs}, ... ] }
+/** GET / => { users: [ {username, first_name, last_name, email, is_admin,
+ *                       createdAt, updatedAt, job_ids}, ... ],
+ *              pagination: { total, limit, offset, next, prev } }
  *
- * jobs as in { ..., jobs: [ jobId, jobId, ... ] }
+ * job_ids is the ids of the jobs each has applied for, as in
+ * { ..., job_ids: [ jobId, jobId, ... ] } ([null] if none)
  *
  * Returns list of all users.
  *
+ * Can page and sort with:
+ * - limit (default 20, at most 100), offset
+ * - sort: comma-separated username, firstName, lastName, email; "-" for
+ *   descending
+ *
  * Authorization required: is admin
  **/
 
-router.get("/", ensureIsAdmin, async function (req, res, next) {
-  try {
-    const users = await User.findAll();
-    return res.json({ users });
-  } catch (err) {
-    return next(err);
+router.get(
+  "/",
+  ensureIsAdmin,
+  validateQuery(userSearchSchema),
+  async function (req, res, next) {
+    try {
+      const { limit, offset } = parsePagination(req.query);
+      const queryParams = { sort: req.query.sort, limit, offset };
+
+      const users = await User.findAll({ queryParams });
+      const total = await User.count();
+      return res.json({
+        users,
+        pagination: paginationMeta(req, { limit, offset, total }),
+      });
+    } catch (err) {
+      return next(err);
+    }
   }
-});
+);
 
 /** GET /[username] => { user }
  *
- * Returns { username, firstName, lastName, isAdmin, jobs }
+ * Returns { username, first_name, last_name, email, email_verified,
+ *   is_admin, createdAt, updatedAt, jobs }
+ *   where jobs is their applications, [{ id, title, companyHandle, state,
+ *   updatedAt }, ...] (id being the job's)
  *
- * jobs as in { ..., jobs: [ jobId, jobId, ... ] }
+ * The ETag header is the user's version, to send back as If-Match when
+ * changing it.
  *
  * Authorization required: login
  **/
@@ -76,6 +124,7 @@ router.get("/", ensureIsAdmin, async function (req, res, next) {
 router.get("/:username", ensureRightUser, async function (req, res, next) {
   try {
     const user = await User.get(req.params.username);
+    res.set("ETag", etagFor(user.updatedAt, { user }));
     return res.json({ user });
   } catch (err) {
     return next(err);
@@ -87,27 +136,36 @@ router.get("/:username", ensureRightUser, async function (req, res, next) {
  * Data can include:
  *   { firstName, lastName, password, email }
  *
- * Returns { username, firstName, lastName, email, isAdmin }
+ * With an If-Match header, only changes the user if they're still the version
+ * it names (412 if not); the new version is the ETag header.
+ *
+ * Returns { username, firstName, lastName, email, isAdmin, createdAt,
+ *   updatedAt }
  *
  * Authorization required: login
  **/
 
-router.patch("/:username", ensureRightUser, async function (req, res, next) {
-  try {
-    const validator = jsonschema.validate(req.body, userUpdateSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map((e) => e.stack);
-      throw new BadRequestError(errs);
+router.patch(
+  "/:username",
+  ensureRightUser,
+  validateBody(userUpdateSchema),
+  async function (req, res, next) {
+    try {
+      const user = await User.update(req.params.username, req.body, {
+        ifMatch: req.get("If-Match"),
+      });
+      res.set("ETag", etagFor(user.updatedAt, { user }));
+      return res.json({ user });
+    } catch (err) {
+      return next(err);
     }
-
-    const user = await User.update(req.params.username, req.body);
-    return res.json({ user });
-  } catch (err) {
-    return next(err);
   }
-});
+);
 
 /** DELETE /[username]  =>  { deleted: username }
+ *
+ * The user is hidden and can no longer log in, but isn't removed: see
+ * restore and purge.
  *
  * Authorization required: login
  **/
@@ -121,11 +179,54 @@ router.delete("/:username", ensureRightUser, async function (req, res, next) {
   }
 });
 
-/** POST /[username]/jobs/[id] => { jobId }
+/** POST /[username]/restore  =>  { user }
+ *
+ * Brings back a deleted user.
+ *
+ * Returns { username, firstName, lastName, email, isAdmin }
+ *
+ * Authorization required: is admin
+ **/
+
+router.post(
+  "/:username/restore",
+  ensureIsAdmin,
+  async function (req, res, next) {
+    try {
+      const user = await User.restore(req.params.username);
+      return res.json({ user });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/purge  =>  { purged: username }
+ *
+ * Permanently removes a deleted user, with their applications and
+ * memberships.
+ *
+ * Authorization required: is admin
+ **/
+
+router.post("/:username/purge", ensureIsAdmin, async function (req, res, next) {
+  try {
+    await User.purge(req.params.username);
+    return res.json({ purged: req.params.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[username]/jobs/[id] { state, resumeId, coverLetter } => { job }
  *
  * Applying for jobs
  *
- * Returns { applied: jobId }
+ * All optional: state is "applied" (default) or "interested"; resumeId is one
+ * of the user's résumés, and coverLetter a cover letter, to send with the
+ * application.
+ *
+ * Returns { job: { job_id, state } }
  *
  * Authorization required: right user and admin
  **/
@@ -133,9 +234,16 @@ router.delete("/:username", ensureRightUser, async function (req, res, next) {
 router.post(
   "/:username/jobs/:id",
   ensureRightUser,
+  validateBody(applicationNewSchema),
   async function (req, res, next) {
     try {
-      const job = await User.applyForJob(req.params.username, req.params.id);
+      const { state, ...material } = req.body;
+      const job = await User.applyForJob(
+        req.params.username,
+        req.params.id,
+        state,
+        material
+      );
       return res.json({ job });
     } catch (err) {
       return next(err);
@@ -143,4 +251,546 @@ router.post(
   }
 );
 
+/** GET /[username]/jobs/[id] => { application }
+ *
+ * Returns { username, jobId, state, resumeId, coverLetter, createdAt,
+ *   updatedAt, history }
+ *   where history is [{ fromState, toState, changedBy, changedAt }, ...]
+ *
+ * The ETag header is the application's version, to send back as If-Match
+ * when changing it.
+ *
+ * Authorization required: right user and admin
+ **/
+
+router.get(
+  "/:username/jobs/:id",
+  ensureRightUser,
+  async function (req, res, next) {
+    try {
+      const application = await Application.get(
+        req.params.username,
+        req.params.id
+      );
+      res.set("ETag", etagFor(application.updatedAt, { application }));
+      return res.json({ application });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** PATCH /[username]/jobs/[id] { state } => { application }
+ *
+ * Moves the application to a new state. Users can only apply (from
+ * "interested") or withdraw; admins can make any legal transition. With an
+ * If-Match header, only if the application is still the version it names
+ * (412 if not); the new version is the ETag header.
+ *
+ * Returns { username, jobId, state, resumeId, coverLetter, createdAt,
+ *   updatedAt }
+ *
+ * Authorization required: right user and admin
+ **/
+
+router.patch(
+  "/:username/jobs/:id",
+  ensureRightUser,
+  validateBody(applicationUpdateSchema),
+  async function (req, res, next) {
+    try {
+      const { state } = req.body;
+      if (
+        !res.locals.user.isAdmin &&
+        !Application.APPLICANT_STATES.includes(state)
+      ) {
+        throw new UnauthorizedError(
+          `Only admins can move applications to: ${state}`
+        );
+      }
+
+      const application = await Application.changeState(
+        req.params.username,
+        req.params.id,
+        state,
+        res.locals.user.username,
+        { ifMatch: req.get("If-Match") }
+      );
+      res.set("ETag", etagFor(application.updatedAt, { application }));
+      return res.json({ application });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/resumes  =>  { resume }
+ *
+ * Uploads a résumé: the body is the file itself, sent as application/pdf or
+ * application/vnd.openxmlformats-officedocument.wordprocessingml.document
+ * (DOCX), of at most UPLOAD_MAX_BYTES. Can name it with ?filename=.
+ *
+ * Returns { id, username, filename, contentType, size, createdAt }
+ *
+ * Authorization required: right user and admin
+ **/
+
+router.post(
+  "/:username/resumes",
+  ensureRightUser,
+  validateQuery(resumeUploadSchema),
+  express.raw({ type: Object.keys(Resume.TYPES), limit: UPLOAD_MAX_BYTES }),
+  async function (req, res, next) {
+    try {
+      const resume = await Resume.create(req.params.username, {
+        filename: req.query.filename,
+        contentType:
+          req.is(Object.keys(Resume.TYPES)) || req.get("content-type"),
+        data: req.body,
+      });
+      return res.status(201).json({ resume });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/resumes  =>  { resumes }
+ *
+ * resumes is [{ id, username, filename, contentType, size, createdAt }, ...],
+ * newest first
+ *
+ * Authorization required: right user and admin
+ **/
+
+router.get(
+  "/:username/resumes",
+  ensureRightUser,
+  async function (req, res, next) {
+    try {
+      const resumes = await Resume.findForUser(req.params.username);
+      return res.json({ resumes });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/resumes/[id]  =>  the file
+ *
+ * Downloads a résumé, as an attachment with its filename.
+ *
+ * Authorization required: right user and admin, or a recruiter or owner of a
+ * company the résumé was sent to with an application
+ **/
+
+router.get(
+  "/:username/resumes/:id",
+  ensureLoggedIn,
+  async function (req, res, next) {
+    try {
+      const user = res.locals.user;
+      if (
+        !user.isAdmin &&
+        user.username !== req.params.username &&
+        !(await Resume.isSharedWith(req.params.id, user.username))
+      ) {
+        throw new UnauthorizedError();
+      }
+
+      const resume = await Resume.get(req.params.username, req.params.id);
+      res.type(resume.contentType);
+      res.attachment(resume.filename);
+      return res.send(resume.data);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /[username]/resumes/[id]  =>  { deleted: id }
+ *
+ * Applications it was sent with are left without one.
+ *
+ * Authorization required: right user and admin
+ **/
+
+router.delete(
+  "/:username/resumes/:id",
+  ensureRightUser,
+  async function (req, res, next) {
+    try {
+      await Resume.remove(req.params.username, req.params.id);
+      return res.json({ deleted: req.params.id });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/searches => { searches }
+ *
+ * searches is [{ id, username, name, filters, notify, createdAt,
+ *   lastRunAt }, ...]
+ *
+ * Authorization required: right user and admin
+ **/
+
+router.get(
+  "/:username/searches",
+  ensureRightUser,
+  async function (req, res, next) {
+    try {
+      const searches = await SavedSearch.findForUser(req.params.username);
+      return res.json({ searches });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/searches { name, filters, notify } => { search }
+ *
+ * Saves a set of /jobs filters (title, q, minSalary, equity, salaryMin,
+ * salaryMax, currency, payPeriod, remote, city, country, near, radiusKm,
+ * skills, skillMatch, as strings like in a query string).
+ * New jobs matching it are notified in the app or, if notify is "email", in
+ * a digest email (see notify.js).
+ *
+ * Returns { id, username, name, filters, notify, createdAt, lastRunAt }
+ *
+ * Authorization required: right user and admin
+ **/
+
+router.post(
+  "/:username/searches",
+  ensureRightUser,
+  validateBody(savedSearchNewSchema),
+  async function (req, res, next) {
+    try {
+      const search = await SavedSearch.create(req.params.username, req.body);
+      return res.status(201).json({ search });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/searches/[id] => { search }
+ *
+ * Returns { id, username, name, filters, notify, createdAt, lastRunAt }
+ *
+ * Authorization required: right user and admin
+ **/
+
+router.get(
+  "/:username/searches/:id",
+  ensureRightUser,
+  async function (req, res, next) {
+    try {
+      const search = await SavedSearch.get(req.params.id, req.params.username);
+      return res.json({ search });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /[username]/searches/[id] => { deleted: id }
+ *
+ * Authorization required: right user and admin
+ **/
+
+router.delete(
+  "/:username/searches/:id",
+  ensureRightUser,
+  async function (req, res, next) {
+    try {
+      await SavedSearch.remove(req.params.id, req.params.username);
+      return res.json({ deleted: req.params.id });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/notifications => { notifications }
+ *
+ * New jobs matching the user's saved searches, newest first. With
+ * ?unread=true, only the ones not yet marked read.
+ *
+ * notifications is [{ id, savedSearchId, searchName, jobId, jobTitle,
+ *   companyHandle, createdAt, readAt }, ...]
+ *
+ * Authorization required: right user and admin
+ **/
+
+router.get(
+  "/:username/notifications",
+  ensureRightUser,
+  validateQuery(notificationSearchSchema),
+  async function (req, res, next) {
+    try {
+      const notifications = await Notification.findForUser(
+        req.params.username,
+        { unread: req.query.unread === true }
+      );
+      return res.json({ notifications });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/notifications/[id]/read => { notification }
+ *
+ * Returns { id, readAt }
+ *
+ * Authorization required: right user and admin
+ **/
+
+router.post(
+  "/:username/notifications/:id/read",
+  ensureRightUser,
+  async function (req, res, next) {
+    try {
+      const notification = await Notification.markRead(
+        req.params.id,
+        req.params.username
+      );
+      return res.json({ notification });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/skills  =>  { skills }
+ *
+ * skills is [{ id, name, category, level }, ...]
+ *
+ * Authorization required: right user and admin
+ **/
+
+router.get(
+  "/:username/skills",
+  ensureRightUser,
+  async function (req, res, next) {
+    try {
+      const skills = await Skill.findForUser(req.params.username);
+      return res.json({ skills });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/skills { skillId, level } => { skill }
+ *
+ * level is beginner, intermediate (the default), advanced or expert.
+ *
+ * Returns { id, name, category, level }
+ *
+ * Authorization required: right user and admin
+ **/
+
+router.post(
+  "/:username/skills",
+  ensureRightUser,
+  validateBody(userSkillNewSchema),
+  async function (req, res, next) {
+    try {
+      const skill = await Skill.addToUser(
+        req.params.username,
+        req.body.skillId,
+        req.body.level
+      );
+      return res.status(201).json({ skill });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** PATCH /[username]/skills/[skillId] { level } => { skill }
+ *
+ * Returns { id, name, category, level }
+ *
+ * Authorization required: right user and admin
+ **/
+
+router.patch(
+  "/:username/skills/:skillId",
+  ensureRightUser,
+  validateBody(userSkillUpdateSchema),
+  async function (req, res, next) {
+    try {
+      const skill = await Skill.updateForUser(
+        req.params.username,
+        req.params.skillId,
+        req.body.level
+      );
+      return res.json({ skill });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /[username]/skills/[skillId]  =>  { removed: skillId }
+ *
+ * Authorization required: right user and admin
+ **/
+
+router.delete(
+  "/:username/skills/:skillId",
+  ensureRightUser,
+  async function (req, res, next) {
+    try {
+      await Skill.removeFromUser(req.params.username, req.params.skillId);
+      return res.json({ removed: req.params.skillId });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/following/companies  =>  { companies }
+ *
+ * companies is [{ handle, name, description, numEmployees, logoUrl,
+ *   followedAt }, ...], by name
+ *
+ * Authorization required: right user and admin
+ **/
+
+router.get(
+  "/:username/following/companies",
+  ensureRightUser,
+  async function (req, res, next) {
+    try {
+      const companies = await CompanyFollow.findForUser(req.params.username);
+      return res.json({ companies });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/following/companies/[handle]  =>  { follow }
+ *
+ * Follows a company: its new and changed jobs show up in the user's feed.
+ *
+ * Returns { username, companyHandle, createdAt }
+ *
+ * Authorization required: right user and admin
+ **/
+
+router.post(
+  "/:username/following/companies/:handle",
+  ensureRightUser,
+  async function (req, res, next) {
+    try {
+      const follow = await CompanyFollow.add(
+        req.params.username,
+        req.params.handle
+      );
+      return res.status(201).json({ follow });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /[username]/following/companies/[handle] => { unfollowed: handle }
+ *
+ * Authorization required: right user and admin
+ **/
+
+router.delete(
+  "/:username/following/companies/:handle",
+  ensureRightUser,
+  async function (req, res, next) {
+    try {
+      await CompanyFollow.remove(req.params.username, req.params.handle);
+      return res.json({ unfollowed: req.params.handle });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/feed  =>  { jobs, pagination }
+ *
+ * The open jobs of the companies the user follows, most recently posted or
+ * changed first.
+ *
+ * jobs is [{ id, title, salary, equity, company_handle, salaryMin,
+ *   salaryMax, currency, payPeriod, status, closesAt, publishedAt, closedAt,
+ *   locationId, workplace, createdAt, updatedAt }, ...]
+ * pagination is { limit, nextCursor, next }: pass nextCursor as cursor (or
+ *   follow the link in next) for the next page; both are null on the last
+ *   page
+ *
+ * Authorization required: right user and admin
+ **/
+
+router.get(
+  "/:username/feed",
+  ensureRightUser,
+  validateQuery(feedSearchSchema),
+  async function (req, res, next) {
+    try {
+      const { limit } = parsePagination({ limit: req.query.limit });
+      const { jobs, nextCursor } = await Job.findFeed(req.params.username, {
+        cursor: req.query.cursor,
+        limit,
+      });
+      return res.json({
+        jobs,
+        pagination: cursorMeta(req, { limit, nextCursor }),
+      });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/recommendations  =>  { recommendations }
+ *
+ * Open jobs the user hasn't applied for, best match first, scored out of
+ * 100 on their skills, the salary and equity they're after (going by their
+ * saved searches and applications), how alike the jobs are to those they've
+ * applied for and whether they follow the company (see
+ * Recommendation.WEIGHTS).
+ *
+ * recommendations is [{ job, score, reasons }, ...]
+ *   where job is { id, title, salary, equity, company_handle, ... } as in
+ *     GET /jobs
+ *   and reasons is [{ factor, points, detail }, ...], how the score was
+ *     reached, e.g. { factor: "skills", points: 20,
+ *                     detail: "You know SQL (1 of the 2 skills it asks for)" }
+ *
+ * Can limit how many (default 20, at most 100).
+ *
+ * Authorization required: right user and admin
+ **/
+
+router.get(
+  "/:username/recommendations",
+  ensureRightUser,
+  validateQuery(recommendationSearchSchema),
+  async function (req, res, next) {
+    try {
+      const { limit } = parsePagination(req.query);
+      const recommendations = await Recommendation.forUser(
+        req.params.username,
+        { limit }
+      );
+      return res.json({ recommendations });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
 module.exports = router;
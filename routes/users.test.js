@@ -6,6 +6,11 @@ const db = require("../db.js");
 const app = require("../app");
 const User = require("../models/user");
 const Job = require("../models/job");
+const SavedSearch = require("../models/savedSearch");
+const Notification = require("../models/notification");
+const Skill = require("../models/skill");
+const CompanyFollow = require("../models/companyFollow");
+const { UPLOAD_MAX_BYTES } = require("../config");
 
 const {
   commonBeforeAll,
@@ -15,6 +20,7 @@ const {
   u1Token,
   a1TokenAdmin,
   u2Token,
+  u3Token,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -45,6 +51,8 @@ describe("POST /users", function () {
         lastName: "Last-newL",
         email: "new@email.com",
         isAdmin: false,
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String),
       },
       token: expect.any(String),
     });
@@ -69,6 +77,8 @@ describe("POST /users", function () {
         lastName: "Last-newL",
         email: "new@email.com",
         isAdmin: true,
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String),
       },
       token: expect.any(String),
     });
@@ -140,6 +150,8 @@ describe("GET /users", function () {
           last_name: "A1L",
           email: "admin1@user.com",
           is_admin: true,
+          createdAt: expect.any(String),
+          updatedAt: expect.any(String),
           job_ids: [null],
         },
         {
@@ -148,6 +160,8 @@ describe("GET /users", function () {
           last_name: "U1L",
           email: "user1@user.com",
           is_admin: false,
+          createdAt: expect.any(String),
+          updatedAt: expect.any(String),
           job_ids: [null],
         },
         {
@@ -156,6 +170,8 @@ describe("GET /users", function () {
           last_name: "U2L",
           email: "user2@user.com",
           is_admin: false,
+          createdAt: expect.any(String),
+          updatedAt: expect.any(String),
           job_ids: [null],
         },
         {
@@ -164,9 +180,18 @@ describe("GET /users", function () {
           last_name: "U3L",
           email: "user3@user.com",
           is_admin: false,
+          createdAt: expect.any(String),
+          updatedAt: expect.any(String),
           job_ids: [null],
         },
       ],
+      pagination: {
+        total: 4,
+        limit: 20,
+        offset: 0,
+        next: null,
+        prev: null,
+      },
     });
   });
 
@@ -182,6 +207,19 @@ describe("GET /users", function () {
     expect(resp.statusCode).toEqual(401);
   });
 
+  test("works: sort and limit", async function () {
+    const resp = await request(app)
+      .get("/users?sort=-username&limit=2")
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.body.users.map((u) => u.username)).toEqual(["u3", "u2"]);
+    expect(resp.body.pagination).toEqual({
+      total: 4,
+      limit: 2,
+      offset: 0,
+      next: "/users?sort=-username&limit=2&offset=2",
+      prev: null,
+    });
+  });
   test("fails: test next() handler", async function () {
     // there's no normal failure event which will cause this route to fail ---
     // thus making it hard to test that the error-handler works with it. This
@@ -207,8 +245,11 @@ describe("GET /users/:username", function () {
         first_name: "U1F",
         last_name: "U1L",
         email: "user1@user.com",
+        email_verified: false,
         is_admin: false,
-        job_ids: [null],
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String),
+        jobs: [],
       },
     });
   });
@@ -222,8 +263,11 @@ describe("GET /users/:username", function () {
         first_name: "U1F",
         last_name: "U1L",
         email: "user1@user.com",
+        email_verified: false,
         is_admin: false,
-        job_ids: [null],
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String),
+        jobs: [],
       },
     });
   });
@@ -264,9 +308,32 @@ describe("PATCH /users/:username", () => {
         lastName: "U1L",
         email: "user1@user.com",
         isAdmin: false,
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String),
       },
     });
   });
+  test("works: If-Match, and precondition failed once stale", async function () {
+    const get = await request(app)
+      .get(`/users/u1`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(get.headers.etag).toMatch(/^"\w+\.[\w-]+"$/);
+
+    let resp = await request(app)
+      .patch(`/users/u1`)
+      .send({ firstName: "New" })
+      .set("If-Match", get.headers.etag)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers.etag).not.toEqual(get.headers.etag);
+
+    resp = await request(app)
+      .patch(`/users/u1`)
+      .send({ lastName: "New" })
+      .set("If-Match", get.headers.etag)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(412);
+  });
   test("works for admin", async function () {
     const resp = await request(app)
       .patch(`/users/u1`)
@@ -281,6 +348,8 @@ describe("PATCH /users/:username", () => {
         lastName: "U1L",
         email: "user1@user.com",
         isAdmin: false,
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String),
       },
     });
   });
@@ -333,6 +402,8 @@ describe("PATCH /users/:username", () => {
         lastName: "U1L",
         email: "user1@user.com",
         isAdmin: false,
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String),
       },
     });
     const isSuccessful = await User.authenticate("u1", "new-password");
@@ -377,6 +448,72 @@ describe("DELETE /users/:username", function () {
   });
 });
 
+/************************************** POST /users/:username/restore */
+
+describe("POST /users/:username/restore", function () {
+  test("works for admin", async function () {
+    await request(app)
+      .delete(`/users/u1`)
+      .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+      .post(`/users/u1/restore`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.body).toEqual({
+      user: {
+        username: "u1",
+        firstName: "U1F",
+        lastName: "U1L",
+        email: "user1@user.com",
+        isAdmin: false,
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String),
+      },
+    });
+  });
+
+  test("unauth for the user themselves", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/restore`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if not deleted", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/restore`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** POST /users/:username/purge */
+
+describe("POST /users/:username/purge", function () {
+  test("works for admin", async function () {
+    await request(app)
+      .delete(`/users/u1`)
+      .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+      .post(`/users/u1/purge`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.body).toEqual({ purged: "u1" });
+  });
+
+  test("bad request if not deleted first", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/purge`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/purge`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
 /************************************** POST /users/:username/jobs/:id */
 
 describe("POST /users/:username/jobs/:id", function () {
@@ -394,6 +531,7 @@ describe("POST /users/:username/jobs/:id", function () {
     expect(resp.body).toEqual({
       job: {
         job_id: expect.any(Number),
+        state: "applied",
       },
     });
     const getUser = await request(app)
@@ -405,8 +543,19 @@ describe("POST /users/:username/jobs/:id", function () {
         first_name: "U1F",
         last_name: "U1L",
         email: "user1@user.com",
+        email_verified: false,
         is_admin: false,
-        job_ids: [expect.any(Number)],
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String),
+        jobs: [
+          {
+            id: job.id,
+            title: "j200",
+            companyHandle: "c1",
+            state: "applied",
+            updatedAt: expect.any(String),
+          },
+        ],
       },
     });
   });
@@ -424,6 +573,7 @@ describe("POST /users/:username/jobs/:id", function () {
     expect(resp.body).toEqual({
       job: {
         job_id: expect.any(Number),
+        state: "applied",
       },
     });
     const getUser = await request(app)
@@ -435,11 +585,61 @@ describe("POST /users/:username/jobs/:id", function () {
         first_name: "U1F",
         last_name: "U1L",
         email: "user1@user.com",
+        email_verified: false,
         is_admin: false,
-        job_ids: [expect.any(Number)],
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String),
+        jobs: [
+          {
+            id: job.id,
+            title: "j200",
+            companyHandle: "c1",
+            state: "applied",
+            updatedAt: expect.any(String),
+          },
+        ],
       },
     });
   });
+  test("works: apply as interested", async function () {
+    let job = await Job.create({
+      title: "j200",
+      salary: 321,
+      equity: 0,
+      company_handle: "c1",
+    });
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${job.id}`)
+      .send({ state: "interested" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      job: {
+        job_id: job.id,
+        state: "interested",
+      },
+    });
+  });
+  test("bad request if already applied", async function () {
+    let job = await Job.create({
+      title: "j200",
+      salary: 321,
+      equity: 0,
+      company_handle: "c1",
+    });
+    await request(app)
+      .post(`/users/u1/jobs/${job.id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${job.id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+  test("not found for no such job", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/jobs/0`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
   test("don't work if user don't match", async function () {
     let job = await Job.create({
       title: "j200",
@@ -453,3 +653,715 @@ describe("POST /users/:username/jobs/:id", function () {
     expect(resp.statusCode).toEqual(401);
   });
 });
+
+/************************************** GET /users/:username/jobs/:id */
+
+describe("POST /users/:username/jobs/:id: closed jobs", function () {
+  test("bad request applying to a closed job", async function () {
+    const job = await Job.create({
+      title: "j300",
+      salary: 321,
+      equity: 0,
+      company_handle: "c1",
+    });
+    await Job.update(job.id, { status: "closed" });
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${job.id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual(
+      `Job ${job.id} isn't accepting applications: it is closed`
+    );
+  });
+});
+
+describe("GET /users/:username/jobs/:id", function () {
+  test("works for user", async function () {
+    const job = await Job.create({
+      title: "j200",
+      salary: 321,
+      equity: 0,
+      company_handle: "c1",
+    });
+    await User.applyForJob("u1", job.id);
+    const resp = await request(app)
+      .get(`/users/u1/jobs/${job.id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      application: {
+        username: "u1",
+        jobId: job.id,
+        state: "applied",
+        resumeId: null,
+        coverLetter: null,
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String),
+        history: [
+          {
+            fromState: null,
+            toState: "applied",
+            changedBy: "u1",
+            changedAt: expect.any(String),
+          },
+        ],
+      },
+    });
+  });
+
+  test("unauth for other users", async function () {
+    const job = await Job.create({
+      title: "j200",
+      salary: 321,
+      equity: 0,
+      company_handle: "c1",
+    });
+    await User.applyForJob("u1", job.id);
+    const resp = await request(app)
+      .get(`/users/u1/jobs/${job.id}`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if not applied", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/jobs/0`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** PATCH /users/:username/jobs/:id */
+
+describe("PATCH /users/:username/jobs/:id", function () {
+  test("works for user: withdraw", async function () {
+    const job = await Job.create({
+      title: "j200",
+      salary: 321,
+      equity: 0,
+      company_handle: "c1",
+    });
+    await User.applyForJob("u1", job.id);
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${job.id}`)
+      .send({ state: "withdrawn" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      application: {
+        username: "u1",
+        jobId: job.id,
+        state: "withdrawn",
+        resumeId: null,
+        coverLetter: null,
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String),
+      },
+    });
+  });
+
+  test("works for user: interested to applied", async function () {
+    const job = await Job.create({
+      title: "j200",
+      salary: 321,
+      equity: 0,
+      company_handle: "c1",
+    });
+    await User.applyForJob("u1", job.id, "interested");
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${job.id}`)
+      .send({ state: "applied" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.application.state).toEqual("applied");
+  });
+
+  test("unauth for user moving their own application forward", async function () {
+    const job = await Job.create({
+      title: "j200",
+      salary: 321,
+      equity: 0,
+      company_handle: "c1",
+    });
+    await User.applyForJob("u1", job.id);
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${job.id}`)
+      .send({ state: "screening" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("works for admin", async function () {
+    const job = await Job.create({
+      title: "j200",
+      salary: 321,
+      equity: 0,
+      company_handle: "c1",
+    });
+    await User.applyForJob("u1", job.id);
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${job.id}`)
+      .send({ state: "screening" })
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.body.application.state).toEqual("screening");
+  });
+
+  test("bad request for illegal transition", async function () {
+    const job = await Job.create({
+      title: "j200",
+      salary: 321,
+      equity: 0,
+      company_handle: "c1",
+    });
+    await User.applyForJob("u1", job.id, "interested");
+    await User.applyForJob("u2", job.id);
+    await request(app)
+      .patch(`/users/u1/jobs/${job.id}`)
+      .send({ state: "withdrawn" })
+      .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${job.id}`)
+      .send({ state: "applied" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /users/:username/searches */
+
+describe("POST /users/:username/searches", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/searches`)
+      .send({ name: "Equity", filters: { equity: "true" } })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      search: {
+        id: expect.any(Number),
+        username: "u1",
+        name: "Equity",
+        filters: { equity: "true" },
+        notify: "in_app",
+        createdAt: expect.any(String),
+        lastRunAt: null,
+      },
+    });
+  });
+
+  test("bad request with unknown filter", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/searches`)
+      .send({ name: "Bad", filters: { nope: "1" } })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with an invalid filter value", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/searches`)
+      .send({ name: "Bad", filters: { minSalary: "abc" } })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.errors).toEqual([
+      {
+        field: "filters.minSalary",
+        code: "type",
+        message: "is not of a type(s) integer",
+      },
+    ]);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/searches`)
+      .send({ name: "Equity", filters: {} })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** GET /users/:username/searches */
+
+describe("GET /users/:username/searches", function () {
+  test("works for same user", async function () {
+    await SavedSearch.create("u1", { name: "All", filters: {} });
+    const resp = await request(app)
+      .get(`/users/u1/searches`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.searches.map((s) => s.name)).toEqual(["All"]);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get(`/users/u1/searches`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** GET /users/:username/searches/:id */
+
+describe("GET /users/:username/searches/:id", function () {
+  test("works for same user", async function () {
+    const search = await SavedSearch.create("u1", { name: "All", filters: {} });
+    const resp = await request(app)
+      .get(`/users/u1/searches/${search.id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.search.id).toEqual(search.id);
+  });
+
+  test("not found for another user's search", async function () {
+    const search = await SavedSearch.create("u2", { name: "All", filters: {} });
+    const resp = await request(app)
+      .get(`/users/u1/searches/${search.id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** DELETE /users/:username/searches/:id */
+
+describe("DELETE /users/:username/searches/:id", function () {
+  test("works for same user", async function () {
+    const search = await SavedSearch.create("u1", { name: "All", filters: {} });
+    const resp = await request(app)
+      .delete(`/users/u1/searches/${search.id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ deleted: search.id.toString() });
+  });
+
+  test("unauth for other users", async function () {
+    const search = await SavedSearch.create("u1", { name: "All", filters: {} });
+    const resp = await request(app)
+      .delete(`/users/u1/searches/${search.id}`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** notifications */
+
+describe("GET /users/:username/notifications", function () {
+  test("works for same user, and marking read", async function () {
+    const search = await SavedSearch.create("u1", { name: "All", filters: {} });
+    const job = await Job.create({
+      title: "j200",
+      salary: 321,
+      equity: 0,
+      company_handle: "c1",
+    });
+    await Notification.create({
+      username: "u1",
+      savedSearchId: search.id,
+      jobId: job.id,
+    });
+
+    const resp = await request(app)
+      .get(`/users/u1/notifications?unread=true`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.notifications).toEqual([
+      {
+        id: expect.any(Number),
+        savedSearchId: search.id,
+        searchName: "All",
+        jobId: job.id,
+        jobTitle: "j200",
+        companyHandle: "c1",
+        createdAt: expect.any(String),
+        readAt: null,
+      },
+    ]);
+
+    const id = resp.body.notifications[0].id;
+    const readResp = await request(app)
+      .post(`/users/u1/notifications/${id}/read`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(readResp.body).toEqual({
+      notification: { id, readAt: expect.any(String) },
+    });
+
+    const unreadResp = await request(app)
+      .get(`/users/u1/notifications?unread=true`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(unreadResp.body.notifications).toEqual([]);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/notifications`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** /users/:username/skills */
+
+describe("/users/:username/skills", function () {
+  let sql;
+
+  beforeEach(async function () {
+    sql = await Skill.create({ name: "SQL" });
+  });
+
+  test("works for same user: add, list, update, remove", async function () {
+    let resp = await request(app)
+      .post(`/users/u1/skills`)
+      .send({ skillId: sql.id })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      skill: { id: sql.id, name: "SQL", category: null, level: "intermediate" },
+    });
+
+    resp = await request(app)
+      .patch(`/users/u1/skills/${sql.id}`)
+      .send({ level: "expert" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.skill.level).toEqual("expert");
+
+    resp = await request(app)
+      .get(`/users/u1/skills`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      skills: [{ id: sql.id, name: "SQL", category: null, level: "expert" }],
+    });
+
+    resp = await request(app)
+      .delete(`/users/u1/skills/${sql.id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ removed: `${sql.id}` });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/skills`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with unknown level", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/skills`)
+      .send({ skillId: sql.id, level: "guru" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for no such skill", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/skills`)
+      .send({ skillId: 0 })
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /users/:username/recommendations */
+
+describe("GET /users/:username/recommendations", function () {
+  let j1Id;
+
+  beforeEach(async function () {
+    const sql = await Skill.create({ name: "SQL" });
+    const result = await db.query(`SELECT id FROM jobs WHERE title = 'j1'`);
+    j1Id = result.rows[0].id;
+    await Skill.addToJob(j1Id, sql.id);
+    await Skill.addToUser("u1", sql.id);
+  });
+
+  test("works for same user", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/recommendations`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      recommendations: [
+        {
+          job: expect.objectContaining({ id: j1Id, title: "j1" }),
+          score: 35,
+          reasons: [
+            {
+              factor: "skills",
+              points: 35,
+              detail: "You know SQL (1 of the 1 skills it asks for)",
+            },
+          ],
+        },
+      ],
+    });
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/recommendations`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.body.recommendations.length).toEqual(1);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/recommendations`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with a bad limit", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/recommendations?limit=0`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for no such user", async function () {
+    const resp = await request(app)
+      .get(`/users/nope/recommendations`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /users/:username/resumes */
+
+describe("/users/:username/resumes", function () {
+  const pdf = Buffer.from("%PDF-1.4 my resume");
+
+  /** u1 uploads pdf; returns the résumé. */
+
+  async function upload(query = "") {
+    const resp = await request(app)
+      .post(`/users/u1/resumes${query}`)
+      .set("authorization", `Bearer ${u1Token}`)
+      .set("content-type", "application/pdf")
+      .send(pdf);
+    return resp.body.resume;
+  }
+
+  /** Downloads u1's résumé id as the user with token. */
+
+  function download(id, token) {
+    return request(app)
+      .get(`/users/u1/resumes/${id}`)
+      .set("authorization", `Bearer ${token}`)
+      .responseType("blob");
+  }
+
+  test("works for same user: upload, list, download, delete", async function () {
+    let resp = await request(app)
+      .post(`/users/u1/resumes?filename=cv.pdf`)
+      .set("authorization", `Bearer ${u1Token}`)
+      .set("content-type", "application/pdf")
+      .send(pdf);
+    expect(resp.statusCode).toEqual(201);
+    const resume = resp.body.resume;
+    expect(resume).toEqual({
+      id: expect.any(Number),
+      username: "u1",
+      filename: "cv.pdf",
+      contentType: "application/pdf",
+      size: pdf.length,
+      createdAt: expect.any(String),
+    });
+
+    resp = await request(app)
+      .get(`/users/u1/resumes`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ resumes: [resume] });
+
+    resp = await download(resume.id, u1Token);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-type"]).toEqual("application/pdf");
+    expect(resp.headers["content-disposition"]).toEqual(
+      'attachment; filename="cv.pdf"'
+    );
+    expect(resp.body).toEqual(pdf);
+
+    resp = await request(app)
+      .delete(`/users/u1/resumes/${resume.id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ deleted: `${resume.id}` });
+    resp = await download(resume.id, u1Token);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("sent with an application, for the company's recruiters", async function () {
+    const resume = await upload();
+    const job = await Job.create({
+      title: "j200",
+      salary: 321,
+      equity: 0,
+      company_handle: "c1",
+    });
+
+    let resp = await download(resume.id, u3Token);
+    expect(resp.statusCode).toEqual(401);
+
+    resp = await request(app)
+      .post(`/users/u1/jobs/${job.id}`)
+      .send({ resumeId: resume.id, coverLetter: "Dear C1" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+
+    resp = await request(app)
+      .get(`/jobs/${job.id}/applications`)
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body.applications[0]).toEqual(
+      expect.objectContaining({ resumeId: resume.id, coverLetter: "Dear C1" })
+    );
+
+    resp = await download(resume.id, u3Token);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual(pdf);
+  });
+
+  test("works for admin", async function () {
+    const resume = await upload();
+    const resp = await download(resume.id, a1TokenAdmin);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("unauth for other users", async function () {
+    const resume = await upload();
+    let resp = await download(resume.id, u2Token);
+    expect(resp.statusCode).toEqual(401);
+
+    resp = await request(app)
+      .post(`/users/u1/resumes`)
+      .set("authorization", `Bearer ${u2Token}`)
+      .set("content-type", "application/pdf")
+      .send(pdf);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with another type of file", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/resumes`)
+      .set("authorization", `Bearer ${u1Token}`)
+      .set("content-type", "text/plain")
+      .send("my resume");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with a bad filename", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/resumes?filename=../cv.pdf`)
+      .set("authorization", `Bearer ${u1Token}`)
+      .set("content-type", "application/pdf")
+      .send(pdf);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("too large", async function () {
+    const tooBig = Buffer.alloc(UPLOAD_MAX_BYTES + 1);
+    pdf.copy(tooBig);
+    const resp = await request(app)
+      .post(`/users/u1/resumes`)
+      .set("authorization", `Bearer ${u1Token}`)
+      .set("content-type", "application/pdf")
+      .send(tooBig);
+    expect(resp.statusCode).toEqual(413);
+  });
+
+  test("not found for another user's resume", async function () {
+    const resume = await upload();
+    const resp = await request(app)
+      .get(`/users/u2/resumes/${resume.id}`)
+      .set("authorization", `Bearer ${a1TokenAdmin}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /users/:username/following/companies */
+
+describe("/users/:username/following/companies", function () {
+  test("works for same user: follow, list, unfollow", async function () {
+    let resp = await request(app)
+      .post(`/users/u1/following/companies/c2`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      follow: {
+        username: "u1",
+        companyHandle: "c2",
+        createdAt: expect.any(String),
+      },
+    });
+
+    resp = await request(app)
+      .get(`/users/u1/following/companies`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.companies.map((c) => c.handle)).toEqual(["c2"]);
+
+    resp = await request(app).get(`/companies/c2`);
+    expect(resp.body.company.followers).toEqual(1);
+
+    resp = await request(app)
+      .delete(`/users/u1/following/companies/c2`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ unfollowed: "c2" });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/following/companies/c2`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request if already following", async function () {
+    await CompanyFollow.add("u1", "c2");
+    const resp = await request(app)
+      .post(`/users/u1/following/companies/c2`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for no such company", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/following/companies/nope`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /users/:username/feed */
+
+describe("GET /users/:username/feed", function () {
+  beforeEach(async function () {
+    await db.query(`UPDATE jobs
+                    SET updated_at = CASE title
+                                       WHEN 'j1' THEN '2021-01-01T00:00:00Z'
+                                       ELSE '2021-02-01T00:00:00Z'
+                                     END::timestamptz`);
+    await CompanyFollow.add("u1", "c1");
+  });
+
+  test("works for same user, a page at a time", async function () {
+    let resp = await request(app)
+      .get(`/users/u1/feed?limit=1`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.jobs.map((j) => j.title)).toEqual(["j2"]);
+    const { nextCursor } = resp.body.pagination;
+    expect(resp.body.pagination).toEqual({
+      limit: 1,
+      nextCursor: expect.any(String),
+      next: `/users/u1/feed?limit=1&cursor=${nextCursor}`,
+    });
+
+    resp = await request(app)
+      .get(resp.body.pagination.next)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      jobs: [expect.objectContaining({ title: "j1", company_handle: "c1" })],
+      pagination: { limit: 1, nextCursor: null, next: null },
+    });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/feed`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with an invalid cursor", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/feed?cursor=nope`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});